@@ -30,9 +30,17 @@ const getOptimizedImageUrl = (publicId, options = {}) => {
   return cloudinary.url(publicId, defaultOptions);
 };
 
+// Helper function to get the public ID from an uploaded image URL
+// Returns null for images stored outside the church-admin folder
+const getPublicIdFromUrl = (url) => {
+  const matches = String(url || '').match(/\/(church-admin\/.+)\.[a-z0-9]+$/i);
+  return matches ? matches[1] : null;
+};
+
 // Export the main cloudinary instance as default
 module.exports = cloudinary;
 
 // Also export helper functions
 module.exports.deleteImage = deleteImage;
-module.exports.getOptimizedImageUrl = getOptimizedImageUrl;
\ No newline at end of file
+module.exports.getOptimizedImageUrl = getOptimizedImageUrl;
+module.exports.getPublicIdFromUrl = getPublicIdFromUrl;
\ No newline at end of file
@@ -1,6 +1,22 @@
 // controllers/adminController.js - Admin Management Logic
 const { validationResult } = require('express-validator');
+const { Op } = require('sequelize');
 const logger = require('../utils/logger');
+const emailService = require('../services/emailService');
+const emailOutboxWorker = require('../services/emailOutboxWorker');
+const { SCOPED_PERMISSIONS } = require('../utils/departmentScope');
+const {
+  PERMISSION_AREAS,
+  ROLE_TEMPLATES,
+  isValidPermission,
+  getRolePermissions
+} = require('../utils/permissions');
+
+// Permissions to store for a role: super admins get 'all', others the given list or the role template
+const resolvePermissions = (role, permissions) => {
+  if (role === 'super_admin') return ['all'];
+  return Array.isArray(permissions) ? [...new Set(permissions)] : getRolePermissions(role);
+};
 
 const adminController = {
   // @desc    Get all admins (super admin only)
@@ -12,7 +28,7 @@ const adminController = {
       const { Admin } = req.db;
 
       const admins = await Admin.findAll({
-        attributes: { exclude: ['password', 'refreshToken', 'passwordResetToken'] },
+        attributes: { exclude: ['password', 'passwordResetToken'] },
         order: [['createdAt', 'DESC']]
       });
 
@@ -31,13 +47,13 @@ const adminController = {
     }
   },
 
-  // @desc    Create new admin (super admin only)
+  // @desc    Invite new admin; they set their own password from the emailed link (super admin only)
   // @route   POST /api/admin
   // @access  Private (super admin only)
-  createAdmin: async (req, res) => {
+  inviteAdmin: async (req, res) => {
     try {
       // Get Admin model from req.db
-      const { Admin } = req.db;
+      const { Admin, AdminInvitation } = req.db;
 
       const errors = validationResult(req);
       if (!errors.isEmpty()) {
@@ -48,42 +64,219 @@ const adminController = {
         });
       }
 
-      const { name, email, password, role, phone, position, permissions = [] } = req.body;
+      const { name, email, role, phone, position, permissions } = req.body;
 
-      // Check if admin with email already exists
-      const existingAdmin = await Admin.findByEmail(email);
+      // Check if admin with email already exists, including deactivated accounts (email is unique)
+      const existingAdmin = await Admin.findOne({ where: { email: email.toLowerCase().trim() } });
       if (existingAdmin) {
         return res.status(400).json({
           success: false,
-          message: 'Admin with this email already exists'
+          message: existingAdmin.isActive
+            ? 'Admin with this email already exists'
+            : 'A deactivated admin account uses this email. Reactivate that account instead of inviting.'
+        });
+      }
+
+      const pendingInvitation = await AdminInvitation.findPendingByEmail(email);
+      if (pendingInvitation) {
+        return res.status(400).json({
+          success: false,
+          message: 'An invitation is already pending for this email. Resend or revoke it instead.'
         });
       }
 
-      // Create new admin
-      const newAdmin = await Admin.create({
+      const invalidPermissions = (permissions || []).filter(p => !isValidPermission(p));
+      if (invalidPermissions.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: `Invalid permissions: ${invalidPermissions.join(', ')}`
+        });
+      }
+
+      const invitation = AdminInvitation.build({
         name,
         email,
-        password,
         role,
         phone,
         position,
-        permissions: role === 'super_admin' ? ['all'] : permissions,
-        isActive: true
+        permissions: resolvePermissions(role, permissions),
+        invitedById: req.admin.id
       });
+      const token = invitation.issueToken();
+      await invitation.save();
 
-      logger.info(`New admin created: ${newAdmin.name} (${newAdmin.email}) by ${req.admin.name}`);
+      const emailResult = await emailService.sendAdminInvitationEmail(invitation, token, req.admin);
+
+      logger.info(`Admin invited: ${invitation.name} (${invitation.email}) by ${req.admin.name}`);
 
       res.status(201).json({
         success: true,
-        message: 'Admin created successfully',
-        data: newAdmin.toJSON()
+        message: emailResult.success
+          ? 'Invitation sent successfully'
+          : 'Invitation created, but the email could not be sent. Try resending it.',
+        data: {
+          ...invitation.toJSON(),
+          emailSent: emailResult.success
+        }
+      });
+
+    } catch (error) {
+      logger.error('Invite admin error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to invite admin'
+      });
+    }
+  },
+
+  // @desc    Get pending admin invitations (super admin only)
+  // @route   GET /api/admin/invitations
+  // @access  Private (super admin only)
+  getInvitations: async (req, res) => {
+    try {
+      // Get Admin model from req.db
+      const { Admin, AdminInvitation } = req.db;
+
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const invitations = await AdminInvitation.findPending({
+        includeExpired: req.query.includeExpired !== 'false',
+        include: [{ model: Admin, as: 'invitedBy', attributes: ['id', 'name', 'email'] }]
+      });
+
+      res.json({
+        success: true,
+        message: 'Invitations retrieved successfully',
+        data: invitations
+      });
+
+    } catch (error) {
+      logger.error('Get invitations error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to retrieve invitations'
+      });
+    }
+  },
+
+  // @desc    Resend a pending invitation with a new link (super admin only)
+  // @route   POST /api/admin/invitations/:id/resend
+  // @access  Private (super admin only)
+  resendInvitation: async (req, res) => {
+    try {
+      // Get Admin model from req.db
+      const { AdminInvitation } = req.db;
+
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const invitation = await AdminInvitation.findByPk(req.params.id);
+      if (!invitation) {
+        return res.status(404).json({
+          success: false,
+          message: 'Invitation not found'
+        });
+      }
+
+      if (invitation.status !== 'pending') {
+        return res.status(400).json({
+          success: false,
+          message: `Invitation has already been ${invitation.status}`
+        });
+      }
+
+      // The previous link stops working once a new token is issued
+      const token = invitation.issueToken();
+      invitation.sendCount += 1;
+      await invitation.save();
+
+      const emailResult = await emailService.sendAdminInvitationEmail(invitation, token, req.admin);
+      if (!emailResult.success) {
+        return res.status(502).json({
+          success: false,
+          message: 'Failed to send invitation email'
+        });
+      }
+
+      logger.info(`Admin invitation resent: ${invitation.email} by ${req.admin.name}`);
+
+      res.json({
+        success: true,
+        message: 'Invitation resent successfully',
+        data: invitation.toJSON()
+      });
+
+    } catch (error) {
+      logger.error('Resend invitation error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to resend invitation'
+      });
+    }
+  },
+
+  // @desc    Revoke a pending invitation (super admin only)
+  // @route   DELETE /api/admin/invitations/:id
+  // @access  Private (super admin only)
+  revokeInvitation: async (req, res) => {
+    try {
+      // Get Admin model from req.db
+      const { AdminInvitation } = req.db;
+
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const invitation = await AdminInvitation.findByPk(req.params.id);
+      if (!invitation) {
+        return res.status(404).json({
+          success: false,
+          message: 'Invitation not found'
+        });
+      }
+
+      if (invitation.status !== 'pending') {
+        return res.status(400).json({
+          success: false,
+          message: `Invitation has already been ${invitation.status}`
+        });
+      }
+
+      await invitation.update({ status: 'revoked', revokedAt: new Date() });
+      if (req.activityLog) {
+        req.activityLog.metadata = { email: invitation.email, role: invitation.role };
+      }
+
+      logger.info(`Admin invitation revoked: ${invitation.email} by ${req.admin.name}`);
+
+      res.json({
+        success: true,
+        message: 'Invitation revoked successfully'
       });
 
     } catch (error) {
-      logger.error('Create admin error:', error);
+      logger.error('Revoke invitation error:', error);
       res.status(500).json({
         success: false,
-        message: 'Failed to create admin'
+        message: 'Failed to revoke invitation'
       });
     }
   },
@@ -106,7 +299,7 @@ const adminController = {
       }
 
       const admin = await Admin.findByPk(req.params.id, {
-        attributes: { exclude: ['password', 'refreshToken', 'passwordResetToken'] }
+        attributes: { exclude: ['password', 'passwordResetToken'] }
       });
 
       if (!admin) {
@@ -137,7 +330,7 @@ const adminController = {
   updateAdmin: async (req, res) => {
     try {
       // Get Admin model from req.db
-      const { Admin } = req.db;
+      const { Admin, ActivityLog } = req.db;
 
       const errors = validationResult(req);
       if (!errors.isEmpty()) {
@@ -183,16 +376,26 @@ const adminController = {
         }
       }
 
+      const invalidPermissions = (permissions || []).filter(p => !isValidPermission(p));
+      if (invalidPermissions.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: `Invalid permissions: ${invalidPermissions.join(', ')}`
+        });
+      }
+
+      // Changing role without a permissions list starts from the new role's template
+      const updates = { name, email, role, phone, position, isActive };
+      if (role === 'super_admin' || permissions !== undefined || role !== admin.role) {
+        updates.permissions = resolvePermissions(role, permissions);
+      }
+
       // Update admin
-      await admin.update({
-        name,
-        email,
-        role,
-        phone,
-        position,
-        permissions: role === 'super_admin' ? ['all'] : permissions,
-        isActive
-      });
+      const before = admin.toJSON();
+      await admin.update(updates);
+      if (req.activityLog) {
+        req.activityLog.changes = ActivityLog.buildChanges(before, admin);
+      }
 
       logger.info(`Admin updated: ${admin.name} (${admin.email}) by ${req.admin.name}`);
 
@@ -217,7 +420,7 @@ const adminController = {
   deleteAdmin: async (req, res) => {
     try {
       // Get Admin model from req.db
-      const { Admin } = req.db;
+      const { Admin, ActivityLog, Session } = req.db;
 
       const errors = validationResult(req);
       if (!errors.isEmpty()) {
@@ -265,7 +468,12 @@ const adminController = {
       };
 
       // Soft delete by setting inactive
-      await admin.update({ isActive: false, refreshToken: null });
+      const before = admin.toJSON();
+      await admin.update({ isActive: false });
+      await Session.revokeAll(admin.id, 'admin_action');
+      if (req.activityLog) {
+        req.activityLog.changes = ActivityLog.buildChanges(before, admin);
+      }
 
       logger.info(`Admin deleted: ${adminInfo.name} (${adminInfo.email}) by ${req.admin.name}`);
 
@@ -290,7 +498,7 @@ const adminController = {
   updateAdminPassword: async (req, res) => {
     try {
       // Get Admin model from req.db
-      const { Admin } = req.db;
+      const { Admin, Session } = req.db;
 
       const errors = validationResult(req);
       if (!errors.isEmpty()) {
@@ -314,9 +522,9 @@ const adminController = {
       // Update password (will be hashed in the model hook)
       await admin.update({ 
         password,
-        passwordChangedAt: new Date(),
-        refreshToken: null // Invalidate all sessions
+        passwordChangedAt: new Date()
       });
+      await Session.revokeAll(admin.id, 'password_changed'); // Invalidate all sessions
 
       logger.info(`Admin password updated: ${admin.name} (${admin.email}) by ${req.admin.name}`);
 
@@ -334,13 +542,466 @@ const adminController = {
     }
   },
 
+  // @desc    Reset an admin's two-factor authentication, e.g. after a lost phone (super admin only)
+  // @route   POST /api/admin/:id/2fa/reset
+  // @access  Private (super admin only)
+  resetAdminTwoFactor: async (req, res) => {
+    try {
+      // Get Admin model from req.db
+      const { Admin, ActivityLog, Session } = req.db;
+
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const admin = await Admin.findByPk(req.params.id);
+      if (!admin) {
+        return res.status(404).json({
+          success: false,
+          message: 'Admin not found'
+        });
+      }
+
+      // Another super admin has to confirm a recovery
+      if (admin.id === req.admin.id) {
+        return res.status(400).json({
+          success: false,
+          message: 'Cannot reset two-factor authentication on your own account'
+        });
+      }
+
+      if (!admin.twoFactorEnabled && !admin.twoFactorSecret) {
+        return res.status(400).json({
+          success: false,
+          message: 'Two-factor authentication is not set up for this admin'
+        });
+      }
+
+      // The admin enrols again at next login when their role requires 2FA
+      const before = admin.toJSON();
+      await admin.update({
+        twoFactorEnabled: false,
+        twoFactorSecret: null,
+        twoFactorBackupCodes: null,
+        twoFactorEnabledAt: null,
+        twoFactorLastUsedStep: null
+      });
+      await Session.revokeAll(admin.id, 'admin_action'); // Invalidate all sessions
+      if (req.activityLog) {
+        req.activityLog.changes = ActivityLog.buildChanges(before, admin);
+      }
+
+      logger.info(`Admin 2FA reset: ${admin.name} (${admin.email}) by ${req.admin.name}`);
+
+      res.json({
+        success: true,
+        message: 'Two-factor authentication reset successfully'
+      });
+
+    } catch (error) {
+      logger.error('Reset admin 2FA error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to reset two-factor authentication'
+      });
+    }
+  },
+
+  // @desc    Unlock an admin locked out by failed sign-ins (super admin only)
+  // @route   POST /api/admin/:id/unlock
+  // @access  Private (super admin only)
+  unlockAdmin: async (req, res) => {
+    try {
+      // Get Admin model from req.db
+      const { Admin } = req.db;
+
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const admin = await Admin.findByPk(req.params.id);
+      if (!admin) {
+        return res.status(404).json({
+          success: false,
+          message: 'Admin not found'
+        });
+      }
+
+      if (!admin.isLocked() && !admin.loginAttempts) {
+        return res.status(400).json({
+          success: false,
+          message: 'Admin account is not locked'
+        });
+      }
+
+      const lockedUntil = admin.lockedUntil;
+      await admin.resetLoginAttempts();
+      if (req.activityLog) {
+        req.activityLog.metadata = { lockedUntil };
+      }
+
+      logger.info(`Admin unlocked: ${admin.name} (${admin.email}) by ${req.admin.name}`);
+
+      res.json({
+        success: true,
+        message: 'Admin account unlocked successfully'
+      });
+
+    } catch (error) {
+      logger.error('Unlock admin error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to unlock admin account'
+      });
+    }
+  },
+
+  // @desc    Get queued and delivered emails (super admin only)
+  // @route   GET /api/admin/emails
+  // @access  Private (super admin only)
+  getEmails: async (req, res) => {
+    try {
+      // Get EmailOutbox model from req.db
+      const { EmailOutbox } = req.db;
+
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const { page = 1, limit = 20, status, to, search, startDate, endDate } = req.query;
+
+      // Build where clause
+      const whereClause = {};
+      if (status) whereClause.status = status;
+      if (to) whereClause.to = { [Op.iLike]: `%${to}%` };
+      if (search) whereClause.subject = { [Op.iLike]: `%${search}%` };
+      if (startDate || endDate) {
+        whereClause.createdAt = {};
+        if (startDate) whereClause.createdAt[Op.gte] = new Date(startDate);
+        if (endDate) {
+          const end = new Date(endDate);
+          end.setHours(23, 59, 59, 999);
+          whereClause.createdAt[Op.lte] = end;
+        }
+      }
+
+      const offset = (parseInt(page) - 1) * parseInt(limit);
+
+      const [{ count, rows: emails }, summary] = await Promise.all([
+        EmailOutbox.findAndCountAll({
+          where: whereClause,
+          attributes: { exclude: ['html', 'text', 'attachments'] },
+          order: [['createdAt', 'DESC']],
+          limit: parseInt(limit),
+          offset
+        }),
+        EmailOutbox.getStatusCounts()
+      ]);
+
+      res.json({
+        success: true,
+        message: 'Emails retrieved successfully',
+        data: {
+          emails,
+          summary,
+          pagination: {
+            page: parseInt(page),
+            limit: parseInt(limit),
+            total: count,
+            totalPages: Math.ceil(count / parseInt(limit))
+          }
+        }
+      });
+
+    } catch (error) {
+      logger.error('Get emails error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to retrieve emails'
+      });
+    }
+  },
+
+  // @desc    Get one email with its content and error history (super admin only)
+  // @route   GET /api/admin/emails/:id
+  // @access  Private (super admin only)
+  getEmailById: async (req, res) => {
+    try {
+      // Get EmailOutbox model from req.db
+      const { EmailOutbox } = req.db;
+
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const email = await EmailOutbox.findByPk(req.params.id);
+      if (!email) {
+        return res.status(404).json({
+          success: false,
+          message: 'Email not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'Email retrieved successfully',
+        data: email
+      });
+
+    } catch (error) {
+      logger.error('Get email error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to retrieve email'
+      });
+    }
+  },
+
+  // @desc    Queue a failed email for delivery again (super admin only)
+  // @route   POST /api/admin/emails/:id/resend
+  // @access  Private (super admin only)
+  resendEmail: async (req, res) => {
+    try {
+      // Get EmailOutbox model from req.db
+      const { EmailOutbox } = req.db;
+
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const email = await EmailOutbox.findByPk(req.params.id);
+      if (!email) {
+        return res.status(404).json({
+          success: false,
+          message: 'Email not found'
+        });
+      }
+
+      if (email.status !== 'failed') {
+        return res.status(400).json({
+          success: false,
+          message: 'Only failed emails can be resent'
+        });
+      }
+
+      // Keep the error history, but allow a full set of new attempts
+      await email.update({
+        status: 'pending',
+        attempts: 0,
+        nextAttemptAt: new Date()
+      });
+      emailOutboxWorker.kick();
+
+      logger.info(`Email ${email.id} to ${email.to} queued for resend by ${req.admin.name}`);
+
+      res.json({
+        success: true,
+        message: 'Email queued for delivery',
+        data: email
+      });
+
+    } catch (error) {
+      logger.error('Resend email error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to resend email'
+      });
+    }
+  },
+
+  // @desc    Get the login audit trail (super admin only)
+  // @route   GET /api/admin/login-attempts
+  // @access  Private (super admin only)
+  getLoginAttempts: async (req, res) => {
+    try {
+      // Get LoginAttempt model from req.db
+      const { LoginAttempt } = req.db;
+
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const {
+        page = 1,
+        limit = 20,
+        adminId,
+        email,
+        ipAddress,
+        success,
+        reason,
+        startDate,
+        endDate
+      } = req.query;
+
+      // Build where clause
+      const whereClause = {};
+      if (adminId) whereClause.adminId = adminId;
+      if (email) whereClause.email = email.toLowerCase();
+      if (ipAddress) whereClause.ipAddress = ipAddress;
+      if (success !== undefined) whereClause.success = success === 'true';
+      if (reason) whereClause.reason = reason;
+      if (startDate || endDate) {
+        whereClause.createdAt = {};
+        if (startDate) whereClause.createdAt[Op.gte] = new Date(startDate);
+        if (endDate) {
+          const end = new Date(endDate);
+          end.setHours(23, 59, 59, 999);
+          whereClause.createdAt[Op.lte] = end;
+        }
+      }
+
+      const offset = (parseInt(page) - 1) * parseInt(limit);
+
+      const { count, rows: attempts } = await LoginAttempt.findAndCountAll({
+        where: whereClause,
+        order: [['createdAt', 'DESC']],
+        limit: parseInt(limit),
+        offset
+      });
+
+      res.json({
+        success: true,
+        message: 'Login attempts retrieved successfully',
+        data: {
+          attempts,
+          pagination: {
+            page: parseInt(page),
+            limit: parseInt(limit),
+            total: count,
+            totalPages: Math.ceil(count / parseInt(limit))
+          }
+        }
+      });
+
+    } catch (error) {
+      logger.error('Get login attempts error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to retrieve login attempts'
+      });
+    }
+  },
+
+  // @desc    Suspicious sign-in activity: busy IPs, targeted accounts, lockouts and new locations
+  // @route   GET /api/admin/login-attempts/suspicious
+  // @access  Private (super admin only)
+  getSuspiciousLoginActivity: async (req, res) => {
+    try {
+      // Get models from req.db
+      const { Admin, LoginAttempt } = req.db;
+
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const hours = parseInt(req.query.hours) || 24;
+      const minFailures = parseInt(req.query.minFailures) || Admin.getLockoutPolicy().maxAttempts;
+      const since = new Date(Date.now() - hours * 60 * 60 * 1000);
+
+      const [
+        totals,
+        failuresByIp,
+        failuresByAccount,
+        lockouts,
+        newLocationLogins,
+        lockedAdmins
+      ] = await Promise.all([
+        LoginAttempt.count({
+          where: { createdAt: { [Op.gte]: since } },
+          group: ['success'],
+          raw: true
+        }),
+        LoginAttempt.getFailureCounts('ipAddress', since, minFailures),
+        LoginAttempt.getFailureCounts('email', since, minFailures),
+        LoginAttempt.findAll({
+          where: { triggeredLockout: true, createdAt: { [Op.gte]: since } },
+          order: [['createdAt', 'DESC']]
+        }),
+        LoginAttempt.findAll({
+          where: { isNewLocation: true, createdAt: { [Op.gte]: since } },
+          order: [['createdAt', 'DESC']]
+        }),
+        Admin.findAll({
+          where: { lockedUntil: { [Op.gt]: new Date() } },
+          attributes: ['id', 'name', 'email', 'role', 'loginAttempts', 'lockedUntil']
+        })
+      ]);
+
+      const successCount = totals.find((row) => row.success === true);
+      const failureCount = totals.find((row) => row.success === false);
+
+      res.json({
+        success: true,
+        message: 'Suspicious login activity retrieved successfully',
+        data: {
+          period: { since, hours },
+          minFailures,
+          summary: {
+            successful: successCount ? parseInt(successCount.count) : 0,
+            failed: failureCount ? parseInt(failureCount.count) : 0,
+            lockouts: lockouts.length,
+            newLocationLogins: newLocationLogins.length
+          },
+          // Many accounts from one IP suggests password spraying
+          failuresByIp,
+          failuresByAccount,
+          lockouts,
+          newLocationLogins,
+          lockedAdmins
+        }
+      });
+
+    } catch (error) {
+      logger.error('Get suspicious login activity error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to retrieve suspicious login activity'
+      });
+    }
+  },
+
   // @desc    Get admin activity logs (super admin only)
   // @route   GET /api/admin/:id/activity
   // @access  Private (super admin only)
   getAdminActivity: async (req, res) => {
     try {
-      // Get Admin model from req.db
-      const { Admin } = req.db;
+      // Get models from req.db
+      const { Admin, ActivityLog } = req.db;
 
       const errors = validationResult(req);
       if (!errors.isEmpty()) {
@@ -359,11 +1020,77 @@ const adminController = {
         });
       }
 
-      const { page = 1, limit = 20 } = req.query;
+      const {
+        page = 1,
+        limit = 20,
+        action,
+        entityType,
+        entityId,
+        status,
+        startDate,
+        endDate,
+        format = 'json'
+      } = req.query;
+
+      // Build where clause
+      const whereClause = {};
+      if (action) whereClause.action = action;
+      if (entityType) whereClause.entityType = entityType;
+      if (entityId) whereClause.entityId = entityId;
+      if (status) whereClause.status = status;
+      if (startDate || endDate) {
+        whereClause.createdAt = {};
+        if (startDate) whereClause.createdAt[Op.gte] = new Date(startDate);
+        if (endDate) {
+          const end = new Date(endDate);
+          end.setHours(23, 59, 59, 999);
+          whereClause.createdAt[Op.lte] = end;
+        }
+      }
+
+      if (format === 'csv') {
+        const { rows: activities } = await ActivityLog.getAdminActivity(admin.id, {
+          where: whereClause
+        });
+
+        const csvValue = (value) => `"${String(value ?? '').replace(/"/g, '""')}"`;
+        const csvHeaders = 'Date,Admin,Action,Entity Type,Entity ID,Method,Path,Status,Status Code,IP Address,User Agent,Changes\n';
+        const csvContent = activities
+          .map((activity) =>
+            [
+              new Date(activity.createdAt).toISOString(),
+              csvValue(activity.adminName),
+              csvValue(activity.action),
+              csvValue(activity.entityType),
+              csvValue(activity.entityId),
+              activity.method || '',
+              csvValue(activity.path),
+              activity.status,
+              activity.statusCode || '',
+              csvValue(activity.ipAddress),
+              csvValue(activity.userAgent),
+              csvValue(activity.changes ? JSON.stringify(activity.changes) : '')
+            ].join(',')
+          )
+          .join('\n');
+
+        logger.info(`Activity log exported for ${admin.name} by ${req.admin.name} - Records: ${activities.length}`);
+
+        res.setHeader('Content-Type', 'text/csv');
+        res.setHeader(
+          'Content-Disposition',
+          `attachment; filename="activity_${admin.id}_${new Date().toISOString().split('T')[0]}.csv"`
+        );
+        return res.send(csvHeaders + csvContent);
+      }
+
       const offset = (parseInt(page) - 1) * parseInt(limit);
 
-      // This would require an ActivityLog model - placeholder for now
-      const activities = []; // await ActivityLog.findAll({ where: { adminId: admin.id }, offset, limit });
+      const { count, rows: activities } = await ActivityLog.getAdminActivity(admin.id, {
+        where: whereClause,
+        limit: parseInt(limit),
+        offset
+      });
 
       res.json({
         success: true,
@@ -373,7 +1100,8 @@ const adminController = {
           pagination: {
             page: parseInt(page),
             limit: parseInt(limit),
-            total: activities.length
+            total: count,
+            totalPages: Math.ceil(count / parseInt(limit))
           }
         }
       });
@@ -393,7 +1121,7 @@ const adminController = {
   updateAdminPermissions: async (req, res) => {
     try {
       // Get Admin model from req.db
-      const { Admin } = req.db;
+      const { Admin, ActivityLog } = req.db;
 
       const errors = validationResult(req);
       if (!errors.isEmpty()) {
@@ -422,18 +1150,8 @@ const adminController = {
         });
       }
 
-      // Validate permissions (you can define available permissions)
-      const validPermissions = [
-        'manage_events', 
-        'manage_members', 
-        'manage_celebrations', 
-        'view_reports', 
-        'manage_announcements', 
-        'manage_donations',
-        'manage_attendance'
-      ];
-
-      const invalidPermissions = permissions.filter(p => !validPermissions.includes(p));
+      // Permissions are "area:verb" strings from the catalogue (GET /api/admin/roles)
+      const invalidPermissions = permissions.filter(p => !isValidPermission(p));
       if (invalidPermissions.length > 0) {
         return res.status(400).json({
           success: false,
@@ -442,7 +1160,11 @@ const adminController = {
       }
 
       // Update permissions
-      await admin.update({ permissions });
+      const before = admin.toJSON();
+      await admin.update({ permissions: [...new Set(permissions)] });
+      if (req.activityLog) {
+        req.activityLog.changes = ActivityLog.buildChanges(before, admin);
+      }
 
       logger.info(`Admin permissions updated: ${admin.name} (${admin.email}) by ${req.admin.name}`);
 
@@ -461,6 +1183,121 @@ const adminController = {
     }
   },
 
+  // @desc    Get role templates and the permission catalogue (super admin only)
+  // @route   GET /api/admin/roles
+  // @access  Private (super admin only)
+  getRoles: async (req, res) => {
+    try {
+      const roles = Object.entries(ROLE_TEMPLATES).map(([role, template]) => ({
+        role,
+        ...template
+      }));
+      const permissions = Object.entries(PERMISSION_AREAS).map(([area, verbs]) => ({
+        area,
+        verbs,
+        permissions: verbs.map(verb => `${area}:${verb}`)
+      }));
+
+      res.json({
+        success: true,
+        message: 'Roles retrieved successfully',
+        data: { roles, permissions }
+      });
+
+    } catch (error) {
+      logger.error('Get roles error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to retrieve roles'
+      });
+    }
+  },
+
+  // @desc    Limit an admin's members/events/attendance access to departments
+  // @route   PUT /api/admin/:id/department-scopes
+  // @access  Private (super admin only)
+  updateAdminDepartmentScopes: async (req, res) => {
+    try {
+      // Get Admin model from req.db
+      const { Admin, Department, ActivityLog } = req.db;
+
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const admin = await Admin.findByPk(req.params.id);
+      if (!admin) {
+        return res.status(404).json({
+          success: false,
+          message: 'Admin not found'
+        });
+      }
+
+      if (admin.role === 'super_admin') {
+        return res.status(400).json({
+          success: false,
+          message: 'Super admins cannot be limited to departments'
+        });
+      }
+
+      // e.g. { members: [departmentId], events: [departmentId] }; null removes all limits
+      const departmentScopes = req.body.departmentScopes || null;
+      const areas = departmentScopes ? Object.keys(departmentScopes) : [];
+
+      const invalidAreas = areas.filter(area => !SCOPED_PERMISSIONS.includes(area));
+      if (invalidAreas.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: `Invalid scope areas: ${invalidAreas.join(', ')}. Allowed: ${SCOPED_PERMISSIONS.join(', ')}`
+        });
+      }
+
+      if (areas.some(area => departmentScopes[area].length === 0)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Each scope must list at least one department'
+        });
+      }
+
+      const departmentIds = [...new Set(areas.flatMap(area => departmentScopes[area]))];
+      const departmentCount = departmentIds.length
+        ? await Department.count({ where: { id: departmentIds } })
+        : 0;
+      if (departmentCount !== departmentIds.length) {
+        return res.status(400).json({
+          success: false,
+          message: 'One or more departments were not found'
+        });
+      }
+
+      const before = admin.toJSON();
+      await admin.update({ departmentScopes: areas.length ? departmentScopes : null });
+      if (req.activityLog) {
+        req.activityLog.changes = ActivityLog.buildChanges(before, admin);
+      }
+
+      logger.info(`Admin department scopes updated: ${admin.name} (${admin.email}) by ${req.admin.name}`);
+
+      res.json({
+        success: true,
+        message: 'Admin department scopes updated successfully',
+        data: { departmentScopes: admin.departmentScopes }
+      });
+
+    } catch (error) {
+      logger.error('Update admin department scopes error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to update admin department scopes'
+      });
+    }
+  },
+
   // @desc    Get admin statistics
   // @route   GET /api/admin/stats
   // @access  Private (super admin only)
@@ -473,7 +1310,11 @@ const adminController = {
       const activeAdmins = await Admin.count({ where: { isActive: true } });
       const inactiveAdmins = await Admin.count({ where: { isActive: false } });
       const superAdmins = await Admin.count({ where: { role: 'super_admin', isActive: true } });
-      const regularAdmins = await Admin.count({ where: { role: 'admin', isActive: true } });
+      const regularAdmins = await Admin.count({
+        where: { role: { [Op.ne]: 'super_admin' }, isActive: true }
+      });
+      const roleCounts = await Admin.count({ where: { isActive: true }, group: ['role'] });
+      const byRole = roleCounts.reduce((acc, row) => ({ ...acc, [row.role]: row.count }), {});
 
       res.json({
         success: true,
@@ -483,7 +1324,8 @@ const adminController = {
           active: activeAdmins,
           inactive: inactiveAdmins,
           superAdmins,
-          regularAdmins
+          regularAdmins,
+          byRole
         }
       });
 
@@ -2,6 +2,82 @@
 const { validationResult } = require("express-validator");
 const { Op } = require("sequelize");
 const logger = require("../utils/logger");
+const {
+  getDepartmentScope,
+  isInDepartmentScope,
+  departmentScopeWhere,
+  getScopedMemberIds,
+  memberScopeWhere,
+  isMemberInScope,
+} = require("../utils/departmentScope");
+
+// Record named first-timers/visitors captured with an attendance record
+const recordAttendanceVisitors = async (Visitor, attendance, visitorDetails) => {
+  if (!Array.isArray(visitorDetails) || visitorDetails.length === 0) return [];
+
+  const visitors = [];
+  for (const details of visitorDetails) {
+    visitors.push(
+      await Visitor.recordVisit(
+        {
+          name: details.name,
+          phone: details.phone,
+          email: details.email || null,
+          address: details.address,
+          gender: details.gender,
+          howDidYouHear: details.howDidYouHear,
+          invitedBy: details.invitedBy,
+          prayerRequest: details.prayerRequest,
+          source: "attendance",
+          attendanceId: attendance.id,
+        },
+        attendance.date
+      )
+    );
+  }
+  return visitors;
+};
+
+// Helper: find an attendance record the admin may manage
+// (department heads only reach their units' own gatherings)
+const findScopedAttendance = async (req, id, options = {}) => {
+  const attendance = await req.db.Attendance.findByPk(id, options);
+  if (
+    !attendance ||
+    !isInDepartmentScope(req.admin, "attendance", attendance.departmentId)
+  ) {
+    return null;
+  }
+  return attendance;
+};
+
+// Helper: check the department and members of an attendance record,
+// returns an error message or null
+const validateAttendanceScope = async (req, departmentId, members) => {
+  const scope = getDepartmentScope(req.admin, "attendance");
+  if (!departmentId) {
+    return scope ? "Please choose one of your departments for this record" : null;
+  }
+  if (scope && !scope.includes(departmentId)) {
+    return "You can only record attendance for your own departments";
+  }
+
+  const department = await req.db.Department.findByPk(departmentId, {
+    attributes: ["id"],
+  });
+  if (!department) return "Department not found";
+
+  const memberIds = await getScopedMemberIds(req.db, req.admin, "attendance");
+  if (memberIds && Array.isArray(members)) {
+    const outsideScope = members.some(
+      (member) => member.memberId && !memberIds.includes(member.memberId)
+    );
+    if (outsideScope) {
+      return "You can only record attendance for members of your departments";
+    }
+  }
+  return null;
+};
 
 const attendanceController = {
   // @desc    Get all attendance records with filtering
@@ -37,6 +113,9 @@ const attendanceController = {
         whereClause.serviceType = serviceType;
       }
 
+      // Department heads only see their units' records
+      Object.assign(whereClause, departmentScopeWhere(req.admin, "attendance"));
+
       // Calculate pagination
       const offset = (parseInt(page) - 1) * parseInt(limit);
 
@@ -83,6 +162,7 @@ const attendanceController = {
         children: record.children,
         visitors: record.visitors,
         notes: record.notes,
+        departmentId: record.departmentId,
         recordedBy: record.recordedBy?.name || "Unknown",
         recordedById: record.recordedById,
         createdAt: record.createdAt,
@@ -127,7 +207,7 @@ const attendanceController = {
   createAttendance: async (req, res) => {
     try {
       // ✅ Get models from req.db
-      const { Attendance, MemberAttendance, Admin } = req.db;
+      const { Attendance, MemberAttendance, Admin, Visitor } = req.db;
 
       const errors = validationResult(req);
       if (!errors.isEmpty()) {
@@ -147,7 +227,10 @@ const attendanceController = {
         children = 0,
         visitors = 0,
         notes,
+        checkInOpen = false,
+        departmentId,
         members = [],
+        visitorDetails = [],
       } = req.body;
 
       logger.info('Creating attendance record:', {
@@ -157,9 +240,17 @@ const attendanceController = {
         membersCount: members.length
       });
 
+      const scopeError = await validateAttendanceScope(req, departmentId, members);
+      if (scopeError) {
+        return res.status(400).json({
+          success: false,
+          message: scopeError,
+        });
+      }
+
       // Check if attendance already exists for this date and service type
       const existingAttendance = await Attendance.findOne({
-        where: { date, serviceType },
+        where: { date, serviceType, departmentId: departmentId || null },
       });
 
       if (existingAttendance) {
@@ -180,6 +271,8 @@ const attendanceController = {
         children: parseInt(children),
         visitors: parseInt(visitors),
         notes,
+        checkInOpen: checkInOpen === true || checkInOpen === 'true',
+        departmentId: departmentId || null,
         recordedById: req.admin.id,
       });
 
@@ -203,6 +296,15 @@ const attendanceController = {
         }
       }
 
+      const recordedVisitors = await recordAttendanceVisitors(
+        Visitor,
+        newAttendance,
+        visitorDetails
+      );
+      if (recordedVisitors.length > 0) {
+        logger.info(`Recorded ${recordedVisitors.length} visitors for attendance ${newAttendance.id}`);
+      }
+
       logger.info(
         `New attendance record created: ${serviceType} on ${date} by ${req.admin.name}`
       );
@@ -246,6 +348,8 @@ const attendanceController = {
           children: createdRecord.children,
           visitors: createdRecord.visitors,
           notes: createdRecord.notes,
+          checkInOpen: createdRecord.checkInOpen,
+          departmentId: createdRecord.departmentId,
           recordedBy: createdRecord.recordedBy?.name,
           createdAt: createdRecord.createdAt,
         },
@@ -266,7 +370,7 @@ const attendanceController = {
   updateAttendance: async (req, res) => {
     try {
       // ✅ Get models from req.db
-      const { Attendance, MemberAttendance, Admin } = req.db;
+      const { Attendance, MemberAttendance, Admin, ActivityLog, Visitor } = req.db;
 
       const errors = validationResult(req);
       if (!errors.isEmpty()) {
@@ -277,7 +381,7 @@ const attendanceController = {
         });
       }
 
-      const attendance = await Attendance.findByPk(req.params.id);
+      const attendance = await findScopedAttendance(req, req.params.id);
       if (!attendance) {
         return res.status(404).json({
           success: false,
@@ -295,14 +399,32 @@ const attendanceController = {
         visitors,
         notes,
         members = [],
+        visitorDetails = [],
       } = req.body;
+      const departmentId =
+        req.body.departmentId !== undefined
+          ? req.body.departmentId || null
+          : attendance.departmentId;
+
+      const scopeError = await validateAttendanceScope(req, departmentId, members);
+      if (scopeError) {
+        return res.status(400).json({
+          success: false,
+          message: scopeError,
+        });
+      }
 
       // Check if another attendance record exists for the new date/service combination
-      if (date !== attendance.date || serviceType !== attendance.serviceType) {
+      if (
+        date !== attendance.date ||
+        serviceType !== attendance.serviceType ||
+        departmentId !== attendance.departmentId
+      ) {
         const existingAttendance = await Attendance.findOne({
           where: {
             date,
             serviceType,
+            departmentId,
             id: { [Op.not]: req.params.id },
           },
         });
@@ -317,6 +439,7 @@ const attendanceController = {
       }
 
       // Update attendance record
+      const before = attendance.toJSON();
       await attendance.update({
         date,
         serviceType,
@@ -326,7 +449,11 @@ const attendanceController = {
         children: parseInt(children),
         visitors: parseInt(visitors),
         notes,
+        departmentId,
       });
+      if (req.activityLog) {
+        req.activityLog.changes = ActivityLog.buildChanges(before, attendance);
+      }
 
       // Update member attendance records
       if (members && Array.isArray(members) && members.length > 0) {
@@ -351,6 +478,8 @@ const attendanceController = {
         }
       }
 
+      await recordAttendanceVisitors(Visitor, attendance, visitorDetails);
+
       logger.info(
         `Attendance record updated: ${serviceType} on ${date} by ${req.admin.name}`
       );
@@ -394,6 +523,7 @@ const attendanceController = {
           children: updatedRecord.children,
           visitors: updatedRecord.visitors,
           notes: updatedRecord.notes,
+          departmentId: updatedRecord.departmentId,
           recordedBy: updatedRecord.recordedBy?.name,
           updatedAt: updatedRecord.updatedAt,
         },
@@ -414,7 +544,7 @@ const attendanceController = {
   getAttendanceById: async (req, res) => {
     try {
       // ✅ Get models from req.db
-      const { Attendance, MemberAttendance, Member, Admin } = req.db;
+      const { MemberAttendance, Member, Admin, Visitor } = req.db;
 
       const errors = validationResult(req);
       if (!errors.isEmpty()) {
@@ -425,7 +555,7 @@ const attendanceController = {
         });
       }
 
-      const attendance = await Attendance.findByPk(req.params.id, {
+      const attendance = await findScopedAttendance(req, req.params.id, {
         include: [
           {
             model: Admin,
@@ -443,6 +573,11 @@ const attendanceController = {
               },
             ],
           },
+          {
+            model: Visitor,
+            as: "visitorRecords",
+            attributes: ["id", "name", "phone", "status"],
+          },
         ],
       });
 
@@ -464,6 +599,8 @@ const attendanceController = {
         children: attendance.children,
         visitors: attendance.visitors,
         notes: attendance.notes,
+        checkInOpen: attendance.checkInOpen,
+        departmentId: attendance.departmentId,
         recordedBy: attendance.recordedBy?.name || "Unknown",
         recordedById: attendance.recordedById,
         createdAt: attendance.createdAt,
@@ -477,6 +614,7 @@ const attendanceController = {
             timeArrived: ma.timeArrived,
             notes: ma.notes,
           })) || [],
+        visitorList: attendance.visitorRecords || [],
       };
 
       res.json({
@@ -500,7 +638,7 @@ const attendanceController = {
   deleteAttendance: async (req, res) => {
     try {
       // ✅ Get models from req.db
-      const { Attendance, MemberAttendance } = req.db;
+      const { MemberAttendance, Visitor, Giving, ActivityLog } = req.db;
 
       const errors = validationResult(req);
       if (!errors.isEmpty()) {
@@ -511,7 +649,7 @@ const attendanceController = {
         });
       }
 
-      const attendance = await Attendance.findByPk(req.params.id);
+      const attendance = await findScopedAttendance(req, req.params.id);
       if (!attendance) {
         return res.status(404).json({
           success: false,
@@ -530,8 +668,24 @@ const attendanceController = {
         where: { attendanceId: attendance.id },
       });
 
+      // Visitors stay on the follow-up pipeline, just unlinked from the service
+      await Visitor.update(
+        { attendanceId: null },
+        { where: { attendanceId: attendance.id } }
+      );
+
+      // Giving records are financial history and are kept
+      await Giving.update(
+        { attendanceId: null },
+        { where: { attendanceId: attendance.id } }
+      );
+
       // Delete attendance record
+      const before = attendance.toJSON();
       await attendance.destroy();
+      if (req.activityLog) {
+        req.activityLog.changes = ActivityLog.buildChanges(before, null);
+      }
 
       logger.info(
         `Attendance record deleted: ${attendanceInfo.serviceType} on ${attendanceInfo.date} by ${req.admin.name}`
@@ -562,6 +716,210 @@ const attendanceController = {
     }
   },
 
+  // @desc    Open or close individual check-in for an attendance record
+  // @route   PATCH /api/attendance/:id/check-in
+  // @access  Private
+  updateCheckInStatus: async (req, res) => {
+    try {
+      // ✅ Get models from req.db
+      const { ActivityLog } = req.db;
+
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      const attendance = await findScopedAttendance(req, req.params.id);
+      if (!attendance) {
+        return res.status(404).json({
+          success: false,
+          message: "Attendance record not found",
+        });
+      }
+
+      const { open } = req.body;
+
+      const before = attendance.toJSON();
+      await attendance.update({ checkInOpen: open });
+      if (req.activityLog) {
+        req.activityLog.changes = ActivityLog.buildChanges(before, attendance);
+      }
+
+      logger.info(
+        `Check-in ${open ? "opened" : "closed"} for ${attendance.serviceType} on ${attendance.date} by ${req.admin.name}`
+      );
+
+      // Emit real-time notification
+      const io = req.app.get("io");
+      if (io) {
+        io.to("admin-room").emit("attendance-check-in-status", {
+          attendance: {
+            id: attendance.id,
+            date: attendance.date,
+            serviceType: attendance.serviceType,
+            checkInOpen: attendance.checkInOpen,
+          },
+          updatedBy: req.admin.name,
+          timestamp: new Date(),
+        });
+      }
+
+      res.json({
+        success: true,
+        message: `Check-in ${open ? "opened" : "closed"} successfully`,
+        data: {
+          id: attendance.id,
+          checkInOpen: attendance.checkInOpen,
+        },
+      });
+    } catch (error) {
+      logger.error("Update check-in status error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to update check-in status",
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  },
+
+  // @desc    Check a member in to an open attendance record by QR/short code
+  // @route   POST /api/attendance/:id/check-in
+  // @access  Private
+  checkInMember: async (req, res) => {
+    try {
+      // ✅ Get models from req.db
+      const { MemberAttendance, Member, sequelize } = req.db;
+
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      const attendance = await findScopedAttendance(req, req.params.id);
+      if (!attendance) {
+        return res.status(404).json({
+          success: false,
+          message: "Attendance record not found",
+        });
+      }
+
+      if (!attendance.checkInOpen) {
+        return res.status(400).json({
+          success: false,
+          message: "Check-in is not open for this service",
+        });
+      }
+
+      const { code, memberId, category } = req.body;
+
+      const member = code
+        ? await Member.findByCheckInCode(code)
+        : await Member.findByPk(memberId);
+
+      if (
+        !member ||
+        !member.isActive ||
+        !(await isMemberInScope(req.db, req.admin, member.id, "attendance"))
+      ) {
+        return res.status(404).json({
+          success: false,
+          message: "No active member found for this check-in code",
+        });
+      }
+
+      // Record the time of arrival as HH:MM:SS
+      const timeArrived = new Date().toTimeString().split(" ")[0];
+      const headCount = category || member.getAttendanceCategory();
+
+      const memberAttendance = await sequelize.transaction(async (transaction) => {
+        const [record, created] = await MemberAttendance.findOrCreate({
+          where: { attendanceId: attendance.id, memberId: member.id },
+          defaults: { present: true, timeArrived },
+          transaction,
+        });
+
+        if (!created) {
+          if (record.present) return null;
+          await record.update({ present: true, timeArrived }, { transaction });
+        }
+
+        await attendance.increment(
+          { totalAttendance: 1, [headCount]: 1 },
+          { transaction }
+        );
+
+        return record;
+      });
+
+      if (!memberAttendance) {
+        return res.status(400).json({
+          success: false,
+          message: `${member.name} is already checked in for this service`,
+        });
+      }
+
+      await attendance.reload();
+
+      logger.info(
+        `Member checked in: ${member.name} for ${attendance.serviceType} on ${attendance.date} by ${req.admin.name}`
+      );
+
+      // Emit real-time notification
+      const io = req.app.get("io");
+      if (io) {
+        io.to("admin-room").emit("member-checked-in", {
+          attendance: {
+            id: attendance.id,
+            date: attendance.date,
+            serviceType: attendance.serviceType,
+            totalAttendance: attendance.totalAttendance,
+            adults: attendance.adults,
+            youth: attendance.youth,
+            children: attendance.children,
+          },
+          member: {
+            id: member.id,
+            name: member.name,
+            department: member.department,
+          },
+          timeArrived,
+          checkedInBy: req.admin.name,
+          timestamp: new Date(),
+        });
+      }
+
+      res.status(201).json({
+        success: true,
+        message: `${member.name} checked in successfully`,
+        data: {
+          id: memberAttendance.id,
+          attendanceId: attendance.id,
+          memberId: member.id,
+          name: member.name,
+          department: member.department,
+          category: headCount,
+          timeArrived,
+          totalAttendance: attendance.totalAttendance,
+        },
+      });
+    } catch (error) {
+      logger.error("Member check-in error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to check member in",
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  },
+
   // @desc    Get attendance statistics
   // @route   GET /api/attendance/stats
   // @access  Private
@@ -572,7 +930,10 @@ const attendanceController = {
 
       const { period = "month" } = req.query;
 
-      const stats = await Attendance.getStatistics(period);
+      const stats = await Attendance.getStatistics(
+        period,
+        departmentScopeWhere(req.admin, "attendance")
+      );
 
       res.json({
         success: true,
@@ -634,8 +995,9 @@ const attendanceController = {
       // ✅ Get models from req.db
       const { Member } = req.db;
 
+      const scopeWhere = await memberScopeWhere(req.db, req.admin, "attendance");
       const members = await Member.findAll({
-        where: { isActive: true },
+        where: { ...scopeWhere, isActive: true },
         attributes: ["id", "name", "department"],
         order: [["name", "ASC"]],
       });
@@ -678,6 +1040,8 @@ const attendanceController = {
         whereClause.serviceType = serviceType;
       }
 
+      Object.assign(whereClause, departmentScopeWhere(req.admin, "attendance"));
+
       const attendanceRecords = await Attendance.findAll({
         where: whereClause,
         include: [
@@ -2,28 +2,185 @@
 const bcrypt = require("bcryptjs");
 const jwt = require("jsonwebtoken");
 const crypto = require("crypto");
+const QRCode = require("qrcode");
 const { validationResult } = require("express-validator");
 const logger = require("../utils/logger");
 const emailService = require("../services/emailService");
-
-// Helper function to generate tokens
-const generateTokens = (adminId) => {
-  const accessToken = jwt.sign({ adminId }, process.env.JWT_SECRET, {
+const {
+  generateTotpSecret,
+  verifyTotpCode,
+  buildOtpAuthUrl,
+  hashBackupCode,
+  generateBackupCodes,
+  generateChallengeToken,
+  verifyChallengeToken,
+  isTwoFactorRequired,
+} = require("../utils/twoFactor");
+const { ROLE_TEMPLATES } = require("../utils/permissions");
+
+// Helper function to generate tokens for a session
+// (jti makes every refresh token unique, so a rotated-out token can be recognised)
+const generateTokens = (adminId, sessionId) => {
+  const accessToken = jwt.sign({ adminId, sid: sessionId }, process.env.JWT_SECRET, {
     expiresIn: process.env.JWT_EXPIRE || "15m",
   });
 
-  const refreshToken = jwt.sign({ adminId }, process.env.JWT_REFRESH_SECRET, {
-    expiresIn: process.env.JWT_REFRESH_EXPIRE || "7d",
-  });
+  const refreshToken = jwt.sign(
+    { adminId, sid: sessionId, jti: crypto.randomUUID() },
+    process.env.JWT_REFRESH_SECRET,
+    { expiresIn: process.env.JWT_REFRESH_EXPIRE || "7d" }
+  );
 
   return { accessToken, refreshToken };
 };
 
+// Helper: session fields describing the current request and refresh token
+const sessionDetails = (req, Session, refreshToken) => ({
+  refreshTokenHash: Session.hashToken(refreshToken),
+  ipAddress: req.ip,
+  userAgent: req.headers["user-agent"],
+  lastUsedAt: new Date(),
+  expiresAt: new Date(jwt.decode(refreshToken).exp * 1000),
+});
+
+// Helper: a concurrent request already rotated this refresh token; the client should retry with the new one
+const refreshInProgress = (res) =>
+  res.status(409).json({
+    success: false,
+    message: "This session was just refreshed by another request. Retry with the latest refresh token.",
+    code: "REFRESH_IN_PROGRESS",
+  });
+
 // Helper function to generate secure token
 const generateSecureToken = () => {
   return crypto.randomBytes(32).toString("hex");
 };
 
+// Helper: check a TOTP or backup code; returns the admin fields to save, or null when invalid
+const checkSecondFactor = (admin, { code, backupCode }) => {
+  if (backupCode) {
+    const hash = hashBackupCode(backupCode);
+    const remaining = admin.twoFactorBackupCodes || [];
+    if (!remaining.includes(hash)) return null;
+    return { twoFactorBackupCodes: remaining.filter((stored) => stored !== hash) };
+  }
+
+  const step = verifyTotpCode(
+    admin.twoFactorSecret,
+    code,
+    admin.twoFactorLastUsedStep
+  );
+  return step === null ? null : { twoFactorLastUsedStep: step };
+};
+
+// Helper: add a row to the login audit trail (a logging failure never blocks the login itself)
+const recordLoginAttempt = async (req, { admin = null, email, success = false, reason, ...flags }) => {
+  try {
+    await req.db.LoginAttempt.create({
+      adminId: admin ? admin.id : null,
+      email: admin ? admin.email : String(email || "").toLowerCase(),
+      success,
+      reason,
+      ipAddress: req.ip,
+      userAgent: req.headers["user-agent"],
+      ...flags,
+    });
+  } catch (error) {
+    logger.error("Failed to record login attempt:", error);
+  }
+};
+
+// Helper: reply to a sign-in for a locked account
+const rejectLockedAccount = async (req, res, admin) => {
+  await recordLoginAttempt(req, { admin, reason: "account_locked" });
+  return res.status(423).json({
+    success: false,
+    message: "Account is temporarily locked after too many failed sign-in attempts",
+    code: "ACCOUNT_LOCKED",
+    data: { lockedUntil: admin.lockedUntil },
+  });
+};
+
+// Helper: count a failed password or 2FA code, locking the account at the policy threshold
+const rejectFailedLogin = async (req, res, admin, reason, message) => {
+  const lockedNow = await admin.incrementLoginAttempts();
+  await recordLoginAttempt(req, { admin, reason, triggeredLockout: lockedNow });
+
+  if (lockedNow) {
+    logger.warn(`Admin account locked: ${admin.email} (${admin.id}) until ${admin.lockedUntil.toISOString()}`, {
+      ip: req.ip,
+    });
+    emailService.sendAccountLockedEmail(admin, {
+      ipAddress: req.ip,
+      lockedUntil: admin.lockedUntil,
+    });
+
+    return res.status(423).json({
+      success: false,
+      message: "Too many failed sign-in attempts. The account has been temporarily locked.",
+      code: "ACCOUNT_LOCKED",
+      data: { lockedUntil: admin.lockedUntil },
+    });
+  }
+
+  return res.status(401).json({
+    success: false,
+    message,
+  });
+};
+
+// Helper: start a session for this device, issue its token pair and record the login
+const completeLogin = async (req, res, admin, extra = {}) => {
+  const { Session, LoginAttempt } = req.db;
+
+  const isNewLocation = await LoginAttempt.isNewLocation(admin.id, req.ip);
+
+  const session = Session.build({
+    adminId: admin.id,
+    deviceName:
+      (req.body.deviceName && String(req.body.deviceName).slice(0, 100)) ||
+      Session.describeDevice(req.headers["user-agent"]),
+  });
+  const { accessToken, refreshToken } = generateTokens(admin.id, session.id);
+  await session.set(sessionDetails(req, Session, refreshToken)).save();
+
+  await admin.update({ lastLogin: new Date(), loginAttempts: 0, lockedUntil: null });
+  await Session.pruneForAdmin(admin.id);
+  await recordLoginAttempt(req, { admin, success: true, reason: "success", isNewLocation });
+
+  if (isNewLocation) {
+    emailService.sendNewLoginLocationEmail(admin, {
+      ipAddress: req.ip,
+      deviceName: session.deviceName,
+      time: new Date(),
+    });
+  }
+
+  // Log successful login
+  logger.info(`Admin login successful: ${admin.email} (${admin.id})`);
+
+  // Emit real-time notification if socket available
+  if (req.app.get("io")) {
+    req.app.get("io").to("admin-room").emit("admin-login", {
+      adminName: admin.name,
+      timestamp: new Date(),
+    });
+  }
+
+  res.json({
+    success: true,
+    message: "Login successful",
+    data: {
+      user: admin.toJSON(),
+      admin: admin.toJSON(),
+      accessToken,
+      token: accessToken,
+      refreshToken,
+      ...extra,
+    },
+  });
+};
+
 const authController = {
   // @desc    Authenticate admin and get token
   // @route   POST /api/auth/login
@@ -54,57 +211,344 @@ const authController = {
       });
 
       if (!admin) {
+        await recordLoginAttempt(req, { email, reason: "unknown_account" });
         return res.status(401).json({
           success: false,
           message: "Invalid email or password",
         });
       }
 
+      if (admin.isLocked()) {
+        return rejectLockedAccount(req, res, admin);
+      }
+
       // Validate password
       const isPasswordValid = await admin.comparePassword(password);
       if (!isPasswordValid) {
+        return rejectFailedLogin(req, res, admin, "invalid_password", "Invalid email or password");
+      }
+
+      // Second step: exchange the challenge token and a code at POST /api/auth/2fa/verify
+      if (admin.twoFactorEnabled) {
+        return res.json({
+          success: true,
+          message: "Two-factor authentication code required",
+          data: {
+            twoFactorRequired: true,
+            challengeToken: generateChallengeToken(admin.id, "verify"),
+          },
+        });
+      }
+
+      // Policy requires 2FA but the admin has not enrolled yet: enrol first,
+      // using the challenge token with /api/auth/2fa/setup and /api/auth/2fa/enable
+      if (isTwoFactorRequired(admin)) {
+        return res.json({
+          success: true,
+          message: "Two-factor authentication must be set up before signing in",
+          data: {
+            twoFactorSetupRequired: true,
+            challengeToken: generateChallengeToken(admin.id, "setup"),
+          },
+        });
+      }
+
+      await completeLogin(req, res, admin);
+    } catch (error) {
+      logger.error("Login error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Login failed. Please try again.",
+      });
+    }
+  },
+
+  // @desc    Complete login with a TOTP or backup code
+  // @route   POST /api/auth/2fa/verify
+  // @access  Public
+  verifyTwoFactorLogin: async (req, res) => {
+    try {
+      // ✅ Get Admin model from req.db
+      const { Admin } = req.db;
+
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      const { challengeToken, code, backupCode } = req.body;
+
+      const adminId = verifyChallengeToken(challengeToken, "verify");
+      const admin = adminId && (await Admin.findByPk(adminId));
+      if (!admin || !admin.isActive || !admin.twoFactorEnabled) {
         return res.status(401).json({
           success: false,
-          message: "Invalid email or password",
+          message: "Login session has expired. Please sign in again.",
         });
       }
 
-      // Generate tokens
-      const { accessToken, refreshToken } = generateTokens(admin.id);
+      if (admin.isLocked()) {
+        return rejectLockedAccount(req, res, admin);
+      }
+
+      const updates = checkSecondFactor(admin, { code, backupCode });
+      if (!updates) {
+        logger.warn(`Invalid 2FA code for admin: ${admin.email} (${admin.id})`);
+        return rejectFailedLogin(req, res, admin, "invalid_2fa_code", "Invalid verification code");
+      }
+      await admin.update(updates);
+
+      if (backupCode) {
+        logger.info(`Backup code used for login: ${admin.email} (${admin.id})`);
+      }
+
+      await completeLogin(req, res, admin, {
+        backupCodesRemaining: (admin.twoFactorBackupCodes || []).length,
+      });
+    } catch (error) {
+      logger.error("2FA login verification error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Login failed. Please try again.",
+      });
+    }
+  },
+
+  // @desc    Get two-factor authentication status
+  // @route   GET /api/auth/2fa
+  // @access  Private
+  getTwoFactorStatus: async (req, res) => {
+    try {
+      res.json({
+        success: true,
+        data: {
+          enabled: req.admin.twoFactorEnabled,
+          enabledAt: req.admin.twoFactorEnabledAt,
+          required: isTwoFactorRequired(req.admin),
+          backupCodesRemaining: (req.admin.twoFactorBackupCodes || []).length,
+        },
+      });
+    } catch (error) {
+      logger.error("Get 2FA status error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to get two-factor authentication status",
+      });
+    }
+  },
+
+  // @desc    Start 2FA enrolment: new secret and QR code for an authenticator app
+  // @route   POST /api/auth/2fa/setup
+  // @access  Private (or setup challenge token from login)
+  setupTwoFactor: async (req, res) => {
+    try {
+      const admin = req.admin;
 
-      // Update admin with refresh token and last login
+      if (admin.twoFactorEnabled) {
+        return res.status(400).json({
+          success: false,
+          message: "Two-factor authentication is already enabled",
+        });
+      }
+
+      // Not active until confirmed with a code at /api/auth/2fa/enable
+      const secret = generateTotpSecret();
+      await admin.update({ twoFactorSecret: secret, twoFactorLastUsedStep: null });
+
+      const otpauthUrl = buildOtpAuthUrl(secret, admin.email);
+      const qrCode = await QRCode.toDataURL(otpauthUrl, { width: 300, margin: 2 });
+
+      res.json({
+        success: true,
+        message: "Scan the QR code with your authenticator app, then confirm with a code",
+        data: { secret, otpauthUrl, qrCode },
+      });
+    } catch (error) {
+      logger.error("2FA setup error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to start two-factor authentication setup",
+      });
+    }
+  },
+
+  // @desc    Confirm enrolment with a code and receive backup codes
+  // @route   POST /api/auth/2fa/enable
+  // @access  Private (or setup challenge token from login)
+  enableTwoFactor: async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      const admin = req.admin;
+
+      if (admin.twoFactorEnabled) {
+        return res.status(400).json({
+          success: false,
+          message: "Two-factor authentication is already enabled",
+        });
+      }
+      if (!admin.twoFactorSecret) {
+        return res.status(400).json({
+          success: false,
+          message: "Start two-factor authentication setup first",
+        });
+      }
+
+      const step = verifyTotpCode(admin.twoFactorSecret, req.body.code);
+      if (step === null) {
+        return res.status(400).json({
+          success: false,
+          message: "Invalid verification code",
+        });
+      }
+
+      const { codes, hashes } = generateBackupCodes();
       await admin.update({
-        refreshToken,
-        lastLogin: new Date(),
+        twoFactorEnabled: true,
+        twoFactorEnabledAt: new Date(),
+        twoFactorBackupCodes: hashes,
+        twoFactorLastUsedStep: step,
       });
 
-      // Log successful login
-      logger.info(`Admin login successful: ${admin.email} (${admin.id})`);
+      logger.info(`2FA enabled: ${admin.email} (${admin.id})`);
 
-      // Emit real-time notification if socket available
-      if (req.app.get("io")) {
-        req.app.get("io").to("admin-room").emit("admin-login", {
-          adminName: admin.name,
-          timestamp: new Date(),
+      // Enrolment was the pending login step: sign the admin in
+      if (req.twoFactorSetupChallenge) {
+        return completeLogin(req, res, admin, { backupCodes: codes });
+      }
+
+      res.json({
+        success: true,
+        message: "Two-factor authentication enabled. Store the backup codes somewhere safe.",
+        data: { backupCodes: codes },
+      });
+    } catch (error) {
+      logger.error("2FA enable error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to enable two-factor authentication",
+      });
+    }
+  },
+
+  // @desc    Turn off 2FA (password and a current code required)
+  // @route   POST /api/auth/2fa/disable
+  // @access  Private
+  disableTwoFactor: async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array(),
         });
       }
 
+      const admin = req.admin;
+      const { password, code, backupCode } = req.body;
+
+      if (!admin.twoFactorEnabled) {
+        return res.status(400).json({
+          success: false,
+          message: "Two-factor authentication is not enabled",
+        });
+      }
+      if (isTwoFactorRequired(admin)) {
+        return res.status(403).json({
+          success: false,
+          message: "Two-factor authentication is required for your role",
+        });
+      }
+
+      const isPasswordValid = await admin.comparePassword(password);
+      if (!isPasswordValid || !checkSecondFactor(admin, { code, backupCode })) {
+        return res.status(400).json({
+          success: false,
+          message: "Invalid password or verification code",
+        });
+      }
+
+      await admin.update({
+        twoFactorEnabled: false,
+        twoFactorSecret: null,
+        twoFactorBackupCodes: null,
+        twoFactorEnabledAt: null,
+        twoFactorLastUsedStep: null,
+      });
+
+      logger.info(`2FA disabled: ${admin.email} (${admin.id})`);
+
       res.json({
         success: true,
-        message: "Login successful",
-        data: {
-          user: admin.toJSON(),
-          admin: admin.toJSON(),
-          accessToken,
-          token: accessToken,
-          refreshToken,
-        },
+        message: "Two-factor authentication disabled",
       });
     } catch (error) {
-      logger.error("Login error:", error);
+      logger.error("2FA disable error:", error);
       res.status(500).json({
         success: false,
-        message: "Login failed. Please try again.",
+        message: "Failed to disable two-factor authentication",
+      });
+    }
+  },
+
+  // @desc    Replace backup codes (current TOTP code required)
+  // @route   POST /api/auth/2fa/backup-codes
+  // @access  Private
+  regenerateBackupCodes: async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      const admin = req.admin;
+
+      if (!admin.twoFactorEnabled) {
+        return res.status(400).json({
+          success: false,
+          message: "Two-factor authentication is not enabled",
+        });
+      }
+
+      const updates = checkSecondFactor(admin, { code: req.body.code });
+      if (!updates) {
+        return res.status(400).json({
+          success: false,
+          message: "Invalid verification code",
+        });
+      }
+
+      const { codes, hashes } = generateBackupCodes();
+      await admin.update({ ...updates, twoFactorBackupCodes: hashes });
+
+      logger.info(`2FA backup codes regenerated: ${admin.email} (${admin.id})`);
+
+      res.json({
+        success: true,
+        message: "New backup codes generated. Previous codes no longer work.",
+        data: { backupCodes: codes },
+      });
+    } catch (error) {
+      logger.error("Regenerate backup codes error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to generate backup codes",
       });
     }
   },
@@ -114,8 +558,8 @@ const authController = {
   // @access  Public
   refresh: async (req, res) => {
     try {
-      // ✅ Get Admin model from req.db
-      const { Admin } = req.db;
+      // ✅ Get models from req.db
+      const { Admin, Session } = req.db;
 
       const authHeader = req.headers["authorization"];
       const refreshToken = authHeader && authHeader.split(" ")[1];
@@ -138,23 +582,56 @@ const authController = {
         });
       }
 
-      // Get admin from database and check if refresh token matches
-      const admin = await Admin.findByPk(decoded.adminId);
+      const session = decoded.sid && (await Session.findByPk(decoded.sid));
+      if (!session || session.adminId !== decoded.adminId || !session.isActive()) {
+        return res.status(401).json({
+          success: false,
+          message: "Session has expired. Please log in again.",
+          code: "SESSION_EXPIRED",
+        });
+      }
 
-      if (!admin || !admin.isActive || admin.refreshToken !== refreshToken) {
+      // Each refresh token works once. Seeing an already rotated one means it was
+      // copied, so the whole session is revoked for both holders, unless it was
+      // replaced moments ago by a concurrent refresh (e.g. from another tab).
+      const tokenHash = Session.hashToken(refreshToken);
+      if (session.refreshTokenHash !== tokenHash) {
+        if (session.isRecentlyRotated(tokenHash)) {
+          return refreshInProgress(res);
+        }
+
+        await session.revoke("reuse_detected");
+        logger.warn(
+          `Refresh token reuse detected: session ${session.id} of admin ${session.adminId} revoked`,
+          { ip: req.ip, userAgent: req.headers["user-agent"] }
+        );
+        return res.status(401).json({
+          success: false,
+          message: "Session has been revoked. Please log in again.",
+          code: "REFRESH_TOKEN_REUSED",
+        });
+      }
+
+      const admin = await Admin.findByPk(decoded.adminId);
+      if (!admin || !admin.isActive) {
         return res.status(401).json({
           success: false,
           message: "Invalid refresh token",
         });
       }
 
-      // Generate new tokens
+      // Rotate: new token pair for the same session
       const { accessToken, refreshToken: newRefreshToken } = generateTokens(
-        admin.id
+        admin.id,
+        session.id
       );
-
-      // Update admin with new refresh token
-      await admin.update({ refreshToken: newRefreshToken });
+      const rotated = await session.rotateRefreshToken(
+        tokenHash,
+        sessionDetails(req, Session, newRefreshToken)
+      );
+      if (!rotated) {
+        return refreshInProgress(res);
+      }
 
       res.json({
         success: true,
@@ -199,13 +676,20 @@ const authController = {
     }
   },
 
-  // @desc    Logout admin and invalidate refresh token
+  // @desc    Logout admin and end the current session
   // @route   POST /api/auth/logout
   // @access  Private
   logout: async (req, res) => {
     try {
-      // Clear refresh token
-      await req.admin.update({ refreshToken: null });
+      // ✅ Get Session model from req.db
+      const { Session } = req.db;
+
+      if (req.sessionId) {
+        await Session.update(
+          { revokedAt: new Date(), revokedReason: "logout" },
+          { where: { id: req.sessionId, adminId: req.admin.id, revokedAt: null } }
+        );
+      }
 
       // Log logout
       logger.info(`Admin logout: ${req.admin.email} (${req.admin.id})`);
@@ -231,6 +715,106 @@ const authController = {
     }
   },
 
+  // @desc    List the current admin's active sessions (devices)
+  // @route   GET /api/auth/sessions
+  // @access  Private
+  getSessions: async (req, res) => {
+    try {
+      // ✅ Get Session model from req.db
+      const { Session } = req.db;
+
+      const sessions = await Session.findActiveForAdmin(req.admin.id);
+
+      res.json({
+        success: true,
+        data: sessions.map((session) => ({
+          ...session.toJSON(),
+          isCurrent: session.id === req.sessionId,
+        })),
+      });
+    } catch (error) {
+      logger.error("Get sessions error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to retrieve sessions",
+      });
+    }
+  },
+
+  // @desc    Sign out one device
+  // @route   DELETE /api/auth/sessions/:id
+  // @access  Private
+  revokeSession: async (req, res) => {
+    try {
+      // ✅ Get Session model from req.db
+      const { Session } = req.db;
+
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      const session = await Session.findOne({
+        where: { id: req.params.id, adminId: req.admin.id },
+      });
+      if (!session || !session.isActive()) {
+        return res.status(404).json({
+          success: false,
+          message: "Session not found",
+        });
+      }
+
+      await session.revoke("revoked");
+
+      logger.info(`Session revoked: ${session.id} (${session.deviceName}) by ${req.admin.email}`);
+
+      res.json({
+        success: true,
+        message: "Session revoked successfully",
+        data: { id: session.id, isCurrent: session.id === req.sessionId },
+      });
+    } catch (error) {
+      logger.error("Revoke session error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to revoke session",
+      });
+    }
+  },
+
+  // @desc    Sign out all other devices (?includeCurrent=true to include this one)
+  // @route   DELETE /api/auth/sessions
+  // @access  Private
+  revokeAllSessions: async (req, res) => {
+    try {
+      // ✅ Get Session model from req.db
+      const { Session } = req.db;
+
+      const includeCurrent = req.query.includeCurrent === "true";
+      const count = await Session.revokeAll(req.admin.id, "revoked", {
+        exceptId: includeCurrent ? null : req.sessionId,
+      });
+
+      logger.info(`${count} sessions revoked by ${req.admin.email}`);
+
+      res.json({
+        success: true,
+        message: `${count} session(s) revoked`,
+        data: { revoked: count },
+      });
+    } catch (error) {
+      logger.error("Revoke all sessions error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to revoke sessions",
+      });
+    }
+  },
+
   // @desc    Request profile update token
   // @route   POST /api/auth/request-profile-update
   // @access  Private
@@ -509,13 +1093,13 @@ const authController = {
         });
       }
 
-      // Update password and clear tokens
+      // Update password and sign out every device
       await req.admin.update({
         password: newPassword,
-        refreshToken: null,
         passwordChangeToken: null,
         passwordChangeTokenExpires: null,
       });
+      await req.db.Session.revokeAll(req.admin.id, "password_changed");
 
       logger.info(`Password changed: ${req.admin.email}`);
 
@@ -706,6 +1290,140 @@ const authController = {
       });
     }
   },
+
+  // @desc    Look up an admin invitation from its emailed link
+  // @route   GET /api/auth/invitations/:token
+  // @access  Public
+  getInvitation: async (req, res) => {
+    try {
+      // ✅ Get Admin model from req.db
+      const { AdminInvitation } = req.db;
+
+      const invitation = await AdminInvitation.findByToken(req.params.token);
+      if (!invitation || !invitation.isUsable()) {
+        return res.status(400).json({
+          success: false,
+          message: "Invalid or expired invitation",
+          code: "INVITATION_INVALID",
+        });
+      }
+
+      res.json({
+        success: true,
+        message: "Invitation is valid",
+        data: {
+          name: invitation.name,
+          email: invitation.email,
+          role: invitation.role,
+          roleLabel: ROLE_TEMPLATES[invitation.role]
+            ? ROLE_TEMPLATES[invitation.role].label
+            : invitation.role,
+          expiresAt: invitation.expiresAt,
+        },
+      });
+    } catch (error) {
+      logger.error("Get invitation error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to verify invitation",
+      });
+    }
+  },
+
+  // @desc    Accept an admin invitation: set a password and activate the account
+  // @route   POST /api/auth/accept-invitation
+  // @access  Public
+  acceptInvitation: async (req, res) => {
+    try {
+      // ✅ Get Admin model from req.db
+      const { Admin, AdminInvitation, sequelize } = req.db;
+
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      const { token, password } = req.body;
+
+      const invitation = await AdminInvitation.findByToken(token);
+      if (!invitation || !invitation.isUsable()) {
+        return res.status(400).json({
+          success: false,
+          message: "Invalid or expired invitation",
+          code: "INVITATION_INVALID",
+        });
+      }
+
+      // Any account with this email, deactivated ones included, blocks it for good
+      const existingAdmin = await Admin.findOne({
+        where: { email: invitation.email.toLowerCase().trim() },
+      });
+      if (existingAdmin) {
+        await invitation.update({ status: "revoked", revokedAt: new Date() });
+        logger.warn(
+          `Admin invitation for ${invitation.email} revoked on acceptance: an admin account already uses this email`
+        );
+
+        return res.status(400).json({
+          success: false,
+          message: existingAdmin.isActive
+            ? "An admin account already exists for this email"
+            : "A deactivated admin account uses this email. Ask a super admin to reactivate it.",
+          code: "INVITATION_INVALID",
+        });
+      }
+
+      const admin = await sequelize.transaction(async (transaction) => {
+        const newAdmin = await Admin.create(
+          {
+            name: invitation.name,
+            email: invitation.email,
+            password,
+            role: invitation.role,
+            phone: invitation.phone,
+            position: invitation.position,
+            permissions: invitation.permissions,
+            isActive: true,
+          },
+          { transaction }
+        );
+
+        await invitation.update(
+          { status: "accepted", acceptedAt: new Date(), adminId: newAdmin.id },
+          { transaction }
+        );
+
+        return newAdmin;
+      });
+
+      if (req.activityLog) {
+        req.activityLog.adminId = admin.id;
+        req.activityLog.adminName = admin.name;
+        req.activityLog.entityId = invitation.id;
+      }
+
+      logger.info(`Admin invitation accepted: ${admin.name} (${admin.email})`);
+
+      res.status(201).json({
+        success: true,
+        message: "Account activated successfully. You can now sign in.",
+        data: {
+          admin: admin.toJSON(),
+          twoFactorSetupRequired: isTwoFactorRequired(admin),
+        },
+      });
+    } catch (error) {
+      logger.error("Accept invitation error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to accept invitation",
+      });
+    }
+  },
 };
 
 module.exports = authController;
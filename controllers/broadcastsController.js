@@ -0,0 +1,459 @@
+// controllers/broadcastsController.js - Newsletters and announcements emailed to member segments
+const { Op } = require("sequelize");
+const broadcastWorker = require("../services/broadcastWorker");
+const { getDepartmentScope } = require("../utils/departmentScope");
+const logger = require("../utils/logger");
+
+// Keep only the fields that apply to the segment type
+const buildSegment = (segment = {}) => {
+  const toInt = (value) =>
+    value === undefined || value === null || value === "" ? null : parseInt(value);
+
+  switch (segment.type) {
+    case "department":
+      return { type: "department", departmentId: segment.departmentId };
+    case "gender":
+      return { type: "gender", gender: segment.gender };
+    case "age_band":
+      return {
+        type: "age_band",
+        minAge: toInt(segment.minAge),
+        maxAge: toInt(segment.maxAge),
+      };
+    case "birthday_month":
+      return { type: "birthday_month", month: toInt(segment.month) };
+    default:
+      return { type: "all" };
+  }
+};
+
+// Check that the segment exists and is within the admin's departments; resolves to an error message
+const validateSegment = async (db, admin, segment) => {
+  const scope = getDepartmentScope(admin, "members");
+  if (
+    scope &&
+    (segment.type !== "department" || !scope.includes(segment.departmentId))
+  ) {
+    return "You can only send broadcasts to your own departments";
+  }
+
+  if (segment.type === "department") {
+    const department = await db.Department.findByPk(segment.departmentId);
+    if (!department) return "Department not found";
+  }
+
+  if (
+    segment.type === "age_band" &&
+    segment.minAge !== null &&
+    segment.maxAge !== null &&
+    segment.minAge > segment.maxAge
+  ) {
+    return "Minimum age cannot be greater than maximum age";
+  }
+
+  return null;
+};
+
+class BroadcastsController {
+  // Get broadcasts with filtering and pagination
+  async getBroadcasts(req, res) {
+    try {
+      // ✅ Get models from req.db
+      const { Broadcast, Admin } = req.db;
+
+      const { page = 1, limit = 10, search = "", status = "all" } = req.query;
+
+      let whereClause = {};
+
+      if (search) {
+        whereClause.subject = { [Op.iLike]: `%${search}%` };
+      }
+
+      if (status !== "all") {
+        whereClause.status = status;
+      }
+
+      const offset = (parseInt(page) - 1) * parseInt(limit);
+
+      const { count, rows: broadcasts } = await Broadcast.findAndCountAll({
+        where: whereClause,
+        attributes: { exclude: ["body"] },
+        limit: parseInt(limit),
+        offset: offset,
+        order: [["scheduledAt", "DESC"]],
+        include: [
+          {
+            model: Admin,
+            as: "createdBy",
+            attributes: ["id", "name", "position"],
+          },
+        ],
+      });
+
+      const totalPages = Math.ceil(count / parseInt(limit));
+
+      res.json({
+        success: true,
+        message: "Broadcasts retrieved successfully",
+        data: broadcasts,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages,
+          totalRecords: count,
+          hasNextPage: parseInt(page) < totalPages,
+          hasPrevPage: parseInt(page) > 1,
+          limit: parseInt(limit),
+        },
+      });
+    } catch (error) {
+      logger.error("Get broadcasts error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to retrieve broadcasts",
+      });
+    }
+  }
+
+  // Count the members a segment would reach, with a few of their names
+  async previewAudience(req, res) {
+    try {
+      // ✅ Get models from req.db
+      const { Broadcast, Member } = req.db;
+
+      const segment = buildSegment(req.body.segment);
+      const segmentError = await validateSegment(req.db, req.admin, segment);
+      if (segmentError) {
+        return res.status(400).json({
+          success: false,
+          message: segmentError,
+        });
+      }
+
+      const where = Broadcast.getAudienceWhere(segment);
+      const [count, sample] = await Promise.all([
+        Member.count({ where }),
+        Member.findAll({
+          where,
+          attributes: ["id", "name", "email"],
+          order: [["name", "ASC"]],
+          limit: 10,
+        }),
+      ]);
+
+      res.json({
+        success: true,
+        message: "Audience preview generated successfully",
+        data: {
+          segment,
+          count,
+          sample,
+        },
+      });
+    } catch (error) {
+      logger.error("Preview broadcast audience error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to preview audience",
+      });
+    }
+  }
+
+  // Get broadcast by ID with delivery counts
+  async getBroadcastById(req, res) {
+    try {
+      // ✅ Get models from req.db
+      const { Broadcast, BroadcastRecipient, Admin } = req.db;
+
+      const broadcast = await Broadcast.findByPk(req.params.id, {
+        include: [
+          {
+            model: Admin,
+            as: "createdBy",
+            attributes: ["id", "name", "position"],
+          },
+        ],
+      });
+
+      if (!broadcast) {
+        return res.status(404).json({
+          success: false,
+          message: "Broadcast not found",
+        });
+      }
+
+      const delivery = await BroadcastRecipient.getStatusCounts(broadcast.id);
+
+      res.json({
+        success: true,
+        message: "Broadcast retrieved successfully",
+        data: {
+          ...broadcast.toJSON(),
+          delivery,
+        },
+      });
+    } catch (error) {
+      logger.error("Get broadcast error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to retrieve broadcast",
+      });
+    }
+  }
+
+  // Get per-recipient delivery status
+  async getBroadcastRecipients(req, res) {
+    try {
+      // ✅ Get models from req.db
+      const { Broadcast, BroadcastRecipient } = req.db;
+
+      const broadcast = await Broadcast.findByPk(req.params.id, {
+        attributes: ["id"],
+      });
+      if (!broadcast) {
+        return res.status(404).json({
+          success: false,
+          message: "Broadcast not found",
+        });
+      }
+
+      const { page = 1, limit = 50, search = "", status = "all" } = req.query;
+
+      let whereClause = { broadcastId: broadcast.id };
+
+      if (search) {
+        whereClause[Op.or] = [
+          { name: { [Op.iLike]: `%${search}%` } },
+          { email: { [Op.iLike]: `%${search}%` } },
+        ];
+      }
+
+      if (status !== "all") {
+        whereClause.status = status;
+      }
+
+      const offset = (parseInt(page) - 1) * parseInt(limit);
+
+      const { count, rows: recipients } = await BroadcastRecipient.findAndCountAll({
+        where: whereClause,
+        limit: parseInt(limit),
+        offset: offset,
+        order: [["name", "ASC"]],
+      });
+
+      const totalPages = Math.ceil(count / parseInt(limit));
+
+      res.json({
+        success: true,
+        message: "Broadcast recipients retrieved successfully",
+        data: recipients,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages,
+          totalRecords: count,
+          hasNextPage: parseInt(page) < totalPages,
+          hasPrevPage: parseInt(page) > 1,
+          limit: parseInt(limit),
+        },
+      });
+    } catch (error) {
+      logger.error("Get broadcast recipients error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to retrieve broadcast recipients",
+      });
+    }
+  }
+
+  // Create a broadcast; without scheduledAt it starts with the next batch
+  async createBroadcast(req, res) {
+    try {
+      // ✅ Get models from req.db
+      const { Broadcast } = req.db;
+
+      const { subject, body, scheduledAt } = req.body;
+      const segment = buildSegment(req.body.segment);
+
+      const segmentError = await validateSegment(req.db, req.admin, segment);
+      if (segmentError) {
+        return res.status(400).json({
+          success: false,
+          message: segmentError,
+        });
+      }
+
+      const broadcast = await Broadcast.create({
+        subject,
+        body,
+        segment,
+        scheduledAt: scheduledAt ? new Date(scheduledAt) : new Date(),
+        createdById: req.admin.id,
+      });
+
+      logger.info(
+        `Broadcast "${broadcast.subject}" scheduled for ${broadcast.scheduledAt.toISOString()} by ${req.admin.name}`
+      );
+
+      if (broadcast.scheduledAt <= new Date()) {
+        broadcastWorker.kick();
+      }
+
+      res.status(201).json({
+        success: true,
+        message: "Broadcast scheduled successfully",
+        data: broadcast,
+      });
+    } catch (error) {
+      logger.error("Create broadcast error:", error);
+
+      if (error.name === "SequelizeValidationError") {
+        return res.status(400).json({
+          success: false,
+          message: "Validation error",
+          errors: error.errors.map((err) => ({
+            field: err.path,
+            message: err.message,
+          })),
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: "Failed to create broadcast",
+      });
+    }
+  }
+
+  // Update a broadcast that has not started yet
+  async updateBroadcast(req, res) {
+    try {
+      // ✅ Get models from req.db
+      const { Broadcast, ActivityLog } = req.db;
+
+      const broadcast = await Broadcast.findByPk(req.params.id);
+      if (!broadcast) {
+        return res.status(404).json({
+          success: false,
+          message: "Broadcast not found",
+        });
+      }
+
+      if (!broadcast.isEditable()) {
+        return res.status(400).json({
+          success: false,
+          message: `Cannot edit a broadcast that is ${broadcast.status}`,
+        });
+      }
+
+      const updates = {};
+      ["subject", "body"].forEach((field) => {
+        if (req.body[field] !== undefined) updates[field] = req.body[field];
+      });
+      if (req.body.scheduledAt !== undefined) {
+        updates.scheduledAt = req.body.scheduledAt
+          ? new Date(req.body.scheduledAt)
+          : new Date();
+      }
+
+      // The current segment is re-checked too, so a scoped admin cannot edit a wider broadcast
+      const segment = req.body.segment
+        ? buildSegment(req.body.segment)
+        : broadcast.segment;
+      const segmentError = await validateSegment(req.db, req.admin, segment);
+      if (segmentError) {
+        return res.status(400).json({
+          success: false,
+          message: segmentError,
+        });
+      }
+      if (req.body.segment) updates.segment = segment;
+
+      const before = broadcast.toJSON();
+      await broadcast.update(updates);
+      if (req.activityLog) {
+        req.activityLog.changes = ActivityLog.buildChanges(before, broadcast);
+      }
+
+      logger.info(`Broadcast ${broadcast.id} updated by ${req.admin.name}`);
+
+      if (broadcast.scheduledAt <= new Date()) {
+        broadcastWorker.kick();
+      }
+
+      res.json({
+        success: true,
+        message: "Broadcast updated successfully",
+        data: broadcast,
+      });
+    } catch (error) {
+      logger.error("Update broadcast error:", error);
+
+      if (error.name === "SequelizeValidationError") {
+        return res.status(400).json({
+          success: false,
+          message: "Validation error",
+          errors: error.errors.map((err) => ({
+            field: err.path,
+            message: err.message,
+          })),
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: "Failed to update broadcast",
+      });
+    }
+  }
+
+  // Cancel a scheduled broadcast, or stop one that is sending; queued emails still go out
+  async cancelBroadcast(req, res) {
+    try {
+      // ✅ Get models from req.db
+      const { Broadcast, BroadcastRecipient, ActivityLog } = req.db;
+
+      const broadcast = await Broadcast.findByPk(req.params.id);
+      if (!broadcast) {
+        return res.status(404).json({
+          success: false,
+          message: "Broadcast not found",
+        });
+      }
+
+      if (!["scheduled", "sending"].includes(broadcast.status)) {
+        return res.status(400).json({
+          success: false,
+          message: `Cannot cancel a broadcast that is ${broadcast.status}`,
+        });
+      }
+
+      const before = broadcast.toJSON();
+      await broadcast.update({ status: "cancelled", cancelledAt: new Date() });
+      const [skipped] = await BroadcastRecipient.update(
+        { status: "skipped" },
+        { where: { broadcastId: broadcast.id, status: "pending" } }
+      );
+      if (req.activityLog) {
+        req.activityLog.changes = ActivityLog.buildChanges(before, broadcast);
+        req.activityLog.metadata = { skippedRecipients: skipped };
+      }
+
+      logger.info(
+        `Broadcast ${broadcast.id} cancelled by ${req.admin.name} (${skipped} recipient(s) skipped)`
+      );
+
+      res.json({
+        success: true,
+        message: "Broadcast cancelled successfully",
+        data: broadcast,
+      });
+    } catch (error) {
+      logger.error("Cancel broadcast error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to cancel broadcast",
+      });
+    }
+  }
+}
+
+module.exports = new BroadcastsController();
@@ -2,7 +2,8 @@
 const { Op } = require("sequelize");
 const logger = require("../utils/logger");
 const emailService = require("../services/emailService");
-const { deleteImage } = require("../config/cloudinary");
+const notificationService = require("../services/notificationService");
+const { deleteImage, getPublicIdFromUrl } = require("../config/cloudinary");
 
 const celebrationController = {
   // Get all celebrations with filtering and pagination (Admin only)
@@ -352,10 +353,10 @@ const celebrationController = {
         });
       }
 
-      // Send confirmation email if email is provided
+      // Send confirmation email with the status link if email is provided
       if (email) {
         try {
-          // await emailService.sendCelebrationConfirmationEmail(newCelebration);
+          await emailService.sendCelebrationReceivedEmail(newCelebration);
           logger.info(`Confirmation email sent to: ${email}`);
         } catch (emailError) {
           logger.error("Failed to send confirmation email:", emailError);
@@ -373,6 +374,8 @@ const celebrationController = {
           name: newCelebration.name,
           status: newCelebration.status,
           submissionDate: newCelebration.createdAt,
+          // The submitter needs this to check the status later
+          trackingReference: newCelebration.trackingReference,
         },
       });
     } catch (error) {
@@ -388,7 +391,7 @@ const celebrationController = {
   updateCelebrationStatus: async (req, res) => {
     try {
       // ✅ Get models from req.db
-      const { Celebration, Member } = req.db;
+      const { Celebration, Member, ActivityLog } = req.db;
 
       const { id } = req.params;
       const { status, rejectionReason } = req.body;
@@ -398,7 +401,15 @@ const celebrationController = {
           {
             model: Member,
             as: "member",
-            attributes: ["name", "email"],
+            attributes: [
+              "id",
+              "name",
+              "email",
+              "phone",
+              "notificationChannel",
+              "notificationsOptOut",
+              "communicationPreferences",
+            ],
             required: false,
           },
         ],
@@ -424,19 +435,31 @@ const celebrationController = {
         updateData.acknowledgedDate = null;
       }
 
+      const before = celebration.toJSON();
       await celebration.update(updateData);
+      if (req.activityLog) {
+        req.activityLog.changes = ActivityLog.buildChanges(before, celebration);
+      }
 
-      // Send email notification if approved and email is available
-      if (
-        status === "approved" &&
-        (celebration.email || celebration.member?.email)
-      ) {
+      // Notify the celebrant by email and/or SMS, following their preference
+      if (status === "approved") {
         try {
-          // await emailService.sendCelebrationApprovalEmail(celebration);
-          logger.info(`Approval email sent for celebration: ${celebration.id}`);
-        } catch (emailError) {
-          logger.error("Failed to send approval email:", emailError);
-          // Don't fail the request if email fails
+          const result = await notificationService.notify(
+            "celebrationApproved",
+            notificationService.recipientFromCelebration(celebration),
+            celebration
+          );
+          if (result.success) {
+            logger.info(
+              `Approval notification sent for celebration ${celebration.id} by ${result.channels
+                .filter((channel) => channel.success)
+                .map((channel) => channel.channel)
+                .join(" and ")}`
+            );
+          }
+        } catch (notificationError) {
+          logger.error("Failed to send approval notification:", notificationError);
+          // Don't fail the request if the notification fails
         }
       }
 
@@ -483,7 +506,7 @@ const celebrationController = {
   deleteCelebration: async (req, res) => {
     try {
       // ✅ Get models from req.db
-      const { Celebration } = req.db;
+      const { Celebration, ActivityLog } = req.db;
 
       const { id } = req.params;
 
@@ -507,9 +530,9 @@ const celebrationController = {
         try {
           for (const pictureUrl of celebration.pictures) {
             // Extract public_id from Cloudinary URL
-            const matches = pictureUrl.match(/\/church-admin\/(.+)\./);
-            if (matches && matches[1]) {
-              await deleteImage(`church-admin/${matches[1]}`);
+            const publicId = getPublicIdFromUrl(pictureUrl);
+            if (publicId) {
+              await deleteImage(publicId);
             }
           }
         } catch (imageDeleteError) {
@@ -520,7 +543,11 @@ const celebrationController = {
         }
       }
 
+      const before = celebration.toJSON();
       await celebration.destroy();
+      if (req.activityLog) {
+        req.activityLog.changes = ActivityLog.buildChanges(before, null);
+      }
 
       logger.info(
         `Celebration deleted: ${celebrationInfo.name} (${celebrationInfo.id}) by ${req.admin.name}`,
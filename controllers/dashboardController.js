@@ -8,7 +8,7 @@ const dashboardController = {
   getStats: async (req, res) => {
     try {
       // ✅ Get models from req.db
-      const { Member, Event, Attendance, Celebration } = req.db;
+      const { Member, Event, Attendance, Celebration, Giving } = req.db;
 
       // Get basic counts
       const [
@@ -34,6 +34,26 @@ const dashboardController = {
         dashboardController.getThisMonthAverageAttendance(req.db),
       ]);
 
+      // Giving totals are only shown to admins with finance access
+      let giving = null;
+      if (req.admin.hasPermission("finance")) {
+        const today = new Date();
+        const weekStart = new Date(today);
+        weekStart.setDate(today.getDate() - today.getDay());
+        const monthStart = new Date(today.getFullYear(), today.getMonth(), 1);
+        const toDateString = (date) => date.toISOString().split("T")[0];
+
+        const [thisWeek, thisMonth] = await Promise.all([
+          Giving.getTotals(toDateString(weekStart), toDateString(today)),
+          Giving.getTotals(toDateString(monthStart), toDateString(today)),
+        ]);
+        giving = {
+          thisWeekGiving: thisWeek.total,
+          thisMonthGiving: thisMonth.total,
+          thisMonthByCategory: thisMonth.byCategory,
+        };
+      }
+
       res.json({
         success: true,
         data: {
@@ -44,6 +64,7 @@ const dashboardController = {
           pendingCelebrations,
           thisWeekAttendance,
           thisMonthAttendance,
+          giving,
         },
       });
     } catch (error) {
@@ -171,28 +192,12 @@ const dashboardController = {
   getUpcomingEvents: async (req, res) => {
     try {
       // ✅ Get models from req.db
-      const { Event, Admin } = req.db;
+      const { Event } = req.db;
 
       const { limit = 5 } = req.query;
 
-      const upcomingEvents = await Event.findAll({
-        where: {
-          date: { [Op.gte]: new Date() },
-          status: "upcoming",
-        },
-        order: [
-          ["date", "ASC"],
-          ["time", "ASC"],
-        ],
-        limit: parseInt(limit),
-        include: [
-          {
-            model: Admin,
-            as: "organizer",
-            attributes: ["name", "position"],
-          },
-        ],
-      });
+      // Recurring events are expanded into their next occurrences
+      const upcomingEvents = await Event.getUpcomingEvents(parseInt(limit));
 
       res.json({
         success: true,
@@ -0,0 +1,688 @@
+// controllers/departmentsController.js - Ministry units / departments and their members
+const { Op } = require("sequelize");
+const logger = require("../utils/logger");
+const {
+  getDepartmentScope,
+  isInDepartmentScope,
+} = require("../utils/departmentScope");
+
+const departmentMemberAttributes = ["id", "name", "email", "phone", "isActive"];
+
+const DEPARTMENT_FIELDS = [
+  "name",
+  "description",
+  "leaderId",
+  "assistantId",
+  "meetingDay",
+  "meetingTime",
+  "meetingFrequency",
+  "meetingLocation",
+];
+
+// Helper: leader/assistant includes used by formatDepartment
+const departmentIncludes = (Member) => [
+  { model: Member, as: "leader", attributes: departmentMemberAttributes },
+  { model: Member, as: "assistant", attributes: departmentMemberAttributes },
+];
+
+// Helper: ensure the leader/assistant exist, returns an error message or null
+const validateDepartmentLeaders = async (Member, { leaderId, assistantId }) => {
+  if (leaderId && assistantId && leaderId === assistantId) {
+    return "Leader and assistant must be different members";
+  }
+
+  const ids = [leaderId, assistantId].filter(Boolean);
+  if (ids.length === 0) return null;
+
+  const count = await Member.count({ where: { id: ids } });
+  return count === ids.length ? null : "Leader or assistant member not found";
+};
+
+// Helper: leaders always belong to the unit they lead
+const addLeadersAsMembers = async (MemberDepartment, department, transaction) => {
+  const ids = [department.leaderId, department.assistantId].filter(Boolean);
+  if (ids.length === 0) return;
+
+  await MemberDepartment.bulkCreate(
+    ids.map((memberId) => ({ memberId, departmentId: department.id })),
+    { ignoreDuplicates: true, transaction }
+  );
+};
+
+// Helper: shape department data for the frontend
+const formatDepartment = (department, memberCount = 0) => ({
+  id: department.id,
+  name: department.name,
+  description: department.description,
+  leader: department.leader || null,
+  assistant: department.assistant || null,
+  meetingDay: department.meetingDay,
+  meetingTime: department.meetingTime,
+  meetingFrequency: department.meetingFrequency,
+  meetingLocation: department.meetingLocation,
+  meetingSchedule: department.getMeetingSchedule(),
+  isActive: department.isActive,
+  memberCount,
+  createdAt: department.createdAt,
+  updatedAt: department.updatedAt,
+});
+
+// Helper: member counts keyed by department id
+const getMemberCounts = async (MemberDepartment, departmentIds) => {
+  if (departmentIds.length === 0) return {};
+
+  const rows = await MemberDepartment.findAll({
+    where: { departmentId: departmentIds },
+    attributes: [
+      "departmentId",
+      [MemberDepartment.sequelize.fn("COUNT", MemberDepartment.sequelize.col("id")), "count"],
+    ],
+    group: ["departmentId"],
+    raw: true,
+  });
+
+  return rows.reduce((acc, row) => {
+    acc[row.departmentId] = parseInt(row.count) || 0;
+    return acc;
+  }, {});
+};
+
+// Helper: find a department the admin may manage (department heads only reach their own units)
+const findScopedDepartment = async (req, id, options = {}) => {
+  if (!isInDepartmentScope(req.admin, "members", id)) return null;
+  return req.db.Department.findByPk(id, options);
+};
+
+// Helper: creating or deleting units is left to church-wide admins
+const rejectScopedAdmin = (req, res, action) => {
+  if (!getDepartmentScope(req.admin, "members")) return false;
+  res.status(403).json({
+    success: false,
+    message: `Department-scoped admins cannot ${action} departments`,
+  });
+  return true;
+};
+
+class DepartmentsController {
+  // Get all departments with leaders and member counts
+  async getDepartments(req, res) {
+    try {
+      // ✅ Get models from req.db
+      const { Department, MemberDepartment, Member } = req.db;
+
+      const { search = "", status = "active" } = req.query;
+
+      let whereClause = {};
+      if (search) {
+        whereClause.name = { [Op.iLike]: `%${search}%` };
+      }
+
+      // Department heads only see their own units
+      const scope = getDepartmentScope(req.admin, "members");
+      if (scope) {
+        whereClause.id = scope;
+      }
+      if (status !== "all") {
+        whereClause.isActive = status === "active";
+      }
+
+      const departments = await Department.findAll({
+        where: whereClause,
+        order: [["name", "ASC"]],
+        include: departmentIncludes(Member),
+      });
+
+      const counts = await getMemberCounts(
+        MemberDepartment,
+        departments.map((department) => department.id)
+      );
+
+      res.json({
+        success: true,
+        message: "Departments retrieved successfully",
+        data: departments.map((department) =>
+          formatDepartment(department, counts[department.id])
+        ),
+      });
+    } catch (error) {
+      logger.error("Get departments error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to retrieve departments",
+      });
+    }
+  }
+
+  // Get department by ID
+  async getDepartmentById(req, res) {
+    try {
+      // ✅ Get models from req.db
+      const { MemberDepartment, Member } = req.db;
+
+      const department = await findScopedDepartment(req, req.params.id, {
+        include: departmentIncludes(Member),
+      });
+      if (!department) {
+        return res.status(404).json({
+          success: false,
+          message: "Department not found",
+        });
+      }
+
+      const counts = await getMemberCounts(MemberDepartment, [department.id]);
+
+      res.json({
+        success: true,
+        message: "Department retrieved successfully",
+        data: formatDepartment(department, counts[department.id]),
+      });
+    } catch (error) {
+      logger.error("Get department error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to retrieve department",
+      });
+    }
+  }
+
+  // Create new department
+  async createDepartment(req, res) {
+    try {
+      // ✅ Get models from req.db
+      const { Department, MemberDepartment, Member, sequelize } = req.db;
+
+      if (rejectScopedAdmin(req, res, "create")) return;
+
+      if (await Department.findByName(req.body.name)) {
+        return res.status(400).json({
+          success: false,
+          message: "A department with this name already exists",
+        });
+      }
+
+      const leaderError = await validateDepartmentLeaders(Member, req.body);
+      if (leaderError) {
+        return res.status(400).json({
+          success: false,
+          message: leaderError,
+        });
+      }
+
+      const values = {};
+      DEPARTMENT_FIELDS.forEach((field) => {
+        if (req.body[field] !== undefined) values[field] = req.body[field];
+      });
+
+      const department = await sequelize.transaction(async (transaction) => {
+        const created = await Department.create(values, { transaction });
+        await addLeadersAsMembers(MemberDepartment, created, transaction);
+        return created;
+      });
+
+      await department.reload({ include: departmentIncludes(Member) });
+      const counts = await getMemberCounts(MemberDepartment, [department.id]);
+
+      logger.info(
+        `Department created: ${department.name} (${department.id}) by ${req.admin.name}`
+      );
+
+      res.status(201).json({
+        success: true,
+        message: "Department created successfully",
+        data: formatDepartment(department, counts[department.id]),
+      });
+    } catch (error) {
+      logger.error("Create department error:", error);
+
+      if (error.name === "SequelizeUniqueConstraintError") {
+        return res.status(400).json({
+          success: false,
+          message: "A department with this name already exists",
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: "Failed to create department",
+      });
+    }
+  }
+
+  // Update department
+  async updateDepartment(req, res) {
+    try {
+      // ✅ Get models from req.db
+      const { Department, MemberDepartment, Member, ActivityLog, sequelize } =
+        req.db;
+
+      const department = await findScopedDepartment(req, req.params.id);
+      if (!department) {
+        return res.status(404).json({
+          success: false,
+          message: "Department not found",
+        });
+      }
+
+      if (req.body.name) {
+        const existing = await Department.findByName(req.body.name);
+        if (existing && existing.id !== department.id) {
+          return res.status(400).json({
+            success: false,
+            message: "A department with this name already exists",
+          });
+        }
+      }
+
+      const leaderError = await validateDepartmentLeaders(Member, {
+        leaderId:
+          req.body.leaderId !== undefined ? req.body.leaderId : department.leaderId,
+        assistantId:
+          req.body.assistantId !== undefined
+            ? req.body.assistantId
+            : department.assistantId,
+      });
+      if (leaderError) {
+        return res.status(400).json({
+          success: false,
+          message: leaderError,
+        });
+      }
+
+      const values = {};
+      [...DEPARTMENT_FIELDS, "isActive"].forEach((field) => {
+        if (req.body[field] !== undefined) values[field] = req.body[field];
+      });
+
+      const before = department.toJSON();
+      await sequelize.transaction(async (transaction) => {
+        await department.update(values, { transaction });
+        await addLeadersAsMembers(MemberDepartment, department, transaction);
+
+        // Keep the members' department label in step with a rename
+        if (values.name && values.name !== before.name) {
+          await Member.update(
+            { department: department.name },
+            { where: { department: before.name }, transaction }
+          );
+        }
+      });
+      if (req.activityLog) {
+        req.activityLog.changes = ActivityLog.buildChanges(before, department);
+      }
+
+      await department.reload({ include: departmentIncludes(Member) });
+      const counts = await getMemberCounts(MemberDepartment, [department.id]);
+
+      logger.info(
+        `Department updated: ${department.name} (${department.id}) by ${req.admin.name}`
+      );
+
+      res.json({
+        success: true,
+        message: "Department updated successfully",
+        data: formatDepartment(department, counts[department.id]),
+      });
+    } catch (error) {
+      logger.error("Update department error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to update department",
+      });
+    }
+  }
+
+  // Delete department (members are kept, only their membership is removed)
+  async deleteDepartment(req, res) {
+    try {
+      // ✅ Get models from req.db
+      const { MemberDepartment, Member, ActivityLog, sequelize } = req.db;
+
+      if (rejectScopedAdmin(req, res, "delete")) return;
+
+      const department = await findScopedDepartment(req, req.params.id);
+      if (!department) {
+        return res.status(404).json({
+          success: false,
+          message: "Department not found",
+        });
+      }
+
+      const before = department.toJSON();
+      await sequelize.transaction(async (transaction) => {
+        await MemberDepartment.destroy({
+          where: { departmentId: department.id },
+          transaction,
+        });
+        await Member.update(
+          { department: null },
+          { where: { department: department.name }, transaction }
+        );
+        await department.destroy({ transaction });
+      });
+      if (req.activityLog) {
+        req.activityLog.changes = ActivityLog.buildChanges(before, null);
+      }
+
+      logger.info(
+        `Department deleted: ${before.name} (${before.id}) by ${req.admin.name}`
+      );
+
+      res.json({
+        success: true,
+        message: "Department deleted successfully",
+        data: { id: before.id },
+      });
+    } catch (error) {
+      logger.error("Delete department error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to delete department",
+      });
+    }
+  }
+
+  // Get members serving in a department
+  async getDepartmentMembers(req, res) {
+    try {
+      // ✅ Get models from req.db
+      const { MemberDepartment, Member } = req.db;
+
+      const department = await findScopedDepartment(req, req.params.id);
+      if (!department) {
+        return res.status(404).json({
+          success: false,
+          message: "Department not found",
+        });
+      }
+
+      const { page = 1, limit = 20, search = "", status = "all" } = req.query;
+
+      let memberWhere = {};
+      if (search) {
+        memberWhere[Op.or] = [
+          { name: { [Op.iLike]: `%${search}%` } },
+          { email: { [Op.iLike]: `%${search}%` } },
+          { phone: { [Op.like]: `%${search}%` } },
+        ];
+      }
+      if (status !== "all") {
+        memberWhere.isActive = status === "active";
+      }
+
+      const offset = (parseInt(page) - 1) * parseInt(limit);
+
+      const { count, rows: memberships } =
+        await MemberDepartment.findAndCountAll({
+          where: { departmentId: department.id },
+          limit: parseInt(limit),
+          offset,
+          order: [[{ model: Member, as: "member" }, "name", "ASC"]],
+          include: [
+            {
+              model: Member,
+              as: "member",
+              where: memberWhere,
+              attributes: [...departmentMemberAttributes, "lastVisit"],
+            },
+          ],
+        });
+
+      const totalPages = Math.ceil(count / parseInt(limit));
+
+      res.json({
+        success: true,
+        message: "Department members retrieved successfully",
+        data: memberships.map((membership) => ({
+          ...membership.member.toJSON(),
+          role: membership.role,
+          joinedAt: membership.joinedAt,
+          isLeader: membership.memberId === department.leaderId,
+          isAssistant: membership.memberId === department.assistantId,
+        })),
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages,
+          totalRecords: count,
+          hasNextPage: parseInt(page) < totalPages,
+          hasPrevPage: parseInt(page) > 1,
+          limit: parseInt(limit),
+        },
+      });
+    } catch (error) {
+      logger.error("Get department members error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to retrieve department members",
+      });
+    }
+  }
+
+  // Add members to a department
+  async addDepartmentMembers(req, res) {
+    try {
+      // ✅ Get models from req.db
+      const { MemberDepartment, Member, sequelize } = req.db;
+
+      const department = await findScopedDepartment(req, req.params.id);
+      if (!department) {
+        return res.status(404).json({
+          success: false,
+          message: "Department not found",
+        });
+      }
+
+      const { memberIds, role } = req.body;
+      const members = await Member.findAll({
+        where: { id: memberIds },
+        attributes: ["id", "department"],
+      });
+      if (members.length !== new Set(memberIds).size) {
+        return res.status(400).json({
+          success: false,
+          message: "One or more members were not found",
+        });
+      }
+
+      await sequelize.transaction(async (transaction) => {
+        await MemberDepartment.bulkCreate(
+          members.map((member) => ({
+            memberId: member.id,
+            departmentId: department.id,
+            role,
+          })),
+          { ignoreDuplicates: true, transaction }
+        );
+
+        // Members without a department label take this one
+        await Member.update(
+          { department: department.name },
+          {
+            where: {
+              id: members.filter((member) => !member.department).map((member) => member.id),
+            },
+            transaction,
+          }
+        );
+      });
+
+      logger.info(
+        `${members.length} members added to department ${department.name} by ${req.admin.name}`
+      );
+
+      res.status(201).json({
+        success: true,
+        message: "Members added to department successfully",
+        data: { id: department.id, memberIds },
+      });
+    } catch (error) {
+      logger.error("Add department members error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to add members to department",
+      });
+    }
+  }
+
+  // Remove a member from a department
+  async removeDepartmentMember(req, res) {
+    try {
+      // ✅ Get models from req.db
+      const { Department, MemberDepartment, Member, sequelize } = req.db;
+
+      const department = await findScopedDepartment(req, req.params.id);
+      if (!department) {
+        return res.status(404).json({
+          success: false,
+          message: "Department not found",
+        });
+      }
+
+      const membership = await MemberDepartment.findOne({
+        where: { departmentId: department.id, memberId: req.params.memberId },
+      });
+      if (!membership) {
+        return res.status(404).json({
+          success: false,
+          message: "Member is not in this department",
+        });
+      }
+
+      await sequelize.transaction(async (transaction) => {
+        await membership.destroy({ transaction });
+
+        // Leaving the unit they lead clears the role
+        const roles = {};
+        if (department.leaderId === membership.memberId) roles.leaderId = null;
+        if (department.assistantId === membership.memberId) roles.assistantId = null;
+        if (Object.keys(roles).length > 0) {
+          await department.update(roles, { transaction });
+        }
+
+        // Fall back to another of the member's departments for the label
+        const remaining = await MemberDepartment.findOne({
+          where: { memberId: membership.memberId },
+          include: [{ model: Department, as: "department", attributes: ["name"] }],
+          order: [["joinedAt", "ASC"]],
+          transaction,
+        });
+        await Member.update(
+          { department: remaining ? remaining.department.name : null },
+          {
+            where: { id: membership.memberId, department: department.name },
+            transaction,
+          }
+        );
+      });
+
+      logger.info(
+        `Member ${membership.memberId} removed from department ${department.name} by ${req.admin.name}`
+      );
+
+      res.json({
+        success: true,
+        message: "Member removed from department successfully",
+      });
+    } catch (error) {
+      logger.error("Remove department member error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to remove member from department",
+      });
+    }
+  }
+
+  // Attendance of a department's members per service
+  async getDepartmentAttendance(req, res) {
+    try {
+      // ✅ Get models from req.db
+      const { MemberDepartment, MemberAttendance, Attendance } = req.db;
+
+      const department = await findScopedDepartment(req, req.params.id);
+      if (!department) {
+        return res.status(404).json({
+          success: false,
+          message: "Department not found",
+        });
+      }
+
+      const endDate = req.query.endDate || new Date().toISOString().split("T")[0];
+      let startDate = req.query.startDate;
+      if (!startDate) {
+        const eightWeeksAgo = new Date(endDate);
+        eightWeeksAgo.setDate(eightWeeksAgo.getDate() - 56);
+        startDate = eightWeeksAgo.toISOString().split("T")[0];
+      }
+
+      const memberships = await MemberDepartment.findAll({
+        where: { departmentId: department.id },
+        attributes: ["memberId"],
+        raw: true,
+      });
+      const memberIds = memberships.map((membership) => membership.memberId);
+
+      const services = await Attendance.findAll({
+        where: { date: { [Op.between]: [startDate, endDate] } },
+        attributes: ["id", "date", "serviceType"],
+        order: [["date", "DESC"]],
+      });
+
+      const records = memberIds.length
+        ? await MemberAttendance.findAll({
+            where: {
+              memberId: memberIds,
+              attendanceId: services.map((service) => service.id),
+              present: true,
+            },
+            attributes: ["attendanceId", "memberId"],
+            raw: true,
+          })
+        : [];
+
+      const presentByService = records.reduce((acc, record) => {
+        acc[record.attendanceId] = (acc[record.attendanceId] || 0) + 1;
+        return acc;
+      }, {});
+
+      const serviceStats = services.map((service) => {
+        const present = presentByService[service.id] || 0;
+        return {
+          attendanceId: service.id,
+          date: service.date,
+          serviceType: service.serviceType,
+          present,
+          absent: memberIds.length - present,
+          rate: memberIds.length
+            ? Math.round((present / memberIds.length) * 100)
+            : 0,
+        };
+      });
+
+      const averageRate = serviceStats.length
+        ? Math.round(
+            serviceStats.reduce((sum, service) => sum + service.rate, 0) /
+              serviceStats.length
+          )
+        : 0;
+
+      res.json({
+        success: true,
+        data: {
+          department: { id: department.id, name: department.name },
+          startDate,
+          endDate,
+          memberCount: memberIds.length,
+          averageRate,
+          services: serviceStats,
+        },
+      });
+    } catch (error) {
+      logger.error("Get department attendance error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to retrieve department attendance",
+      });
+    }
+  }
+}
+
+module.exports = new DepartmentsController();
@@ -0,0 +1,357 @@
+// controllers/eventOccurrencesController.js - Edit or cancel single dates of a recurring event
+const { validationResult } = require("express-validator");
+const logger = require("../utils/logger");
+const { isInDepartmentScope } = require("../utils/departmentScope");
+
+// Default listing window for a series' occurrences
+const OCCURRENCE_WINDOW_DAYS = 90;
+
+// Load a recurring event and make sure the date is one of its occurrences.
+// Department heads only reach their units' events.
+// Returns { event } or { error, statusCode }.
+const findSeriesOccurrence = async (Event, eventId, date, admin) => {
+  const event = await Event.findByPk(eventId);
+
+  if (!event || !isInDepartmentScope(admin, "events", event.departmentId)) {
+    return { error: "Event not found", statusCode: 404 };
+  }
+  if (!event.isRecurring) {
+    return {
+      error: "Only recurring events have individual occurrences. Update the event instead.",
+      statusCode: 400,
+    };
+  }
+  if (!event.isOccurrenceDate(date)) {
+    return {
+      error: `${date} is not an occurrence of this event`,
+      statusCode: 404,
+    };
+  }
+
+  return { event };
+};
+
+// Helper: shape a single occurrence for the frontend
+const formatOccurrence = (occurrence) => ({
+  eventId: occurrence.id,
+  occurrenceDate: occurrence.occurrenceDate,
+  title: occurrence.title,
+  description: occurrence.description,
+  time: occurrence.time,
+  endTime: occurrence.endTime,
+  location: occurrence.location,
+  occurrenceStatus: occurrence.occurrenceStatus,
+  occurrenceNotes: occurrence.occurrenceNotes,
+  isModified: occurrence.isModified,
+});
+
+const eventOccurrencesController = {
+  // @desc    List occurrences of a recurring event, including cancelled ones
+  // @route   GET /api/events/:id/occurrences
+  // @access  Private
+  getEventOccurrences: async (req, res) => {
+    try {
+      // ✅ Get models from req.db
+      const { Event, EventOccurrence } = req.db;
+
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      const event = await Event.findByPk(req.params.id);
+      if (!event || !isInDepartmentScope(req.admin, "events", event.departmentId)) {
+        return res.status(404).json({
+          success: false,
+          message: "Event not found",
+        });
+      }
+
+      const today = new Date().toISOString().split("T")[0];
+      const start = req.query.start || today;
+      let end = req.query.end;
+      if (!end) {
+        const windowEnd = new Date(start);
+        windowEnd.setDate(windowEnd.getDate() + OCCURRENCE_WINDOW_DAYS);
+        end = windowEnd.toISOString().split("T")[0];
+      }
+
+      const overrides = await EventOccurrence.getOverrideMap(
+        [event.id],
+        start,
+        end
+      );
+
+      const occurrences = event
+        .getOccurrenceDates(start, end)
+        .map((date) =>
+          event.buildOccurrence(date, overrides[`${event.id}:${date}`])
+        );
+
+      res.json({
+        success: true,
+        message: "Event occurrences retrieved successfully",
+        data: occurrences.map(formatOccurrence),
+        range: { startDate: start, endDate: end },
+      });
+    } catch (error) {
+      logger.error("Get event occurrences error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to retrieve event occurrences",
+      });
+    }
+  },
+
+  // @desc    Change the details of one occurrence without touching the series
+  // @route   PUT /api/events/:id/occurrences/:date
+  // @access  Private
+  updateOccurrence: async (req, res) => {
+    try {
+      // ✅ Get models from req.db
+      const { Event, EventOccurrence, ActivityLog } = req.db;
+
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      const { date } = req.params;
+      const { event, error, statusCode } = await findSeriesOccurrence(
+        Event,
+        req.params.id,
+        date,
+        req.admin
+      );
+      if (error) {
+        return res.status(statusCode).json({
+          success: false,
+          message: error,
+        });
+      }
+
+      const { title, description, time, endTime, location, notes } = req.body;
+
+      const [override] = await EventOccurrence.findOrCreate({
+        where: { eventId: event.id, occurrenceDate: date },
+        defaults: { updatedById: req.admin.id },
+      });
+
+      const before = override.toJSON();
+      await override.update({
+        status: "scheduled",
+        title: title !== undefined ? (title ? title.trim() : null) : override.title,
+        description: description !== undefined ? (description ? description.trim() : null) : override.description,
+        time: time !== undefined ? time || null : override.time,
+        endTime: endTime !== undefined ? endTime || null : override.endTime,
+        location: location !== undefined ? (location ? location.trim() : null) : override.location,
+        notes: notes !== undefined ? notes || null : override.notes,
+        updatedById: req.admin.id,
+      });
+      if (req.activityLog) {
+        req.activityLog.changes = ActivityLog.buildChanges(before, override);
+      }
+
+      logger.info(
+        `Event occurrence updated: ${event.title} on ${date} (${event.id}) by ${req.admin.name}`
+      );
+
+      const io = req.app.get("io");
+      if (io) {
+        io.to("admin-room").emit("event-occurrence-updated", {
+          event: {
+            id: event.id,
+            title: event.title,
+            occurrenceDate: date,
+          },
+          updatedBy: req.admin.name,
+          timestamp: new Date(),
+        });
+      }
+
+      res.json({
+        success: true,
+        message: "Occurrence updated successfully",
+        data: formatOccurrence(event.buildOccurrence(date, override)),
+      });
+    } catch (error) {
+      logger.error("Update event occurrence error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to update occurrence",
+      });
+    }
+  },
+
+  // @desc    Cancel one occurrence of a recurring event
+  // @route   PATCH /api/events/:id/occurrences/:date/cancel
+  // @access  Private
+  cancelOccurrence: async (req, res) => {
+    try {
+      // ✅ Get models from req.db
+      const { Event, EventOccurrence, ActivityLog } = req.db;
+
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      const { date } = req.params;
+      const { event, error, statusCode } = await findSeriesOccurrence(
+        Event,
+        req.params.id,
+        date,
+        req.admin
+      );
+      if (error) {
+        return res.status(statusCode).json({
+          success: false,
+          message: error,
+        });
+      }
+
+      const [override] = await EventOccurrence.findOrCreate({
+        where: { eventId: event.id, occurrenceDate: date },
+        defaults: { updatedById: req.admin.id },
+      });
+
+      if (override.isCancelled()) {
+        return res.status(400).json({
+          success: false,
+          message: "This occurrence is already cancelled",
+        });
+      }
+
+      const before = override.toJSON();
+      await override.update({
+        status: "cancelled",
+        notes: req.body.reason || override.notes,
+        updatedById: req.admin.id,
+      });
+      if (req.activityLog) {
+        req.activityLog.changes = ActivityLog.buildChanges(before, override);
+      }
+
+      logger.info(
+        `Event occurrence cancelled: ${event.title} on ${date} (${event.id}) by ${req.admin.name}`
+      );
+
+      const io = req.app.get("io");
+      if (io) {
+        io.to("admin-room").emit("event-occurrence-cancelled", {
+          event: {
+            id: event.id,
+            title: event.title,
+            occurrenceDate: date,
+          },
+          cancelledBy: req.admin.name,
+          timestamp: new Date(),
+        });
+      }
+
+      res.json({
+        success: true,
+        message: "Occurrence cancelled successfully",
+        data: formatOccurrence(event.buildOccurrence(date, override)),
+      });
+    } catch (error) {
+      logger.error("Cancel event occurrence error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to cancel occurrence",
+      });
+    }
+  },
+
+  // @desc    Drop an occurrence's changes or cancellation so it follows the series again
+  // @route   DELETE /api/events/:id/occurrences/:date
+  // @access  Private
+  restoreOccurrence: async (req, res) => {
+    try {
+      // ✅ Get models from req.db
+      const { Event, EventOccurrence, ActivityLog } = req.db;
+
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      const { date } = req.params;
+      const { event, error, statusCode } = await findSeriesOccurrence(
+        Event,
+        req.params.id,
+        date,
+        req.admin
+      );
+      if (error) {
+        return res.status(statusCode).json({
+          success: false,
+          message: error,
+        });
+      }
+
+      const override = await EventOccurrence.findOne({
+        where: { eventId: event.id, occurrenceDate: date },
+      });
+      if (!override) {
+        return res.status(404).json({
+          success: false,
+          message: "This occurrence has no changes to restore",
+        });
+      }
+
+      const before = override.toJSON();
+      await override.destroy();
+      if (req.activityLog) {
+        req.activityLog.changes = ActivityLog.buildChanges(before, null);
+      }
+
+      logger.info(
+        `Event occurrence restored: ${event.title} on ${date} (${event.id}) by ${req.admin.name}`
+      );
+
+      const io = req.app.get("io");
+      if (io) {
+        io.to("admin-room").emit("event-occurrence-updated", {
+          event: {
+            id: event.id,
+            title: event.title,
+            occurrenceDate: date,
+          },
+          updatedBy: req.admin.name,
+          timestamp: new Date(),
+        });
+      }
+
+      res.json({
+        success: true,
+        message: "Occurrence restored to the series schedule",
+        data: formatOccurrence(event.buildOccurrence(date)),
+      });
+    } catch (error) {
+      logger.error("Restore event occurrence error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to restore occurrence",
+      });
+    }
+  },
+};
+
+module.exports = eventOccurrencesController;
@@ -0,0 +1,676 @@
+// controllers/eventRegistrationsController.js - Event RSVPs, capacity and waitlist
+const { validationResult } = require("express-validator");
+const { Op } = require("sequelize");
+const emailService = require("../services/emailService");
+const logger = require("../utils/logger");
+const {
+  getDepartmentScope,
+  isInDepartmentScope,
+} = require("../utils/departmentScope");
+
+// Helper: department heads can only manage registrations for their units' events
+const isEventInScope = async (req, eventId) => {
+  if (!getDepartmentScope(req.admin, "events")) return true;
+
+  const event = await req.db.Event.findByPk(eventId, {
+    attributes: ["id", "departmentId"],
+  });
+  return !!event && isInDepartmentScope(req.admin, "events", event.departmentId);
+};
+
+// Register someone for an event, waitlisting them once the event is full.
+// Returns { registration, event } or { error, statusCode }.
+const registerForEvent = async (req, eventId, details) => {
+  const { Event, EventRegistration, Member, sequelize } = req.db;
+
+  return sequelize.transaction(async (transaction) => {
+    // Lock the event row so concurrent registrations cannot overbook it
+    const event = await Event.findByPk(eventId, {
+      transaction,
+      lock: transaction.LOCK.UPDATE,
+    });
+
+    // Department heads can only register people for their units' events
+    if (
+      !event ||
+      event.status === "cancelled" ||
+      !isInDepartmentScope(req.admin, "events", event.departmentId)
+    ) {
+      return { error: "Event not found", statusCode: 404 };
+    }
+
+    if (!event.isRegistrationOpen()) {
+      return {
+        error: "Registration for this event is closed",
+        statusCode: 400,
+      };
+    }
+
+    const email = details.email.toLowerCase();
+
+    const existing = await EventRegistration.findActiveRegistration(
+      event.id,
+      email,
+      { transaction }
+    );
+    if (existing) {
+      return {
+        error:
+          existing.status === "waitlisted"
+            ? "This email is already on the waitlist for this event"
+            : "This email is already registered for this event",
+        statusCode: 400,
+      };
+    }
+
+    // Link to the member record when the registrant is a known member
+    let memberId = details.memberId || null;
+    if (!memberId) {
+      const member = await Member.findOne({
+        where: { email },
+        attributes: ["id"],
+        transaction,
+      });
+      memberId = member ? member.id : null;
+    }
+
+    const status = event.isFull() ? "waitlisted" : "registered";
+
+    const registration = await EventRegistration.create(
+      {
+        eventId: event.id,
+        memberId,
+        name: details.name,
+        email,
+        phone: details.phone,
+        notes: details.notes,
+        status,
+        source: details.source,
+        registeredById: details.registeredById || null,
+      },
+      { transaction }
+    );
+
+    if (status === "registered") {
+      await event.update(
+        { currentAttendees: event.currentAttendees + 1 },
+        { transaction }
+      );
+    }
+
+    return { registration, event };
+  });
+};
+
+// Cancel a registration and hand the freed place to the waitlist.
+// Returns { registration, event, promoted }, or { alreadyCancelled: true } when a
+// concurrent request cancelled it first.
+const cancelRegistration = async (req, registration) => {
+  const { Event, EventRegistration, sequelize } = req.db;
+
+  return sequelize.transaction(async (transaction) => {
+    const event = await Event.findByPk(registration.eventId, {
+      transaction,
+      lock: transaction.LOCK.UPDATE,
+    });
+
+    // Re-read under a row lock: the status loaded before the transaction may be stale
+    await registration.reload({ transaction, lock: transaction.LOCK.UPDATE });
+    if (!registration.isActive()) {
+      return { alreadyCancelled: true };
+    }
+
+    const wasRegistered = registration.status === "registered";
+
+    await registration.update(
+      { status: "cancelled", cancelledAt: new Date() },
+      { transaction }
+    );
+
+    let promoted = [];
+    if (wasRegistered) {
+      await event.update(
+        { currentAttendees: Math.max(0, event.currentAttendees - 1) },
+        { transaction }
+      );
+      promoted = await EventRegistration.promoteWaitlisted(event, {
+        transaction,
+      });
+    }
+
+    return { registration, event, promoted };
+  });
+};
+
+// Emails and socket notifications once a registration has been committed
+const notifyRegistration = async (req, event, registration) => {
+  const { EventRegistration } = req.db;
+
+  const waitlistPosition = await EventRegistration.getWaitlistPosition(
+    registration
+  );
+  await emailService.sendEventRegistrationEmail(
+    event,
+    registration,
+    waitlistPosition
+  );
+
+  const io = req.app.get("io");
+  if (io) {
+    io.to("admin-room").emit("event-registration-created", {
+      event: {
+        id: event.id,
+        title: event.title,
+        currentAttendees: event.currentAttendees,
+        maxAttendees: event.maxAttendees,
+      },
+      registration: {
+        id: registration.id,
+        name: registration.name,
+        status: registration.status,
+      },
+      timestamp: new Date(),
+    });
+  }
+
+  return waitlistPosition;
+};
+
+const notifyCancellation = async (req, { registration, event, promoted }) => {
+  await emailService.sendEventRegistrationCancelledEmail(event, registration);
+
+  for (const promotedRegistration of promoted) {
+    await emailService.sendWaitlistPromotionEmail(event, promotedRegistration);
+  }
+
+  const io = req.app.get("io");
+  if (io) {
+    io.to("admin-room").emit("event-registration-cancelled", {
+      event: {
+        id: event.id,
+        title: event.title,
+        currentAttendees: event.currentAttendees,
+        maxAttendees: event.maxAttendees,
+      },
+      registration: {
+        id: registration.id,
+        name: registration.name,
+      },
+      promoted: promoted.map((r) => ({ id: r.id, name: r.name })),
+      timestamp: new Date(),
+    });
+  }
+};
+
+const eventRegistrationsController = {
+  // @desc    Get registrants for an event (JSON or CSV)
+  // @route   GET /api/events/:id/registrations
+  // @access  Private
+  getEventRegistrations: async (req, res) => {
+    try {
+      // ✅ Get models from req.db
+      const { Event, EventRegistration, Admin, sequelize } = req.db;
+
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      const event = await Event.findByPk(req.params.id);
+      if (!event || !isInDepartmentScope(req.admin, "events", event.departmentId)) {
+        return res.status(404).json({
+          success: false,
+          message: "Event not found",
+        });
+      }
+
+      const { status = "all", format = "json", search = "" } = req.query;
+
+      let whereClause = { eventId: event.id };
+      if (status !== "all") {
+        whereClause.status = status;
+      }
+      if (search) {
+        whereClause[Op.or] = [
+          { name: { [Op.iLike]: `%${search}%` } },
+          { email: { [Op.iLike]: `%${search}%` } },
+        ];
+      }
+
+      const registrations = await EventRegistration.findAll({
+        where: whereClause,
+        order: [["createdAt", "ASC"]],
+        include: [
+          {
+            model: Admin,
+            as: "registeredBy",
+            attributes: ["id", "name"],
+          },
+        ],
+      });
+
+      // Waitlist positions follow registration order
+      const waitlisted = await EventRegistration.findAll({
+        where: { eventId: event.id, status: "waitlisted" },
+        attributes: ["id"],
+        order: [["createdAt", "ASC"]],
+      });
+      const positions = {};
+      waitlisted.forEach((registration, index) => {
+        positions[registration.id] = index + 1;
+      });
+
+      if (format === "csv") {
+        const csvHeaders =
+          "Name,Email,Phone,Status,Waitlist Position,Source,Member,Registered At,Cancelled At,Notes\n";
+        const csvContent = registrations
+          .map((registration) =>
+            [
+              `"${registration.name}"`,
+              `"${registration.email}"`,
+              `"${registration.phone || ""}"`,
+              registration.status,
+              positions[registration.id] || "",
+              registration.source,
+              registration.memberId ? "Yes" : "No",
+              registration.createdAt.toISOString(),
+              registration.cancelledAt
+                ? registration.cancelledAt.toISOString()
+                : "",
+              `"${(registration.notes || "").replace(/"/g, '""')}"`,
+            ].join(",")
+          )
+          .join("\n");
+
+        const fullCsv = csvHeaders + csvContent;
+
+        logger.info(
+          `Event registrations exported by ${req.admin.name} - Event: ${event.title}, Records: ${registrations.length}`
+        );
+
+        res.setHeader("Content-Type", "text/csv");
+        res.setHeader(
+          "Content-Disposition",
+          `attachment; filename="event_registrations_export_${
+            new Date().toISOString().split("T")[0]
+          }.csv"`
+        );
+        return res.send(fullCsv);
+      }
+
+      const counts = await EventRegistration.findAll({
+        where: { eventId: event.id },
+        attributes: [
+          "status",
+          [sequelize.fn("COUNT", sequelize.col("id")), "count"],
+        ],
+        group: ["status"],
+        raw: true,
+      });
+
+      res.json({
+        success: true,
+        message: "Event registrations retrieved successfully",
+        data: {
+          event: {
+            id: event.id,
+            title: event.title,
+            date: event.date,
+            maxAttendees: event.maxAttendees,
+            currentAttendees: event.currentAttendees,
+            availableSpots: event.getAvailableSpots(),
+            isFull: Boolean(event.isFull()),
+          },
+          summary: counts.reduce(
+            (acc, row) => {
+              acc[row.status] = parseInt(row.count);
+              return acc;
+            },
+            { registered: 0, waitlisted: 0, cancelled: 0 }
+          ),
+          registrations: registrations.map((registration) => ({
+            id: registration.id,
+            name: registration.name,
+            email: registration.email,
+            phone: registration.phone,
+            status: registration.status,
+            waitlistPosition: positions[registration.id] || null,
+            source: registration.source,
+            memberId: registration.memberId,
+            registeredBy: registration.registeredBy?.name || null,
+            notes: registration.notes,
+            promotedAt: registration.promotedAt,
+            cancelledAt: registration.cancelledAt,
+            createdAt: registration.createdAt,
+          })),
+        },
+      });
+    } catch (error) {
+      logger.error("Get event registrations error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to retrieve event registrations",
+      });
+    }
+  },
+
+  // @desc    Register a member or guest for an event (admin)
+  // @route   POST /api/events/:id/registrations
+  // @access  Private
+  createEventRegistration: async (req, res) => {
+    try {
+      // ✅ Get models from req.db
+      const { Member } = req.db;
+
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      let { memberId, name, email, phone, notes } = req.body;
+
+      if (memberId) {
+        const member = await Member.findByPk(memberId);
+        if (!member) {
+          return res.status(404).json({
+            success: false,
+            message: "Member not found",
+          });
+        }
+        name = name || member.name;
+        email = email || member.email;
+        phone = phone || member.phone;
+      }
+
+      if (!name || !email) {
+        return res.status(400).json({
+          success: false,
+          message: "Name and email are required when no member is selected",
+        });
+      }
+
+      const result = await registerForEvent(req, req.params.id, {
+        memberId,
+        name,
+        email,
+        phone,
+        notes,
+        source: "admin",
+        registeredById: req.admin.id,
+      });
+
+      if (result.error) {
+        return res.status(result.statusCode).json({
+          success: false,
+          message: result.error,
+        });
+      }
+
+      const { registration, event } = result;
+      const waitlistPosition = await notifyRegistration(req, event, registration);
+
+      logger.info(
+        `Event registration (${registration.status}): ${registration.name} for ${event.title} by ${req.admin.name}`
+      );
+
+      res.status(201).json({
+        success: true,
+        message:
+          registration.status === "waitlisted"
+            ? `Event is full - ${registration.name} has been added to the waitlist`
+            : `${registration.name} registered successfully`,
+        data: {
+          id: registration.id,
+          eventId: event.id,
+          name: registration.name,
+          email: registration.email,
+          status: registration.status,
+          waitlistPosition,
+          registrationCode: registration.registrationCode,
+          currentAttendees: event.currentAttendees,
+        },
+      });
+    } catch (error) {
+      logger.error("Create event registration error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to register for event",
+      });
+    }
+  },
+
+  // @desc    Cancel a registration (admin)
+  // @route   PATCH /api/events/:id/registrations/:registrationId/cancel
+  // @access  Private
+  cancelEventRegistration: async (req, res) => {
+    try {
+      // ✅ Get models from req.db
+      const { EventRegistration } = req.db;
+
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      const registration = await EventRegistration.findOne({
+        where: { id: req.params.registrationId, eventId: req.params.id },
+      });
+
+      if (!registration || !(await isEventInScope(req, registration.eventId))) {
+        return res.status(404).json({
+          success: false,
+          message: "Registration not found",
+        });
+      }
+
+      if (!registration.isActive()) {
+        return res.status(400).json({
+          success: false,
+          message: "Registration is already cancelled",
+        });
+      }
+
+      const result = await cancelRegistration(req, registration);
+      if (result.alreadyCancelled) {
+        return res.status(400).json({
+          success: false,
+          message: "Registration is already cancelled",
+        });
+      }
+      await notifyCancellation(req, result);
+
+      logger.info(
+        `Event registration cancelled: ${registration.name} for ${result.event.title} by ${req.admin.name}`
+      );
+
+      res.json({
+        success: true,
+        message: "Registration cancelled successfully",
+        data: {
+          id: registration.id,
+          status: registration.status,
+          promoted: result.promoted.map((r) => ({ id: r.id, name: r.name })),
+          currentAttendees: result.event.currentAttendees,
+        },
+      });
+    } catch (error) {
+      logger.error("Cancel event registration error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to cancel registration",
+      });
+    }
+  },
+
+  // @desc    Register for an event from the church website
+  // @route   POST /api/public/events/:id/register
+  // @access  Public
+  publicRegister: async (req, res) => {
+    try {
+      const { name, email, phone, notes } = req.body;
+
+      const result = await registerForEvent(req, req.params.id, {
+        name,
+        email,
+        phone,
+        notes,
+        source: "public",
+      });
+
+      if (result.error) {
+        return res.status(result.statusCode).json({
+          success: false,
+          message: result.error,
+        });
+      }
+
+      const { registration, event } = result;
+      const waitlistPosition = await notifyRegistration(req, event, registration);
+
+      logger.info(
+        `Public event registration (${registration.status}): ${registration.name} for ${event.title}`
+      );
+
+      res.status(201).json({
+        success: true,
+        message:
+          registration.status === "waitlisted"
+            ? `This event is full, so you have been added to the waitlist (position ${waitlistPosition}). We will email you if a place opens up.`
+            : "You are registered! A confirmation has been sent to your email.",
+        data: {
+          event: {
+            id: event.id,
+            title: event.title,
+            date: event.date,
+            time: event.time,
+            location: event.location,
+          },
+          status: registration.status,
+          waitlistPosition,
+          registrationCode: registration.registrationCode,
+        },
+      });
+    } catch (error) {
+      logger.error("Public event registration error:", error);
+      res.status(500).json({
+        success: false,
+        message:
+          "We could not complete your registration. Please try again or contact us directly.",
+      });
+    }
+  },
+
+  // @desc    Look up a registration by its code
+  // @route   GET /api/public/event-registrations/:code
+  // @access  Public
+  publicGetRegistration: async (req, res) => {
+    try {
+      // ✅ Get models from req.db
+      const { EventRegistration, Event } = req.db;
+
+      const registration = await EventRegistration.findOne({
+        where: { registrationCode: req.params.code },
+        include: [
+          {
+            model: Event,
+            as: "event",
+            attributes: ["id", "title", "date", "time", "location"],
+          },
+        ],
+      });
+
+      if (!registration) {
+        return res.status(404).json({
+          success: false,
+          message: "Registration not found",
+        });
+      }
+
+      res.json({
+        success: true,
+        message: "Registration retrieved successfully",
+        data: {
+          name: registration.name,
+          status: registration.status,
+          waitlistPosition: await EventRegistration.getWaitlistPosition(
+            registration
+          ),
+          event: registration.event,
+          registeredAt: registration.createdAt,
+        },
+      });
+    } catch (error) {
+      logger.error("Public get registration error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to retrieve registration",
+      });
+    }
+  },
+
+  // @desc    Cancel a registration using its code
+  // @route   POST /api/public/event-registrations/:code/cancel
+  // @access  Public
+  publicCancel: async (req, res) => {
+    try {
+      // ✅ Get models from req.db
+      const { EventRegistration } = req.db;
+
+      const registration = await EventRegistration.findOne({
+        where: { registrationCode: req.params.code },
+      });
+
+      if (!registration) {
+        return res.status(404).json({
+          success: false,
+          message: "Registration not found",
+        });
+      }
+
+      if (!registration.isActive()) {
+        return res.status(400).json({
+          success: false,
+          message: "This registration has already been cancelled",
+        });
+      }
+
+      const result = await cancelRegistration(req, registration);
+      if (result.alreadyCancelled) {
+        return res.status(400).json({
+          success: false,
+          message: "This registration has already been cancelled",
+        });
+      }
+      await notifyCancellation(req, result);
+
+      logger.info(
+        `Public event registration cancelled: ${registration.name} for ${result.event.title}`
+      );
+
+      res.json({
+        success: true,
+        message: "Your registration has been cancelled. Thank you for letting us know.",
+      });
+    } catch (error) {
+      logger.error("Public cancel registration error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to cancel registration",
+      });
+    }
+  },
+};
+
+module.exports = eventRegistrationsController;
@@ -1,8 +1,147 @@
 // controllers/eventsController.js - PRODUCTION READY WITH VALIDATION
 const { validationResult } = require("express-validator");
 const { Op } = require("sequelize");
+const emailService = require("../services/emailService");
+const { buildCalendar } = require("../utils/ical");
+const { generateSlug } = require("../utils/helpers");
+const {
+  getDepartmentScope,
+  isInDepartmentScope,
+  departmentScopeWhere,
+} = require("../utils/departmentScope");
 const logger = require("../utils/logger");
 
+// How far ahead occurrence lists look when no end date is given
+const OCCURRENCE_WINDOW_DAYS = 90;
+
+// Longest range the calendar endpoint will expand
+const MAX_CALENDAR_DAYS = 366;
+
+const addDaysToDate = (date, days) => {
+  const result = new Date(date);
+  result.setDate(result.getDate() + days);
+  return result.toISOString().split("T")[0];
+};
+
+// How far back the subscribable calendar feed keeps past events
+const FEED_HISTORY_DAYS = 30;
+
+// Helper: occurrence overrides of recurring events, grouped by eventId
+const loadOccurrenceOverrides = async (EventOccurrence, events) => {
+  const recurringIds = events
+    .filter((event) => event.isRecurring)
+    .map((event) => event.id);
+  if (recurringIds.length === 0) return {};
+
+  const overrides = await EventOccurrence.findAll({
+    where: { eventId: recurringIds },
+  });
+
+  return overrides.reduce((acc, override) => {
+    (acc[override.eventId] = acc[override.eventId] || []).push(override);
+    return acc;
+  }, {});
+};
+
+// Helper: find an event the admin may manage (department heads only reach their units' events)
+const findScopedEvent = async (req, id, options = {}) => {
+  const event = await req.db.Event.findByPk(id, options);
+  if (!event || !isInDepartmentScope(req.admin, "events", event.departmentId)) {
+    return null;
+  }
+  return event;
+};
+
+// Helper: check the department an event is run by, returns an error message or null
+// Department heads must pick one of their own units
+const validateEventDepartment = async (req, departmentId) => {
+  const scope = getDepartmentScope(req.admin, "events");
+  if (!departmentId) {
+    return scope ? "Please choose one of your departments for this event" : null;
+  }
+  if (scope && !scope.includes(departmentId)) {
+    return "You can only manage events for your own departments";
+  }
+
+  const department = await req.db.Department.findByPk(departmentId, {
+    attributes: ["id"],
+  });
+  return department ? null : "Department not found";
+};
+
+// Helper: check a recurrence rule is consistent, returns an error message or null
+const validateRecurrenceRule = ({
+  date,
+  isRecurring,
+  recurringPattern,
+  recurrenceDays,
+  recurrenceEndDate,
+  recurrenceCount,
+}) => {
+  if (!isRecurring) return null;
+
+  if (!recurringPattern) {
+    return "Recurring pattern is required for recurring events";
+  }
+  if (recurrenceEndDate && recurrenceCount) {
+    return "Use either a recurrence end date or an occurrence count, not both";
+  }
+  if (recurrenceEndDate && new Date(recurrenceEndDate) < new Date(date)) {
+    return "Recurrence end date cannot be before the event date";
+  }
+  if (
+    recurringPattern !== "weekly" &&
+    Array.isArray(recurrenceDays) &&
+    recurrenceDays.length > 0
+  ) {
+    return "Weekdays can only be set for weekly recurring events";
+  }
+  // Calendar apps always count the start date as an occurrence, so it must be one
+  if (
+    recurringPattern === "weekly" &&
+    Array.isArray(recurrenceDays) &&
+    recurrenceDays.length > 0
+  ) {
+    const dateString =
+      date instanceof Date ? date.toISOString() : String(date);
+    const weekday = new Date(`${dateString.slice(0, 10)}T00:00:00Z`).getUTCDay();
+    if (!recurrenceDays.map(Number).includes(weekday)) {
+      return "The event date must fall on one of the selected weekdays";
+    }
+  }
+  return null;
+};
+
+// Helper: shape an expanded occurrence for the frontend
+const formatOccurrence = (occurrence) => ({
+  id: occurrence.id,
+  title: occurrence.title,
+  description: occurrence.description,
+  date: occurrence.date,
+  time: occurrence.time,
+  endTime: occurrence.endTime,
+  location: occurrence.location,
+  category: occurrence.category,
+  maxAttendees: occurrence.maxAttendees,
+  currentAttendees: occurrence.currentAttendees,
+  isRecurring: occurrence.isRecurring,
+  recurringPattern: occurrence.recurringPattern,
+  status: occurrence.status,
+  image: occurrence.image,
+  organizer: occurrence.organizer?.name || 'Unknown',
+  organizerId: occurrence.organizerId,
+  departmentId: occurrence.departmentId,
+  registrationRequired: occurrence.registrationRequired,
+  registrationDeadline: occurrence.registrationDeadline,
+  eventFee: occurrence.eventFee,
+  tags: occurrence.tags,
+  seriesDate: occurrence.seriesDate,
+  occurrenceDate: occurrence.occurrenceDate,
+  occurrenceStatus: occurrence.occurrenceStatus,
+  occurrenceNotes: occurrence.occurrenceNotes,
+  isModified: occurrence.isModified,
+});
+
 const eventsController = {
   // @desc    Create new event
   // @route   POST /api/events
@@ -33,11 +172,17 @@ const eventsController = {
         maxAttendees,
         isRecurring = false,
         recurringPattern,
+        recurrenceInterval = 1,
+        recurrenceDays = [],
+        recurrenceEndDate,
+        recurrenceCount,
+        exceptionDates = [],
         registrationRequired = false,
         registrationDeadline,
         eventFee = 0,
         tags = [],
-        image
+        image,
+        departmentId
       } = req.body;
 
       logger.info('Creating event:', {
@@ -48,11 +193,27 @@ const eventsController = {
         organizerId: req.admin.id
       });
 
-      // Validate recurring pattern if event is recurring
-      if (isRecurring && !recurringPattern) {
+      // Validate recurrence rule if event is recurring
+      const recurrenceError = validateRecurrenceRule({
+        date,
+        isRecurring,
+        recurringPattern,
+        recurrenceDays,
+        recurrenceEndDate,
+        recurrenceCount,
+      });
+      if (recurrenceError) {
+        return res.status(400).json({
+          success: false,
+          message: recurrenceError,
+        });
+      }
+
+      const departmentError = await validateEventDepartment(req, departmentId);
+      if (departmentError) {
         return res.status(400).json({
           success: false,
-          message: "Recurring pattern is required for recurring events",
+          message: departmentError,
         });
       }
 
@@ -89,12 +250,18 @@ const eventsController = {
         maxAttendees: maxAttendees ? parseInt(maxAttendees) : null,
         isRecurring: Boolean(isRecurring),
         recurringPattern: recurringPattern || null,
+        recurrenceInterval: isRecurring ? parseInt(recurrenceInterval) || 1 : 1,
+        recurrenceDays: isRecurring && Array.isArray(recurrenceDays) ? recurrenceDays.map(Number) : [],
+        recurrenceEndDate: isRecurring ? recurrenceEndDate || null : null,
+        recurrenceCount: isRecurring && recurrenceCount ? parseInt(recurrenceCount) : null,
+        exceptionDates: isRecurring && Array.isArray(exceptionDates) ? exceptionDates : [],
         registrationRequired: Boolean(registrationRequired),
         registrationDeadline: registrationDeadline || null,
         eventFee: eventFee ? parseFloat(eventFee) : 0,
         tags: Array.isArray(tags) ? tags : [],
         image: imageUrl,
         organizerId: req.admin.id,
+        departmentId: departmentId || null,
         status: "upcoming",
         currentAttendees: 0,
       });
@@ -145,9 +312,15 @@ const eventsController = {
           currentAttendees: createdEvent.currentAttendees,
           isRecurring: createdEvent.isRecurring,
           recurringPattern: createdEvent.recurringPattern,
+          recurrenceInterval: createdEvent.recurrenceInterval,
+          recurrenceDays: createdEvent.recurrenceDays,
+          recurrenceEndDate: createdEvent.recurrenceEndDate,
+          recurrenceCount: createdEvent.recurrenceCount,
+          exceptionDates: createdEvent.exceptionDates,
           status: createdEvent.status,
           image: createdEvent.image,
           organizer: createdEvent.organizer?.name,
+          departmentId: createdEvent.departmentId,
           registrationRequired: createdEvent.registrationRequired,
           registrationDeadline: createdEvent.registrationDeadline,
           eventFee: createdEvent.eventFee,
@@ -180,6 +353,8 @@ const eventsController = {
         status = "all",
         category = "all",
         upcoming = false,
+        startDate,
+        endDate,
         sortBy = "date",
         sortOrder = "ASC",
       } = req.query;
@@ -187,9 +362,12 @@ const eventsController = {
       // Build where clause
       let whereClause = {};
 
+      // Upcoming and date-range listings are expanded into individual occurrences
+      const expandOccurrences =
+        !req.admin || upcoming === "true" || Boolean(startDate || endDate);
+
       // For public access, only show upcoming events
       if (!req.admin) {
-        whereClause.date = { [Op.gte]: new Date() };
         whereClause.status = "upcoming";
       } else {
         // Admin can see all events based on filters
@@ -198,7 +376,6 @@ const eventsController = {
         }
 
         if (upcoming === "true") {
-          whereClause.date = { [Op.gte]: new Date() };
           whereClause.status = "upcoming";
         }
       }
@@ -217,9 +394,54 @@ const eventsController = {
         whereClause.category = category;
       }
 
+      // Department heads only see their units' events
+      Object.assign(whereClause, departmentScopeWhere(req.admin, "events"));
+
       // Calculate pagination
       const offset = (parseInt(page) - 1) * parseInt(limit);
 
+      if (expandOccurrences) {
+        const today = new Date().toISOString().split("T")[0];
+        let rangeStart = startDate || today;
+        if ((!req.admin || upcoming === "true") && rangeStart < today) {
+          rangeStart = today;
+        }
+        const rangeEnd = endDate || addDaysToDate(rangeStart, OCCURRENCE_WINDOW_DAYS);
+
+        const occurrences = await Event.getOccurrencesInRange(rangeStart, rangeEnd, {
+          where: whereClause,
+          includeCancelled: Boolean(req.admin),
+        });
+
+        if (sortBy !== "date") {
+          occurrences.sort((a, b) =>
+            String(a[sortBy] ?? "").localeCompare(String(b[sortBy] ?? ""))
+          );
+        }
+        if (sortOrder.toUpperCase() === "DESC") {
+          occurrences.reverse();
+        }
+
+        const totalPages = Math.ceil(occurrences.length / parseInt(limit));
+
+        return res.json({
+          success: true,
+          message: "Events retrieved successfully",
+          data: occurrences
+            .slice(offset, offset + parseInt(limit))
+            .map(formatOccurrence),
+          range: { startDate: rangeStart, endDate: rangeEnd },
+          pagination: {
+            currentPage: parseInt(page),
+            totalPages,
+            totalRecords: occurrences.length,
+            hasNextPage: parseInt(page) < totalPages,
+            hasPrevPage: parseInt(page) > 1,
+            limit: parseInt(limit),
+          },
+        });
+      }
+
       // Fetch events
       const { count, rows: events } = await Event.findAndCountAll({
         where: whereClause,
@@ -254,10 +476,16 @@ const eventsController = {
         currentAttendees: event.currentAttendees,
         isRecurring: event.isRecurring,
         recurringPattern: event.recurringPattern,
+        recurrenceInterval: event.recurrenceInterval,
+        recurrenceDays: event.recurrenceDays,
+        recurrenceEndDate: event.recurrenceEndDate,
+        recurrenceCount: event.recurrenceCount,
+        exceptionDates: event.exceptionDates,
         status: event.status,
         image: event.image,
         organizer: event.organizer?.name || 'Unknown',
         organizerId: event.organizerId,
+        departmentId: event.departmentId,
         registrationRequired: event.registrationRequired,
         registrationDeadline: event.registrationDeadline,
         eventFee: event.eventFee,
@@ -295,7 +523,7 @@ const eventsController = {
   getEventById: async (req, res) => {
     try {
       // ✅ Get models from req.db
-      const { Event, Admin } = req.db;
+      const { Admin } = req.db;
 
       const errors = validationResult(req);
       if (!errors.isEmpty()) {
@@ -306,7 +534,7 @@ const eventsController = {
         });
       }
 
-      const event = await Event.findByPk(req.params.id, {
+      const event = await findScopedEvent(req, req.params.id, {
         include: [
           {
             model: Admin,
@@ -345,12 +573,21 @@ const eventsController = {
         currentAttendees: event.currentAttendees,
         isRecurring: event.isRecurring,
         recurringPattern: event.recurringPattern,
+        recurrenceInterval: event.recurrenceInterval,
+        recurrenceDays: event.recurrenceDays,
+        recurrenceEndDate: event.recurrenceEndDate,
+        recurrenceCount: event.recurrenceCount,
+        exceptionDates: event.exceptionDates,
+        nextOccurrence: event.isRecurring ? event.getNextOccurrenceDate() : null,
         status: event.status,
         image: event.image,
         organizer: event.organizer?.name || 'Unknown',
         organizerId: event.organizerId,
+        departmentId: event.departmentId,
         registrationRequired: event.registrationRequired,
         registrationDeadline: event.registrationDeadline,
+        registrationOpen: event.isRegistrationOpen(),
+        availableSpots: event.getAvailableSpots(),
         eventFee: event.eventFee,
         tags: event.tags,
         createdAt: event.createdAt,
@@ -378,7 +615,7 @@ const eventsController = {
   updateEvent: async (req, res) => {
     try {
       // ✅ Get models from req.db
-      const { Event, Admin } = req.db;
+      const { Event, EventRegistration, Admin, ActivityLog, sequelize } = req.db;
 
       const errors = validationResult(req);
       if (!errors.isEmpty()) {
@@ -389,7 +626,7 @@ const eventsController = {
         });
       }
 
-      const event = await Event.findByPk(req.params.id);
+      const event = await findScopedEvent(req, req.params.id);
       if (!event) {
         return res.status(404).json({
           success: false,
@@ -408,14 +645,50 @@ const eventsController = {
         maxAttendees,
         isRecurring,
         recurringPattern,
+        recurrenceInterval,
+        recurrenceDays,
+        recurrenceEndDate,
+        recurrenceCount,
+        exceptionDates,
         status,
         registrationRequired,
         registrationDeadline,
         eventFee,
         tags,
-        image
+        image,
+        departmentId
       } = req.body;
 
+      if (departmentId !== undefined) {
+        const departmentError = await validateEventDepartment(req, departmentId);
+        if (departmentError) {
+          return res.status(400).json({
+            success: false,
+            message: departmentError,
+          });
+        }
+      }
+
+      // Validate the recurrence rule as it will be after the update
+      const recurrence = {
+        date: date || event.date,
+        isRecurring: isRecurring !== undefined ? Boolean(isRecurring) : event.isRecurring,
+        recurringPattern: recurringPattern !== undefined ? recurringPattern : event.recurringPattern,
+        recurrenceInterval: recurrenceInterval !== undefined ? parseInt(recurrenceInterval) || 1 : event.recurrenceInterval,
+        recurrenceDays: recurrenceDays !== undefined ? (Array.isArray(recurrenceDays) ? recurrenceDays.map(Number) : []) : event.recurrenceDays,
+        recurrenceEndDate: recurrenceEndDate !== undefined ? recurrenceEndDate || null : event.recurrenceEndDate,
+        recurrenceCount: recurrenceCount !== undefined ? (recurrenceCount ? parseInt(recurrenceCount) : null) : event.recurrenceCount,
+        exceptionDates: exceptionDates !== undefined ? (Array.isArray(exceptionDates) ? exceptionDates : []) : event.exceptionDates,
+      };
+
+      const recurrenceError = validateRecurrenceRule(recurrence);
+      if (recurrenceError) {
+        return res.status(400).json({
+          success: false,
+          message: recurrenceError,
+        });
+      }
+
       // Handle image upload
       let imageUrl = event.image; // Keep existing image
       if (req.file) {
@@ -425,24 +698,46 @@ const eventsController = {
       }
 
       // Update event
+      const before = event.toJSON();
       await event.update({
         title: title ? title.trim() : event.title,
         description: description ? description.trim() : event.description,
-        date: date || event.date,
         time: time || event.time,
         endTime: endTime !== undefined ? endTime : event.endTime,
         location: location ? location.trim() : event.location,
         category: category || event.category,
         maxAttendees: maxAttendees !== undefined ? (maxAttendees ? parseInt(maxAttendees) : null) : event.maxAttendees,
-        isRecurring: isRecurring !== undefined ? Boolean(isRecurring) : event.isRecurring,
-        recurringPattern: recurringPattern !== undefined ? recurringPattern : event.recurringPattern,
+        ...recurrence,
         status: status || event.status,
         registrationRequired: registrationRequired !== undefined ? Boolean(registrationRequired) : event.registrationRequired,
         registrationDeadline: registrationDeadline !== undefined ? registrationDeadline : event.registrationDeadline,
         eventFee: eventFee !== undefined ? (eventFee ? parseFloat(eventFee) : 0) : event.eventFee,
         tags: tags !== undefined ? (Array.isArray(tags) ? tags : []) : event.tags,
         image: imageUrl,
+        departmentId: departmentId !== undefined ? departmentId || null : event.departmentId,
       });
+      if (req.activityLog) {
+        req.activityLog.changes = ActivityLog.buildChanges(before, event);
+      }
+
+      // Extra capacity goes to the waitlist first
+      if (before.maxAttendees !== event.maxAttendees && !event.isFull()) {
+        const promoted = await sequelize.transaction(async (transaction) => {
+          const lockedEvent = await Event.findByPk(event.id, {
+            transaction,
+            lock: transaction.LOCK.UPDATE,
+          });
+          return EventRegistration.promoteWaitlisted(lockedEvent, { transaction });
+        });
+
+        for (const registration of promoted) {
+          await emailService.sendWaitlistPromotionEmail(event, registration);
+        }
+        if (promoted.length > 0) {
+          await event.reload();
+          logger.info(`Promoted ${promoted.length} waitlisted registrations for ${event.title}`);
+        }
+      }
 
       logger.info(
         `Event updated: ${event.title} (${event.id}) by ${req.admin.name}`
@@ -490,9 +785,15 @@ const eventsController = {
           currentAttendees: updatedEvent.currentAttendees,
           isRecurring: updatedEvent.isRecurring,
           recurringPattern: updatedEvent.recurringPattern,
+          recurrenceInterval: updatedEvent.recurrenceInterval,
+          recurrenceDays: updatedEvent.recurrenceDays,
+          recurrenceEndDate: updatedEvent.recurrenceEndDate,
+          recurrenceCount: updatedEvent.recurrenceCount,
+          exceptionDates: updatedEvent.exceptionDates,
           status: updatedEvent.status,
           image: updatedEvent.image,
           organizer: updatedEvent.organizer?.name,
+          departmentId: updatedEvent.departmentId,
           registrationRequired: updatedEvent.registrationRequired,
           registrationDeadline: updatedEvent.registrationDeadline,
           eventFee: updatedEvent.eventFee,
@@ -516,7 +817,7 @@ const eventsController = {
   deleteEvent: async (req, res) => {
     try {
       // ✅ Get models from req.db
-      const { Event } = req.db;
+      const { EventRegistration, EventOccurrence, ActivityLog } = req.db;
 
       const errors = validationResult(req);
       if (!errors.isEmpty()) {
@@ -527,7 +828,7 @@ const eventsController = {
         });
       }
 
-      const event = await Event.findByPk(req.params.id);
+      const event = await findScopedEvent(req, req.params.id);
       if (!event) {
         return res.status(404).json({
           success: false,
@@ -538,7 +839,19 @@ const eventsController = {
       const eventTitle = event.title;
       const eventId = event.id;
 
+      // Delete registrations and occurrence overrides first (cascading delete)
+      await EventRegistration.destroy({
+        where: { eventId: event.id },
+      });
+      await EventOccurrence.destroy({
+        where: { eventId: event.id },
+      });
+
+      const before = event.toJSON();
       await event.destroy();
+      if (req.activityLog) {
+        req.activityLog.changes = ActivityLog.buildChanges(before, null);
+      }
 
       logger.info(
         `Event deleted: ${eventTitle} (${eventId}) by ${req.admin.name}`
@@ -578,28 +891,12 @@ const eventsController = {
       const { Event } = req.db;
       const { limit = 10 } = req.query;
 
-      const events = await Event.getUpcomingEvents(parseInt(limit));
-
-      const formattedEvents = events.map(event => ({
-        id: event.id,
-        title: event.title,
-        description: event.description,
-        date: event.date,
-        time: event.time,
-        endTime: event.endTime,
-        location: event.location,
-        category: event.category,
-        maxAttendees: event.maxAttendees,
-        currentAttendees: event.currentAttendees,
-        status: event.status,
-        image: event.image,
-        organizer: event.organizer?.name || 'Unknown'
-      }));
+      const occurrences = await Event.getUpcomingEvents(parseInt(limit));
 
       res.json({
         success: true,
         message: "Upcoming events retrieved successfully",
-        data: formattedEvents,
+        data: occurrences.map(formatOccurrence),
       });
     } catch (error) {
       logger.error("Get upcoming events error:", error);
@@ -610,6 +907,171 @@ const eventsController = {
     }
   },
 
+  // @desc    Get event occurrences between two dates for a calendar view
+  // @route   GET /api/events/calendar
+  // @access  Public/Private
+  getEventCalendar: async (req, res) => {
+    try {
+      // ✅ Get models from req.db
+      const { Event } = req.db;
+
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      const { start, end, category = "all" } = req.query;
+
+      const rangeDays = (new Date(end) - new Date(start)) / (24 * 60 * 60 * 1000);
+      if (rangeDays < 0 || rangeDays > MAX_CALENDAR_DAYS) {
+        return res.status(400).json({
+          success: false,
+          message: `Calendar range must be between 0 and ${MAX_CALENDAR_DAYS} days`,
+        });
+      }
+
+      // Public calendar hides cancelled events; admins see them flagged
+      let whereClause = {};
+      if (!req.admin) {
+        whereClause.status = { [Op.ne]: "cancelled" };
+      }
+      if (category !== "all") {
+        whereClause.category = category;
+      }
+      Object.assign(whereClause, departmentScopeWhere(req.admin, "events"));
+
+      const occurrences = await Event.getOccurrencesInRange(start, end, {
+        where: whereClause,
+        includeCancelled: Boolean(req.admin),
+      });
+
+      res.json({
+        success: true,
+        message: "Event calendar retrieved successfully",
+        data: occurrences.map(formatOccurrence),
+        range: { startDate: start, endDate: end },
+      });
+    } catch (error) {
+      logger.error("Get event calendar error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to retrieve event calendar",
+      });
+    }
+  },
+
+  // @desc    Subscribable iCalendar feed of church events
+  // @route   GET /api/events/calendar.ics
+  // @access  Public
+  getEventsFeed: async (req, res) => {
+    try {
+      // ✅ Get models from req.db
+      const { Event, EventOccurrence } = req.db;
+
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      const { category = "all" } = req.query;
+      const since = addDaysToDate(new Date(), -FEED_HISTORY_DAYS);
+
+      // Recent one-off events plus any series still running in the window
+      let whereClause = {
+        [Op.or]: [
+          { date: { [Op.gte]: since } },
+          {
+            isRecurring: true,
+            [Op.or]: [
+              { recurrenceEndDate: null },
+              { recurrenceEndDate: { [Op.gte]: since } },
+            ],
+          },
+        ],
+      };
+
+      // Category filter, comma separated for several (e.g. Service,Youth Event)
+      if (category !== "all") {
+        whereClause.category = category.split(",").map((c) => c.trim());
+      }
+
+      const events = await Event.findAll({
+        where: whereClause,
+        order: [["date", "ASC"], ["time", "ASC"]],
+      });
+
+      const overrides = await loadOccurrenceOverrides(EventOccurrence, events);
+
+      const calendarName =
+        category !== "all"
+          ? `${process.env.CHURCH_NAME || "Church"} - ${category.split(",").join(", ")}`
+          : undefined;
+
+      res.setHeader("Content-Type", "text/calendar; charset=utf-8");
+      res.setHeader("Content-Disposition", 'inline; filename="events.ics"');
+      res.setHeader("Cache-Control", "public, max-age=900");
+      res.send(buildCalendar(events, { name: calendarName, overrides }));
+    } catch (error) {
+      logger.error("Get events feed error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to generate calendar feed",
+      });
+    }
+  },
+
+  // @desc    Download a single event as an .ics file
+  // @route   GET /api/events/:id/ics
+  // @access  Public/Private
+  downloadEventIcs: async (req, res) => {
+    try {
+      // ✅ Get models from req.db
+      const { Event, EventOccurrence } = req.db;
+
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      const event = await Event.findByPk(req.params.id);
+
+      // For public access, only offer upcoming events (same as getEventById)
+      if (!event || (!req.admin && (event.status !== "upcoming" || event.isPast()))) {
+        return res.status(404).json({
+          success: false,
+          message: "Event not found",
+        });
+      }
+
+      const overrides = await loadOccurrenceOverrides(EventOccurrence, [event]);
+
+      res.setHeader("Content-Type", "text/calendar; charset=utf-8");
+      res.setHeader(
+        "Content-Disposition",
+        `attachment; filename="${generateSlug(event.title) || "event"}.ics"`
+      );
+      res.send(buildCalendar([event], { name: event.title, overrides }));
+    } catch (error) {
+      logger.error("Download event ics error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to generate calendar file",
+      });
+    }
+  },
+
   getEventCategories: async (req, res) => {
     try {
       const categories = [
@@ -651,7 +1113,7 @@ const eventsController = {
         thisMonthEvents,
         categoryStats,
         statusStats,
-      ] = await Event.getStatistics();
+      ] = await Event.getStatistics(departmentScopeWhere(req.admin, "events"));
 
       res.json({
         success: true,
@@ -676,8 +1138,6 @@ const eventsController = {
 
   updateEventAttendance: async (req, res) => {
     try {
-      const { Event } = req.db;
-
       const errors = validationResult(req);
       if (!errors.isEmpty()) {
         return res.status(400).json({
@@ -687,7 +1147,7 @@ const eventsController = {
         });
       }
 
-      const event = await Event.findByPk(req.params.id);
+      const event = await findScopedEvent(req, req.params.id);
       if (!event) {
         return res.status(404).json({
           success: false,
@@ -755,7 +1215,7 @@ const eventsController = {
         });
       }
 
-      const originalEvent = await Event.findByPk(req.params.id);
+      const originalEvent = await findScopedEvent(req, req.params.id);
       if (!originalEvent) {
         return res.status(404).json({
           success: false,
@@ -766,6 +1226,14 @@ const eventsController = {
       const newDate = new Date();
       newDate.setDate(newDate.getDate() + 7);
 
+      // A weekly series must start on one of its own weekdays
+      const weekdays = (originalEvent.recurrenceDays || []).map(Number);
+      if (originalEvent.recurringPattern === "weekly" && weekdays.length > 0) {
+        while (!weekdays.includes(newDate.getUTCDay())) {
+          newDate.setUTCDate(newDate.getUTCDate() + 1);
+        }
+      }
+
       const duplicatedEvent = await Event.create({
         title: `${originalEvent.title} (Copy)`,
         description: originalEvent.description,
@@ -777,11 +1245,15 @@ const eventsController = {
         maxAttendees: originalEvent.maxAttendees,
         isRecurring: originalEvent.isRecurring,
         recurringPattern: originalEvent.recurringPattern,
+        recurrenceInterval: originalEvent.recurrenceInterval,
+        recurrenceDays: originalEvent.recurrenceDays,
+        recurrenceCount: originalEvent.recurrenceCount,
         registrationRequired: originalEvent.registrationRequired,
         eventFee: originalEvent.eventFee,
         tags: originalEvent.tags,
         image: originalEvent.image,
         organizerId: req.admin.id,
+        departmentId: originalEvent.departmentId,
         status: "upcoming",
         currentAttendees: 0,
       });
@@ -832,11 +1304,11 @@ const eventsController = {
 
   exportEvents: async (req, res) => {
     try {
-      const { Event, Admin } = req.db;
+      const { Event, EventOccurrence, Admin } = req.db;
 
       const { format = "csv", status = "all", category = "all" } = req.query;
 
-      let whereClause = {};
+      let whereClause = departmentScopeWhere(req.admin, "events");
       if (status !== "all") {
         whereClause.status = status;
       }
@@ -856,7 +1328,18 @@ const eventsController = {
         order: [["date", "ASC"]],
       });
 
-      if (format === "csv") {
+      if (format === "ics") {
+        const overrides = await loadOccurrenceOverrides(EventOccurrence, events);
+
+        res.setHeader("Content-Type", "text/calendar; charset=utf-8");
+        res.setHeader(
+          "Content-Disposition",
+          `attachment; filename="events_export_${
+            new Date().toISOString().split("T")[0]
+          }.ics"`
+        );
+        res.send(buildCalendar(events, { overrides }));
+      } else if (format === "csv") {
         const csvHeaders =
           "Title,Description,Date,Time,End Time,Location,Category,Status,Organizer,Max Attendees,Current Attendees,Registration Required,Event Fee\n";
         const csvContent = events
@@ -0,0 +1,802 @@
+// controllers/givingController.js - Tithes, offerings and donations records
+const { validationResult } = require("express-validator");
+const { Op } = require("sequelize");
+const emailService = require("../services/emailService");
+const givingStatementService = require("../services/givingStatementService");
+const { generateSlug } = require("../utils/helpers");
+const logger = require("../utils/logger");
+
+// Bulk statement email runs, keyed by year (latest run per year)
+const statementEmailJobs = new Map();
+
+// Helper: check the linked member/service exist, returns an error message or null
+const validateGivingLinks = async ({ Member, Attendance }, { memberId, attendanceId }) => {
+  if (memberId) {
+    const member = await Member.findByPk(memberId, { attributes: ["id"] });
+    if (!member) return "Member not found";
+  }
+  if (attendanceId) {
+    const attendance = await Attendance.findByPk(attendanceId, {
+      attributes: ["id"],
+    });
+    if (!attendance) return "Attendance record not found";
+  }
+  return null;
+};
+
+// Helper: includes needed by formatGiving
+const givingIncludes = (Member, Attendance, Admin) => [
+  {
+    model: Member,
+    as: "member",
+    attributes: ["id", "name", "email", "phone"],
+  },
+  {
+    model: Attendance,
+    as: "attendance",
+    attributes: ["id", "date", "serviceType"],
+  },
+  {
+    model: Admin,
+    as: "recordedBy",
+    attributes: ["id", "name"],
+  },
+];
+
+// Helper: shape a giving record for the frontend
+const formatGiving = (giving) => ({
+  id: giving.id,
+  memberId: giving.memberId,
+  donorName: giving.getDonorName(),
+  isAnonymous: giving.isAnonymous,
+  amount: parseFloat(giving.amount) || 0,
+  currency: giving.currency,
+  category: giving.category,
+  projectName: giving.projectName,
+  paymentMethod: giving.paymentMethod,
+  reference: giving.reference,
+  givenAt: giving.givenAt,
+  attendance: giving.attendance
+    ? {
+        id: giving.attendance.id,
+        date: giving.attendance.date,
+        serviceType: giving.attendance.serviceType,
+      }
+    : null,
+  notes: giving.notes,
+  recordedBy: giving.recordedBy?.name || null,
+  createdAt: giving.createdAt,
+  updatedAt: giving.updatedAt,
+});
+
+// Helper: statements add every entry into one total, so all must share a currency
+const mixedCurrencyResponse = (res, statement) =>
+  res.status(400).json({
+    success: false,
+    message: `This statement has giving in more than one currency (${statement.currencies.join(
+      ", "
+    )}). Correct the records before issuing it.`,
+  });
+
+// Helper: download/attachment filename for a member's statement
+const statementFilename = (member, year) =>
+  `giving_statement_${generateSlug(member.name) || member.id}_${year}.pdf`;
+
+// Helper: email each member their statement; runs after the request has been answered
+const sendStatementEmails = async (Giving, members, job) => {
+  for (const member of members) {
+    try {
+      const statement = await Giving.getMemberStatement(member.id, job.year);
+      const pdf = await givingStatementService.generateStatementPdf({
+        member,
+        year: job.year,
+        statement,
+      });
+      const result = await emailService.sendGivingStatementEmail(
+        member,
+        job.year,
+        pdf,
+        statementFilename(member, job.year)
+      );
+
+      if (result.success) {
+        job.sent++;
+      } else {
+        job.failed++;
+        job.failures.push({ memberId: member.id, name: member.name, error: result.error });
+      }
+    } catch (error) {
+      logger.error(`Giving statement for member ${member.id} failed:`, error);
+      job.failed++;
+      job.failures.push({ memberId: member.id, name: member.name, error: error.message });
+    }
+  }
+
+  job.status = "completed";
+  job.completedAt = new Date();
+  logger.info(
+    `Giving statements ${job.year}: ${job.sent} sent, ${job.failed} failed, ${job.skipped} skipped`
+  );
+};
+
+const givingController = {
+  // @desc    Get giving records with filtering and pagination
+  // @route   GET /api/giving
+  // @access  Private (finance)
+  getGivings: async (req, res) => {
+    try {
+      // ✅ Get models from req.db
+      const { Giving, Member, Attendance, Admin } = req.db;
+
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      const {
+        page = 1,
+        limit = 20,
+        search = "",
+        category = "all",
+        paymentMethod = "all",
+        memberId,
+        attendanceId,
+        startDate,
+        endDate,
+      } = req.query;
+
+      let whereClause = {};
+
+      if (category !== "all") {
+        whereClause.category = category;
+      }
+      if (paymentMethod !== "all") {
+        whereClause.paymentMethod = paymentMethod;
+      }
+      if (memberId) {
+        whereClause.memberId = memberId;
+      }
+      if (attendanceId) {
+        whereClause.attendanceId = attendanceId;
+      }
+      if (startDate && endDate) {
+        whereClause.givenAt = { [Op.between]: [startDate, endDate] };
+      } else if (startDate) {
+        whereClause.givenAt = { [Op.gte]: startDate };
+      } else if (endDate) {
+        whereClause.givenAt = { [Op.lte]: endDate };
+      }
+
+      if (search) {
+        whereClause[Op.or] = [
+          { donorName: { [Op.iLike]: `%${search}%` } },
+          { reference: { [Op.iLike]: `%${search}%` } },
+          { projectName: { [Op.iLike]: `%${search}%` } },
+          { "$member.name$": { [Op.iLike]: `%${search}%` } },
+        ];
+      }
+
+      const offset = (parseInt(page) - 1) * parseInt(limit);
+
+      const [{ count, rows: givings }, totalAmount] = await Promise.all([
+        Giving.findAndCountAll({
+          where: whereClause,
+          limit: parseInt(limit),
+          offset: offset,
+          order: [
+            ["givenAt", "DESC"],
+            ["createdAt", "DESC"],
+          ],
+          include: givingIncludes(Member, Attendance, Admin),
+        }),
+        Giving.sum("amount", {
+          where: whereClause,
+          include: [{ model: Member, as: "member", attributes: [] }],
+        }),
+      ]);
+
+      const totalPages = Math.ceil(count / parseInt(limit));
+
+      res.json({
+        success: true,
+        message: "Giving records retrieved successfully",
+        data: givings.map(formatGiving),
+        summary: {
+          totalAmount: parseFloat(totalAmount) || 0,
+          totalRecords: count,
+        },
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages,
+          totalRecords: count,
+          hasNextPage: parseInt(page) < totalPages,
+          hasPrevPage: parseInt(page) > 1,
+          limit: parseInt(limit),
+        },
+      });
+    } catch (error) {
+      logger.error("Get giving records error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to retrieve giving records",
+      });
+    }
+  },
+
+  // @desc    Get giving totals by category for a date range
+  // @route   GET /api/giving/summary
+  // @access  Private (finance)
+  getGivingSummary: async (req, res) => {
+    try {
+      // ✅ Get models from req.db
+      const { Giving } = req.db;
+
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      // Defaults to the current month
+      const now = new Date();
+      const {
+        startDate = new Date(now.getFullYear(), now.getMonth(), 1)
+          .toISOString()
+          .split("T")[0],
+        endDate = now.toISOString().split("T")[0],
+      } = req.query;
+
+      const totals = await Giving.getTotals(startDate, endDate);
+
+      res.json({
+        success: true,
+        message: "Giving summary retrieved successfully",
+        data: {
+          startDate,
+          endDate,
+          ...totals,
+        },
+      });
+    } catch (error) {
+      logger.error("Get giving summary error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to retrieve giving summary",
+      });
+    }
+  },
+
+  // @desc    Get a member's annual giving statement
+  // @route   GET /api/giving/statements/:memberId
+  // @access  Private (finance)
+  getMemberStatement: async (req, res) => {
+    try {
+      // ✅ Get models from req.db
+      const { Giving, Member } = req.db;
+
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      const member = await Member.findByPk(req.params.memberId, {
+        attributes: ["id", "name", "email", "phone", "address"],
+      });
+      if (!member) {
+        return res.status(404).json({
+          success: false,
+          message: "Member not found",
+        });
+      }
+
+      const year = parseInt(req.query.year) || new Date().getFullYear();
+      const statement = await Giving.getMemberStatement(member.id, year);
+      if (statement.currencies.length > 1) {
+        return mixedCurrencyResponse(res, statement);
+      }
+
+      res.json({
+        success: true,
+        message: "Giving statement retrieved successfully",
+        data: {
+          church: {
+            name: process.env.CHURCH_NAME,
+            address: process.env.CHURCH_ADDRESS,
+            phone: process.env.CHURCH_PHONE,
+            email: process.env.CHURCH_EMAIL,
+          },
+          member,
+          year,
+          currency: statement.currencies[0] || "NGN",
+          total: statement.total,
+          byCategory: statement.byCategory,
+          byMonth: statement.byMonth,
+          givings: statement.givings.map((giving) => ({
+            id: giving.id,
+            givenAt: giving.givenAt,
+            category: giving.category,
+            projectName: giving.projectName,
+            amount: parseFloat(giving.amount) || 0,
+            currency: giving.currency,
+            paymentMethod: giving.paymentMethod,
+            reference: giving.reference,
+          })),
+          generatedAt: new Date(),
+        },
+      });
+    } catch (error) {
+      logger.error("Get giving statement error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to retrieve giving statement",
+      });
+    }
+  },
+
+  // @desc    Download a member's annual giving statement as PDF
+  // @route   GET /api/giving/statements/:memberId/pdf
+  // @access  Private (finance)
+  downloadMemberStatementPdf: async (req, res) => {
+    try {
+      // ✅ Get models from req.db
+      const { Giving, Member } = req.db;
+
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      const member = await Member.findByPk(req.params.memberId, {
+        attributes: ["id", "name", "email", "phone", "address"],
+      });
+      if (!member) {
+        return res.status(404).json({
+          success: false,
+          message: "Member not found",
+        });
+      }
+
+      const year = parseInt(req.query.year) || new Date().getFullYear();
+      const statement = await Giving.getMemberStatement(member.id, year);
+      if (statement.currencies.length > 1) {
+        return mixedCurrencyResponse(res, statement);
+      }
+      const pdf = await givingStatementService.generateStatementPdf({
+        member,
+        year,
+        statement,
+      });
+
+      res.setHeader("Content-Type", "application/pdf");
+      res.setHeader(
+        "Content-Disposition",
+        `attachment; filename="${statementFilename(member, year)}"`
+      );
+      res.send(pdf);
+    } catch (error) {
+      logger.error("Download giving statement error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to generate giving statement",
+      });
+    }
+  },
+
+  // @desc    Email annual giving statements to members who gave that year
+  // @route   POST /api/giving/statements/email
+  // @access  Private (finance)
+  emailStatements: async (req, res) => {
+    try {
+      // ✅ Get models from req.db
+      const { Giving, Member } = req.db;
+
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      const year = parseInt(req.body.year);
+      const { memberIds } = req.body;
+
+      if (statementEmailJobs.get(year)?.status === "running") {
+        return res.status(409).json({
+          success: false,
+          message: `Giving statements for ${year} are already being sent`,
+          data: statementEmailJobs.get(year),
+        });
+      }
+
+      // Only members with giving recorded in the year get a statement
+      const givers = await Giving.findAll({
+        where: {
+          memberId: memberIds?.length
+            ? { [Op.in]: memberIds }
+            : { [Op.ne]: null },
+          givenAt: { [Op.between]: [`${year}-01-01`, `${year}-12-31`] },
+        },
+        attributes: ["memberId"],
+        group: ["memberId"],
+        raw: true,
+      });
+
+      const members = await Member.findAll({
+        where: { id: givers.map((giver) => giver.memberId) },
+        attributes: ["id", "name", "email", "phone", "address"],
+        order: [["name", "ASC"]],
+      });
+      const recipients = members.filter((member) => member.email);
+
+      const job = {
+        year,
+        status: "running",
+        total: recipients.length,
+        sent: 0,
+        failed: 0,
+        skipped: members.length - recipients.length,
+        failures: [],
+        startedBy: req.admin.name,
+        startedAt: new Date(),
+        completedAt: null,
+      };
+      statementEmailJobs.set(year, job);
+
+      sendStatementEmails(Giving, recipients, job).catch((error) => {
+        logger.error("Giving statement email job error:", error);
+        job.status = "failed";
+        job.completedAt = new Date();
+      });
+
+      logger.info(
+        `Giving statements ${year} queued for ${recipients.length} members by ${req.admin.name}`
+      );
+
+      res.status(202).json({
+        success: true,
+        message: `Sending ${recipients.length} giving statements for ${year}`,
+        data: job,
+      });
+    } catch (error) {
+      logger.error("Email giving statements error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to start sending giving statements",
+      });
+    }
+  },
+
+  // @desc    Get progress of the latest statement email run for a year
+  // @route   GET /api/giving/statements/email/:year
+  // @access  Private (finance)
+  getStatementEmailStatus: async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      const job = statementEmailJobs.get(parseInt(req.params.year));
+      if (!job) {
+        return res.status(404).json({
+          success: false,
+          message: "No statement emails have been sent for this year",
+        });
+      }
+
+      res.json({
+        success: true,
+        data: job,
+      });
+    } catch (error) {
+      logger.error("Get statement email status error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to retrieve statement email status",
+      });
+    }
+  },
+
+  // @desc    Get giving record by ID
+  // @route   GET /api/giving/:id
+  // @access  Private (finance)
+  getGivingById: async (req, res) => {
+    try {
+      // ✅ Get models from req.db
+      const { Giving, Member, Attendance, Admin } = req.db;
+
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      const giving = await Giving.findByPk(req.params.id, {
+        include: givingIncludes(Member, Attendance, Admin),
+      });
+
+      if (!giving) {
+        return res.status(404).json({
+          success: false,
+          message: "Giving record not found",
+        });
+      }
+
+      res.json({
+        success: true,
+        message: "Giving record retrieved successfully",
+        data: formatGiving(giving),
+      });
+    } catch (error) {
+      logger.error("Get giving record error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to retrieve giving record",
+      });
+    }
+  },
+
+  // @desc    Record tithe, offering or donation
+  // @route   POST /api/giving
+  // @access  Private (finance)
+  createGiving: async (req, res) => {
+    try {
+      // ✅ Get models from req.db
+      const { Giving, Member, Attendance, Admin } = req.db;
+
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      const {
+        memberId,
+        isAnonymous = false,
+        donorName,
+        amount,
+        currency = "NGN",
+        category,
+        projectName,
+        paymentMethod = "cash",
+        reference,
+        givenAt,
+        attendanceId,
+        notes,
+      } = req.body;
+
+      // Anonymous giving never records who gave
+      const anonymous = Boolean(isAnonymous);
+
+      const linkError = await validateGivingLinks(
+        { Member, Attendance },
+        { memberId: anonymous ? null : memberId, attendanceId }
+      );
+      if (linkError) {
+        return res.status(400).json({
+          success: false,
+          message: linkError,
+        });
+      }
+
+      const giving = await Giving.create({
+        memberId: anonymous ? null : memberId || null,
+        isAnonymous: anonymous,
+        donorName: anonymous || memberId ? null : donorName || null,
+        amount: parseFloat(amount),
+        currency,
+        category,
+        projectName: projectName || null,
+        paymentMethod,
+        reference: reference || null,
+        givenAt: givenAt || new Date().toISOString().split("T")[0],
+        attendanceId: attendanceId || null,
+        notes: notes || null,
+        recordedById: req.admin.id,
+      });
+
+      logger.info(
+        `Giving recorded: ${giving.category} ${giving.currency} ${giving.amount} (${giving.id}) by ${req.admin.name}`
+      );
+
+      // No real-time broadcast: admin-room includes admins without finance access
+
+      const createdGiving = await Giving.findByPk(giving.id, {
+        include: givingIncludes(Member, Attendance, Admin),
+      });
+
+      res.status(201).json({
+        success: true,
+        message: "Giving recorded successfully",
+        data: formatGiving(createdGiving),
+      });
+    } catch (error) {
+      logger.error("Create giving error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to record giving",
+      });
+    }
+  },
+
+  // @desc    Update giving record
+  // @route   PUT /api/giving/:id
+  // @access  Private (finance)
+  updateGiving: async (req, res) => {
+    try {
+      // ✅ Get models from req.db
+      const { Giving, Member, Attendance, Admin, ActivityLog } = req.db;
+
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      const giving = await Giving.findByPk(req.params.id);
+      if (!giving) {
+        return res.status(404).json({
+          success: false,
+          message: "Giving record not found",
+        });
+      }
+
+      const {
+        memberId,
+        isAnonymous,
+        donorName,
+        amount,
+        currency,
+        category,
+        projectName,
+        paymentMethod,
+        reference,
+        givenAt,
+        attendanceId,
+        notes,
+      } = req.body;
+
+      const anonymous =
+        isAnonymous !== undefined ? Boolean(isAnonymous) : giving.isAnonymous;
+      const nextMemberId = anonymous
+        ? null
+        : memberId !== undefined
+        ? memberId || null
+        : giving.memberId;
+
+      const linkError = await validateGivingLinks(
+        { Member, Attendance },
+        { memberId: nextMemberId, attendanceId }
+      );
+      if (linkError) {
+        return res.status(400).json({
+          success: false,
+          message: linkError,
+        });
+      }
+
+      const before = giving.toJSON();
+      await giving.update({
+        memberId: nextMemberId,
+        isAnonymous: anonymous,
+        donorName:
+          anonymous || nextMemberId
+            ? null
+            : donorName !== undefined
+            ? donorName || null
+            : giving.donorName,
+        amount: amount !== undefined ? parseFloat(amount) : giving.amount,
+        currency: currency || giving.currency,
+        category: category || giving.category,
+        projectName: projectName !== undefined ? projectName || null : giving.projectName,
+        paymentMethod: paymentMethod || giving.paymentMethod,
+        reference: reference !== undefined ? reference || null : giving.reference,
+        givenAt: givenAt || giving.givenAt,
+        attendanceId: attendanceId !== undefined ? attendanceId || null : giving.attendanceId,
+        notes: notes !== undefined ? notes || null : giving.notes,
+      });
+      if (req.activityLog) {
+        req.activityLog.changes = ActivityLog.buildChanges(before, giving);
+      }
+
+      logger.info(`Giving updated: ${giving.id} by ${req.admin.name}`);
+
+      const updatedGiving = await Giving.findByPk(giving.id, {
+        include: givingIncludes(Member, Attendance, Admin),
+      });
+
+      res.json({
+        success: true,
+        message: "Giving record updated successfully",
+        data: formatGiving(updatedGiving),
+      });
+    } catch (error) {
+      logger.error("Update giving error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to update giving record",
+      });
+    }
+  },
+
+  // @desc    Delete giving record
+  // @route   DELETE /api/giving/:id
+  // @access  Private (finance)
+  deleteGiving: async (req, res) => {
+    try {
+      // ✅ Get models from req.db
+      const { Giving, ActivityLog } = req.db;
+
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      const giving = await Giving.findByPk(req.params.id);
+      if (!giving) {
+        return res.status(404).json({
+          success: false,
+          message: "Giving record not found",
+        });
+      }
+
+      const before = giving.toJSON();
+      await giving.destroy();
+      if (req.activityLog) {
+        req.activityLog.changes = ActivityLog.buildChanges(before, null);
+      }
+
+      logger.info(
+        `Giving deleted: ${before.category} ${before.currency} ${before.amount} (${before.id}) by ${req.admin.name}`
+      );
+
+      res.json({
+        success: true,
+        message: "Giving record deleted successfully",
+        data: { id: before.id },
+      });
+    } catch (error) {
+      logger.error("Delete giving error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to delete giving record",
+      });
+    }
+  },
+};
+
+module.exports = givingController;
@@ -0,0 +1,559 @@
+// controllers/householdsController.js - Family / household grouping for members
+const { Op } = require("sequelize");
+const logger = require("../utils/logger");
+const {
+  getDepartmentScope,
+  memberScopeWhere,
+  isMemberInScope,
+} = require("../utils/departmentScope");
+
+const householdMemberAttributes = [
+  "id",
+  "name",
+  "email",
+  "phone",
+  "householdRole",
+  "dateOfBirth",
+  "isActive",
+];
+
+// Helper: members include; department heads only see (and find households through)
+// members of their own units
+const householdMembersInclude = (Member, scopeWhere = {}) => {
+  const include = {
+    model: Member,
+    as: "members",
+    attributes: householdMemberAttributes,
+  };
+  if (Object.keys(scopeWhere).length > 0) {
+    include.where = scopeWhere;
+    include.required = true;
+  }
+  return include;
+};
+
+// Helper: whether the admin can see a household (it has a member in their departments)
+const isHouseholdInScope = async (req, householdId) => {
+  if (!getDepartmentScope(req.admin, "members")) return true;
+
+  const scopeWhere = await memberScopeWhere(req.db, req.admin);
+  const count = await req.db.Member.count({
+    where: { ...scopeWhere, householdId },
+  });
+  return count > 0;
+};
+
+// Helper: ensure the members exist, are unassigned and at most one is head
+const validateMemberAssignments = async (Member, members) => {
+  if (!Array.isArray(members) || members.length === 0) return null;
+
+  const heads = members.filter((m) => m.role === "head");
+  if (heads.length > 1) {
+    return "A household can only have one head";
+  }
+
+  const memberIds = members.map((m) => m.memberId);
+  const existingMembers = await Member.findAll({
+    where: { id: memberIds },
+    attributes: ["id", "name", "householdId"],
+  });
+
+  if (existingMembers.length !== new Set(memberIds).size) {
+    return "One or more members were not found";
+  }
+
+  const alreadyAssigned = existingMembers.filter((m) => m.householdId);
+  if (alreadyAssigned.length > 0) {
+    return `Already in another household: ${alreadyAssigned
+      .map((m) => m.name)
+      .join(", ")}`;
+  }
+
+  return null;
+};
+
+// Helper: shape household data for the frontend
+const formatHousehold = (household, lastAttendedAt = null) => {
+  const head = household.getHead();
+  return {
+    id: household.id,
+    name: household.name,
+    mailingName: household.getMailingName(),
+    address: household.address,
+    city: household.city,
+    state: household.state,
+    phone: household.phone,
+    notes: household.notes,
+    isActive: household.isActive,
+    head: head ? { id: head.id, name: head.name, email: head.email } : null,
+    memberCount: household.members ? household.members.length : 0,
+    members: household.members || [],
+    lastAttendedAt,
+    createdAt: household.createdAt,
+    updatedAt: household.updatedAt,
+  };
+};
+
+class HouseholdsController {
+  // Get all households with their members
+  async getHouseholds(req, res) {
+    try {
+      // ✅ Get models from req.db
+      const { Household, Member } = req.db;
+
+      const { page = 1, limit = 10, search = "", status = "all" } = req.query;
+      const scopeWhere = await memberScopeWhere(req.db, req.admin);
+
+      let whereClause = {};
+
+      if (search) {
+        whereClause[Op.or] = [
+          { name: { [Op.iLike]: `%${search}%` } },
+          { address: { [Op.iLike]: `%${search}%` } },
+        ];
+      }
+
+      if (status !== "all") {
+        whereClause.isActive = status === "active";
+      }
+
+      const offset = (parseInt(page) - 1) * parseInt(limit);
+
+      const { count, rows: households } = await Household.findAndCountAll({
+        where: whereClause,
+        limit: parseInt(limit),
+        offset: offset,
+        order: [["name", "ASC"]],
+        distinct: true,
+        include: [householdMembersInclude(Member, scopeWhere)],
+      });
+
+      const lastAttendance = await Household.getLastAttendanceDates(
+        households.map((household) => household.id)
+      );
+
+      const totalPages = Math.ceil(count / parseInt(limit));
+
+      res.json({
+        success: true,
+        message: "Households retrieved successfully",
+        data: households.map((household) =>
+          formatHousehold(household, lastAttendance[household.id])
+        ),
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages,
+          totalRecords: count,
+          hasNextPage: parseInt(page) < totalPages,
+          hasPrevPage: parseInt(page) > 1,
+          limit: parseInt(limit),
+        },
+      });
+    } catch (error) {
+      logger.error("Get households error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to retrieve households",
+      });
+    }
+  }
+
+  // Get households where no member has attended a service recently
+  async getInactiveHouseholds(req, res) {
+    try {
+      // ✅ Get models from req.db
+      const { Household, Member } = req.db;
+
+      const { weeks = 8 } = req.query;
+      const cutoff = new Date();
+      cutoff.setDate(cutoff.getDate() - parseInt(weeks) * 7);
+
+      const scopeWhere = await memberScopeWhere(req.db, req.admin);
+      const households = await Household.findAll({
+        where: { isActive: true },
+        order: [["name", "ASC"]],
+        include: [householdMembersInclude(Member, scopeWhere)],
+      });
+
+      const lastAttendance = await Household.getLastAttendanceDates();
+
+      const inactiveHouseholds = households
+        .filter((household) => {
+          const lastAttendedAt = lastAttendance[household.id];
+          return !lastAttendedAt || new Date(lastAttendedAt) < cutoff;
+        })
+        .map((household) =>
+          formatHousehold(household, lastAttendance[household.id])
+        );
+
+      res.json({
+        success: true,
+        message: `Found ${inactiveHouseholds.length} households with no attendance in the last ${weeks} weeks`,
+        data: inactiveHouseholds,
+      });
+    } catch (error) {
+      logger.error("Get inactive households error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to retrieve inactive households",
+      });
+    }
+  }
+
+  // Get household by ID
+  async getHouseholdById(req, res) {
+    try {
+      // ✅ Get models from req.db
+      const { Household, Member } = req.db;
+
+      const scopeWhere = await memberScopeWhere(req.db, req.admin);
+      const household = await Household.findByPk(req.params.id, {
+        include: [householdMembersInclude(Member, scopeWhere)],
+      });
+
+      if (!household) {
+        return res.status(404).json({
+          success: false,
+          message: "Household not found",
+        });
+      }
+
+      const lastAttendance = await Household.getLastAttendanceDates([
+        household.id,
+      ]);
+
+      res.json({
+        success: true,
+        message: "Household retrieved successfully",
+        data: formatHousehold(household, lastAttendance[household.id]),
+      });
+    } catch (error) {
+      logger.error("Get household error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to retrieve household",
+      });
+    }
+  }
+
+  // Create new household, optionally attaching members
+  async createHousehold(req, res) {
+    try {
+      // ✅ Get models from req.db
+      const { Household, Member, sequelize } = req.db;
+
+      const { name, address, city, state, phone, notes, members = [] } =
+        req.body;
+
+      const memberError = await validateMemberAssignments(
+        Member,
+        members
+      );
+      if (memberError) {
+        return res.status(400).json({
+          success: false,
+          message: memberError,
+        });
+      }
+
+      // Department heads create households around members of their own units
+      if (getDepartmentScope(req.admin, "members")) {
+        const inScope = await Promise.all(
+          members.map(({ memberId }) =>
+            isMemberInScope(req.db, req.admin, memberId)
+          )
+        );
+        if (members.length === 0 || inScope.includes(false)) {
+          return res.status(403).json({
+            success: false,
+            message:
+              "Households you create must only include members of your departments",
+          });
+        }
+      }
+
+      const household = await sequelize.transaction(async (transaction) => {
+        const newHousehold = await Household.create(
+          { name, address, city, state, phone, notes, isActive: true },
+          { transaction }
+        );
+
+        for (const { memberId, role } of members) {
+          await Member.update(
+            { householdId: newHousehold.id, householdRole: role },
+            { where: { id: memberId }, transaction }
+          );
+        }
+
+        return newHousehold;
+      });
+
+      logger.info(
+        `New household created: ${household.name} (${household.id}) by ${req.admin.name}`
+      );
+
+      // Emit real-time notification
+      const io = req.app.get("io");
+      io.to("admin-room").emit("household-created", {
+        household: {
+          id: household.id,
+          name: household.name,
+        },
+        createdBy: req.admin.name,
+        timestamp: new Date(),
+      });
+
+      const createdHousehold = await Household.findByPk(household.id, {
+        include: [householdMembersInclude(Member)],
+      });
+
+      res.status(201).json({
+        success: true,
+        message: "Household created successfully",
+        data: formatHousehold(createdHousehold),
+      });
+    } catch (error) {
+      logger.error("Create household error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to create household",
+      });
+    }
+  }
+
+  // Update household details
+  async updateHousehold(req, res) {
+    try {
+      // ✅ Get models from req.db
+      const { Household, ActivityLog } = req.db;
+
+      const household = await Household.findByPk(req.params.id);
+      if (!household || !(await isHouseholdInScope(req, household.id))) {
+        return res.status(404).json({
+          success: false,
+          message: "Household not found",
+        });
+      }
+
+      const { name, address, city, state, phone, notes, isActive } = req.body;
+
+      const before = household.toJSON();
+      await household.update({
+        name,
+        address,
+        city,
+        state,
+        phone,
+        notes,
+        isActive: isActive !== undefined ? isActive : household.isActive,
+      });
+      if (req.activityLog) {
+        req.activityLog.changes = ActivityLog.buildChanges(before, household);
+      }
+
+      logger.info(
+        `Household updated: ${household.name} (${household.id}) by ${req.admin.name}`
+      );
+
+      const io = req.app.get("io");
+      io.to("admin-room").emit("household-updated", {
+        household: {
+          id: household.id,
+          name: household.name,
+        },
+        updatedBy: req.admin.name,
+        timestamp: new Date(),
+      });
+
+      res.json({
+        success: true,
+        message: "Household updated successfully",
+        data: household,
+      });
+    } catch (error) {
+      logger.error("Update household error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to update household",
+      });
+    }
+  }
+
+  // Delete household and detach its members
+  async deleteHousehold(req, res) {
+    try {
+      // ✅ Get models from req.db
+      const { Household, Member, sequelize } = req.db;
+
+      const household = await Household.findByPk(req.params.id);
+      if (!household || !(await isHouseholdInScope(req, household.id))) {
+        return res.status(404).json({
+          success: false,
+          message: "Household not found",
+        });
+      }
+
+      // Deleting detaches every member, so all of them must be in the admin's departments
+      if (getDepartmentScope(req.admin, "members")) {
+        const scopeWhere = await memberScopeWhere(req.db, req.admin);
+        const [total, inScope] = await Promise.all([
+          Member.count({ where: { householdId: household.id } }),
+          Member.count({ where: { ...scopeWhere, householdId: household.id } }),
+        ]);
+        if (total !== inScope) {
+          return res.status(403).json({
+            success: false,
+            message:
+              "This household includes members outside your departments and cannot be deleted",
+          });
+        }
+      }
+
+      const householdInfo = { id: household.id, name: household.name };
+
+      await sequelize.transaction(async (transaction) => {
+        await Member.update(
+          { householdId: null, householdRole: null },
+          { where: { householdId: household.id }, transaction }
+        );
+        await household.destroy({ transaction });
+      });
+
+      logger.info(
+        `Household deleted: ${householdInfo.name} (${householdInfo.id}) by ${req.admin.name}`
+      );
+
+      const io = req.app.get("io");
+      io.to("admin-room").emit("household-deleted", {
+        household: householdInfo,
+        deletedBy: req.admin.name,
+        timestamp: new Date(),
+      });
+
+      res.json({
+        success: true,
+        message: "Household deleted successfully",
+      });
+    } catch (error) {
+      logger.error("Delete household error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to delete household",
+      });
+    }
+  }
+
+  // Attach a member to a household with a role
+  async addHouseholdMember(req, res) {
+    try {
+      // ✅ Get models from req.db
+      const { Household, Member } = req.db;
+
+      const household = await Household.findByPk(req.params.id, {
+        include: [householdMembersInclude(Member)],
+      });
+      if (!household || !(await isHouseholdInScope(req, household.id))) {
+        return res.status(404).json({
+          success: false,
+          message: "Household not found",
+        });
+      }
+
+      const { memberId, role } = req.body;
+
+      const member = await Member.findByPk(memberId);
+      if (!member || !(await isMemberInScope(req.db, req.admin, member.id))) {
+        return res.status(404).json({
+          success: false,
+          message: "Member not found",
+        });
+      }
+
+      if (member.householdId && member.householdId !== household.id) {
+        return res.status(400).json({
+          success: false,
+          message:
+            "Member already belongs to another household. Remove them from it first.",
+        });
+      }
+
+      const currentHead = household.getHead();
+      if (role === "head" && currentHead && currentHead.id !== member.id) {
+        return res.status(400).json({
+          success: false,
+          message: `${currentHead.name} is already the head of this household`,
+        });
+      }
+
+      await member.update({ householdId: household.id, householdRole: role });
+
+      logger.info(
+        `Member ${member.name} (${member.id}) added to household ${household.name} as ${role} by ${req.admin.name}`
+      );
+
+      const io = req.app.get("io");
+      io.to("admin-room").emit("household-updated", {
+        household: {
+          id: household.id,
+          name: household.name,
+        },
+        updatedBy: req.admin.name,
+        timestamp: new Date(),
+      });
+
+      res.json({
+        success: true,
+        message: "Member added to household successfully",
+        data: {
+          householdId: household.id,
+          memberId: member.id,
+          role,
+        },
+      });
+    } catch (error) {
+      logger.error("Add household member error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to add member to household",
+      });
+    }
+  }
+
+  // Detach a member from a household
+  async removeHouseholdMember(req, res) {
+    try {
+      // ✅ Get models from req.db
+      const { Member } = req.db;
+
+      const member = await Member.findOne({
+        where: { id: req.params.memberId, householdId: req.params.id },
+      });
+
+      if (!member || !(await isMemberInScope(req.db, req.admin, member.id))) {
+        return res.status(404).json({
+          success: false,
+          message: "Member not found in this household",
+        });
+      }
+
+      await member.update({ householdId: null, householdRole: null });
+
+      logger.info(
+        `Member ${member.name} (${member.id}) removed from household ${req.params.id} by ${req.admin.name}`
+      );
+
+      res.json({
+        success: true,
+        message: "Member removed from household successfully",
+      });
+    } catch (error) {
+      logger.error("Remove household member error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to remove member from household",
+      });
+    }
+  }
+}
+
+module.exports = new HouseholdsController();
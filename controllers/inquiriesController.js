@@ -0,0 +1,365 @@
+// controllers/inquiriesController.js - Admin inbox for contact inquiries from the church website
+const { Op } = require("sequelize");
+const emailService = require("../services/emailService");
+const logger = require("../utils/logger");
+
+class InquiriesController {
+  // Get inquiries with filtering and pagination
+  async getInquiries(req, res) {
+    try {
+      // ✅ Get models from req.db
+      const { Inquiry, Admin } = req.db;
+
+      const {
+        page = 1,
+        limit = 10,
+        search = "",
+        status = "all",
+        assignedTo,
+        startDate,
+        endDate,
+      } = req.query;
+
+      let whereClause = {};
+
+      if (search) {
+        whereClause[Op.or] = [
+          { name: { [Op.iLike]: `%${search}%` } },
+          { email: { [Op.iLike]: `%${search}%` } },
+          { subject: { [Op.iLike]: `%${search}%` } },
+        ];
+      }
+
+      if (status !== "all") {
+        whereClause.status = status;
+      }
+
+      if (assignedTo === "me") {
+        whereClause.assignedToId = req.admin.id;
+      } else if (assignedTo === "unassigned") {
+        whereClause.assignedToId = null;
+      } else if (assignedTo) {
+        whereClause.assignedToId = assignedTo;
+      }
+
+      if (startDate || endDate) {
+        whereClause.createdAt = {};
+        if (startDate) whereClause.createdAt[Op.gte] = new Date(startDate);
+        if (endDate) {
+          const end = new Date(endDate);
+          end.setHours(23, 59, 59, 999);
+          whereClause.createdAt[Op.lte] = end;
+        }
+      }
+
+      const offset = (parseInt(page) - 1) * parseInt(limit);
+
+      const { count, rows: inquiries } = await Inquiry.findAndCountAll({
+        where: whereClause,
+        limit: parseInt(limit),
+        offset: offset,
+        order: [["createdAt", "DESC"]],
+        include: [
+          {
+            model: Admin,
+            as: "assignedTo",
+            attributes: ["id", "name", "position"],
+          },
+        ],
+      });
+
+      const totalPages = Math.ceil(count / parseInt(limit));
+
+      res.json({
+        success: true,
+        message: "Inquiries retrieved successfully",
+        data: inquiries,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages,
+          totalRecords: count,
+          hasNextPage: parseInt(page) < totalPages,
+          hasPrevPage: parseInt(page) > 1,
+          limit: parseInt(limit),
+        },
+      });
+    } catch (error) {
+      logger.error("Get inquiries error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to retrieve inquiries",
+      });
+    }
+  }
+
+  // Get inbox counts by status
+  async getInquiryStats(req, res) {
+    try {
+      // ✅ Get models from req.db
+      const { Inquiry } = req.db;
+
+      const [byStatus, unassigned, mine] = await Promise.all([
+        Inquiry.getStatusCounts(),
+        Inquiry.count({ where: { status: "open", assignedToId: null } }),
+        Inquiry.count({
+          where: { status: "open", assignedToId: req.admin.id },
+        }),
+      ]);
+
+      res.json({
+        success: true,
+        message: "Inquiry statistics retrieved successfully",
+        data: {
+          total: Object.values(byStatus).reduce((sum, n) => sum + n, 0),
+          byStatus,
+          unassigned,
+          assignedToMe: mine,
+        },
+      });
+    } catch (error) {
+      logger.error("Get inquiry stats error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to retrieve inquiry statistics",
+      });
+    }
+  }
+
+  // Get inquiry by ID
+  async getInquiryById(req, res) {
+    try {
+      // ✅ Get models from req.db
+      const { Inquiry, Admin } = req.db;
+
+      const inquiry = await Inquiry.findByPk(req.params.id, {
+        include: [
+          {
+            model: Admin,
+            as: "assignedTo",
+            attributes: ["id", "name", "position"],
+          },
+        ],
+      });
+
+      if (!inquiry) {
+        return res.status(404).json({
+          success: false,
+          message: "Inquiry not found",
+        });
+      }
+
+      res.json({
+        success: true,
+        message: "Inquiry retrieved successfully",
+        data: inquiry,
+      });
+    } catch (error) {
+      logger.error("Get inquiry error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to retrieve inquiry",
+      });
+    }
+  }
+
+  // Assign inquiry to an admin
+  async assignInquiry(req, res) {
+    try {
+      // ✅ Get models from req.db
+      const { Inquiry, Admin, ActivityLog } = req.db;
+
+      const inquiry = await Inquiry.findByPk(req.params.id);
+      if (!inquiry) {
+        return res.status(404).json({
+          success: false,
+          message: "Inquiry not found",
+        });
+      }
+
+      const { assignedToId } = req.body;
+
+      let assignee = null;
+      if (assignedToId) {
+        assignee = await Admin.findByPk(assignedToId);
+        if (!assignee || !assignee.isActive) {
+          return res.status(400).json({
+            success: false,
+            message: "Assigned admin not found or inactive",
+          });
+        }
+      }
+
+      const before = inquiry.toJSON();
+      await inquiry.update({ assignedToId: assignee ? assignee.id : null });
+      if (req.activityLog) {
+        req.activityLog.changes = ActivityLog.buildChanges(before, inquiry);
+      }
+
+      logger.info(
+        `Inquiry ${inquiry.id} assigned to ${
+          assignee ? assignee.name : "nobody"
+        } by ${req.admin.name}`
+      );
+
+      // Emit real-time notification
+      const io = req.app.get("io");
+      io.to("admin-room").emit("inquiry-assigned", {
+        inquiry: {
+          id: inquiry.id,
+          subject: inquiry.subject,
+        },
+        assignedTo: assignee ? { id: assignee.id, name: assignee.name } : null,
+        assignedBy: req.admin.name,
+        timestamp: new Date(),
+      });
+
+      res.json({
+        success: true,
+        message: assignee
+          ? `Inquiry assigned to ${assignee.name}`
+          : "Inquiry unassigned",
+        data: inquiry,
+      });
+    } catch (error) {
+      logger.error("Assign inquiry error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to assign inquiry",
+      });
+    }
+  }
+
+  // Update inquiry status (open/replied/closed)
+  async updateInquiryStatus(req, res) {
+    try {
+      // ✅ Get models from req.db
+      const { Inquiry, ActivityLog } = req.db;
+
+      const inquiry = await Inquiry.findByPk(req.params.id);
+      if (!inquiry) {
+        return res.status(404).json({
+          success: false,
+          message: "Inquiry not found",
+        });
+      }
+
+      const { status } = req.body;
+
+      const before = inquiry.toJSON();
+      await inquiry.update({
+        status,
+        closedAt: status === "closed" ? new Date() : null,
+      });
+      if (req.activityLog) {
+        req.activityLog.changes = ActivityLog.buildChanges(before, inquiry);
+      }
+
+      logger.info(
+        `Inquiry ${inquiry.id} marked ${status} by ${req.admin.name}`
+      );
+
+      res.json({
+        success: true,
+        message: "Inquiry status updated successfully",
+        data: inquiry,
+      });
+    } catch (error) {
+      logger.error("Update inquiry status error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to update inquiry status",
+      });
+    }
+  }
+
+  // Reply to the sender by email and record the reply
+  async replyToInquiry(req, res) {
+    try {
+      // ✅ Get models from req.db
+      const { Inquiry } = req.db;
+
+      const inquiry = await Inquiry.findByPk(req.params.id);
+      if (!inquiry) {
+        return res.status(404).json({
+          success: false,
+          message: "Inquiry not found",
+        });
+      }
+
+      const { message } = req.body;
+
+      const emailResult = await emailService.sendInquiryReplyEmail(
+        inquiry,
+        message,
+        req.admin
+      );
+      if (!emailResult.success) {
+        return res.status(502).json({
+          success: false,
+          message: "Failed to send reply email",
+        });
+      }
+
+      // Whoever replies first takes ownership of an unassigned inquiry
+      if (!inquiry.assignedToId) {
+        inquiry.assignedToId = req.admin.id;
+      }
+      await inquiry.addReply(req.admin, message);
+
+      logger.info(
+        `Reply sent for inquiry ${inquiry.id} to ${inquiry.email} by ${req.admin.name}`
+      );
+
+      res.status(201).json({
+        success: true,
+        message: "Reply sent successfully",
+        data: inquiry,
+      });
+    } catch (error) {
+      logger.error("Reply to inquiry error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to send reply",
+      });
+    }
+  }
+
+  // Delete inquiry (e.g. spam)
+  async deleteInquiry(req, res) {
+    try {
+      // ✅ Get models from req.db
+      const { Inquiry } = req.db;
+
+      const inquiry = await Inquiry.findByPk(req.params.id);
+      if (!inquiry) {
+        return res.status(404).json({
+          success: false,
+          message: "Inquiry not found",
+        });
+      }
+
+      if (req.activityLog) {
+        req.activityLog.metadata = {
+          email: inquiry.email,
+          subject: inquiry.subject,
+        };
+      }
+      await inquiry.destroy();
+
+      logger.info(`Inquiry ${inquiry.id} deleted by ${req.admin.name}`);
+
+      res.json({
+        success: true,
+        message: "Inquiry deleted successfully",
+      });
+    } catch (error) {
+      logger.error("Delete inquiry error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to delete inquiry",
+      });
+    }
+  }
+}
+
+module.exports = new InquiriesController();
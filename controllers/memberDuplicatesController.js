@@ -0,0 +1,416 @@
+// controllers/memberDuplicatesController.js - Find and merge duplicate member records
+const { Op } = require("sequelize");
+const logger = require("../utils/logger");
+const { normalizePhoneNumber, stringSimilarity } = require("../utils/helpers");
+const { getDepartmentScope, memberScopeWhere } = require("../utils/departmentScope");
+const { combinePreferences } = require("../utils/communicationPreferences");
+
+// Points each signal contributes to a pair's score (total 100)
+const DUPLICATE_WEIGHTS = {
+  name: 40,
+  phone: 30,
+  dateOfBirth: 20,
+  address: 10,
+};
+
+const duplicateMemberAttributes = [
+  "id",
+  "name",
+  "email",
+  "phone",
+  "address",
+  "dateOfBirth",
+  "department",
+  "membershipDate",
+  "isActive",
+  "householdId",
+  "createdAt",
+];
+
+// Fields that can be taken from the duplicate when merging
+const MERGEABLE_FIELDS = [
+  "name",
+  "email",
+  "phone",
+  "address",
+  "dateOfBirth",
+  "gender",
+  "maritalStatus",
+  "occupation",
+  "department",
+  "emergencyContactName",
+  "emergencyContactPhone",
+  "emergencyContactRelationship",
+  "joinedThrough",
+  "baptismDate",
+  "avatar",
+  "household",
+];
+
+// Helper: score two members as possible duplicates; returns { score, reasons }
+const scoreMemberPair = (a, b) => {
+  const reasons = {};
+  let score = 0;
+
+  const nameSimilarity = stringSimilarity(a.name, b.name);
+  if (nameSimilarity >= 0.5) {
+    reasons.name = Math.round(nameSimilarity * 100) / 100;
+    score += DUPLICATE_WEIGHTS.name * nameSimilarity;
+  }
+
+  if (a.normalizedPhone && a.normalizedPhone === b.normalizedPhone) {
+    reasons.phone = true;
+    score += DUPLICATE_WEIGHTS.phone;
+  }
+
+  if (a.dateOfBirth && a.dateOfBirth === b.dateOfBirth) {
+    reasons.dateOfBirth = true;
+    score += DUPLICATE_WEIGHTS.dateOfBirth;
+  }
+
+  const addressSimilarity = stringSimilarity(a.address, b.address);
+  if (addressSimilarity >= 0.6) {
+    reasons.address = Math.round(addressSimilarity * 100) / 100;
+    score += DUPLICATE_WEIGHTS.address * addressSimilarity;
+  }
+
+  return { score: Math.round(score), reasons };
+};
+
+// Helper: keys that put members in the same comparison group
+// (only members sharing a phone, birth date or name word are compared)
+const duplicateBlockKeys = (member) => {
+  const keys = [];
+  if (member.normalizedPhone) keys.push(`phone:${member.normalizedPhone}`);
+  if (member.dateOfBirth) keys.push(`dob:${member.dateOfBirth}`);
+  String(member.name || "")
+    .toLowerCase()
+    .split(/[^a-z]+/)
+    .filter((word) => word.length >= 3)
+    .forEach((word) => keys.push(`name:${word}`));
+  return keys;
+};
+
+class MemberDuplicatesController {
+  // Find likely duplicate member pairs, highest score first
+  async getDuplicates(req, res) {
+    try {
+      // ✅ Get models from req.db
+      const { Member } = req.db;
+
+      const minScore = parseInt(req.query.minScore) || 60;
+      const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+      const includeInactive = req.query.includeInactive === "true";
+
+      // Department heads only compare their units' members
+      const scopeWhere = await memberScopeWhere(req.db, req.admin);
+      const members = await Member.findAll({
+        where: includeInactive ? scopeWhere : { ...scopeWhere, isActive: true },
+        attributes: duplicateMemberAttributes,
+        order: [["createdAt", "ASC"]],
+        raw: true,
+      });
+
+      members.forEach((member) => {
+        member.normalizedPhone = normalizePhoneNumber(member.phone);
+      });
+
+      const blocks = new Map();
+      members.forEach((member, index) => {
+        duplicateBlockKeys(member).forEach((key) => {
+          if (!blocks.has(key)) blocks.set(key, []);
+          blocks.get(key).push(index);
+        });
+      });
+
+      const compared = new Set();
+      const pairs = [];
+      blocks.forEach((indexes) => {
+        for (let i = 0; i < indexes.length; i++) {
+          for (let j = i + 1; j < indexes.length; j++) {
+            const pairKey = `${indexes[i]}:${indexes[j]}`;
+            if (compared.has(pairKey)) continue;
+            compared.add(pairKey);
+
+            const a = members[indexes[i]];
+            const b = members[indexes[j]];
+            const { score, reasons } = scoreMemberPair(a, b);
+            if (score >= minScore) {
+              // Older record first: it is the suggested primary
+              pairs.push({ score, reasons, members: [a, b] });
+            }
+          }
+        }
+      });
+
+      pairs.sort((x, y) => y.score - x.score);
+
+      res.json({
+        success: true,
+        data: {
+          pairs: pairs.slice(0, limit).map(({ score, reasons, members: pair }) => ({
+            score,
+            reasons,
+            members: pair.map(({ normalizedPhone, ...member }) => member),
+          })),
+          totalPairs: pairs.length,
+          minScore,
+        },
+      });
+    } catch (error) {
+      logger.error("Get duplicate members error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to find duplicate members",
+      });
+    }
+  }
+
+  // Merge a duplicate member into the primary record and delete the duplicate
+  async mergeMembers(req, res) {
+    try {
+      // ✅ Get models from req.db
+      const {
+        Member,
+        MemberAttendance,
+        Celebration,
+        Giving,
+        EventRegistration,
+        Visitor,
+        MemberDepartment,
+        Department,
+        BroadcastRecipient,
+        ActivityLog,
+        sequelize,
+      } = req.db;
+
+      // Merging moves giving, attendance and other church-wide records
+      if (getDepartmentScope(req.admin, "members")) {
+        return res.status(403).json({
+          success: false,
+          message: "Department-scoped admins cannot merge members",
+        });
+      }
+
+      const { primaryId, duplicateId, fields = [] } = req.body;
+
+      if (primaryId === duplicateId) {
+        return res.status(400).json({
+          success: false,
+          message: "Cannot merge a member into itself",
+        });
+      }
+
+      const [primary, duplicate] = await Promise.all([
+        Member.findByPk(primaryId),
+        Member.findByPk(duplicateId),
+      ]);
+      if (!primary || !duplicate) {
+        return res.status(404).json({
+          success: false,
+          message: "Member not found",
+        });
+      }
+
+      const before = primary.toJSON();
+      const duplicateInfo = duplicate.toJSON();
+
+      // Chosen fields come from the duplicate; other blanks are filled from it
+      const updates = {};
+      MERGEABLE_FIELDS.forEach((field) => {
+        if (field === "household") {
+          if (
+            duplicate.householdId &&
+            (fields.includes("household") || !primary.householdId)
+          ) {
+            updates.householdId = duplicate.householdId;
+            updates.householdRole = duplicate.householdRole;
+          }
+          return;
+        }
+
+        const value = duplicate[field];
+        if (value === null || value === undefined || value === "") return;
+        if (fields.includes(field) || (!primary[field] && field !== "email")) {
+          updates[field] = value;
+        }
+      });
+
+      if (duplicate.membershipDate < primary.membershipDate) {
+        updates.membershipDate = duplicate.membershipDate;
+      }
+      if (duplicate.lastVisit && (!primary.lastVisit || duplicate.lastVisit > primary.lastVisit)) {
+        updates.lastVisit = duplicate.lastVisit;
+      }
+      if (duplicate.isActive && !primary.isActive) {
+        updates.isActive = true;
+      }
+
+      // An unsubscribe made under either record still applies to the merged member
+      updates.notificationsOptOut = !!(primary.notificationsOptOut || duplicate.notificationsOptOut);
+      updates.communicationPreferences = combinePreferences(
+        primary.communicationPreferences,
+        duplicate.communicationPreferences
+      );
+
+      const mergeNote = `Merged with duplicate record ${duplicate.name} <${duplicate.email}>, ${duplicate.phone} on ${
+        new Date().toISOString().split("T")[0]
+      } by ${req.admin.name}`;
+      updates.notes = [primary.notes, duplicate.notes, mergeNote]
+        .filter(Boolean)
+        .join("\n\n");
+
+      const moved = await sequelize.transaction(async (transaction) => {
+        const counts = {};
+
+        // Both records checked in at the same service: keep one row, present if either was
+        const duplicateAttendances = await MemberAttendance.findAll({
+          where: { memberId: duplicate.id },
+          transaction,
+        });
+        const primaryAttendances = await MemberAttendance.findAll({
+          where: {
+            memberId: primary.id,
+            attendanceId: duplicateAttendances.map((record) => record.attendanceId),
+          },
+          transaction,
+        });
+        const primaryByAttendance = new Map(
+          primaryAttendances.map((record) => [record.attendanceId, record])
+        );
+
+        counts.attendances = 0;
+        for (const record of duplicateAttendances) {
+          const existing = primaryByAttendance.get(record.attendanceId);
+          if (existing) {
+            if (record.present && !existing.present) {
+              await existing.update(
+                { present: true, timeArrived: existing.timeArrived || record.timeArrived },
+                { transaction }
+              );
+            }
+            await record.destroy({ transaction });
+          } else {
+            await record.update({ memberId: primary.id }, { transaction });
+            counts.attendances++;
+          }
+        }
+
+        [counts.celebrations] = await Celebration.update(
+          { memberId: primary.id },
+          { where: { memberId: duplicate.id }, transaction }
+        );
+        [counts.givings] = await Giving.update(
+          { memberId: primary.id },
+          { where: { memberId: duplicate.id }, transaction }
+        );
+        [counts.eventRegistrations] = await EventRegistration.update(
+          { memberId: primary.id },
+          { where: { memberId: duplicate.id }, transaction }
+        );
+        // Department memberships the primary does not already have
+        const primaryDepartments = await MemberDepartment.findAll({
+          where: { memberId: primary.id },
+          attributes: ["departmentId"],
+          raw: true,
+          transaction,
+        });
+        const departmentIds = primaryDepartments.map((row) => row.departmentId);
+        [counts.departments] = await MemberDepartment.update(
+          { memberId: primary.id },
+          {
+            where: departmentIds.length
+              ? { memberId: duplicate.id, departmentId: { [Op.notIn]: departmentIds } }
+              : { memberId: duplicate.id },
+            transaction,
+          }
+        );
+        await MemberDepartment.destroy({ where: { memberId: duplicate.id }, transaction });
+
+        // Leader/assistant links are SET NULL on delete, so move them before the duplicate goes
+        [counts.departmentLeaderships] = await Department.update(
+          { leaderId: primary.id },
+          { where: { leaderId: duplicate.id }, transaction }
+        );
+        [counts.departmentAssistantships] = await Department.update(
+          { assistantId: primary.id },
+          { where: { assistantId: duplicate.id }, transaction }
+        );
+
+        // Broadcast history; a broadcast both records received keeps the duplicate's row
+        // (name and email are copied on it) without a member link, as a delete would
+        const primaryBroadcasts = await BroadcastRecipient.findAll({
+          where: { memberId: primary.id },
+          attributes: ["broadcastId"],
+          raw: true,
+          transaction,
+        });
+        const broadcastIds = primaryBroadcasts.map((row) => row.broadcastId);
+        [counts.broadcastDeliveries] = await BroadcastRecipient.update(
+          { memberId: primary.id },
+          {
+            where: broadcastIds.length
+              ? { memberId: duplicate.id, broadcastId: { [Op.notIn]: broadcastIds } }
+              : { memberId: duplicate.id },
+            transaction,
+          }
+        );
+        await BroadcastRecipient.update(
+          { memberId: null },
+          { where: { memberId: duplicate.id }, transaction }
+        );
+
+        [counts.visitors] = await Visitor.update(
+          { convertedMemberId: primary.id },
+          { where: { convertedMemberId: duplicate.id }, transaction }
+        );
+
+        // Unique email/check-in code must be released before the primary can take them
+        if (!primary.checkInCode && duplicate.checkInCode) {
+          updates.checkInCode = duplicate.checkInCode;
+        }
+        await duplicate.destroy({ transaction });
+        await primary.update(updates, { transaction });
+
+        return counts;
+      });
+
+      if (req.activityLog) {
+        req.activityLog.entityId = primary.id;
+        req.activityLog.changes = ActivityLog.buildChanges(before, primary);
+        req.activityLog.metadata = { duplicate: duplicateInfo, moved };
+      }
+
+      logger.info(
+        `Member merged: ${duplicateInfo.name} (${duplicateInfo.id}) into ${primary.name} (${primary.id}) by ${req.admin.name}`
+      );
+
+      const io = req.app.get("io");
+      io.to("admin-room").emit("members-merged", {
+        member: { id: primary.id, name: primary.name, email: primary.email },
+        mergedMemberId: duplicateInfo.id,
+        mergedBy: req.admin.name,
+        timestamp: new Date(),
+      });
+
+      res.json({
+        success: true,
+        message: "Members merged successfully",
+        data: {
+          member: primary,
+          mergedMemberId: duplicateInfo.id,
+          moved,
+        },
+      });
+    } catch (error) {
+      logger.error("Merge members error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to merge members",
+      });
+    }
+  }
+}
+
+module.exports = new MemberDuplicatesController();
+module.exports.MERGEABLE_FIELDS = MERGEABLE_FIELDS;
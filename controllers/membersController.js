@@ -1,6 +1,459 @@
 // controllers/membersController.js - FIXED: No direct model imports
 const { Op } = require("sequelize");
+const QRCode = require("qrcode");
 const logger = require("../utils/logger");
+const { isValidEmail, isValidNigerianPhone } = require("../utils/helpers");
+const { parseSpreadsheet } = require("../utils/spreadsheet");
+const {
+  normalizePreferences,
+  mergePreferences,
+} = require("../utils/communicationPreferences");
+const {
+  getDepartmentScope,
+  memberScopeWhere,
+  isMemberInScope,
+  withScope,
+} = require("../utils/departmentScope");
+
+// Helper: check that every department id exists, returns an error message or null
+const validateDepartmentIds = async (Department, departmentIds) => {
+  if (!Array.isArray(departmentIds) || departmentIds.length === 0) return null;
+
+  const count = await Department.count({ where: { id: departmentIds } });
+  return count === new Set(departmentIds).size
+    ? null
+    : "One or more departments were not found";
+};
+
+// Helper: link a member to departments and keep the member's department label in step
+// departmentIds replaces the member's units; a free-text department name is resolved
+// (or created) case-insensitively so "Choir" and "choir " end up in the same unit
+const syncMemberDepartments = async (
+  { Department, MemberDepartment },
+  member,
+  { departmentIds, department },
+  transaction
+) => {
+  let label;
+
+  if (Array.isArray(departmentIds)) {
+    await MemberDepartment.destroy({
+      where: departmentIds.length
+        ? { memberId: member.id, departmentId: { [Op.notIn]: departmentIds } }
+        : { memberId: member.id },
+      transaction,
+    });
+    await MemberDepartment.bulkCreate(
+      departmentIds.map((departmentId) => ({ memberId: member.id, departmentId })),
+      { ignoreDuplicates: true, transaction }
+    );
+
+    const first = departmentIds.length
+      ? await Department.findByPk(departmentIds[0], { transaction })
+      : null;
+    label = first ? first.name : null;
+  } else if (department && Department.normalizeName(department)) {
+    const unit = await Department.findOrCreateByName(department, { transaction });
+    await MemberDepartment.bulkCreate(
+      [{ memberId: member.id, departmentId: unit.id }],
+      { ignoreDuplicates: true, transaction }
+    );
+    label = unit.name;
+  } else {
+    return;
+  }
+
+  if (member.department !== label) {
+    await member.update({ department: label }, { transaction });
+  }
+};
+
+// Helper: ids of members serving in a department (by id, or by name for older clients)
+const getDepartmentMemberIds = async ({ Department, MemberDepartment }, department) => {
+  const unit = /^[0-9a-f-]{36}$/i.test(department)
+    ? await Department.findByPk(department)
+    : await Department.findByName(department);
+  if (!unit) return [];
+
+  const memberships = await MemberDepartment.findAll({
+    where: { departmentId: unit.id },
+    attributes: ["memberId"],
+    raw: true,
+  });
+  return memberships.map((membership) => membership.memberId);
+};
+
+// Helper: find a member the admin may manage (department heads only reach their units' members)
+const findScopedMember = async (req, id, options = {}) => {
+  const member = await req.db.Member.findByPk(id, options);
+  if (!member) return null;
+  return (await isMemberInScope(req.db, req.admin, member.id)) ? member : null;
+};
+
+// Helper: department heads may only assign their own units; a member's other
+// units are kept when they edit them. Returns { departmentIds } or { error }
+const scopeDepartmentIds = async ({ MemberDepartment }, admin, member, departmentIds) => {
+  const scope = getDepartmentScope(admin, "members");
+  if (!scope || !Array.isArray(departmentIds)) return { departmentIds };
+
+  if (departmentIds.some((departmentId) => !scope.includes(departmentId))) {
+    return { error: "You can only assign members to your own departments" };
+  }
+
+  const otherUnits = await MemberDepartment.findAll({
+    where: { memberId: member.id, departmentId: { [Op.notIn]: scope } },
+    attributes: ["departmentId"],
+    raw: true,
+  });
+  return {
+    departmentIds: [
+      ...departmentIds,
+      ...otherUnits.map((membership) => membership.departmentId),
+    ],
+  };
+};
+
+// Helper: create a member record and notify admins
+// Shared by createMember and visitor conversion; returns { member } or { error }
+const createMemberRecord = async (req, data, options = {}) => {
+  // ✅ Get models from req.db
+  const { Member, Department } = req.db;
+
+  const {
+    name,
+    email,
+    phone,
+    address,
+    dateOfBirth,
+    gender,
+    maritalStatus,
+    occupation,
+    department,
+    departmentIds,
+    membershipDate,
+    emergencyContact,
+    joinedThrough,
+    notificationChannel,
+    notificationsOptOut,
+    communicationPreferences,
+  } = data;
+
+  // Check if email already exists
+  const existingMember = await Member.findOne({
+    where: { email },
+    transaction: options.transaction,
+  });
+  if (existingMember) {
+    return { error: "A member with this email already exists" };
+  }
+
+  const departmentError = await validateDepartmentIds(Department, departmentIds);
+  if (departmentError) {
+    return { error: departmentError };
+  }
+
+  // Department heads can only add members to their own units
+  const scope = getDepartmentScope(req.admin, "members");
+  if (
+    scope &&
+    (!Array.isArray(departmentIds) ||
+      departmentIds.length === 0 ||
+      departmentIds.some((departmentId) => !scope.includes(departmentId)))
+  ) {
+    return { error: "Members you add must belong to one of your departments" };
+  }
+
+  // Create new member
+  const newMember = await Member.create(
+    {
+      name,
+      email,
+      phone,
+      address,
+      dateOfBirth,
+      gender,
+      maritalStatus,
+      occupation,
+      department,
+      membershipDate,
+      emergencyContactName: emergencyContact?.name,
+      emergencyContactPhone: emergencyContact?.phone,
+      emergencyContactRelationship: emergencyContact?.relationship,
+      joinedThrough,
+      notificationChannel,
+      notificationsOptOut,
+      communicationPreferences: normalizePreferences(communicationPreferences),
+      isActive: true,
+    },
+    { transaction: options.transaction }
+  );
+
+  await syncMemberDepartments(
+    req.db,
+    newMember,
+    { departmentIds, department },
+    options.transaction
+  );
+
+  logger.info(
+    `New member created: ${newMember.name} (${newMember.id}) by ${req.admin.name}`
+  );
+
+  // Emit real-time notification, once the caller's transaction (if any) has committed
+  const notifyAdmins = () => {
+    const io = req.app.get("io");
+    io.to("admin-room").emit("member-created", {
+      member: {
+        id: newMember.id,
+        name: newMember.name,
+        email: newMember.email,
+      },
+      createdBy: req.admin.name,
+      timestamp: new Date(),
+    });
+  };
+  if (options.transaction) {
+    options.transaction.afterCommit(notifyAdmins);
+  } else {
+    notifyAdmins();
+  }
+
+  return { member: newMember };
+};
+
+// Member import: accepted spreadsheet headers per Member field
+// (headers are compared lowercased with spaces and punctuation removed)
+const IMPORT_COLUMNS = {
+  name: ["name", "fullname", "membername"],
+  email: ["email", "emailaddress"],
+  phone: ["phone", "phonenumber", "mobile", "mobilenumber", "telephone"],
+  address: ["address", "homeaddress"],
+  dateOfBirth: ["dateofbirth", "dob", "birthday", "birthdate"],
+  gender: ["gender", "sex"],
+  maritalStatus: ["maritalstatus"],
+  occupation: ["occupation", "profession"],
+  department: ["department", "unit"],
+  membershipDate: ["membershipdate", "datejoined", "joineddate", "joined"],
+  isActive: ["status", "active"],
+  emergencyContactName: ["emergencycontact", "emergencycontactname"],
+  emergencyContactPhone: ["emergencyphone", "emergencycontactphone"],
+  emergencyContactRelationship: [
+    "emergencyrelationship",
+    "emergencycontactrelationship",
+  ],
+  joinedThrough: ["joinedthrough", "howjoined"],
+  baptismDate: ["baptismdate", "datebaptised", "datebaptized"],
+  notes: ["notes", "comments", "remarks"],
+};
+
+const IMPORT_GENDERS = ["Male", "Female"];
+const IMPORT_MARITAL_STATUSES = ["Single", "Married", "Divorced", "Widowed"];
+const MAX_IMPORT_ROWS = 2000;
+
+// Helper: map spreadsheet headers to Member fields
+const mapImportColumns = (headers) => {
+  const mapping = {};
+  const ignored = [];
+
+  headers.forEach((header) => {
+    const key = header.toLowerCase().replace(/[^a-z0-9]/g, "");
+    const field = Object.keys(IMPORT_COLUMNS).find((name) =>
+      IMPORT_COLUMNS[name].includes(key)
+    );
+
+    if (field && !Object.values(mapping).includes(field)) {
+      mapping[header] = field;
+    } else {
+      ignored.push(header);
+    }
+  });
+
+  return { mapping, ignored };
+};
+
+// Helper: accept YYYY-MM-DD, DD/MM/YYYY or spreadsheet dates; returns YYYY-MM-DD, "" or null if invalid
+const parseImportDate = (value) => {
+  if (value instanceof Date) {
+    return isNaN(value) ? null : value.toISOString().split("T")[0];
+  }
+  if (!value) return "";
+
+  let match = value.match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/);
+  let [year, month, day] = match ? match.slice(1) : [];
+  if (!match) {
+    match = value.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})$/);
+    if (!match) return null;
+    [day, month, year] = match.slice(1);
+  }
+
+  const date = new Date(Date.UTC(year, month - 1, day));
+  if (date.getUTCMonth() !== month - 1 || date.getUTCDate() !== parseInt(day)) {
+    return null;
+  }
+  return date.toISOString().split("T")[0];
+};
+
+// Helper: case-insensitive match against an ENUM's values ("m"/"f" allowed for gender)
+const matchImportOption = (value, options) => {
+  const lower = value.toLowerCase();
+  return options.find(
+    (option) => option.toLowerCase() === lower || option[0].toLowerCase() === lower
+  );
+};
+
+// Helper: apply createMember's rules to one row; returns { data, errors }
+const validateImportRow = (values, mapping) => {
+  const raw = {};
+  Object.entries(mapping).forEach(([header, field]) => {
+    raw[field] = values[header];
+  });
+
+  const data = {};
+  const errors = [];
+  const text = (field) =>
+    raw[field] instanceof Date
+      ? raw[field].toISOString().split("T")[0]
+      : String(raw[field] ?? "").trim();
+
+  data.name = text("name");
+  if (data.name.length < 2 || data.name.length > 100) {
+    errors.push({ field: "name", message: "Name must be between 2 and 100 characters" });
+  }
+
+  data.email = text("email").toLowerCase();
+  if (!isValidEmail(data.email)) {
+    errors.push({ field: "email", message: "Please provide a valid email address" });
+  }
+
+  data.phone = text("phone");
+  if (!data.phone) {
+    errors.push({ field: "phone", message: "Phone number is required" });
+  } else if (!isValidNigerianPhone(data.phone)) {
+    errors.push({ field: "phone", message: "Please provide a valid Nigerian phone number" });
+  }
+
+  ["membershipDate", "dateOfBirth", "baptismDate"].forEach((field) => {
+    const date = parseImportDate(raw[field] instanceof Date ? raw[field] : text(field));
+    if (date === null) {
+      errors.push({ field, message: `${field} must be a valid date (YYYY-MM-DD or DD/MM/YYYY)` });
+    } else if (date) {
+      data[field] = date;
+    }
+  });
+  if (!data.membershipDate && !errors.some((error) => error.field === "membershipDate")) {
+    errors.push({ field: "membershipDate", message: "Please provide a valid membership date" });
+  }
+
+  if (text("gender")) {
+    data.gender = matchImportOption(text("gender"), IMPORT_GENDERS);
+    if (!data.gender) {
+      errors.push({ field: "gender", message: `Gender must be one of: ${IMPORT_GENDERS.join(", ")}` });
+    }
+  }
+
+  if (text("maritalStatus")) {
+    data.maritalStatus = IMPORT_MARITAL_STATUSES.find(
+      (status) => status.toLowerCase() === text("maritalStatus").toLowerCase()
+    );
+    if (!data.maritalStatus) {
+      errors.push({
+        field: "maritalStatus",
+        message: `Marital status must be one of: ${IMPORT_MARITAL_STATUSES.join(", ")}`,
+      });
+    }
+  }
+
+  if (text("department") && (text("department").length < 2 || text("department").length > 100)) {
+    errors.push({ field: "department", message: "Department must be between 2 and 100 characters" });
+  }
+
+  const status = text("isActive").toLowerCase();
+  data.isActive = !["inactive", "false", "no", "0"].includes(status);
+
+  [
+    "address",
+    "occupation",
+    "department",
+    "emergencyContactName",
+    "emergencyContactPhone",
+    "emergencyContactRelationship",
+    "joinedThrough",
+    "notes",
+  ].forEach((field) => {
+    if (text(field)) data[field] = text(field);
+  });
+
+  return { data, errors };
+};
+
+// Helper: parse and validate an uploaded member spreadsheet without saving anything
+// Returns { error } or { columns, rows, summary }
+const buildMemberImport = async (Member, file) => {
+  let parsed;
+  try {
+    parsed = await parseSpreadsheet(file.buffer, file.originalname);
+  } catch (error) {
+    return { error: `Could not read file: ${error.message}` };
+  }
+
+  const { mapping, ignored } = mapImportColumns(parsed.headers);
+  const missing = ["name", "email", "phone", "membershipDate"].filter(
+    (field) => !Object.values(mapping).includes(field)
+  );
+  if (missing.length > 0) {
+    return { error: `Missing required column(s): ${missing.join(", ")}` };
+  }
+  if (parsed.rows.length === 0) {
+    return { error: "The file has no member rows" };
+  }
+  if (parsed.rows.length > MAX_IMPORT_ROWS) {
+    return { error: `A single import is limited to ${MAX_IMPORT_ROWS} rows` };
+  }
+
+  const rows = parsed.rows.map(({ rowNumber, values }) => ({
+    row: rowNumber,
+    ...validateImportRow(values, mapping),
+  }));
+
+  // Email uniqueness: against existing members and earlier rows in the same file
+  const emails = rows.map(({ data }) => data.email).filter(Boolean);
+  const existing = await Member.findAll({
+    where: { email: { [Op.in]: emails } },
+    attributes: ["email"],
+    raw: true,
+  });
+  const takenEmails = new Set(existing.map((member) => member.email.toLowerCase()));
+  const seenEmails = new Map();
+
+  rows.forEach(({ row, data, errors }) => {
+    if (!data.email) return;
+    if (takenEmails.has(data.email)) {
+      errors.push({ field: "email", message: "A member with this email already exists" });
+    } else if (seenEmails.has(data.email)) {
+      errors.push({
+        field: "email",
+        message: `Duplicate email (same as row ${seenEmails.get(data.email)})`,
+      });
+    } else {
+      seenEmails.set(data.email, row);
+    }
+  });
+
+  rows.forEach((row) => {
+    row.valid = row.errors.length === 0;
+  });
+
+  const validRows = rows.filter((row) => row.valid).length;
+  return {
+    columns: { mapped: mapping, ignored },
+    rows,
+    summary: {
+      totalRows: rows.length,
+      validRows,
+      invalidRows: rows.length - validRows,
+    },
+  };
+};
 
 class MembersController {
   // Get all members with filtering and pagination
@@ -36,17 +489,20 @@ class MembersController {
         whereClause.isActive = status === "active";
       }
 
-      // Department filter
+      // Department filter (members serving in the unit)
       if (department !== "all") {
-        whereClause.department = department;
+        whereClause.id = await getDepartmentMemberIds(req.db, department);
       }
 
+      // Department heads only see their units' members
+      const scopeWhere = await memberScopeWhere(req.db, req.admin);
+
       // Calculate pagination
       const offset = (parseInt(page) - 1) * parseInt(limit);
 
       // Fetch members
       const { count, rows: members } = await Member.findAndCountAll({
-        where: whereClause,
+        where: withScope(whereClause, scopeWhere),
         limit: parseInt(limit),
         offset: offset,
         order: [[sortBy, sortOrder.toUpperCase()]],
@@ -86,13 +542,14 @@ class MembersController {
       // ✅ Get models from req.db
       const { Member } = req.db;
 
+      const scopeWhere = await memberScopeWhere(req.db, req.admin);
       const [
         totalMembers,
         activeMembers,
         inactiveMembers,
         departmentStats,
         genderStats,
-      ] = await Member.getStatistics();
+      ] = await Member.getStatistics(scopeWhere);
 
       // Get recent joins (last 30 days)
       const thirtyDaysAgo = new Date();
@@ -100,6 +557,7 @@ class MembersController {
 
       const recentJoins = await Member.findAll({
         where: {
+          ...scopeWhere,
           membershipDate: {
             [Op.gte]: thirtyDaysAgo,
           },
@@ -133,25 +591,18 @@ class MembersController {
   async getDepartments(req, res) {
     try {
       // ✅ Get models from req.db
-      const { Member } = req.db;
+      const { Department } = req.db;
 
-      const departments = await Member.findAll({
-        attributes: ["department"],
-        where: {
-          department: { [Op.not]: null },
-          isActive: true,
-        },
-        group: ["department"],
-        order: [["department", "ASC"]],
+      const scope = getDepartmentScope(req.admin, "members");
+      const departments = await Department.findAll({
+        attributes: ["id", "name"],
+        where: scope ? { id: scope, isActive: true } : { isActive: true },
+        order: [["name", "ASC"]],
       });
 
-      const departmentList = departments
-        .map((d) => d.department)
-        .filter(Boolean);
-
       res.json({
         success: true,
-        data: departmentList,
+        data: departments,
       });
     } catch (error) {
       logger.error("Get departments error:", error);
@@ -169,7 +620,10 @@ class MembersController {
       const { Member } = req.db;
 
       const { q: searchTerm } = req.query;
-      const members = await Member.searchMembers(searchTerm);
+      const members = await Member.searchMembers(
+        searchTerm,
+        await memberScopeWhere(req.db, req.admin)
+      );
 
       res.json({
         success: true,
@@ -188,15 +642,26 @@ class MembersController {
   // Get member by ID
   async getMemberById(req, res) {
     try {
-      // ✅ Get models from req.db
-      const { Member } = req.db;
-
-      const member = await Member.findByPk(req.params.id, {
+      const member = await findScopedMember(req, req.params.id, {
         include: [
           {
             association: "celebrations",
             attributes: ["id", "type", "status", "celebrationDate"],
           },
+          {
+            association: "departments",
+            attributes: ["id", "name"],
+            through: { attributes: ["role", "joinedAt"] },
+          },
+          {
+            association: "household",
+            include: [
+              {
+                association: "members",
+                attributes: ["id", "name", "householdRole"],
+              },
+            ],
+          },
         ],
       });
 
@@ -221,69 +686,68 @@ class MembersController {
     }
   }
 
+  // Get member check-in code and QR image for attendance check-in
+  async getMemberCheckInCode(req, res) {
+    try {
+      const member = await findScopedMember(req, req.params.id);
+      if (!member) {
+        return res.status(404).json({
+          success: false,
+          message: "Member not found",
+        });
+      }
+
+      const code = await member.ensureCheckInCode();
+
+      if (req.query.format === "png") {
+        const image = await QRCode.toBuffer(code, { width: 300, margin: 2 });
+        res.setHeader("Content-Type", "image/png");
+        res.setHeader(
+          "Content-Disposition",
+          `inline; filename="check-in-${code}.png"`
+        );
+        return res.send(image);
+      }
+
+      const qrCode = await QRCode.toDataURL(code, { width: 300, margin: 2 });
+
+      res.json({
+        success: true,
+        message: "Check-in code retrieved successfully",
+        data: {
+          memberId: member.id,
+          name: member.name,
+          code,
+          qrCode,
+        },
+      });
+    } catch (error) {
+      logger.error("Get member check-in code error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to retrieve check-in code",
+      });
+    }
+  }
+
   // Create new member
   async createMember(req, res) {
     try {
       // ✅ Get models from req.db
-      const { Member } = req.db;
+      const { sequelize } = req.db;
 
-      const {
-        name,
-        email,
-        phone,
-        address,
-        dateOfBirth,
-        gender,
-        maritalStatus,
-        occupation,
-        department,
-        membershipDate,
-        emergencyContact,
-      } = req.body;
+      // One transaction so a failed department sync does not leave the member behind
+      const { member: newMember, error } = await sequelize.transaction(
+        (transaction) => createMemberRecord(req, req.body, { transaction })
+      );
 
-      // Check if email already exists
-      const existingMember = await Member.findOne({ where: { email } });
-      if (existingMember) {
+      if (error) {
         return res.status(400).json({
           success: false,
-          message: "A member with this email already exists",
+          message: error,
         });
       }
 
-      // Create new member
-      const newMember = await Member.create({
-        name,
-        email,
-        phone,
-        address,
-        dateOfBirth,
-        gender,
-        maritalStatus,
-        occupation,
-        department,
-        membershipDate,
-        emergencyContactName: emergencyContact?.name,
-        emergencyContactPhone: emergencyContact?.phone,
-        emergencyContactRelationship: emergencyContact?.relationship,
-        isActive: true,
-      });
-
-      logger.info(
-        `New member created: ${newMember.name} (${newMember.id}) by ${req.admin.name}`
-      );
-
-      // Emit real-time notification
-      const io = req.app.get("io");
-      io.to("admin-room").emit("member-created", {
-        member: {
-          id: newMember.id,
-          name: newMember.name,
-          email: newMember.email,
-        },
-        createdBy: req.admin.name,
-        timestamp: new Date(),
-      });
-
       res.status(201).json({
         success: true,
         message: "Member created successfully",
@@ -310,9 +774,9 @@ class MembersController {
   async updateMember(req, res) {
     try {
       // ✅ Get models from req.db
-      const { Member } = req.db;
+      const { Member, Department, ActivityLog, sequelize } = req.db;
 
-      const member = await Member.findByPk(req.params.id);
+      const member = await findScopedMember(req, req.params.id);
       if (!member) {
         return res.status(404).json({
           success: false,
@@ -329,12 +793,31 @@ class MembersController {
         gender,
         maritalStatus,
         occupation,
-        department,
         membershipDate,
         isActive,
         emergencyContact,
+        notificationChannel,
+        notificationsOptOut,
+        communicationPreferences,
       } = req.body;
 
+      // Department heads assign units by id only, and cannot create new ones by name
+      const scope = getDepartmentScope(req.admin, "members");
+      const department = scope ? undefined : req.body.department;
+      const scopedDepartments = await scopeDepartmentIds(
+        req.db,
+        req.admin,
+        member,
+        req.body.departmentIds
+      );
+      if (scopedDepartments.error) {
+        return res.status(403).json({
+          success: false,
+          message: scopedDepartments.error,
+        });
+      }
+      const { departmentIds } = scopedDepartments;
+
       // Check if email is being changed and if it already exists
       if (email !== member.email) {
         const existingMember = await Member.findOne({
@@ -352,23 +835,57 @@ class MembersController {
         }
       }
 
+      const departmentError = await validateDepartmentIds(
+        Department,
+        departmentIds
+      );
+      if (departmentError) {
+        return res.status(400).json({
+          success: false,
+          message: departmentError,
+        });
+      }
+
       // Update member
-      await member.update({
-        name,
-        email,
-        phone,
-        address,
-        dateOfBirth,
-        gender,
-        maritalStatus,
-        occupation,
-        department,
-        membershipDate,
-        isActive,
-        emergencyContactName: emergencyContact?.name,
-        emergencyContactPhone: emergencyContact?.phone,
-        emergencyContactRelationship: emergencyContact?.relationship,
+      const before = member.toJSON();
+      await sequelize.transaction(async (transaction) => {
+        await member.update(
+          {
+            name,
+            email,
+            phone,
+            address,
+            dateOfBirth,
+            gender,
+            maritalStatus,
+            occupation,
+            department,
+            membershipDate,
+            isActive,
+            emergencyContactName: emergencyContact?.name,
+            emergencyContactPhone: emergencyContact?.phone,
+            emergencyContactRelationship: emergencyContact?.relationship,
+            notificationChannel,
+            notificationsOptOut,
+            communicationPreferences: communicationPreferences
+              ? mergePreferences(
+                  member.communicationPreferences,
+                  communicationPreferences
+                )
+              : undefined,
+          },
+          { transaction }
+        );
+        await syncMemberDepartments(
+          req.db,
+          member,
+          { departmentIds, department },
+          transaction
+        );
       });
+      if (req.activityLog) {
+        req.activityLog.changes = ActivityLog.buildChanges(before, member);
+      }
 
       logger.info(
         `Member updated: ${member.name} (${member.id}) by ${req.admin.name}`
@@ -404,9 +921,9 @@ class MembersController {
   async updateMemberStatus(req, res) {
     try {
       // ✅ Get models from req.db
-      const { Member } = req.db;
+      const { ActivityLog } = req.db;
 
-      const member = await Member.findByPk(req.params.id);
+      const member = await findScopedMember(req, req.params.id);
       if (!member) {
         return res.status(404).json({
           success: false,
@@ -415,7 +932,11 @@ class MembersController {
       }
 
       const { isActive } = req.body;
+      const before = member.toJSON();
       await member.update({ isActive });
+      if (req.activityLog) {
+        req.activityLog.changes = ActivityLog.buildChanges(before, member);
+      }
 
       logger.info(
         `Member status updated: ${member.name} (${member.id}) - ${
@@ -453,9 +974,9 @@ class MembersController {
   async deleteMember(req, res) {
     try {
       // ✅ Get models from req.db
-      const { Member } = req.db;
+      const { ActivityLog } = req.db;
 
-      const member = await Member.findByPk(req.params.id);
+      const member = await findScopedMember(req, req.params.id);
       if (!member) {
         return res.status(404).json({
           success: false,
@@ -464,7 +985,11 @@ class MembersController {
       }
 
       // Soft delete by setting inactive
+      const before = member.toJSON();
       await member.update({ isActive: false });
+      if (req.activityLog) {
+        req.activityLog.changes = ActivityLog.buildChanges(before, member);
+      }
 
       logger.info(
         `Member soft deleted: ${member.name} (${member.id}) by ${req.admin.name}`
@@ -500,7 +1025,12 @@ class MembersController {
       // ✅ Get models from req.db
       const { Member } = req.db;
 
-      const { format = "csv", status = "all", department = "all" } = req.query;
+      const {
+        format = "csv",
+        status = "all",
+        department = "all",
+        groupBy,
+      } = req.query;
 
       // Build where clause
       let whereClause = {};
@@ -508,18 +1038,82 @@ class MembersController {
         whereClause.isActive = status === "active";
       }
       if (department !== "all") {
-        whereClause.department = department;
+        whereClause.id = await getDepartmentMemberIds(req.db, department);
       }
 
       const members = await Member.findAll({
-        where: whereClause,
+        where: withScope(whereClause, await memberScopeWhere(req.db, req.admin)),
         order: [["name", "ASC"]],
+        include: [
+          {
+            association: "household",
+            include: [
+              {
+                association: "members",
+                attributes: ["id", "name", "email", "phone", "householdRole"],
+              },
+            ],
+          },
+        ],
       });
 
-      if (format === "csv") {
+      if (format === "csv" && groupBy === "household") {
+        // One row per family (members without a household get their own row)
+        const rows = [];
+        const seenHouseholds = new Set();
+
+        members.forEach((member) => {
+          const household = member.household;
+          if (!household) {
+            rows.push([
+              `"${member.name}"`,
+              "",
+              `"${member.name}"`,
+              `"${member.address || ""}"`,
+              `"${member.email}"`,
+              `"${member.phone}"`,
+              1,
+              `"${member.name}"`,
+            ]);
+            return;
+          }
+
+          if (seenHouseholds.has(household.id)) return;
+          seenHouseholds.add(household.id);
+
+          const head = household.getHead();
+          const contact = head || member;
+          rows.push([
+            `"${household.getMailingName()}"`,
+            `"${household.name}"`,
+            `"${head ? head.name : ""}"`,
+            `"${[household.address, household.city, household.state]
+              .filter(Boolean)
+              .join(", ")}"`,
+            `"${contact.email || ""}"`,
+            `"${household.phone || contact.phone || ""}"`,
+            household.members.length,
+            `"${household.members.map((m) => m.name).join("; ")}"`,
+          ]);
+        });
+
+        const csvHeaders =
+          "Mailing Name,Household,Head of Household,Address,Email,Phone,Member Count,Members\n";
+        const fullCsv =
+          csvHeaders + rows.map((row) => row.join(",")).join("\n");
+
+        res.setHeader("Content-Type", "text/csv");
+        res.setHeader(
+          "Content-Disposition",
+          `attachment; filename="households_export_${
+            new Date().toISOString().split("T")[0]
+          }.csv"`
+        );
+        res.send(fullCsv);
+      } else if (format === "csv") {
         // Generate CSV content
         const csvHeaders =
-          "Name,Email,Phone,Department,Status,Membership Date,Date of Birth,Gender,Marital Status,Occupation,Address\n";
+          "Name,Email,Phone,Department,Household,Household Role,Status,Membership Date,Date of Birth,Gender,Marital Status,Occupation,Address\n";
         const csvContent = members
           .map((member) =>
             [
@@ -527,6 +1121,8 @@ class MembersController {
               `"${member.email}"`,
               `"${member.phone}"`,
               `"${member.department || ""}"`,
+              `"${member.household ? member.household.name : ""}"`,
+              member.householdRole || "",
               member.isActive ? "Active" : "Inactive",
               member.membershipDate || "",
               member.dateOfBirth || "",
@@ -563,6 +1159,150 @@ class MembersController {
       });
     }
   }
+
+  // Preview a CSV/XLSX member import (dry run, nothing is saved)
+  async previewMemberImport(req, res) {
+    try {
+      // ✅ Get models from req.db
+      const { Member } = req.db;
+
+      if (getDepartmentScope(req.admin, "members")) {
+        return res.status(403).json({
+          success: false,
+          message: "Department-scoped admins cannot import members",
+        });
+      }
+
+      if (!req.file) {
+        return res.status(400).json({
+          success: false,
+          message: "Please upload a CSV or XLSX file",
+        });
+      }
+
+      const result = await buildMemberImport(Member, req.file);
+      if (result.error) {
+        return res.status(400).json({
+          success: false,
+          message: result.error,
+        });
+      }
+
+      res.json({
+        success: true,
+        message: `${result.summary.validRows} of ${result.summary.totalRows} rows are ready to import`,
+        data: result,
+      });
+    } catch (error) {
+      logger.error("Preview member import error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to preview member import",
+      });
+    }
+  }
+
+  // Import valid rows from a CSV/XLSX file in one transaction
+  async importMembers(req, res) {
+    try {
+      // ✅ Get models from req.db
+      const { Member, sequelize } = req.db;
+
+      if (getDepartmentScope(req.admin, "members")) {
+        return res.status(403).json({
+          success: false,
+          message: "Department-scoped admins cannot import members",
+        });
+      }
+
+      if (!req.file) {
+        return res.status(400).json({
+          success: false,
+          message: "Please upload a CSV or XLSX file",
+        });
+      }
+
+      const result = await buildMemberImport(Member, req.file);
+      if (result.error) {
+        return res.status(400).json({
+          success: false,
+          message: result.error,
+        });
+      }
+
+      const validRows = result.rows.filter((row) => row.valid);
+      if (validRows.length === 0) {
+        return res.status(400).json({
+          success: false,
+          message: "No valid rows to import",
+          data: result,
+        });
+      }
+
+      const created = await sequelize.transaction(async (transaction) => {
+        const members = [];
+        for (const { data } of validRows) {
+          const member = await Member.create(data, { transaction });
+          await syncMemberDepartments(req.db, member, data, transaction);
+          members.push(member);
+        }
+        return members;
+      });
+
+      const skipped = result.rows.filter((row) => !row.valid);
+      if (req.activityLog) {
+        req.activityLog.metadata = {
+          filename: req.file.originalname,
+          created: created.length,
+          skipped: skipped.length,
+        };
+      }
+
+      logger.info(
+        `Members imported: ${created.length} created, ${skipped.length} skipped from ${req.file.originalname} by ${req.admin.name}`
+      );
+
+      // Emit real-time notification
+      const io = req.app.get("io");
+      io.to("admin-room").emit("members-imported", {
+        count: created.length,
+        importedBy: req.admin.name,
+        timestamp: new Date(),
+      });
+
+      res.status(201).json({
+        success: true,
+        message: `${created.length} members imported${
+          skipped.length ? `, ${skipped.length} rows skipped` : ""
+        }`,
+        data: {
+          created: created.length,
+          members: created.map((member) => ({
+            id: member.id,
+            name: member.name,
+            email: member.email,
+          })),
+          skipped: skipped.map(({ row, errors }) => ({ row, errors })),
+        },
+      });
+    } catch (error) {
+      logger.error("Import members error:", error);
+
+      if (error.name === "SequelizeUniqueConstraintError") {
+        return res.status(400).json({
+          success: false,
+          message:
+            "Import cancelled: a member with one of these emails was added meanwhile. Please preview again.",
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: "Failed to import members",
+      });
+    }
+  }
 }
 
-module.exports = new MembersController();
\ No newline at end of file
+module.exports = new MembersController();
+module.exports.createMemberRecord = createMemberRecord;
\ No newline at end of file
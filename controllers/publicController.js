@@ -1,7 +1,118 @@
 // controllers/publicController.js - FIXED: No direct model imports
-const { Op } = require("sequelize");
+const { Op, literal } = require("sequelize");
 const celebrationController = require("./celebrationsController");
 const logger = require("../utils/logger");
+const {
+  COMMUNICATION_CATEGORIES,
+  normalizePreferences,
+  mergePreferences,
+  verifyPreferenceToken,
+} = require("../utils/communicationPreferences");
+const {
+  getOptimizedImageUrl,
+  getPublicIdFromUrl,
+} = require("../config/cloudinary");
+
+// Contact form throttling: submissions allowed per sender within the window
+const INQUIRY_WINDOW_HOURS = 24;
+const INQUIRY_MAX_PER_EMAIL = 3;
+const INQUIRY_MAX_PER_IP = 5;
+
+// Picture renditions for the celebration wall (website cards and the projector loop)
+const WALL_PICTURE_SIZES = {
+  thumbnailUrl: { width: 400, height: 400, crop: "fill", gravity: "auto" },
+  url: { width: 1200, crop: "limit" },
+  displayUrl: { width: 1920, height: 1080, crop: "limit" },
+};
+
+const toWallPictures = (pictures = []) =>
+  pictures.map((picture) => {
+    const publicId = getPublicIdFromUrl(picture);
+    // Images hosted elsewhere are passed through unchanged
+    if (!publicId) {
+      return { thumbnailUrl: picture, url: picture, displayUrl: picture };
+    }
+
+    return Object.fromEntries(
+      Object.entries(WALL_PICTURE_SIZES).map(([key, options]) => [
+        key,
+        getOptimizedImageUrl(publicId, { ...options, secure: true }),
+      ])
+    );
+  });
+
+// Current week (Sunday to Saturday) or month: its first day and the month/date pairs it covers
+const getWallWindow = (period) => {
+  const today = new Date();
+  if (period === "month") {
+    return {
+      start: new Date(today.getFullYear(), today.getMonth(), 1),
+      days: { month: today.getMonth() + 1 },
+    };
+  }
+
+  const start = new Date(today.getFullYear(), today.getMonth(), today.getDate() - today.getDay());
+  const days = [];
+  const day = new Date(start);
+  for (let i = 0; i < 7; i++) {
+    days.push({ month: day.getMonth() + 1, date: day.getDate() });
+    day.setDate(day.getDate() + 1);
+  }
+  return { start, days: { [Op.or]: days } };
+};
+
+// Friendly status text for public celebration lookups
+const getStatusMessage = (status) => {
+  switch (status) {
+    case "pending":
+      return "Your celebration request is being reviewed. We will contact you soon!";
+    case "approved":
+      return "Great news! Your celebration has been approved. We will acknowledge it during service.";
+    case "rejected":
+      return "We were unable to approve this celebration request. Please contact us for more information.";
+    default:
+      return "Status unknown. Please contact us for more information.";
+  }
+};
+
+// Member a signed preference link belongs to, or null
+const findMemberByToken = async (db, token) => {
+  const memberId = verifyPreferenceToken(token);
+  if (!memberId) return null;
+
+  return await db.Member.findByPk(memberId);
+};
+
+// "jo***@example.com" so a forwarded link does not reveal the full address
+const maskEmail = (email) => {
+  if (!email) return null;
+  const [local, domain] = email.split("@");
+  return `${local.slice(0, 2)}***@${domain}`;
+};
+
+const toPreferenceCenter = (member) => ({
+  firstName: String(member.name || "").trim().split(/\s+/)[0],
+  email: maskEmail(member.email),
+  hasPhone: !!member.phone,
+  notificationChannel: member.notificationChannel,
+  notificationsOptOut: !!member.notificationsOptOut,
+  preferences: normalizePreferences(member.communicationPreferences),
+  categories: Object.entries(COMMUNICATION_CATEGORIES).map(
+    ([key, { label, description, channels }]) => ({
+      key,
+      label,
+      description,
+      channels,
+    })
+  ),
+});
+
+const invalidPreferenceLink = (res) =>
+  res.status(404).json({
+    success: false,
+    message:
+      "This preferences link is invalid. Please use the link from a recent email or contact the church office.",
+  });
 
 class PublicController {
   // Health check for public endpoints
@@ -13,6 +124,10 @@ class PublicController {
       endpoints: {
         celebrations: "/api/public/celebrations",
         celebrationTypes: "/api/public/celebration-types",
+        celebrationWall: "/api/public/celebrations/wall",
+        visitors: "/api/public/visitors",
+        eventRegistration: "/api/public/events/:id/register",
+        preferences: "/api/public/preferences/:token",
       },
     });
   }
@@ -80,80 +195,186 @@ class PublicController {
     }
   }
 
-  // Check celebration status by phone number
+  // Check celebration status by the tracking reference returned on submission
   async getCelebrationStatus(req, res) {
     try {
       // ✅ Get models from req.db
       const { Celebration } = req.db;
 
-      const { phone } = req.params;
-
-      const celebrations = await Celebration.findAll({
-        where: {
-          phone: phone,
-          createdAt: {
-            [Op.gte]: new Date(Date.now() - 30 * 24 * 60 * 60 * 1000), // Last 30 days
-          },
-        },
+      const celebration = await Celebration.findOne({
+        where: { trackingReference: req.params.reference },
         attributes: [
-          "id",
           "type",
           "name",
           "status",
+          "month",
+          "date",
           "createdAt",
           "acknowledgedDate",
         ],
-        order: [["createdAt", "DESC"]],
-        limit: 5,
       });
 
-      if (celebrations.length === 0) {
-        return res.json({
-          success: true,
-          message: "No recent celebration requests found for this phone number",
-          data: [],
+      if (!celebration) {
+        return res.status(404).json({
+          success: false,
+          message: "No celebration request found for this reference",
         });
       }
 
-      const statusData = celebrations.map((celebration) => ({
+      res.json({
+        success: true,
+        message: "Celebration status retrieved successfully",
+        data: {
+          type: celebration.type,
+          name: celebration.name,
+          status: celebration.status,
+          month: celebration.month,
+          date: celebration.date,
+          submittedAt: celebration.createdAt,
+          acknowledgedAt: celebration.acknowledgedDate,
+          statusMessage: getStatusMessage(celebration.status),
+        },
+      });
+    } catch (error) {
+      logger.error("Get celebration status error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to check celebration status",
+      });
+    }
+  }
+
+  // Approved public celebrations for this week or month (church website / projector loop)
+  async getCelebrationWall(req, res) {
+    try {
+      // ✅ Get models from req.db
+      const { Celebration } = req.db;
+
+      const { period = "week", page = 1, limit = 20 } = req.query;
+      const offset = (parseInt(page) - 1) * parseInt(limit);
+
+      const { start, days } = getWallWindow(period);
+
+      // A request covers one occurrence, so last year's requests for these days are left out
+      const submittedSince = new Date(start);
+      submittedSince.setMonth(submittedSince.getMonth() - 11);
+
+      const { count, rows: celebrations } = await Celebration.findAndCountAll({
+        where: {
+          status: "approved",
+          isPublic: true,
+          createdAt: { [Op.gte]: submittedSince },
+          ...days,
+        },
+        // Only what is shown on the wall; no contact details or tracking references
+        attributes: ["id", "type", "name", "message", "month", "date", "pictures"],
+        order: [
+          // A week from December into January lists the December days first
+          [literal(`CASE WHEN "month" < ${start.getMonth() + 1} THEN 1 ELSE 0 END`), "ASC"],
+          ["month", "ASC"],
+          ["date", "ASC"],
+          ["createdAt", "ASC"],
+        ],
+        limit: parseInt(limit),
+        offset,
+      });
+
+      const today = new Date();
+      const data = celebrations.map((celebration) => ({
         id: celebration.id,
         type: celebration.type,
         name: celebration.name,
-        status: celebration.status,
-        submittedAt: celebration.createdAt,
-        acknowledgedAt: celebration.acknowledgedDate,
-        statusMessage: this.getStatusMessage(celebration.status),
+        message: celebration.message,
+        month: celebration.month,
+        date: celebration.date,
+        isToday:
+          celebration.month === today.getMonth() + 1 &&
+          celebration.date === today.getDate(),
+        pictures: toWallPictures(celebration.pictures || []),
       }));
 
+      const totalPages = Math.ceil(count / parseInt(limit));
+
+      res.set("Cache-Control", "public, max-age=300");
       res.json({
         success: true,
-        message: "Celebration status retrieved successfully",
-        data: statusData,
+        message: "Celebrations retrieved successfully",
+        data,
+        period,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages,
+          totalRecords: count,
+          hasNextPage: parseInt(page) < totalPages,
+          hasPrevPage: parseInt(page) > 1,
+          limit: parseInt(limit),
+        },
       });
     } catch (error) {
-      logger.error("Get celebration status error:", error);
+      logger.error("Get celebration wall error:", error);
       res.status(500).json({
         success: false,
-        message: "Failed to check celebration status",
+        message: "Failed to retrieve celebrations",
       });
     }
   }
 
-  // Contact form for celebration inquiries
+  // Contact form for celebration inquiries (lands in the admin inquiry inbox)
   async submitContactInquiry(req, res) {
     try {
+      // ✅ Get models from req.db
+      const { Inquiry } = req.db;
+
       const { name, email, phone, subject, message } = req.body;
 
-      logger.info("Celebration contact form submission", {
+      // Throttle repeat submissions from the same sender
+      const recent = await Inquiry.countRecentFromSender(
+        { email, ipAddress: req.ip },
+        new Date(Date.now() - INQUIRY_WINDOW_HOURS * 60 * 60 * 1000)
+      );
+      if (
+        recent.byEmail >= INQUIRY_MAX_PER_EMAIL ||
+        recent.byIp >= INQUIRY_MAX_PER_IP
+      ) {
+        logger.warn("Contact inquiry throttled", { email, ip: req.ip, ...recent });
+        return res.status(429).json({
+          success: false,
+          message:
+            "We have already received your recent messages and will get back to you soon. Please wait before sending another.",
+          code: "INQUIRY_RATE_LIMIT_EXCEEDED",
+        });
+      }
+
+      const inquiry = await Inquiry.create({
         name,
         email,
         phone,
         subject,
+        message,
+        ipAddress: req.ip,
+        userAgent: req.get("User-Agent"),
+      });
+
+      logger.info("Celebration contact form submission", {
+        inquiryId: inquiry.id,
+        name,
+        email,
+        subject,
         ip: req.ip,
       });
 
-      // Here you would typically send an email to admins
-      // await emailService.sendCelebrationInquiry({ name, email, phone, subject, message });
+      // Emit real-time notification
+      const io = req.app.get("io");
+      if (io) {
+        io.to("admin-room").emit("inquiry-received", {
+          inquiry: {
+            id: inquiry.id,
+            name: inquiry.name,
+            subject: inquiry.subject,
+          },
+          timestamp: new Date(),
+        });
+      }
 
       res.json({
         success: true,
@@ -170,17 +391,192 @@ class PublicController {
     }
   }
 
-  // Helper method to get status message
-  getStatusMessage(status) {
-    switch (status) {
-      case "pending":
-        return "Your celebration request is being reviewed. We will contact you soon!";
-      case "approved":
-        return "Great news! Your celebration has been approved. We will acknowledge it during service.";
-      case "rejected":
-        return "We were unable to approve this celebration request. Please contact us for more information.";
-      default:
-        return "Status unknown. Please contact us for more information.";
+  // First-timer / visitor card submission
+  async submitVisitorCard(req, res) {
+    try {
+      // ✅ Get models from req.db
+      const { Visitor } = req.db;
+
+      const {
+        name,
+        phone,
+        email,
+        address,
+        gender,
+        howDidYouHear,
+        invitedBy,
+        prayerRequest,
+        visitDate = new Date().toISOString().split("T")[0],
+      } = req.body;
+
+      logger.info("Public visitor card received", {
+        name,
+        phone,
+        email,
+        ip: req.ip,
+      });
+
+      const visitor = await Visitor.recordVisit(
+        {
+          name,
+          phone,
+          email: email || null,
+          address,
+          gender,
+          howDidYouHear,
+          invitedBy,
+          prayerRequest,
+          source: "public_form",
+        },
+        visitDate
+      );
+
+      // Emit real-time notification
+      const io = req.app.get("io");
+      if (io) {
+        io.to("admin-room").emit("visitor-registered", {
+          visitor: {
+            id: visitor.id,
+            name: visitor.name,
+            status: visitor.status,
+            visitCount: visitor.visitCount,
+          },
+          source: "public_form",
+          timestamp: new Date(),
+        });
+      }
+
+      res.status(201).json({
+        success: true,
+        message:
+          visitor.visitCount > 1
+            ? `Welcome back, ${visitor.name}! We are glad to see you again.`
+            : `Welcome, ${visitor.name}! Thank you for worshipping with us. Someone from our follow-up team will reach out to you soon.`,
+      });
+    } catch (error) {
+      logger.error("Public visitor card error:", error);
+      res.status(500).json({
+        success: false,
+        message:
+          "We could not save your details. Please try again or speak to an usher.",
+      });
+    }
+  }
+
+  // Preference centre opened from the link at the bottom of member emails
+  async getPreferences(req, res) {
+    try {
+      const member = await findMemberByToken(req.db, req.params.token);
+      if (!member) return invalidPreferenceLink(res);
+
+      res.json({
+        success: true,
+        message: "Communication preferences retrieved successfully",
+        data: toPreferenceCenter(member),
+      });
+    } catch (error) {
+      logger.error("Get communication preferences error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to retrieve your communication preferences",
+      });
+    }
+  }
+
+  // Save the preference centre form; only the fields sent are changed
+  async updatePreferences(req, res) {
+    try {
+      const member = await findMemberByToken(req.db, req.params.token);
+      if (!member) return invalidPreferenceLink(res);
+
+      const { preferences, notificationChannel, notificationsOptOut } =
+        req.body;
+      const updates = {};
+
+      if (preferences !== undefined) {
+        updates.communicationPreferences = mergePreferences(
+          member.communicationPreferences,
+          preferences
+        );
+      }
+      if (notificationChannel !== undefined) {
+        updates.notificationChannel = notificationChannel;
+      }
+      if (notificationsOptOut !== undefined) {
+        updates.notificationsOptOut = notificationsOptOut;
+      }
+
+      await member.update(updates);
+
+      logger.info("Communication preferences updated", {
+        memberId: member.id,
+        fields: Object.keys(updates),
+        ip: req.ip,
+      });
+
+      res.json({
+        success: true,
+        message: "Your communication preferences have been saved",
+        data: toPreferenceCenter(member),
+      });
+    } catch (error) {
+      logger.error("Update communication preferences error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to save your communication preferences",
+      });
+    }
+  }
+
+  // One-click unsubscribe from a category on a channel, or from everything optional
+  async unsubscribe(req, res) {
+    try {
+      const member = await findMemberByToken(req.db, req.params.token);
+      if (!member) return invalidPreferenceLink(res);
+
+      const { category = "all", channel = "email" } = req.body;
+      let message;
+
+      if (category === "all") {
+        await member.update({ notificationsOptOut: true });
+        message =
+          "You have been unsubscribed from event reminders, celebration messages and newsletters by email and text. Event registration confirmations and giving statements will still be sent.";
+      } else {
+        const preferences = normalizePreferences(
+          member.communicationPreferences
+        );
+        if (!(channel in preferences[category])) {
+          return res.status(400).json({
+            success: false,
+            message: `${COMMUNICATION_CATEGORIES[category].label} are not sent by ${channel}`,
+          });
+        }
+
+        preferences[category][channel] = false;
+        await member.update({ communicationPreferences: preferences });
+        message = `You will no longer receive ${COMMUNICATION_CATEGORIES[
+          category
+        ].label.toLowerCase()} by ${channel}.`;
+      }
+
+      logger.info("Member unsubscribed", {
+        memberId: member.id,
+        category,
+        channel,
+        ip: req.ip,
+      });
+
+      res.json({
+        success: true,
+        message,
+        data: toPreferenceCenter(member),
+      });
+    } catch (error) {
+      logger.error("Unsubscribe error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to unsubscribe you. Please try again.",
+      });
     }
   }
 
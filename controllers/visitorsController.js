@@ -0,0 +1,603 @@
+// controllers/visitorsController.js - First-timer / visitor follow-up pipeline
+const { Op } = require("sequelize");
+const membersController = require("./membersController");
+const logger = require("../utils/logger");
+
+class VisitorsController {
+  // Get all visitors with filtering and pagination
+  async getVisitors(req, res) {
+    try {
+      // ✅ Get models from req.db
+      const { Visitor, Admin } = req.db;
+
+      const {
+        page = 1,
+        limit = 10,
+        search = "",
+        status = "all",
+        assignedTo,
+        startDate,
+        endDate,
+      } = req.query;
+
+      let whereClause = {};
+
+      if (search) {
+        whereClause[Op.or] = [
+          { name: { [Op.iLike]: `%${search}%` } },
+          { email: { [Op.iLike]: `%${search}%` } },
+          { phone: { [Op.like]: `%${search}%` } },
+        ];
+      }
+
+      if (status !== "all") {
+        whereClause.status = status;
+      }
+
+      if (assignedTo === "me") {
+        whereClause.assignedToId = req.admin.id;
+      } else if (assignedTo === "unassigned") {
+        whereClause.assignedToId = null;
+      } else if (assignedTo) {
+        whereClause.assignedToId = assignedTo;
+      }
+
+      if (startDate || endDate) {
+        whereClause.firstVisitDate = {};
+        if (startDate) whereClause.firstVisitDate[Op.gte] = startDate;
+        if (endDate) whereClause.firstVisitDate[Op.lte] = endDate;
+      }
+
+      const offset = (parseInt(page) - 1) * parseInt(limit);
+
+      const { count, rows: visitors } = await Visitor.findAndCountAll({
+        where: whereClause,
+        limit: parseInt(limit),
+        offset: offset,
+        order: [["firstVisitDate", "DESC"]],
+        include: [
+          {
+            model: Admin,
+            as: "assignedTo",
+            attributes: ["id", "name", "position"],
+          },
+        ],
+      });
+
+      const totalPages = Math.ceil(count / parseInt(limit));
+
+      res.json({
+        success: true,
+        message: "Visitors retrieved successfully",
+        data: visitors,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages,
+          totalRecords: count,
+          hasNextPage: parseInt(page) < totalPages,
+          hasPrevPage: parseInt(page) > 1,
+          limit: parseInt(limit),
+        },
+      });
+    } catch (error) {
+      logger.error("Get visitors error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to retrieve visitors",
+      });
+    }
+  }
+
+  // Get follow-up pipeline statistics
+  async getVisitorStats(req, res) {
+    try {
+      // ✅ Get models from req.db
+      const { Visitor } = req.db;
+
+      const now = new Date();
+      const startOfMonth = new Date(now.getFullYear(), now.getMonth(), 1);
+
+      const [pipeline, newThisMonth, unassigned] = await Promise.all([
+        Visitor.getPipelineCounts(),
+        Visitor.count({
+          where: { firstVisitDate: { [Op.gte]: startOfMonth } },
+        }),
+        Visitor.count({
+          where: {
+            assignedToId: null,
+            status: { [Op.ne]: "converted" },
+          },
+        }),
+      ]);
+
+      const total = Object.values(pipeline).reduce((sum, n) => sum + n, 0);
+
+      res.json({
+        success: true,
+        message: "Visitor statistics retrieved successfully",
+        data: {
+          total,
+          pipeline,
+          newThisMonth,
+          unassigned,
+          conversionRate:
+            total > 0
+              ? parseFloat(((pipeline.converted / total) * 100).toFixed(2))
+              : 0,
+        },
+      });
+    } catch (error) {
+      logger.error("Get visitor stats error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to retrieve visitor statistics",
+      });
+    }
+  }
+
+  // Get visitor by ID
+  async getVisitorById(req, res) {
+    try {
+      // ✅ Get models from req.db
+      const { Visitor, Admin, Attendance, Member } = req.db;
+
+      const visitor = await Visitor.findByPk(req.params.id, {
+        include: [
+          {
+            model: Admin,
+            as: "assignedTo",
+            attributes: ["id", "name", "position"],
+          },
+          {
+            model: Attendance,
+            as: "attendance",
+            attributes: ["id", "date", "serviceType"],
+          },
+          {
+            model: Member,
+            as: "convertedMember",
+            attributes: ["id", "name", "email"],
+          },
+        ],
+      });
+
+      if (!visitor) {
+        return res.status(404).json({
+          success: false,
+          message: "Visitor not found",
+        });
+      }
+
+      res.json({
+        success: true,
+        message: "Visitor retrieved successfully",
+        data: visitor,
+      });
+    } catch (error) {
+      logger.error("Get visitor error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to retrieve visitor",
+      });
+    }
+  }
+
+  // Create visitor manually
+  async createVisitor(req, res) {
+    try {
+      // ✅ Get models from req.db
+      const { Visitor } = req.db;
+
+      const {
+        name,
+        email,
+        phone,
+        address,
+        gender,
+        howDidYouHear,
+        invitedBy,
+        prayerRequest,
+        firstVisitDate = new Date().toISOString().split("T")[0],
+        assignedToId,
+      } = req.body;
+
+      const newVisitor = await Visitor.create({
+        name,
+        email,
+        phone,
+        address,
+        gender,
+        howDidYouHear,
+        invitedBy,
+        prayerRequest,
+        firstVisitDate,
+        assignedToId,
+        source: "manual",
+      });
+
+      logger.info(
+        `New visitor recorded: ${newVisitor.name} (${newVisitor.id}) by ${req.admin.name}`
+      );
+
+      // Emit real-time notification
+      const io = req.app.get("io");
+      io.to("admin-room").emit("visitor-created", {
+        visitor: {
+          id: newVisitor.id,
+          name: newVisitor.name,
+          source: newVisitor.source,
+        },
+        createdBy: req.admin.name,
+        timestamp: new Date(),
+      });
+
+      res.status(201).json({
+        success: true,
+        message: "Visitor recorded successfully",
+        data: newVisitor,
+      });
+    } catch (error) {
+      logger.error("Create visitor error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to record visitor",
+      });
+    }
+  }
+
+  // Update visitor details
+  async updateVisitor(req, res) {
+    try {
+      // ✅ Get models from req.db
+      const { Visitor, ActivityLog } = req.db;
+
+      const visitor = await Visitor.findByPk(req.params.id);
+      if (!visitor) {
+        return res.status(404).json({
+          success: false,
+          message: "Visitor not found",
+        });
+      }
+
+      const {
+        name,
+        email,
+        phone,
+        address,
+        gender,
+        howDidYouHear,
+        invitedBy,
+        prayerRequest,
+      } = req.body;
+
+      const before = visitor.toJSON();
+      await visitor.update({
+        name,
+        email,
+        phone,
+        address,
+        gender,
+        howDidYouHear,
+        invitedBy,
+        prayerRequest,
+      });
+      if (req.activityLog) {
+        req.activityLog.changes = ActivityLog.buildChanges(before, visitor);
+      }
+
+      logger.info(
+        `Visitor updated: ${visitor.name} (${visitor.id}) by ${req.admin.name}`
+      );
+
+      res.json({
+        success: true,
+        message: "Visitor updated successfully",
+        data: visitor,
+      });
+    } catch (error) {
+      logger.error("Update visitor error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to update visitor",
+      });
+    }
+  }
+
+  // Assign visitor to an admin for follow-up
+  async assignVisitor(req, res) {
+    try {
+      // ✅ Get models from req.db
+      const { Visitor, Admin, ActivityLog } = req.db;
+
+      const visitor = await Visitor.findByPk(req.params.id);
+      if (!visitor) {
+        return res.status(404).json({
+          success: false,
+          message: "Visitor not found",
+        });
+      }
+
+      const { assignedToId } = req.body;
+
+      let assignee = null;
+      if (assignedToId) {
+        assignee = await Admin.findByPk(assignedToId);
+        if (!assignee || !assignee.isActive) {
+          return res.status(400).json({
+            success: false,
+            message: "Assigned admin not found or inactive",
+          });
+        }
+      }
+
+      const before = visitor.toJSON();
+      await visitor.update({ assignedToId: assignee ? assignee.id : null });
+      if (req.activityLog) {
+        req.activityLog.changes = ActivityLog.buildChanges(before, visitor);
+      }
+
+      logger.info(
+        `Visitor ${visitor.name} (${visitor.id}) assigned to ${
+          assignee ? assignee.name : "nobody"
+        } by ${req.admin.name}`
+      );
+
+      // Emit real-time notification
+      const io = req.app.get("io");
+      io.to("admin-room").emit("visitor-assigned", {
+        visitor: {
+          id: visitor.id,
+          name: visitor.name,
+        },
+        assignedTo: assignee ? { id: assignee.id, name: assignee.name } : null,
+        assignedBy: req.admin.name,
+        timestamp: new Date(),
+      });
+
+      res.json({
+        success: true,
+        message: assignee
+          ? `Visitor assigned to ${assignee.name}`
+          : "Visitor unassigned",
+        data: visitor,
+      });
+    } catch (error) {
+      logger.error("Assign visitor error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to assign visitor",
+      });
+    }
+  }
+
+  // Add a call/visit/message note to the visitor's follow-up history
+  async addFollowUp(req, res) {
+    try {
+      // ✅ Get models from req.db
+      const { Visitor } = req.db;
+
+      const visitor = await Visitor.findByPk(req.params.id);
+      if (!visitor) {
+        return res.status(404).json({
+          success: false,
+          message: "Visitor not found",
+        });
+      }
+
+      if (visitor.isConverted()) {
+        return res.status(400).json({
+          success: false,
+          message: "Visitor has already been converted to a member",
+        });
+      }
+
+      const { type, note } = req.body;
+
+      await visitor.addFollowUp(req.admin, { type, note });
+
+      logger.info(
+        `Follow-up (${type}) recorded for visitor ${visitor.name} (${visitor.id}) by ${req.admin.name}`
+      );
+
+      res.status(201).json({
+        success: true,
+        message: "Follow-up recorded successfully",
+        data: {
+          id: visitor.id,
+          status: visitor.status,
+          lastContactedAt: visitor.lastContactedAt,
+          followUps: visitor.followUps,
+        },
+      });
+    } catch (error) {
+      logger.error("Add visitor follow-up error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to record follow-up",
+      });
+    }
+  }
+
+  // Move visitor along the pipeline (conversion has its own endpoint)
+  async updateVisitorStatus(req, res) {
+    try {
+      // ✅ Get models from req.db
+      const { Visitor, ActivityLog } = req.db;
+
+      const visitor = await Visitor.findByPk(req.params.id);
+      if (!visitor) {
+        return res.status(404).json({
+          success: false,
+          message: "Visitor not found",
+        });
+      }
+
+      if (visitor.isConverted()) {
+        return res.status(400).json({
+          success: false,
+          message: "Visitor has already been converted to a member",
+        });
+      }
+
+      const { status } = req.body;
+
+      const before = visitor.toJSON();
+      await visitor.update({ status });
+      if (req.activityLog) {
+        req.activityLog.changes = ActivityLog.buildChanges(before, visitor);
+      }
+
+      logger.info(
+        `Visitor status updated: ${visitor.name} (${visitor.id}) → ${status} by ${req.admin.name}`
+      );
+
+      res.json({
+        success: true,
+        message: "Visitor status updated successfully",
+        data: { id: visitor.id, status: visitor.status },
+      });
+    } catch (error) {
+      logger.error("Update visitor status error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to update visitor status",
+      });
+    }
+  }
+
+  // Convert visitor into a Member
+  async convertToMember(req, res) {
+    try {
+      // ✅ Get models from req.db
+      const { Visitor, sequelize } = req.db;
+
+      const visitor = await Visitor.findByPk(req.params.id);
+      if (!visitor) {
+        return res.status(404).json({
+          success: false,
+          message: "Visitor not found",
+        });
+      }
+
+      if (visitor.isConverted()) {
+        return res.status(400).json({
+          success: false,
+          message: "Visitor has already been converted to a member",
+        });
+      }
+
+      // Visitor details, overridden by anything supplied on the request
+      const memberData = {
+        name: visitor.name,
+        email: visitor.email,
+        phone: visitor.phone,
+        address: visitor.address,
+        gender: visitor.gender,
+        joinedThrough: visitor.howDidYouHear,
+        membershipDate: new Date().toISOString().split("T")[0],
+        ...req.body,
+      };
+
+      if (!memberData.email || !memberData.phone) {
+        return res.status(400).json({
+          success: false,
+          message:
+            "An email address and phone number are required to create a member",
+        });
+      }
+
+      const result = await sequelize.transaction(async (transaction) => {
+        const created = await membersController.createMemberRecord(
+          req,
+          memberData,
+          { transaction }
+        );
+        if (created.error) return created;
+
+        await visitor.update(
+          {
+            status: "converted",
+            convertedMemberId: created.member.id,
+            convertedAt: new Date(),
+          },
+          { transaction }
+        );
+
+        return created;
+      });
+
+      if (result.error) {
+        return res.status(400).json({
+          success: false,
+          message: result.error,
+        });
+      }
+
+      logger.info(
+        `Visitor converted to member: ${visitor.name} (${visitor.id} → ${result.member.id}) by ${req.admin.name}`
+      );
+
+      res.status(201).json({
+        success: true,
+        message: "Visitor converted to member successfully",
+        data: {
+          visitorId: visitor.id,
+          member: result.member,
+        },
+      });
+    } catch (error) {
+      logger.error("Convert visitor error:", error);
+
+      if (error.name === "SequelizeUniqueConstraintError") {
+        return res.status(400).json({
+          success: false,
+          message: "A member with this email already exists",
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: "Failed to convert visitor to member",
+      });
+    }
+  }
+
+  // Delete visitor
+  async deleteVisitor(req, res) {
+    try {
+      // ✅ Get models from req.db
+      const { Visitor, ActivityLog } = req.db;
+
+      const visitor = await Visitor.findByPk(req.params.id);
+      if (!visitor) {
+        return res.status(404).json({
+          success: false,
+          message: "Visitor not found",
+        });
+      }
+
+      const before = visitor.toJSON();
+      await visitor.destroy();
+      if (req.activityLog) {
+        req.activityLog.changes = ActivityLog.buildChanges(before, null);
+      }
+
+      logger.info(
+        `Visitor deleted: ${before.name} (${before.id}) by ${req.admin.name}`
+      );
+
+      res.json({
+        success: true,
+        message: "Visitor deleted successfully",
+      });
+    } catch (error) {
+      logger.error("Delete visitor error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to delete visitor",
+      });
+    }
+  }
+}
+
+module.exports = new VisitorsController();
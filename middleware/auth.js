@@ -1,6 +1,7 @@
 // middleware/auth.js - FIXED: No direct Admin import
 const jwt = require('jsonwebtoken');
 const logger = require('../utils/logger');
+const { verifyChallengeToken } = require('../utils/twoFactor');
 
 // Authenticate JWT token
 const authenticateToken = async (req, res, next) => {
@@ -91,6 +92,15 @@ const authenticateToken = async (req, res, next) => {
         code: 'INVALID_TOKEN_PAYLOAD'
       });
     }
+
+    // Two-factor login challenge tokens are not access tokens
+    if (decoded.purpose) {
+      return res.status(401).json({
+        success: false,
+        message: 'Two-factor authentication has not been completed',
+        code: 'TWO_FACTOR_PENDING'
+      });
+    }
     
     // Get admin from database
     const admin = await Admin.findByPk(decoded.adminId);
@@ -113,9 +123,24 @@ const authenticateToken = async (req, res, next) => {
       });
     }
 
+    // Tokens from a signed-out or revoked session stop working straight away
+    if (decoded.sid && req.db.Session) {
+      const session = await req.db.Session.findByPk(decoded.sid, {
+        attributes: ['id', 'revokedAt', 'expiresAt']
+      });
+      if (!session || !session.isActive()) {
+        return res.status(401).json({
+          success: false,
+          message: 'Session has ended. Please log in again.',
+          code: 'SESSION_REVOKED'
+        });
+      }
+    }
+
     // Add admin to request
     req.admin = admin;
     req.adminId = admin.id;
+    req.sessionId = decoded.sid || null;
     req.token = token;
     
     next();
@@ -130,7 +155,43 @@ const authenticateToken = async (req, res, next) => {
   }
 };
 
-// Check if admin has specific permission
+// Authenticate with an access token, or with the setup challenge token issued at login
+// when the 2FA policy requires enrolment before the admin can sign in
+const authenticateTwoFactorSetup = async (req, res, next) => {
+  const challengeToken = req.body && req.body.challengeToken;
+  if (!challengeToken) {
+    return authenticateToken(req, res, next);
+  }
+
+  try {
+    const { Admin } = req.db;
+
+    const adminId = verifyChallengeToken(challengeToken, 'setup');
+    const admin = adminId && await Admin.findByPk(adminId);
+    if (!admin || !admin.isActive) {
+      return res.status(401).json({
+        success: false,
+        message: 'Login session has expired. Please sign in again.',
+        code: 'INVALID_CHALLENGE_TOKEN'
+      });
+    }
+
+    req.admin = admin;
+    req.adminId = admin.id;
+    req.twoFactorSetupChallenge = true;
+
+    next();
+  } catch (error) {
+    logger.error('Two-factor setup authentication error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Authentication failed',
+      code: 'AUTH_ERROR'
+    });
+  }
+};
+
+// Check if admin has specific permission ("area:verb", e.g. "members:delete")
 const requirePermission = (permission) => {
   return (req, res, next) => {
     try {
@@ -148,7 +209,7 @@ const requirePermission = (permission) => {
       }
 
       // Check if admin has the required permission
-      if (!req.admin.permissions || !req.admin.permissions.includes(permission)) {
+      if (!req.admin.hasPermission(permission)) {
         return res.status(403).json({
           success: false,
           message: `Access denied. Required permission: ${permission}`,
@@ -233,7 +294,8 @@ const optionalAuth = async (req, res, next) => {
     // Get admin from database
     const admin = await Admin.findByPk(decoded.adminId);
     
-    if (admin && admin.isActive) {
+    // Challenge tokens from the 2FA login step are ignored
+    if (admin && admin.isActive && !decoded.purpose) {
       req.admin = admin;
       req.adminId = admin.id;
     } else {
@@ -268,23 +330,64 @@ const authRateLimit = require('express-rate-limit')({
 });
 
 // Log admin activity
-const logActivity = (action) => {
+// Controllers may enrich req.activityLog (entityId, changes, metadata) before responding;
+// the entry is persisted once the response has finished.
+const logActivity = (action, options = {}) => {
   return (req, res, next) => {
-    // Store activity info for later logging
     req.activityLog = {
       action,
       adminId: req.adminId,
       adminName: req.admin?.name,
+      entityType: options.entityType || req.baseUrl.split('/').filter(Boolean).pop(),
+      entityId: req.params.id || null,
       ip: req.ip,
-      userAgent: req.headers['user-agent']
+      userAgent: req.headers['user-agent'],
+      changes: null,
+      metadata: null
     };
-    
+
+    // Pick up the id of newly created records from the JSON response
+    const originalJson = res.json.bind(res);
+    res.json = (body) => {
+      if (!req.activityLog.entityId && body && body.data && body.data.id) {
+        req.activityLog.entityId = String(body.data.id);
+      }
+      return originalJson(body);
+    };
+
+    res.on('finish', async () => {
+      const ActivityLog = req.db?.ActivityLog;
+      if (!ActivityLog) return;
+
+      try {
+        const activity = req.activityLog;
+        await ActivityLog.create({
+          adminId: activity.adminId || req.adminId || null,
+          adminName: activity.adminName || req.admin?.name,
+          action: activity.action,
+          entityType: activity.entityType,
+          entityId: activity.entityId,
+          method: req.method,
+          path: req.originalUrl,
+          ipAddress: activity.ip,
+          userAgent: activity.userAgent,
+          statusCode: res.statusCode,
+          status: res.statusCode < 400 ? 'success' : 'failure',
+          changes: activity.changes,
+          metadata: activity.metadata
+        });
+      } catch (error) {
+        logger.error('Failed to persist activity log:', error);
+      }
+    });
+
     next();
   };
 };
 
 module.exports = {
   authenticateToken,
+  authenticateTwoFactorSetup,
   requirePermission,
   requireSuperAdmin,
   optionalAuth,
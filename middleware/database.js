@@ -33,7 +33,15 @@ const ensureDatabase = async (req, res, next) => {
       Attendance: db.Attendance,
       Event: db.Event,
       Celebration: db.Celebration,
-      MemberAttendance: db.MemberAttendance
+      MemberAttendance: db.MemberAttendance,
+      ActivityLog: db.ActivityLog,
+      Household: db.Household,
+      Visitor: db.Visitor,
+      EventRegistration: db.EventRegistration,
+      EventOccurrence: db.EventOccurrence,
+      Giving: db.Giving,
+      Department: db.Department,
+      MemberDepartment: db.MemberDepartment
     };
 
     next();
@@ -41,6 +41,22 @@ const upload = multer({
   }
 });
 
+// Spreadsheet uploads (member import) are parsed in memory, never stored
+const importUpload = multer({
+  storage: multer.memoryStorage(),
+  fileFilter: (req, file, cb) => {
+    if (/\.(csv|xlsx)$/i.test(file.originalname)) {
+      cb(null, true);
+    } else {
+      cb(new Error('Only CSV or XLSX files are allowed!'), false);
+    }
+  },
+  limits: {
+    fileSize: parseInt(process.env.MAX_FILE_SIZE) || 5 * 1024 * 1024, // 5MB default
+    files: 1
+  }
+});
+
 // Error handling middleware for multer
 const handleUploadError = (error, req, res, next) => {
   if (error instanceof multer.MulterError) {
@@ -70,6 +86,13 @@ const handleUploadError = (error, req, res, next) => {
       message: 'Only image files are allowed.'
     });
   }
+
+  if (error.message === 'Only CSV or XLSX files are allowed!') {
+    return res.status(400).json({
+      success: false,
+      message: 'Only CSV or XLSX files are allowed.'
+    });
+  }
   
   logger.error('Upload error:', error);
   return res.status(500).json({
@@ -105,6 +128,16 @@ const uploadMiddleware = {
       }
       next();
     });
+  },
+
+  // Single CSV/XLSX file kept in memory as req.file.buffer
+  spreadsheet: (fieldName) => (req, res, next) => {
+    importUpload.single(fieldName)(req, res, (error) => {
+      if (error) {
+        return handleUploadError(error, req, res, next);
+      }
+      next();
+    });
   }
 };
 
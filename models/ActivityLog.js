@@ -0,0 +1,132 @@
+// models/ActivityLog.js - Audit trail of admin actions recorded by logActivity
+module.exports = (sequelize, DataTypes) => {
+  const ActivityLog = sequelize.define('ActivityLog', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+    },
+    adminId: {
+      type: DataTypes.UUID,
+      allowNull: true, // Null for unauthenticated actions (e.g. failed logins)
+      references: {
+        model: 'admins',
+        key: 'id'
+      }
+    },
+    adminName: {
+      type: DataTypes.STRING // Snapshot so the log survives admin renames/removal
+    },
+    action: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      validate: {
+        notEmpty: true
+      }
+    },
+    entityType: {
+      type: DataTypes.STRING // e.g. "members", "events", "admin"
+    },
+    entityId: {
+      type: DataTypes.STRING
+    },
+    method: {
+      type: DataTypes.STRING(10)
+    },
+    path: {
+      type: DataTypes.STRING(500)
+    },
+    ipAddress: {
+      type: DataTypes.STRING
+    },
+    userAgent: {
+      type: DataTypes.STRING(500)
+    },
+    statusCode: {
+      type: DataTypes.INTEGER
+    },
+    status: {
+      type: DataTypes.ENUM('success', 'failure'),
+      allowNull: false,
+      defaultValue: 'success'
+    },
+    changes: {
+      type: DataTypes.JSON // { before: {...}, after: {...} } limited to changed fields
+    },
+    metadata: {
+      type: DataTypes.JSON
+    }
+  }, {
+    tableName: 'activity_logs',
+    timestamps: true,
+    updatedAt: false,
+    indexes: [
+      {
+        fields: ['adminId']
+      },
+      {
+        fields: ['action']
+      },
+      {
+        fields: ['entityType', 'entityId']
+      },
+      {
+        fields: ['status']
+      },
+      {
+        fields: ['createdAt']
+      }
+    ]
+  });
+
+  // Fields that must never end up in the audit trail
+  const SENSITIVE_FIELDS = [
+    'password',
+    'refreshToken',
+    'passwordResetToken',
+    'profileUpdateToken',
+    'passwordChangeToken',
+    'emailVerificationToken',
+    'twoFactorSecret',
+    'twoFactorBackupCodes'
+  ];
+
+  const toPlain = (value) => {
+    if (!value) return {};
+    if (typeof value.toJSON === 'function') return value.toJSON();
+    return { ...value };
+  };
+
+  // Class Methods
+
+  // Build a before/after diff containing only the fields that changed
+  ActivityLog.buildChanges = function(before, after) {
+    const beforeValues = toPlain(before);
+    const afterValues = toPlain(after);
+    const keys = new Set([...Object.keys(beforeValues), ...Object.keys(afterValues)]);
+    const changes = { before: {}, after: {} };
+
+    keys.forEach((key) => {
+      if (SENSITIVE_FIELDS.includes(key) || key === 'updatedAt') return;
+
+      const oldValue = beforeValues[key];
+      const newValue = afterValues[key];
+      if (JSON.stringify(oldValue) !== JSON.stringify(newValue)) {
+        changes.before[key] = oldValue === undefined ? null : oldValue;
+        changes.after[key] = newValue === undefined ? null : newValue;
+      }
+    });
+
+    return Object.keys(changes.after).length > 0 ? changes : null;
+  };
+
+  ActivityLog.getAdminActivity = function(adminId, options = {}) {
+    return this.findAndCountAll({
+      order: [['createdAt', 'DESC']],
+      ...options,
+      where: { adminId, ...options.where }
+    });
+  };
+
+  return ActivityLog;
+};
@@ -1,5 +1,10 @@
 // models/Admin.js - Enhanced with profile update fields
 const bcrypt = require('bcryptjs');
+const {
+  ADMIN_ROLES,
+  getRolePermissions,
+  grantsPermission
+} = require('../utils/permissions');
 
 module.exports = (sequelize, DataTypes) => {
   const Admin = sequelize.define('Admin', {
@@ -34,7 +39,7 @@ module.exports = (sequelize, DataTypes) => {
       }
     },
     role: {
-      type: DataTypes.ENUM('super_admin', 'admin'),
+      type: DataTypes.ENUM(...ADMIN_ROLES),
       defaultValue: 'admin',
       allowNull: false
     },
@@ -53,9 +58,10 @@ module.exports = (sequelize, DataTypes) => {
     position: {
       type: DataTypes.STRING
     },
+    // "area:verb" strings, e.g. ['members:read', 'attendance:create']
     permissions: {
       type: DataTypes.JSON,
-      defaultValue: ['members', 'events', 'attendance', 'celebrations'],
+      defaultValue: () => getRolePermissions('admin'),
       validate: {
         isArray(value) {
           if (!Array.isArray(value)) {
@@ -64,6 +70,26 @@ module.exports = (sequelize, DataTypes) => {
         }
       }
     },
+    // Limits permission areas to departments, e.g. { members: [departmentId] }
+    // Areas not listed here cover the whole church
+    departmentScopes: {
+      type: DataTypes.JSON,
+      allowNull: true,
+      defaultValue: null,
+      validate: {
+        isScopeMap(value) {
+          if (value === null) return;
+          if (typeof value !== 'object' || Array.isArray(value)) {
+            throw new Error('Department scopes must be an object');
+          }
+          Object.values(value).forEach((ids) => {
+            if (!Array.isArray(ids)) {
+              throw new Error('Each department scope must be an array of department IDs');
+            }
+          });
+        }
+      }
+    },
     isActive: {
       type: DataTypes.BOOLEAN,
       defaultValue: true
@@ -71,9 +97,6 @@ module.exports = (sequelize, DataTypes) => {
     lastLogin: {
       type: DataTypes.DATE
     },
-    refreshToken: {
-      type: DataTypes.TEXT
-    },
     passwordResetToken: {
       type: DataTypes.STRING
     },
@@ -127,6 +150,20 @@ module.exports = (sequelize, DataTypes) => {
       type: DataTypes.STRING,
       allowNull: true
     },
+    // SHA-256 hashes of unused backup codes
+    twoFactorBackupCodes: {
+      type: DataTypes.JSON,
+      allowNull: true
+    },
+    twoFactorEnabledAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    // Time step of the last accepted TOTP code, so a code cannot be replayed
+    twoFactorLastUsedStep: {
+      type: DataTypes.INTEGER,
+      allowNull: true
+    },
     // Login tracking
     loginAttempts: {
       type: DataTypes.INTEGER,
@@ -206,32 +243,46 @@ module.exports = (sequelize, DataTypes) => {
     }
   };
 
+  // permission is "area:verb", or just "area" for any verb in it
+  // Older flat permission arrays ("members") still grant every verb of their area
   Admin.prototype.hasPermission = function(permission) {
     if (this.role === 'super_admin') return true;
-    return this.permissions && this.permissions.includes(permission);
+    return grantsPermission(this.permissions, permission);
+  };
+
+  // Department ids the admin is limited to for a permission area, or null for all departments
+  Admin.prototype.getDepartmentScope = function(permission) {
+    if (this.role === 'super_admin' || !this.departmentScopes) return null;
+    const scope = this.departmentScopes[permission.split(':')[0]];
+    return Array.isArray(scope) ? scope : null;
   };
 
   Admin.prototype.isLocked = function() {
     return !!(this.lockedUntil && this.lockedUntil > Date.now());
   };
 
-  Admin.prototype.incrementLoginAttempts = function() {
+  // Record a failed sign-in; resolves to true when this failure locks the account
+  Admin.prototype.incrementLoginAttempts = async function() {
+    const { maxAttempts, lockoutMinutes } = Admin.getLockoutPolicy();
+
     // If we have a previous lock that has expired, restart at 1
     if (this.lockedUntil && this.lockedUntil < Date.now()) {
-      return this.update({
+      await this.update({
         loginAttempts: 1,
         lockedUntil: null
       });
+      return false;
     }
     
     const updates = { loginAttempts: this.loginAttempts + 1 };
+    const locksAccount = updates.loginAttempts >= maxAttempts && !this.isLocked();
     
-    // Lock account after 5 failed attempts for 2 hours
-    if (this.loginAttempts + 1 >= 5 && !this.isLocked()) {
-      updates.lockedUntil = Date.now() + 2 * 60 * 60 * 1000; // 2 hours
+    if (locksAccount) {
+      updates.lockedUntil = new Date(Date.now() + lockoutMinutes * 60 * 1000);
     }
     
-    return this.update(updates);
+    await this.update(updates);
+    return locksAccount;
   };
 
   Admin.prototype.resetLoginAttempts = function() {
@@ -245,7 +296,6 @@ module.exports = (sequelize, DataTypes) => {
     const values = Object.assign({}, this.get());
     // Remove sensitive fields
     delete values.password;
-    delete values.refreshToken;
     delete values.passwordResetToken;
     delete values.passwordResetExpires;
     delete values.profileUpdateToken;
@@ -255,6 +305,8 @@ module.exports = (sequelize, DataTypes) => {
     delete values.emailVerificationToken;
     delete values.emailVerificationExpires;
     delete values.twoFactorSecret;
+    delete values.twoFactorBackupCodes;
+    delete values.twoFactorLastUsedStep;
     
     return values;
   };
@@ -270,6 +322,15 @@ module.exports = (sequelize, DataTypes) => {
   };
 
   // Class Methods
+
+  // Lockout policy: LOGIN_MAX_ATTEMPTS failed sign-ins lock the account for LOGIN_LOCKOUT_MINUTES
+  Admin.getLockoutPolicy = function() {
+    return {
+      maxAttempts: parseInt(process.env.LOGIN_MAX_ATTEMPTS) || 5,
+      lockoutMinutes: parseInt(process.env.LOGIN_LOCKOUT_MINUTES) || 120
+    };
+  };
+
   Admin.findByEmail = function(email) {
     return this.findOne({ 
       where: { 
@@ -0,0 +1,177 @@
+// models/AdminInvitation.js - Pending admin accounts; the invitee sets their own password
+const crypto = require('crypto');
+const { ADMIN_ROLES } = require('../utils/permissions');
+
+module.exports = (sequelize, DataTypes) => {
+  const { Op } = sequelize.Sequelize;
+
+  const AdminInvitation = sequelize.define('AdminInvitation', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+    },
+    name: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      validate: {
+        notEmpty: true,
+        len: [2, 100]
+      }
+    },
+    email: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      validate: {
+        isEmail: true
+      }
+    },
+    role: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      validate: {
+        isIn: [ADMIN_ROLES]
+      }
+    },
+    // Permissions the admin account is created with
+    permissions: {
+      type: DataTypes.JSON,
+      allowNull: false
+    },
+    phone: {
+      type: DataTypes.STRING
+    },
+    position: {
+      type: DataTypes.STRING
+    },
+    // SHA-256 of the token in the invitation link (the token itself is only emailed)
+    tokenHash: {
+      type: DataTypes.STRING(64),
+      allowNull: false
+    },
+    expiresAt: {
+      type: DataTypes.DATE,
+      allowNull: false
+    },
+    status: {
+      type: DataTypes.ENUM('pending', 'accepted', 'revoked'),
+      allowNull: false,
+      defaultValue: 'pending'
+    },
+    invitedById: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'admins',
+        key: 'id'
+      }
+    },
+    // Admin account created when the invitation was accepted
+    adminId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'admins',
+        key: 'id'
+      }
+    },
+    sendCount: {
+      type: DataTypes.INTEGER,
+      defaultValue: 1
+    },
+    lastSentAt: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW
+    },
+    acceptedAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    revokedAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    }
+  }, {
+    tableName: 'admin_invitations',
+    timestamps: true,
+    indexes: [
+      {
+        fields: ['email']
+      },
+      {
+        unique: true,
+        fields: ['tokenHash']
+      },
+      {
+        fields: ['status']
+      }
+    ],
+    hooks: {
+      beforeValidate: (invitation) => {
+        if (invitation.email) {
+          invitation.email = invitation.email.toLowerCase().trim();
+        }
+      }
+    }
+  });
+
+  // Instance Methods
+  AdminInvitation.prototype.isExpired = function() {
+    return this.expiresAt <= new Date();
+  };
+
+  AdminInvitation.prototype.isUsable = function() {
+    return this.status === 'pending' && !this.isExpired();
+  };
+
+  // Issue a fresh link token and expiry; returns the raw token to email
+  AdminInvitation.prototype.issueToken = function() {
+    const token = crypto.randomBytes(32).toString('hex');
+    this.tokenHash = AdminInvitation.hashToken(token);
+    this.expiresAt = new Date(Date.now() + AdminInvitation.getExpiryHours() * 60 * 60 * 1000);
+    this.lastSentAt = new Date();
+    return token;
+  };
+
+  AdminInvitation.prototype.toJSON = function() {
+    const values = Object.assign({}, this.get());
+    delete values.tokenHash;
+    values.isExpired = this.status === 'pending' && this.isExpired();
+    return values;
+  };
+
+  // Class Methods
+  AdminInvitation.hashToken = function(token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+  };
+
+  // Link lifetime from ADMIN_INVITE_EXPIRE_HOURS (default 72)
+  AdminInvitation.getExpiryHours = function() {
+    return parseInt(process.env.ADMIN_INVITE_EXPIRE_HOURS, 10) || 72;
+  };
+
+  AdminInvitation.findByToken = function(token) {
+    return this.findOne({ where: { tokenHash: this.hashToken(token) } });
+  };
+
+  AdminInvitation.findPendingByEmail = function(email) {
+    return this.findOne({
+      where: { email: email.toLowerCase().trim(), status: 'pending' }
+    });
+  };
+
+  AdminInvitation.findPending = function(options = {}) {
+    const where = { status: 'pending' };
+    if (options.includeExpired === false) {
+      where.expiresAt = { [Op.gt]: new Date() };
+    }
+    return this.findAll({
+      where,
+      include: options.include,
+      order: [['createdAt', 'DESC']]
+    });
+  };
+
+  return AdminInvitation;
+};
@@ -70,6 +70,11 @@ module.exports = (sequelize, DataTypes) => {
     notes: {
       type: DataTypes.TEXT
     },
+    // While open, ushers can check individual members in against this record
+    checkInOpen: {
+      type: DataTypes.BOOLEAN,
+      defaultValue: false
+    },
     recordedById: {
       type: DataTypes.UUID,
       allowNull: false,
@@ -77,6 +82,15 @@ module.exports = (sequelize, DataTypes) => {
         model: 'admins',
         key: 'id'
       }
+    },
+    // Set for a unit's own gathering (e.g. choir rehearsal); null for church-wide services
+    departmentId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'departments',
+        key: 'id'
+      }
     }
   }, {
     tableName: 'attendances',
@@ -92,8 +106,19 @@ module.exports = (sequelize, DataTypes) => {
         fields: ['recordedById']
       },
       {
+        fields: ['departmentId']
+      },
+      {
+        name: 'attendances_date_service_type_unique',
+        unique: true,
+        fields: ['date', 'serviceType'],
+        where: { departmentId: null }
+      },
+      {
+        name: 'attendances_date_service_type_department_unique',
         unique: true,
-        fields: ['date', 'serviceType']
+        fields: ['date', 'serviceType', 'departmentId'],
+        where: { departmentId: { [sequelize.Sequelize.Op.ne]: null } }
       }
     ]
   });
@@ -118,7 +143,8 @@ module.exports = (sequelize, DataTypes) => {
   };
 
   // Class Methods
-  Attendance.getStatistics = function(period = 'month') {
+  // scope: optional where clause, e.g. a department head's units
+  Attendance.getStatistics = function(period = 'month', scope = {}) {
     const { Op } = require('sequelize');
     const now = new Date();
     let startDate;
@@ -139,6 +165,7 @@ module.exports = (sequelize, DataTypes) => {
 
     return this.findAll({
       where: {
+        ...scope,
         date: {
           [Op.gte]: startDate
         }
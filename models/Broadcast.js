@@ -0,0 +1,156 @@
+// models/Broadcast.js - Newsletters and announcements emailed to a segment of members
+module.exports = (sequelize, DataTypes) => {
+  const { Op } = sequelize.Sequelize;
+
+  const SEGMENT_TYPES = ['all', 'department', 'gender', 'age_band', 'birthday_month'];
+
+  const Broadcast = sequelize.define('Broadcast', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+    },
+    subject: {
+      type: DataTypes.STRING(200),
+      allowNull: false,
+      validate: {
+        notEmpty: true
+      }
+    },
+    // Rich HTML, wrapped in templates/emails/base.ejs when sent
+    body: {
+      type: DataTypes.TEXT,
+      allowNull: false,
+      validate: {
+        notEmpty: true
+      }
+    },
+    // { type, departmentId?, gender?, minAge?, maxAge?, month? }
+    segment: {
+      type: DataTypes.JSON,
+      allowNull: false,
+      defaultValue: { type: 'all' },
+      validate: {
+        isSegment(value) {
+          if (!value || !SEGMENT_TYPES.includes(value.type)) {
+            throw new Error(`Segment type must be one of: ${SEGMENT_TYPES.join(', ')}`);
+          }
+        }
+      }
+    },
+    status: {
+      type: DataTypes.ENUM('scheduled', 'sending', 'sent', 'cancelled'),
+      allowNull: false,
+      defaultValue: 'scheduled'
+    },
+    scheduledAt: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW
+    },
+    startedAt: {
+      type: DataTypes.DATE
+    },
+    completedAt: {
+      type: DataTypes.DATE
+    },
+    cancelledAt: {
+      type: DataTypes.DATE
+    },
+    recipientCount: {
+      type: DataTypes.INTEGER,
+      defaultValue: 0
+    },
+    createdById: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'admins',
+        key: 'id'
+      }
+    }
+  }, {
+    tableName: 'broadcasts',
+    timestamps: true,
+    indexes: [
+      {
+        fields: ['status', 'scheduledAt']
+      },
+      {
+        fields: ['createdById']
+      }
+    ]
+  });
+
+  Broadcast.SEGMENT_TYPES = SEGMENT_TYPES;
+
+  // Instance Methods
+  Broadcast.prototype.isEditable = function() {
+    return this.status === 'scheduled';
+  };
+
+  // Class Methods
+
+  // Where clause on members for a segment: active members with an email address
+  Broadcast.getAudienceWhere = function(segment = { type: 'all' }) {
+    const conditions = [
+      { isActive: true },
+      { email: { [Op.ne]: null } },
+      { email: { [Op.ne]: '' } }
+    ];
+
+    switch (segment.type) {
+      case 'department':
+        conditions.push({
+          id: {
+            [Op.in]: sequelize.literal(
+              `(SELECT "memberId" FROM "member_departments" WHERE "departmentId" = ${sequelize.escape(segment.departmentId)})`
+            )
+          }
+        });
+        break;
+      case 'gender':
+        conditions.push({ gender: segment.gender });
+        break;
+      case 'age_band': {
+        // Born after the day they would turn maxAge + 1 and on or before the day they turned minAge
+        const today = new Date();
+        const yearsAgo = (years) =>
+          new Date(Date.UTC(today.getFullYear() - years, today.getMonth(), today.getDate()))
+            .toISOString()
+            .split('T')[0];
+        const dateOfBirth = { [Op.ne]: null };
+        if (segment.minAge !== undefined && segment.minAge !== null) {
+          dateOfBirth[Op.lte] = yearsAgo(segment.minAge);
+        }
+        if (segment.maxAge !== undefined && segment.maxAge !== null) {
+          dateOfBirth[Op.gt] = yearsAgo(segment.maxAge + 1);
+        }
+        conditions.push({ dateOfBirth });
+        break;
+      }
+      case 'birthday_month':
+        conditions.push(
+          sequelize.where(sequelize.fn('date_part', 'month', sequelize.col('dateOfBirth')), segment.month)
+        );
+        break;
+      default:
+        break;
+    }
+
+    return { [Op.and]: conditions };
+  };
+
+  // Scheduled broadcasts whose time has come
+  Broadcast.findDue = function() {
+    return this.findAll({
+      where: {
+        status: 'scheduled',
+        scheduledAt: { [Op.lte]: new Date() }
+      },
+      order: [['scheduledAt', 'ASC']]
+    });
+  };
+
+  return Broadcast;
+};
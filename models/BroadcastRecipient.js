@@ -0,0 +1,114 @@
+// models/BroadcastRecipient.js - Delivery status of a broadcast for each member
+module.exports = (sequelize, DataTypes) => {
+  const { Op } = sequelize.Sequelize;
+
+  const BroadcastRecipient = sequelize.define('BroadcastRecipient', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+    },
+    broadcastId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'broadcasts',
+        key: 'id'
+      }
+    },
+    memberId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'members',
+        key: 'id'
+      }
+    },
+    // Copied when the audience is resolved so the history survives member changes
+    name: {
+      type: DataTypes.STRING,
+      allowNull: false
+    },
+    email: {
+      type: DataTypes.STRING,
+      allowNull: false
+    },
+    // pending: waiting for its batch; queued: handed to the email outbox; skipped: broadcast cancelled
+    status: {
+      type: DataTypes.ENUM('pending', 'queued', 'sent', 'failed', 'skipped'),
+      allowNull: false,
+      defaultValue: 'pending'
+    },
+    // Not a foreign key: delivered outbox messages are pruned after the retention period
+    emailOutboxId: {
+      type: DataTypes.UUID,
+      allowNull: true
+    },
+    error: {
+      type: DataTypes.TEXT
+    },
+    queuedAt: {
+      type: DataTypes.DATE
+    },
+    sentAt: {
+      type: DataTypes.DATE
+    }
+  }, {
+    tableName: 'broadcast_recipients',
+    timestamps: true,
+    indexes: [
+      {
+        unique: true,
+        fields: ['broadcastId', 'memberId']
+      },
+      {
+        fields: ['broadcastId', 'status']
+      },
+      {
+        fields: ['status', 'emailOutboxId']
+      }
+    ]
+  });
+
+  // Class Methods
+
+  // Copy outbox results onto queued recipients, before the outbox prunes them
+  BroadcastRecipient.syncDeliveryStatus = async function() {
+    const queued = await this.findAll({
+      where: { status: 'queued', emailOutboxId: { [Op.ne]: null } },
+      include: [
+        {
+          association: 'outboxEmail',
+          where: { status: ['sent', 'failed'] },
+          attributes: ['id', 'status', 'lastError', 'sentAt']
+        }
+      ],
+      limit: 500
+    });
+
+    for (const recipient of queued) {
+      await recipient.update({
+        status: recipient.outboxEmail.status,
+        sentAt: recipient.outboxEmail.sentAt,
+        error: recipient.outboxEmail.status === 'failed' ? recipient.outboxEmail.lastError : null
+      });
+    }
+    return queued.length;
+  };
+
+  BroadcastRecipient.getStatusCounts = async function(broadcastId) {
+    const rows = await this.findAll({
+      attributes: ['status', [sequelize.fn('COUNT', sequelize.col('id')), 'count']],
+      where: { broadcastId },
+      group: ['status'],
+      raw: true
+    });
+
+    return rows.reduce((acc, row) => {
+      acc[row.status] = parseInt(row.count);
+      return acc;
+    }, { pending: 0, queued: 0, sent: 0, failed: 0, skipped: 0 });
+  };
+
+  return BroadcastRecipient;
+};
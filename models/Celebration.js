@@ -1,4 +1,6 @@
 // models/Celebration.js
+const crypto = require('crypto');
+
 module.exports = (sequelize, DataTypes) => {
   const Celebration = sequelize.define('Celebration', {
     id: {
@@ -114,6 +116,14 @@ module.exports = (sequelize, DataTypes) => {
     priority: {
       type: DataTypes.ENUM('low', 'medium', 'high'),
       defaultValue: 'medium'
+    },
+    // Shared with the submitter so they can check the status without an account
+    // (null for requests submitted before tracking references existed)
+    trackingReference: {
+      type: DataTypes.STRING(64),
+      allowNull: true,
+      unique: true,
+      defaultValue: () => crypto.randomBytes(16).toString('hex')
     }
   }, {
     tableName: 'celebrations',
@@ -136,6 +146,10 @@ module.exports = (sequelize, DataTypes) => {
       },
       {
         fields: ['celebrationDate']
+      },
+      {
+        unique: true,
+        fields: ['trackingReference']
       }
     ],
     hooks: {
@@ -196,7 +210,7 @@ module.exports = (sequelize, DataTypes) => {
       where: { status: 'pending' },
       include: [{
         association: 'member',
-        attributes: ['name', 'email', 'phone', 'department']
+        attributes: ['id', 'name', 'email', 'phone', 'department', 'notificationChannel', 'notificationsOptOut', 'communicationPreferences']
       }],
       order: [['createdAt', 'ASC']]
     });
@@ -217,7 +231,7 @@ module.exports = (sequelize, DataTypes) => {
       },
       include: [{
         association: 'member',
-        attributes: ['name', 'email', 'phone', 'department']
+        attributes: ['id', 'name', 'email', 'phone', 'department', 'notificationChannel', 'notificationsOptOut', 'communicationPreferences']
       }],
       order: [['celebrationDate', 'ASC']]
     });
@@ -231,7 +245,7 @@ module.exports = (sequelize, DataTypes) => {
       },
       include: [{
         association: 'member',
-        attributes: ['name', 'email', 'phone', 'department']
+        attributes: ['id', 'name', 'email', 'phone', 'department', 'notificationChannel', 'notificationsOptOut', 'communicationPreferences']
       }],
       order: [['date', 'ASC']]
     });
@@ -250,7 +264,7 @@ module.exports = (sequelize, DataTypes) => {
       },
       include: [{
         association: 'member',
-        attributes: ['name', 'email', 'phone', 'department']
+        attributes: ['id', 'name', 'email', 'phone', 'department', 'notificationChannel', 'notificationsOptOut', 'communicationPreferences']
       }]
     });
   };
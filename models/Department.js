@@ -0,0 +1,112 @@
+// models/Department.js - Ministry units / departments members serve in
+module.exports = (sequelize, DataTypes) => {
+  const Department = sequelize.define('Department', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+    },
+    name: {
+      type: DataTypes.STRING(100),
+      allowNull: false,
+      validate: {
+        notEmpty: true,
+        len: [2, 100]
+      }
+    },
+    description: {
+      type: DataTypes.TEXT
+    },
+    leaderId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'members',
+        key: 'id'
+      }
+    },
+    assistantId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'members',
+        key: 'id'
+      }
+    },
+    // Regular meeting schedule, e.g. weekly on Saturday at 16:00
+    meetingDay: {
+      type: DataTypes.ENUM('Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'),
+      allowNull: true
+    },
+    meetingTime: {
+      type: DataTypes.TIME,
+      allowNull: true
+    },
+    meetingFrequency: {
+      type: DataTypes.ENUM('weekly', 'biweekly', 'monthly'),
+      allowNull: true
+    },
+    meetingLocation: {
+      type: DataTypes.STRING
+    },
+    isActive: {
+      type: DataTypes.BOOLEAN,
+      defaultValue: true
+    }
+  }, {
+    tableName: 'departments',
+    timestamps: true,
+    hooks: {
+      beforeValidate: (department) => {
+        if (department.name) {
+          department.name = Department.normalizeName(department.name);
+        }
+      }
+    },
+    indexes: [
+      {
+        // "Choir" and "choir " are the same department
+        unique: true,
+        name: 'departments_name_lower_unique',
+        fields: [sequelize.fn('lower', sequelize.col('name'))]
+      },
+      {
+        fields: ['isActive']
+      }
+    ]
+  });
+
+  // Class Methods
+
+  // Trim and collapse whitespace so spellings compare consistently
+  Department.normalizeName = function(name) {
+    return String(name || '').trim().replace(/\s+/g, ' ');
+  };
+
+  // Case-insensitive lookup by name
+  Department.findByName = function(name, options = {}) {
+    return this.findOne({
+      ...options,
+      where: sequelize.where(
+        sequelize.fn('lower', sequelize.col('name')),
+        this.normalizeName(name).toLowerCase()
+      )
+    });
+  };
+
+  // Resolve a free-text department name, creating the department on first use
+  Department.findOrCreateByName = async function(name, options = {}) {
+    const existing = await this.findByName(name, options);
+    if (existing) return existing;
+    return this.create({ name }, options);
+  };
+
+  Department.prototype.getMeetingSchedule = function() {
+    if (!this.meetingDay) return null;
+    const frequency = this.meetingFrequency ? `${this.meetingFrequency} ` : '';
+    const time = this.meetingTime ? ` at ${String(this.meetingTime).slice(0, 5)}` : '';
+    return `${frequency}${this.meetingDay}${time}`.replace(/^./, (c) => c.toUpperCase());
+  };
+
+  return Department;
+};
@@ -0,0 +1,226 @@
+// models/EmailOutbox.js - Queued emails, delivered by the outbox worker with retries
+module.exports = (sequelize, DataTypes) => {
+  const { Op } = sequelize.Sequelize;
+
+  const EmailOutbox = sequelize.define('EmailOutbox', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+    },
+    to: {
+      type: DataTypes.TEXT,
+      allowNull: false
+    },
+    subject: {
+      type: DataTypes.STRING(500),
+      allowNull: false
+    },
+    html: {
+      type: DataTypes.TEXT
+    },
+    text: {
+      type: DataTypes.TEXT
+    },
+    // [{ filename, contentType, content (base64), encoding: 'base64' }]
+    attachments: {
+      type: DataTypes.JSON,
+      allowNull: true
+    },
+    // Messages with links that grant access (password resets, invitations) are hidden from the admin viewer
+    sensitive: {
+      type: DataTypes.BOOLEAN,
+      defaultValue: false
+    },
+    status: {
+      type: DataTypes.ENUM('pending', 'sending', 'sent', 'failed'),
+      allowNull: false,
+      defaultValue: 'pending'
+    },
+    attempts: {
+      type: DataTypes.INTEGER,
+      defaultValue: 0
+    },
+    maxAttempts: {
+      type: DataTypes.INTEGER,
+      defaultValue: 6
+    },
+    nextAttemptAt: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW
+    },
+    lastAttemptAt: {
+      type: DataTypes.DATE
+    },
+    lastError: {
+      type: DataTypes.TEXT
+    },
+    errorHistory: {
+      type: DataTypes.JSON, // [{ attempt, error, date }]
+      defaultValue: []
+    },
+    messageId: {
+      type: DataTypes.STRING
+    },
+    sentAt: {
+      type: DataTypes.DATE
+    }
+  }, {
+    tableName: 'email_outbox',
+    timestamps: true,
+    indexes: [
+      {
+        fields: ['status', 'nextAttemptAt']
+      },
+      {
+        fields: ['createdAt']
+      }
+    ]
+  });
+
+  // First retry after a minute, doubling each time, at most six hours apart
+  const RETRY_BASE_MS = 60 * 1000;
+  const RETRY_MAX_MS = 6 * 60 * 60 * 1000;
+
+  // Instance Methods
+  EmailOutbox.prototype.markSent = function(messageId) {
+    return this.update({
+      status: 'sent',
+      messageId,
+      sentAt: new Date(),
+      lastError: null
+    });
+  };
+
+  // Record a failed attempt and schedule the next one, or give up after maxAttempts
+  EmailOutbox.prototype.markFailed = function(error) {
+    const message = error instanceof Error ? error.message : String(error);
+    const giveUp = this.attempts >= this.maxAttempts;
+    const delay = Math.min(RETRY_BASE_MS * 2 ** Math.max(this.attempts - 1, 0), RETRY_MAX_MS);
+
+    return this.update({
+      status: giveUp ? 'failed' : 'pending',
+      lastError: message,
+      errorHistory: [
+        ...(this.errorHistory || []),
+        { attempt: this.attempts, error: message, date: new Date() }
+      ],
+      nextAttemptAt: giveUp ? this.nextAttemptAt : new Date(Date.now() + delay)
+    });
+  };
+
+  // Options for nodemailer's sendMail
+  EmailOutbox.prototype.toMailOptions = function() {
+    const options = {
+      to: this.to,
+      subject: this.subject,
+      html: this.html,
+      text: this.text
+    };
+    if (this.attachments && this.attachments.length > 0) {
+      options.attachments = this.attachments;
+    }
+    return options;
+  };
+
+  EmailOutbox.prototype.toJSON = function() {
+    const values = Object.assign({}, this.get());
+    if (values.sensitive) {
+      values.html = null;
+      values.text = null;
+    }
+    if (values.attachments) {
+      values.attachments = values.attachments.map(({ filename, contentType }) => ({ filename, contentType }));
+    }
+    return values;
+  };
+
+  // Class Methods
+
+  // Queue a message; Buffer attachments are stored as base64
+  EmailOutbox.enqueue = function({ to, subject, html, text, attachments, sensitive = false }) {
+    return this.create({
+      to: Array.isArray(to) ? to.join(', ') : to,
+      subject,
+      html,
+      text,
+      sensitive,
+      maxAttempts: parseInt(process.env.EMAIL_MAX_ATTEMPTS, 10) || 6,
+      attachments: attachments && attachments.length > 0
+        ? attachments.map((attachment) => ({
+          filename: attachment.filename,
+          contentType: attachment.contentType,
+          content: Buffer.isBuffer(attachment.content)
+            ? attachment.content.toString('base64')
+            : Buffer.from(String(attachment.content)).toString('base64'),
+          encoding: 'base64'
+        }))
+        : null
+    });
+  };
+
+  // Claim messages that are due so that only one worker sends each of them
+  EmailOutbox.claimDue = async function(limit = 10) {
+    const due = await this.findAll({
+      where: {
+        status: 'pending',
+        nextAttemptAt: { [Op.lte]: new Date() }
+      },
+      order: [['nextAttemptAt', 'ASC']],
+      limit
+    });
+
+    const claimed = [];
+    for (const message of due) {
+      const [count] = await this.update(
+        { status: 'sending', attempts: message.attempts + 1, lastAttemptAt: new Date() },
+        { where: { id: message.id, status: 'pending' } }
+      );
+      if (count === 1) {
+        await message.reload();
+        claimed.push(message);
+      }
+    }
+    return claimed;
+  };
+
+  // Put messages back in the queue if a worker stopped while sending them
+  EmailOutbox.releaseStale = function(minutes = 10) {
+    return this.update(
+      { status: 'pending' },
+      {
+        where: {
+          status: 'sending',
+          lastAttemptAt: { [Op.lt]: new Date(Date.now() - minutes * 60 * 1000) }
+        }
+      }
+    );
+  };
+
+  // Drop delivered messages after the retention period (EMAIL_OUTBOX_RETENTION_DAYS, default 30)
+  EmailOutbox.pruneSent = function() {
+    const days = parseInt(process.env.EMAIL_OUTBOX_RETENTION_DAYS, 10) || 30;
+    return this.destroy({
+      where: {
+        status: 'sent',
+        sentAt: { [Op.lt]: new Date(Date.now() - days * 24 * 60 * 60 * 1000) }
+      }
+    });
+  };
+
+  EmailOutbox.getStatusCounts = async function() {
+    const rows = await this.findAll({
+      attributes: ['status', [sequelize.fn('COUNT', sequelize.col('id')), 'count']],
+      group: ['status'],
+      raw: true
+    });
+
+    return rows.reduce((acc, row) => {
+      acc[row.status] = parseInt(row.count);
+      return acc;
+    }, { pending: 0, sending: 0, sent: 0, failed: 0 });
+  };
+
+  return EmailOutbox;
+};
@@ -1,4 +1,101 @@
 // models/Event.js - Updated with proper associations and methods
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Upper bound on occurrences returned by a single expansion
+const MAX_OCCURRENCES = 1000;
+
+// Recurrence maths is done on UTC midnights so DST never shifts a date
+const toDateString = (date) => date.toISOString().split('T')[0];
+
+const parseDate = (value) => {
+  const dateString = value instanceof Date ? toDateString(value) : String(value).slice(0, 10);
+  return new Date(`${dateString}T00:00:00Z`);
+};
+
+const addDays = (date, days) => new Date(date.getTime() + days * DAY_MS);
+
+// Yields the series dates in order, starting from the event's first date
+function* seriesDates(event, start, interval) {
+  const pattern = event.recurringPattern;
+  const weekdays = Array.isArray(event.recurrenceDays)
+    ? [...new Set(event.recurrenceDays.map(Number))].sort((a, b) => a - b)
+    : [];
+
+  if (pattern === 'weekly' && weekdays.length > 0) {
+    const weekStart = addDays(start, -start.getUTCDay());
+    for (let week = 0; ; week += interval) {
+      for (const weekday of weekdays) {
+        const candidate = addDays(weekStart, week * 7 + weekday);
+        if (candidate >= start) yield candidate;
+      }
+    }
+  }
+
+  const year = start.getUTCFullYear();
+  const month = start.getUTCMonth();
+  const day = start.getUTCDate();
+
+  for (let step = 0; ; step += interval) {
+    let candidate;
+    switch (pattern) {
+      case 'daily':
+        candidate = addDays(start, step);
+        break;
+      case 'weekly':
+        candidate = addDays(start, step * 7);
+        break;
+      case 'monthly':
+        candidate = new Date(Date.UTC(year, month + step, day));
+        // Months without the start day (e.g. the 31st) are skipped
+        if (candidate.getUTCDate() !== day) continue;
+        break;
+      case 'yearly':
+        candidate = new Date(Date.UTC(year + step, month, day));
+        // Feb 29 only recurs in leap years
+        if (candidate.getUTCDate() !== day) continue;
+        break;
+      default:
+        return;
+    }
+
+    yield candidate;
+  }
+}
+
+// Occurrence dates of an event between `from` and `until` (null = open ended), capped at `limit`
+const expandSeries = (event, from, until, limit = MAX_OCCURRENCES) => {
+  const start = parseDate(event.date);
+
+  if (!event.isRecurring || !event.recurringPattern) {
+    const inRange = start >= from && (!until || start <= until);
+    return inRange ? [toDateString(start)] : [];
+  }
+
+  let end = until;
+  if (event.recurrenceEndDate) {
+    const seriesEnd = parseDate(event.recurrenceEndDate);
+    if (!end || seriesEnd < end) end = seriesEnd;
+  }
+
+  const interval = Math.max(1, parseInt(event.recurrenceInterval) || 1);
+  const maxCount = event.recurrenceCount ? parseInt(event.recurrenceCount) : Infinity;
+  const exceptions = new Set(event.exceptionDates || []);
+  const dates = [];
+  let generated = 0;
+
+  for (const candidate of seriesDates(event, start, interval)) {
+    if ((end && candidate > end) || generated >= maxCount || dates.length >= limit) break;
+    generated++;
+
+    const dateString = toDateString(candidate);
+    if (candidate >= from && !exceptions.has(dateString)) {
+      dates.push(dateString);
+    }
+  }
+
+  return dates;
+};
+
 module.exports = (sequelize, DataTypes) => {
   const Event = sequelize.define('Event', {
     id: {
@@ -93,6 +190,36 @@ module.exports = (sequelize, DataTypes) => {
         }
       }
     },
+    // Repeat every N days/weeks/months/years
+    recurrenceInterval: {
+      type: DataTypes.INTEGER,
+      defaultValue: 1,
+      validate: {
+        min: 1,
+        max: 365
+      }
+    },
+    // Weekdays (0 = Sunday) for weekly patterns; empty means the weekday of `date`
+    recurrenceDays: {
+      type: DataTypes.JSON,
+      defaultValue: []
+    },
+    recurrenceEndDate: {
+      type: DataTypes.DATEONLY
+    },
+    // Total number of occurrences in the series, counted from `date`
+    recurrenceCount: {
+      type: DataTypes.INTEGER,
+      validate: {
+        min: 1,
+        max: 1000
+      }
+    },
+    // Dates dropped from the series entirely
+    exceptionDates: {
+      type: DataTypes.JSON,
+      defaultValue: []
+    },
     status: {
       type: DataTypes.ENUM('upcoming', 'ongoing', 'completed', 'cancelled'),
       defaultValue: 'upcoming'
@@ -113,6 +240,15 @@ module.exports = (sequelize, DataTypes) => {
         key: 'id'
       }
     },
+    // Department running the event; null for church-wide events
+    departmentId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'departments',
+        key: 'id'
+      }
+    },
     registrationRequired: {
       type: DataTypes.BOOLEAN,
       defaultValue: false
@@ -147,6 +283,9 @@ module.exports = (sequelize, DataTypes) => {
       {
         fields: ['organizerId']
       },
+      {
+        fields: ['departmentId']
+      },
       {
         fields: ['isRecurring']
       },
@@ -166,28 +305,45 @@ module.exports = (sequelize, DataTypes) => {
       onUpdate: 'CASCADE'
     });
 
-    // Future: Event can have many EventRegistrations
-    // Event.hasMany(models.EventRegistration, {
-    //   foreignKey: 'eventId',
-    //   as: 'registrations',
-    //   onDelete: 'CASCADE'
-    // });
+    // Event has many EventRegistrations
+    Event.hasMany(models.EventRegistration, {
+      foreignKey: 'eventId',
+      as: 'registrations',
+      onDelete: 'CASCADE'
+    });
+
+    // Event has many per-date EventOccurrence overrides
+    Event.hasMany(models.EventOccurrence, {
+      foreignKey: 'eventId',
+      as: 'occurrenceOverrides',
+      onDelete: 'CASCADE'
+    });
   };
 
   // Instance Methods
   Event.prototype.isUpcoming = function() {
+    if (this.isRecurring) {
+      return this.status === 'upcoming' && Boolean(this.getNextOccurrenceDate());
+    }
     const now = new Date();
     const eventDate = new Date(this.date);
     return eventDate > now && this.status === 'upcoming';
   };
 
   Event.prototype.isPast = function() {
+    if (this.isRecurring) {
+      return !this.getNextOccurrenceDate();
+    }
     const now = new Date();
     const eventDate = new Date(this.date);
     return eventDate < now;
   };
 
   Event.prototype.isToday = function() {
+    if (this.isRecurring) {
+      const today = new Date();
+      return this.getOccurrenceDates(today, today).length > 0;
+    }
     const today = new Date();
     const eventDate = new Date(this.date);
     return today.getDate() === eventDate.getDate() &&
@@ -209,6 +365,14 @@ module.exports = (sequelize, DataTypes) => {
     return Math.round((this.currentAttendees / this.maxAttendees) * 100);
   };
 
+  // Registration window is open (ignores capacity - full events take a waitlist)
+  Event.prototype.isRegistrationOpen = function() {
+    if (this.registrationDeadline && new Date() > new Date(this.registrationDeadline)) {
+      return false;
+    }
+    return this.isUpcoming();
+  };
+
   Event.prototype.canRegister = function() {
     const now = new Date();
     
@@ -227,23 +391,105 @@ module.exports = (sequelize, DataTypes) => {
     return this.isUpcoming();
   };
 
+  // Series dates (YYYY-MM-DD) between two dates, inclusive, after exceptions
+  Event.prototype.getOccurrenceDates = function(startDate, endDate) {
+    return expandSeries(this, parseDate(startDate), parseDate(endDate));
+  };
+
+  Event.prototype.getNextOccurrenceDate = function(fromDate = new Date()) {
+    return expandSeries(this, parseDate(fromDate), null, 1)[0] || null;
+  };
+
+  Event.prototype.isOccurrenceDate = function(date) {
+    return this.getOccurrenceDates(date, date).length > 0;
+  };
+
+  // Plain series values with a single occurrence's date and overrides applied
+  Event.prototype.buildOccurrence = function(date, override = null) {
+    const isCancelled = Boolean(override && override.status === 'cancelled');
+    return {
+      ...this.get({ plain: true }),
+      seriesDate: this.date,
+      date,
+      occurrenceDate: date,
+      title: (override && override.title) || this.title,
+      description: (override && override.description) || this.description,
+      time: (override && override.time) || this.time,
+      endTime: (override && override.endTime) || this.endTime,
+      location: (override && override.location) || this.location,
+      occurrenceStatus: isCancelled ? 'cancelled' : 'scheduled',
+      occurrenceNotes: override ? override.notes : null,
+      isModified: Boolean(override) && !isCancelled
+    };
+  };
+
   // Class Methods
-  Event.getUpcomingEvents = function(limit = 10) {
+
+  // Every occurrence of matching events within a date range, sorted by date and time.
+  // Cancelled occurrences are left out unless options.includeCancelled is set.
+  Event.getOccurrencesInRange = async function(startDate, endDate, options = {}) {
     const { Op } = require('sequelize');
-    return this.findAll({
+    const { EventOccurrence } = sequelize.models;
+    const { where = {}, includeCancelled = false } = options;
+
+    const rangeStart = toDateString(parseDate(startDate));
+    const rangeEnd = toDateString(parseDate(endDate));
+
+    const events = await this.findAll({
       where: {
-        date: {
-          [Op.gte]: new Date()
-        },
-        status: 'upcoming'
+        [Op.and]: [
+          where,
+          {
+            [Op.or]: [
+              { isRecurring: false, date: { [Op.between]: [rangeStart, rangeEnd] } },
+              {
+                isRecurring: true,
+                date: { [Op.lte]: rangeEnd },
+                [Op.or]: [
+                  { recurrenceEndDate: null },
+                  { recurrenceEndDate: { [Op.gte]: rangeStart } }
+                ]
+              }
+            ]
+          }
+        ]
       },
-      order: [['date', 'ASC'], ['time', 'ASC']],
-      limit,
       include: [{
         association: 'organizer',
-        attributes: ['name', 'position']
+        attributes: ['id', 'name', 'position']
       }]
     });
+
+    const overrides = await EventOccurrence.getOverrideMap(
+      events.filter((event) => event.isRecurring).map((event) => event.id),
+      rangeStart,
+      rangeEnd
+    );
+
+    const occurrences = events.flatMap((event) =>
+      event.getOccurrenceDates(rangeStart, rangeEnd).map((date) =>
+        event.buildOccurrence(date, overrides[`${event.id}:${date}`])
+      )
+    );
+
+    return occurrences
+      .filter((occurrence) => includeCancelled || occurrence.occurrenceStatus !== 'cancelled')
+      .sort((a, b) =>
+        a.date === b.date
+          ? String(a.time).localeCompare(String(b.time))
+          : a.date.localeCompare(b.date)
+      );
+  };
+
+  // Next occurrences across all upcoming events, looking up to a year ahead
+  Event.getUpcomingEvents = async function(limit = 10) {
+    const today = new Date();
+    const horizon = addDays(parseDate(today), 365);
+
+    const occurrences = await this.getOccurrencesInRange(today, horizon, {
+      where: { status: 'upcoming' }
+    });
+    return occurrences.slice(0, limit);
   };
 
   Event.getEventsByCategory = function(category) {
@@ -292,7 +538,7 @@ module.exports = (sequelize, DataTypes) => {
     });
   };
 
-  Event.getStatistics = function() {
+  Event.getStatistics = function(scope = {}) {
     const { Op } = require('sequelize');
     const now = new Date();
     const thisMonth = new Date(now.getFullYear(), now.getMonth(), 1);
@@ -300,11 +546,12 @@ module.exports = (sequelize, DataTypes) => {
     
     return Promise.all([
       // Total events
-      this.count(),
+      this.count({ where: scope }),
       
       // Upcoming events
       this.count({ 
         where: { 
+          ...scope,
           date: { [Op.gte]: now },
           status: 'upcoming'
         }
@@ -312,12 +559,13 @@ module.exports = (sequelize, DataTypes) => {
       
       // Completed events
       this.count({ 
-        where: { status: 'completed' }
+        where: { ...scope, status: 'completed' }
       }),
       
       // This month events
       this.count({
         where: {
+          ...scope,
           date: {
             [Op.gte]: thisMonth,
             [Op.lt]: nextMonth
@@ -331,6 +579,7 @@ module.exports = (sequelize, DataTypes) => {
           'category', 
           [sequelize.fn('COUNT', sequelize.col('id')), 'count']
         ],
+        where: scope,
         group: ['category'],
         raw: true
       }),
@@ -341,6 +590,7 @@ module.exports = (sequelize, DataTypes) => {
           'status', 
           [sequelize.fn('COUNT', sequelize.col('id')), 'count']
         ],
+        where: scope,
         group: ['status'],
         raw: true
       })
@@ -381,6 +631,8 @@ module.exports = (sequelize, DataTypes) => {
     
     // Ensure booleans are properly formatted
     values.isRecurring = Boolean(values.isRecurring);
+    values.recurrenceDays = values.recurrenceDays || [];
+    values.exceptionDates = values.exceptionDates || [];
     values.registrationRequired = Boolean(values.registrationRequired);
     
     // Add computed properties
@@ -0,0 +1,99 @@
+// models/EventOccurrence.js - Per-date overrides for a single occurrence of a recurring event
+module.exports = (sequelize, DataTypes) => {
+  const EventOccurrence = sequelize.define('EventOccurrence', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+    },
+    eventId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'events',
+        key: 'id'
+      }
+    },
+    // The series date this override replaces
+    occurrenceDate: {
+      type: DataTypes.DATEONLY,
+      allowNull: false,
+      validate: {
+        isDate: true
+      }
+    },
+    status: {
+      type: DataTypes.ENUM('scheduled', 'cancelled'),
+      defaultValue: 'scheduled'
+    },
+    // Null fields fall back to the series values
+    title: {
+      type: DataTypes.STRING,
+      validate: {
+        len: [3, 200]
+      }
+    },
+    description: {
+      type: DataTypes.TEXT
+    },
+    time: {
+      type: DataTypes.TIME
+    },
+    endTime: {
+      type: DataTypes.TIME
+    },
+    location: {
+      type: DataTypes.STRING
+    },
+    notes: {
+      type: DataTypes.STRING(500)
+    },
+    updatedById: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'admins',
+        key: 'id'
+      }
+    }
+  }, {
+    tableName: 'event_occurrences',
+    timestamps: true,
+    indexes: [
+      {
+        unique: true,
+        fields: ['eventId', 'occurrenceDate']
+      },
+      {
+        fields: ['occurrenceDate']
+      }
+    ]
+  });
+
+  // Instance Methods
+  EventOccurrence.prototype.isCancelled = function() {
+    return this.status === 'cancelled';
+  };
+
+  // Class Methods
+
+  // Overrides for the given events within a date range, keyed by `${eventId}:${date}`
+  EventOccurrence.getOverrideMap = async function(eventIds, startDate, endDate) {
+    const { Op } = require('sequelize');
+    if (!eventIds.length) return {};
+
+    const overrides = await this.findAll({
+      where: {
+        eventId: eventIds,
+        occurrenceDate: { [Op.between]: [startDate, endDate] }
+      }
+    });
+
+    return overrides.reduce((acc, override) => {
+      acc[`${override.eventId}:${override.occurrenceDate}`] = override;
+      return acc;
+    }, {});
+  };
+
+  return EventOccurrence;
+};
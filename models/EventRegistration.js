@@ -0,0 +1,158 @@
+// models/EventRegistration.js - RSVPs for events, with waitlisting once an event is full
+const crypto = require('crypto');
+
+module.exports = (sequelize, DataTypes) => {
+  const EventRegistration = sequelize.define('EventRegistration', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+    },
+    eventId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'events',
+        key: 'id'
+      }
+    },
+    memberId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'members',
+        key: 'id'
+      }
+    },
+    name: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      validate: {
+        notEmpty: true,
+        len: [2, 100]
+      }
+    },
+    email: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      validate: {
+        isEmail: true,
+        notEmpty: true
+      }
+    },
+    phone: {
+      type: DataTypes.STRING
+    },
+    status: {
+      type: DataTypes.ENUM('registered', 'waitlisted', 'cancelled'),
+      defaultValue: 'registered'
+    },
+    source: {
+      type: DataTypes.ENUM('public', 'admin'),
+      defaultValue: 'public'
+    },
+    registeredById: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'admins',
+        key: 'id'
+      }
+    },
+    // Shared with the registrant so they can cancel without an account
+    registrationCode: {
+      type: DataTypes.STRING(64),
+      allowNull: false,
+      unique: true,
+      defaultValue: () => crypto.randomBytes(16).toString('hex')
+    },
+    notes: {
+      type: DataTypes.STRING(500)
+    },
+    promotedAt: {
+      type: DataTypes.DATE // When a waitlisted registrant got a place
+    },
+    cancelledAt: {
+      type: DataTypes.DATE
+    }
+  }, {
+    tableName: 'event_registrations',
+    timestamps: true,
+    indexes: [
+      {
+        fields: ['eventId', 'status']
+      },
+      {
+        fields: ['eventId', 'email']
+      },
+      {
+        fields: ['memberId']
+      },
+      {
+        unique: true,
+        fields: ['registrationCode']
+      }
+    ]
+  });
+
+  // Instance Methods
+  EventRegistration.prototype.isActive = function() {
+    return this.status !== 'cancelled';
+  };
+
+  // Class Methods
+  EventRegistration.findActiveRegistration = function(eventId, email, options = {}) {
+    const { Op } = require('sequelize');
+    return this.findOne({
+      where: {
+        eventId,
+        email: email.toLowerCase(),
+        status: { [Op.ne]: 'cancelled' }
+      },
+      ...options
+    });
+  };
+
+  // Oldest waitlisted registration is promoted first
+  EventRegistration.getNextWaitlisted = function(eventId, options = {}) {
+    return this.findOne({
+      where: { eventId, status: 'waitlisted' },
+      order: [['createdAt', 'ASC']],
+      ...options
+    });
+  };
+
+  // Fill free places on an event from its waitlist, oldest first.
+  // Callers should hold a row lock on the event inside options.transaction.
+  EventRegistration.promoteWaitlisted = async function(event, options = {}) {
+    const promoted = [];
+
+    while (!event.isFull()) {
+      const next = await this.getNextWaitlisted(event.id, options);
+      if (!next) break;
+
+      await next.update({ status: 'registered', promotedAt: new Date() }, options);
+      await event.update({ currentAttendees: event.currentAttendees + 1 }, options);
+      promoted.push(next);
+    }
+
+    return promoted;
+  };
+
+  EventRegistration.getWaitlistPosition = async function(registration, options = {}) {
+    const { Op } = require('sequelize');
+    if (registration.status !== 'waitlisted') return null;
+
+    const ahead = await this.count({
+      where: {
+        eventId: registration.eventId,
+        status: 'waitlisted',
+        createdAt: { [Op.lt]: registration.createdAt }
+      },
+      ...options
+    });
+    return ahead + 1;
+  };
+
+  return EventRegistration;
+};
@@ -0,0 +1,198 @@
+// models/Giving.js - Tithes, offerings, seed and project donations
+
+// Keep summed DECIMAL amounts to kobo/cent precision
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+module.exports = (sequelize, DataTypes) => {
+  const Giving = sequelize.define('Giving', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+    },
+    memberId: {
+      type: DataTypes.UUID,
+      allowNull: true, // Null for anonymous or non-member givers
+      references: {
+        model: 'members',
+        key: 'id'
+      }
+    },
+    isAnonymous: {
+      type: DataTypes.BOOLEAN,
+      defaultValue: false
+    },
+    // Name of a known giver who is not a member
+    donorName: {
+      type: DataTypes.STRING,
+      validate: {
+        len: [0, 100]
+      }
+    },
+    amount: {
+      type: DataTypes.DECIMAL(12, 2),
+      allowNull: false,
+      validate: {
+        min: 0.01
+      }
+    },
+    // Only NGN is accepted: every total sums amounts without conversion
+    currency: {
+      type: DataTypes.STRING(3),
+      defaultValue: 'NGN',
+      validate: {
+        isIn: [['NGN']]
+      }
+    },
+    category: {
+      type: DataTypes.ENUM('tithe', 'offering', 'seed', 'project', 'thanksgiving', 'other'),
+      allowNull: false
+    },
+    // Building fund, welfare, etc. for project donations
+    projectName: {
+      type: DataTypes.STRING
+    },
+    paymentMethod: {
+      type: DataTypes.ENUM('cash', 'bank_transfer', 'pos', 'cheque', 'mobile_money', 'online'),
+      defaultValue: 'cash'
+    },
+    // Bank/transfer/POS reference or envelope number
+    reference: {
+      type: DataTypes.STRING(100)
+    },
+    givenAt: {
+      type: DataTypes.DATEONLY,
+      allowNull: false,
+      validate: {
+        isDate: true
+      }
+    },
+    // Service the giving was collected at
+    attendanceId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'attendances',
+        key: 'id'
+      }
+    },
+    notes: {
+      type: DataTypes.TEXT
+    },
+    recordedById: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'admins',
+        key: 'id'
+      }
+    }
+  }, {
+    tableName: 'givings',
+    timestamps: true,
+    indexes: [
+      {
+        fields: ['memberId']
+      },
+      {
+        fields: ['givenAt']
+      },
+      {
+        fields: ['category']
+      },
+      {
+        fields: ['attendanceId']
+      },
+      {
+        fields: ['reference']
+      }
+    ]
+  });
+
+  // Instance Methods
+  Giving.prototype.getDonorName = function() {
+    if (this.isAnonymous) return 'Anonymous';
+    if (this.member) return this.member.name;
+    return this.donorName || 'Unknown';
+  };
+
+  // Class Methods
+
+  // Sum and count per category between two dates (inclusive)
+  Giving.getTotals = async function(startDate, endDate) {
+    const { Op } = require('sequelize');
+
+    const rows = await this.findAll({
+      where: {
+        givenAt: { [Op.between]: [startDate, endDate] }
+      },
+      attributes: [
+        'category',
+        [sequelize.fn('SUM', sequelize.col('amount')), 'total'],
+        [sequelize.fn('COUNT', sequelize.col('id')), 'count']
+      ],
+      group: ['category'],
+      raw: true
+    });
+
+    const byCategory = rows.reduce((acc, row) => {
+      acc[row.category] = {
+        total: parseFloat(row.total) || 0,
+        count: parseInt(row.count) || 0
+      };
+      return acc;
+    }, {});
+
+    return {
+      total: roundAmount(rows.reduce((sum, row) => sum + (parseFloat(row.total) || 0), 0)),
+      count: rows.reduce((sum, row) => sum + (parseInt(row.count) || 0), 0),
+      byCategory
+    };
+  };
+
+  // A member's giving for one calendar year with category and monthly totals
+  Giving.getMemberStatement = async function(memberId, year) {
+    const { Op } = require('sequelize');
+
+    const givings = await this.findAll({
+      where: {
+        memberId,
+        givenAt: { [Op.between]: [`${year}-01-01`, `${year}-12-31`] }
+      },
+      order: [['givenAt', 'ASC'], ['createdAt', 'ASC']]
+    });
+
+    const byCategory = {};
+    const byMonth = Array(12).fill(0);
+    let total = 0;
+
+    givings.forEach((giving) => {
+      const amount = parseFloat(giving.amount) || 0;
+      byCategory[giving.category] = (byCategory[giving.category] || 0) + amount;
+      byMonth[new Date(giving.givenAt).getUTCMonth()] += amount;
+      total += amount;
+    });
+
+    Object.keys(byCategory).forEach((category) => {
+      byCategory[category] = roundAmount(byCategory[category]);
+    });
+
+    return {
+      givings,
+      // Totals are only meaningful when this has a single entry
+      currencies: [...new Set(givings.map((giving) => giving.currency || 'NGN'))],
+      total: roundAmount(total),
+      byCategory,
+      byMonth: byMonth.map(roundAmount)
+    };
+  };
+
+  // Instance method to format for JSON response
+  Giving.prototype.toJSON = function() {
+    const values = { ...this.get() };
+    values.amount = parseFloat(values.amount) || 0;
+    return values;
+  };
+
+  return Giving;
+};
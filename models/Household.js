@@ -0,0 +1,92 @@
+// models/Household.js - Families grouping individual members
+module.exports = (sequelize, DataTypes) => {
+  const Household = sequelize.define('Household', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+    },
+    name: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      validate: {
+        notEmpty: true,
+        len: [2, 150]
+      }
+    },
+    address: {
+      type: DataTypes.TEXT
+    },
+    city: {
+      type: DataTypes.STRING
+    },
+    state: {
+      type: DataTypes.STRING
+    },
+    phone: {
+      type: DataTypes.STRING
+    },
+    notes: {
+      type: DataTypes.TEXT
+    },
+    isActive: {
+      type: DataTypes.BOOLEAN,
+      defaultValue: true
+    }
+  }, {
+    tableName: 'households',
+    timestamps: true,
+    indexes: [
+      {
+        fields: ['name']
+      },
+      {
+        fields: ['isActive']
+      }
+    ]
+  });
+
+  // Instance Methods
+  Household.prototype.getHead = function() {
+    if (!this.members) return null;
+    return this.members.find((member) => member.householdRole === 'head') || null;
+  };
+
+  Household.prototype.getMailingName = function() {
+    const head = this.getHead();
+    return head ? `${head.name} & Family` : this.name;
+  };
+
+  // Class Methods
+
+  // Most recent service attended by any member of each household, keyed by householdId
+  Household.getLastAttendanceDates = async function(householdIds) {
+    const { Op } = require('sequelize');
+    const { MemberAttendance } = sequelize.models;
+
+    const memberWhere = householdIds
+      ? { householdId: householdIds }
+      : { householdId: { [Op.not]: null } };
+
+    const rows = await MemberAttendance.findAll({
+      attributes: [
+        [sequelize.col('member.householdId'), 'householdId'],
+        [sequelize.fn('MAX', sequelize.col('attendance.date')), 'lastAttendedAt']
+      ],
+      where: { present: true },
+      include: [
+        { association: 'attendance', attributes: [] },
+        { association: 'member', attributes: [], where: memberWhere }
+      ],
+      group: [sequelize.col('member.householdId')],
+      raw: true
+    });
+
+    return rows.reduce((acc, row) => {
+      acc[row.householdId] = row.lastAttendedAt;
+      return acc;
+    }, {});
+  };
+
+  return Household;
+};
@@ -0,0 +1,147 @@
+// models/Inquiry.js - Contact form submissions from the church website, answered from the admin inbox
+module.exports = (sequelize, DataTypes) => {
+  const { Op } = sequelize.Sequelize;
+
+  const Inquiry = sequelize.define('Inquiry', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+    },
+    name: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      validate: {
+        notEmpty: true,
+        len: [2, 100]
+      }
+    },
+    email: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      validate: {
+        isEmail: true
+      }
+    },
+    phone: {
+      type: DataTypes.STRING
+    },
+    subject: {
+      type: DataTypes.STRING(200),
+      allowNull: false,
+      validate: {
+        notEmpty: true
+      }
+    },
+    message: {
+      type: DataTypes.TEXT,
+      allowNull: false,
+      validate: {
+        len: [1, 1000]
+      }
+    },
+    status: {
+      type: DataTypes.ENUM('open', 'replied', 'closed'),
+      defaultValue: 'open'
+    },
+    assignedToId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'admins',
+        key: 'id'
+      }
+    },
+    replies: {
+      type: DataTypes.JSON, // [{ message, adminId, adminName, date }]
+      defaultValue: [],
+      validate: {
+        isArray(value) {
+          if (!Array.isArray(value)) {
+            throw new Error('Replies must be an array');
+          }
+        }
+      }
+    },
+    repliedAt: {
+      type: DataTypes.DATE
+    },
+    closedAt: {
+      type: DataTypes.DATE
+    },
+    ipAddress: {
+      type: DataTypes.STRING
+    },
+    userAgent: {
+      type: DataTypes.STRING(500)
+    }
+  }, {
+    tableName: 'inquiries',
+    timestamps: true,
+    indexes: [
+      {
+        fields: ['status']
+      },
+      {
+        fields: ['assignedToId']
+      },
+      {
+        fields: ['email', 'createdAt']
+      },
+      {
+        fields: ['ipAddress', 'createdAt']
+      }
+    ],
+    hooks: {
+      beforeValidate: (inquiry) => {
+        if (inquiry.email) {
+          inquiry.email = inquiry.email.toLowerCase().trim();
+        }
+      }
+    }
+  });
+
+  // Instance Methods
+  Inquiry.prototype.addReply = function(admin, message) {
+    this.replies = [
+      ...(this.replies || []),
+      {
+        message,
+        adminId: admin.id,
+        adminName: admin.name,
+        date: new Date()
+      }
+    ];
+    this.repliedAt = new Date();
+    this.status = 'replied';
+    this.closedAt = null;
+    return this.save();
+  };
+
+  // Class Methods
+
+  // Submissions from the same email address and from the same IP address since a date
+  Inquiry.countRecentFromSender = async function({ email, ipAddress }, since) {
+    const createdAt = { [Op.gte]: since };
+    const [byEmail, byIp] = await Promise.all([
+      this.count({ where: { email: email.toLowerCase().trim(), createdAt } }),
+      ipAddress ? this.count({ where: { ipAddress, createdAt } }) : 0
+    ]);
+    return { byEmail, byIp };
+  };
+
+  Inquiry.getStatusCounts = async function() {
+    const rows = await this.findAll({
+      attributes: ['status', [sequelize.fn('COUNT', sequelize.col('id')), 'count']],
+      group: ['status'],
+      raw: true
+    });
+
+    return rows.reduce((acc, row) => {
+      acc[row.status] = parseInt(row.count);
+      return acc;
+    }, { open: 0, replied: 0, closed: 0 });
+  };
+
+  return Inquiry;
+};
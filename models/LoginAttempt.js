@@ -0,0 +1,107 @@
+// models/LoginAttempt.js - Audit trail of admin sign-in attempts
+module.exports = (sequelize, DataTypes) => {
+  const { Op } = sequelize.Sequelize;
+
+  const LoginAttempt = sequelize.define('LoginAttempt', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+    },
+    // Null when the email does not belong to an active admin
+    adminId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'admins',
+        key: 'id'
+      }
+    },
+    email: {
+      type: DataTypes.STRING,
+      allowNull: false
+    },
+    success: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false
+    },
+    reason: {
+      type: DataTypes.ENUM(
+        'success',
+        'invalid_password',
+        'unknown_account',
+        'account_locked',
+        'invalid_2fa_code'
+      ),
+      allowNull: false
+    },
+    ipAddress: {
+      type: DataTypes.STRING
+    },
+    userAgent: {
+      type: DataTypes.TEXT
+    },
+    // This failure reached the lockout threshold
+    triggeredLockout: {
+      type: DataTypes.BOOLEAN,
+      defaultValue: false
+    },
+    // Successful sign-in from an IP address the admin had not used before
+    isNewLocation: {
+      type: DataTypes.BOOLEAN,
+      defaultValue: false
+    }
+  }, {
+    tableName: 'login_attempts',
+    timestamps: true,
+    updatedAt: false,
+    indexes: [
+      {
+        fields: ['adminId', 'createdAt']
+      },
+      {
+        fields: ['email']
+      },
+      {
+        fields: ['ipAddress']
+      },
+      {
+        fields: ['success', 'createdAt']
+      }
+    ]
+  });
+
+  // Class Methods
+
+  // True when the admin has signed in before, but never from this IP address
+  LoginAttempt.isNewLocation = async function(adminId, ipAddress) {
+    const previous = await this.findAll({
+      where: { adminId, success: true },
+      attributes: ['ipAddress'],
+      group: ['ipAddress'],
+      raw: true
+    });
+    return previous.length > 0 && !previous.some((attempt) => attempt.ipAddress === ipAddress);
+  };
+
+  // Failures grouped by a column since a date, busiest first
+  // ('ipAddress' also counts the accounts tried from it, 'email' the addresses it was tried from)
+  LoginAttempt.getFailureCounts = function(column, since, minFailures = 1) {
+    const [other, alias] = column === 'email' ? ['ipAddress', 'ipAddresses'] : ['email', 'accounts'];
+    return this.findAll({
+      where: { success: false, createdAt: { [Op.gte]: since } },
+      attributes: [
+        column,
+        [sequelize.fn('COUNT', sequelize.col('id')), 'failures'],
+        [sequelize.fn('COUNT', sequelize.fn('DISTINCT', sequelize.col(other))), alias],
+        [sequelize.fn('MAX', sequelize.col('createdAt')), 'lastAttemptAt']
+      ],
+      group: [column],
+      having: sequelize.where(sequelize.fn('COUNT', sequelize.col('id')), { [Op.gte]: minFailures }),
+      order: [[sequelize.literal('failures'), 'DESC']],
+      raw: true
+    });
+  };
+
+  return LoginAttempt;
+};
@@ -0,0 +1,48 @@
+// models/MemberDepartment.js - Members serving in departments (many-to-many)
+module.exports = (sequelize, DataTypes) => {
+  const MemberDepartment = sequelize.define('MemberDepartment', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+    },
+    memberId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'members',
+        key: 'id'
+      }
+    },
+    departmentId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'departments',
+        key: 'id'
+      }
+    },
+    // Optional title within the unit, e.g. "Soprano", "Camera operator"
+    role: {
+      type: DataTypes.STRING(100)
+    },
+    joinedAt: {
+      type: DataTypes.DATEONLY,
+      defaultValue: DataTypes.NOW
+    }
+  }, {
+    tableName: 'member_departments',
+    timestamps: true,
+    indexes: [
+      {
+        unique: true,
+        fields: ['memberId', 'departmentId']
+      },
+      {
+        fields: ['departmentId']
+      }
+    ]
+  });
+
+  return MemberDepartment;
+};
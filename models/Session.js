@@ -0,0 +1,189 @@
+// models/Session.js - Admin login sessions (one per device) with rotating refresh tokens
+const crypto = require('crypto');
+
+module.exports = (sequelize, DataTypes) => {
+  const { Op } = sequelize.Sequelize;
+
+  const Session = sequelize.define('Session', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+    },
+    adminId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'admins',
+        key: 'id'
+      }
+    },
+    // SHA-256 of the refresh token currently issued for this session
+    refreshTokenHash: {
+      type: DataTypes.STRING(64),
+      allowNull: false
+    },
+    // The token it replaced and when, so a refresh racing the rotation is not taken for reuse
+    previousRefreshTokenHash: {
+      type: DataTypes.STRING(64),
+      allowNull: true
+    },
+    refreshedAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    deviceName: {
+      type: DataTypes.STRING(100)
+    },
+    ipAddress: {
+      type: DataTypes.STRING
+    },
+    userAgent: {
+      type: DataTypes.TEXT
+    },
+    lastUsedAt: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW
+    },
+    expiresAt: {
+      type: DataTypes.DATE,
+      allowNull: false
+    },
+    revokedAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    revokedReason: {
+      type: DataTypes.ENUM(
+        'logout',
+        'revoked',
+        'reuse_detected',
+        'password_changed',
+        'admin_action'
+      ),
+      allowNull: true
+    }
+  }, {
+    tableName: 'admin_sessions',
+    timestamps: true,
+    indexes: [
+      {
+        fields: ['adminId']
+      },
+      {
+        fields: ['expiresAt']
+      }
+    ]
+  });
+
+  // Seconds the replaced refresh token is still recognised as a concurrent request (e.g. two tabs)
+  Session.REFRESH_GRACE_SECONDS = 30;
+
+  // Instance Methods
+  Session.prototype.isActive = function() {
+    return !this.revokedAt && this.expiresAt > new Date();
+  };
+
+  Session.prototype.revoke = function(reason = 'revoked', options = {}) {
+    return this.update({ revokedAt: new Date(), revokedReason: reason }, options);
+  };
+
+  // Whether tokenHash is the token replaced within the grace period
+  Session.prototype.isRecentlyRotated = function(tokenHash) {
+    return (
+      !!this.previousRefreshTokenHash &&
+      this.previousRefreshTokenHash === tokenHash &&
+      !!this.refreshedAt &&
+      Date.now() - new Date(this.refreshedAt).getTime() < Session.REFRESH_GRACE_SECONDS * 1000
+    );
+  };
+
+  // Replace the refresh token only if tokenHash is still current; resolves to false when another request won
+  Session.prototype.rotateRefreshToken = async function(tokenHash, details) {
+    const values = { ...details, previousRefreshTokenHash: tokenHash, refreshedAt: new Date() };
+    const [count] = await Session.update(values, {
+      where: { id: this.id, refreshTokenHash: tokenHash, revokedAt: null }
+    });
+    if (count === 1) this.set(values);
+    return count === 1;
+  };
+
+  Session.prototype.toJSON = function() {
+    const values = Object.assign({}, this.get());
+    delete values.refreshTokenHash;
+    delete values.previousRefreshTokenHash;
+    return values;
+  };
+
+  // Class Methods
+  Session.hashToken = function(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  };
+
+  // Short label such as "Chrome on Windows" from a user agent string
+  Session.describeDevice = function(userAgent) {
+    if (!userAgent) return 'Unknown device';
+
+    const browsers = [
+      ['Edge', /Edg\//],
+      ['Opera', /OPR\//],
+      ['Chrome', /Chrome\//],
+      ['Firefox', /Firefox\//],
+      ['Safari', /Safari\//]
+    ];
+    const systems = [
+      ['Android', /Android/],
+      ['iOS', /iPhone|iPad|iPod/],
+      ['Windows', /Windows/],
+      ['macOS', /Mac OS X/],
+      ['Linux', /Linux/]
+    ];
+    const browser = browsers.find(([, pattern]) => pattern.test(userAgent));
+    const system = systems.find(([, pattern]) => pattern.test(userAgent));
+
+    if (!browser && !system) return userAgent.slice(0, 100);
+    return [browser && browser[0], system && system[0]].filter(Boolean).join(' on ');
+  };
+
+  Session.findActiveForAdmin = function(adminId) {
+    return this.findAll({
+      where: {
+        adminId,
+        revokedAt: null,
+        expiresAt: { [Op.gt]: new Date() }
+      },
+      order: [['lastUsedAt', 'DESC']]
+    });
+  };
+
+  // Revoke every active session of an admin, optionally keeping one (e.g. the current device)
+  Session.revokeAll = async function(adminId, reason = 'revoked', { exceptId = null, transaction } = {}) {
+    const where = { adminId, revokedAt: null };
+    if (exceptId) {
+      where.id = { [Op.ne]: exceptId };
+    }
+
+    const [count] = await this.update(
+      { revokedAt: new Date(), revokedReason: reason },
+      { where, transaction }
+    );
+    return count;
+  };
+
+  // Drop sessions that ended more than 30 days ago
+  Session.pruneForAdmin = function(adminId) {
+    const cutoff = new Date(Date.now() - 30 * 24 * 60 * 60 * 1000);
+    return this.destroy({
+      where: {
+        adminId,
+        [Op.or]: [
+          { expiresAt: { [Op.lt]: cutoff } },
+          { revokedAt: { [Op.lt]: cutoff } }
+        ]
+      }
+    });
+  };
+
+  return Session;
+};
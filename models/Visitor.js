@@ -0,0 +1,219 @@
+// models/Visitor.js - First-timers and visitors tracked through follow-up until they join
+module.exports = (sequelize, DataTypes) => {
+  const Visitor = sequelize.define('Visitor', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+    },
+    name: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      validate: {
+        notEmpty: true,
+        len: [2, 100]
+      }
+    },
+    email: {
+      type: DataTypes.STRING,
+      allowNull: true,
+      validate: {
+        isEmail: true
+      }
+    },
+    phone: {
+      type: DataTypes.STRING
+    },
+    address: {
+      type: DataTypes.TEXT
+    },
+    gender: {
+      type: DataTypes.ENUM('Male', 'Female'),
+      validate: {
+        isIn: [['Male', 'Female']]
+      }
+    },
+    howDidYouHear: {
+      type: DataTypes.STRING // e.g., "Invitation", "Walk-in", "Online" - becomes Member.joinedThrough
+    },
+    invitedBy: {
+      type: DataTypes.STRING
+    },
+    prayerRequest: {
+      type: DataTypes.TEXT
+    },
+    source: {
+      type: DataTypes.ENUM('attendance', 'public_form', 'manual'),
+      defaultValue: 'manual'
+    },
+    attendanceId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'attendances',
+        key: 'id'
+      }
+    },
+    firstVisitDate: {
+      type: DataTypes.DATEONLY,
+      allowNull: false,
+      validate: {
+        isDate: true
+      }
+    },
+    lastVisitDate: {
+      type: DataTypes.DATEONLY
+    },
+    visitCount: {
+      type: DataTypes.INTEGER,
+      defaultValue: 1,
+      validate: {
+        min: 1
+      }
+    },
+    status: {
+      type: DataTypes.ENUM('new', 'contacted', 'returning', 'converted'),
+      defaultValue: 'new'
+    },
+    assignedToId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'admins',
+        key: 'id'
+      }
+    },
+    followUps: {
+      type: DataTypes.JSON, // [{ type, note, adminId, adminName, date }]
+      defaultValue: [],
+      validate: {
+        isArray(value) {
+          if (!Array.isArray(value)) {
+            throw new Error('Follow-ups must be an array');
+          }
+        }
+      }
+    },
+    lastContactedAt: {
+      type: DataTypes.DATE
+    },
+    convertedMemberId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'members',
+        key: 'id'
+      }
+    },
+    convertedAt: {
+      type: DataTypes.DATE
+    }
+  }, {
+    tableName: 'visitors',
+    timestamps: true,
+    indexes: [
+      {
+        fields: ['status']
+      },
+      {
+        fields: ['assignedToId']
+      },
+      {
+        fields: ['phone']
+      },
+      {
+        fields: ['email']
+      },
+      {
+        fields: ['firstVisitDate']
+      },
+      {
+        fields: ['attendanceId']
+      }
+    ],
+    hooks: {
+      beforeCreate: (visitor) => {
+        if (!visitor.lastVisitDate) {
+          visitor.lastVisitDate = visitor.firstVisitDate;
+        }
+      }
+    }
+  });
+
+  // Instance Methods
+  Visitor.prototype.addFollowUp = function(admin, { type, note }) {
+    this.followUps = [
+      ...(this.followUps || []),
+      {
+        type,
+        note,
+        adminId: admin.id,
+        adminName: admin.name,
+        date: new Date()
+      }
+    ];
+    this.lastContactedAt = new Date();
+
+    if (this.status === 'new') {
+      this.status = 'contacted';
+    }
+    return this.save();
+  };
+
+  Visitor.prototype.isConverted = function() {
+    return this.status === 'converted';
+  };
+
+  // Class Methods
+
+  // Record a visit, matching an existing (unconverted) visitor by phone or email
+  Visitor.recordVisit = async function(details, visitDate, options = {}) {
+    const { Op } = require('sequelize');
+    const matchers = [];
+    if (details.phone) matchers.push({ phone: details.phone });
+    if (details.email) matchers.push({ email: details.email });
+
+    const existing = matchers.length > 0
+      ? await this.findOne({
+        where: {
+          [Op.or]: matchers,
+          status: { [Op.ne]: 'converted' }
+        },
+        transaction: options.transaction
+      })
+      : null;
+
+    if (existing) {
+      if (existing.lastVisitDate && existing.lastVisitDate >= visitDate) {
+        return existing;
+      }
+
+      return existing.update({
+        visitCount: existing.visitCount + 1,
+        lastVisitDate: visitDate,
+        status: 'returning'
+      }, { transaction: options.transaction });
+    }
+
+    return this.create({
+      ...details,
+      firstVisitDate: visitDate,
+      status: 'new'
+    }, { transaction: options.transaction });
+  };
+
+  Visitor.getPipelineCounts = async function() {
+    const rows = await this.findAll({
+      attributes: ['status', [sequelize.fn('COUNT', sequelize.col('id')), 'count']],
+      group: ['status'],
+      raw: true
+    });
+
+    return rows.reduce((acc, row) => {
+      acc[row.status] = parseInt(row.count);
+      return acc;
+    }, { new: 0, contacted: 0, returning: 0, converted: 0 });
+  };
+
+  return Visitor;
+};
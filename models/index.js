@@ -62,6 +62,21 @@ const Attendance = require('./Attendance');
 const Event = require('./Event');
 const Celebration = require('./Celebration');
 const MemberAttendance = require('./MemberAttendance');
+const ActivityLog = require('./ActivityLog');
+const Household = require('./Household');
+const Visitor = require('./Visitor');
+const EventRegistration = require('./EventRegistration');
+const EventOccurrence = require('./EventOccurrence');
+const Giving = require('./Giving');
+const Department = require('./Department');
+const MemberDepartment = require('./MemberDepartment');
+const Session = require('./Session');
+const LoginAttempt = require('./LoginAttempt');
+const AdminInvitation = require('./AdminInvitation');
+const Inquiry = require('./Inquiry');
+const EmailOutbox = require('./EmailOutbox');
+const Broadcast = require('./Broadcast');
+const BroadcastRecipient = require('./BroadcastRecipient');
 
 // Database object
 const db = {};
@@ -82,19 +97,54 @@ async function initializeModels() {
     db.Event = Event(sequelize, Sequelize.DataTypes);
     db.Celebration = Celebration(sequelize, Sequelize.DataTypes);
     db.MemberAttendance = MemberAttendance(sequelize, Sequelize.DataTypes);
+    db.ActivityLog = ActivityLog(sequelize, Sequelize.DataTypes);
+    db.Household = Household(sequelize, Sequelize.DataTypes);
+    db.Visitor = Visitor(sequelize, Sequelize.DataTypes);
+    db.EventRegistration = EventRegistration(sequelize, Sequelize.DataTypes);
+    db.EventOccurrence = EventOccurrence(sequelize, Sequelize.DataTypes);
+    db.Giving = Giving(sequelize, Sequelize.DataTypes);
+    db.Department = Department(sequelize, Sequelize.DataTypes);
+    db.MemberDepartment = MemberDepartment(sequelize, Sequelize.DataTypes);
+    db.Session = Session(sequelize, Sequelize.DataTypes);
+    db.LoginAttempt = LoginAttempt(sequelize, Sequelize.DataTypes);
+    db.AdminInvitation = AdminInvitation(sequelize, Sequelize.DataTypes);
+    db.Inquiry = Inquiry(sequelize, Sequelize.DataTypes);
+    db.EmailOutbox = EmailOutbox(sequelize, Sequelize.DataTypes);
+    db.Broadcast = Broadcast(sequelize, Sequelize.DataTypes);
+    db.BroadcastRecipient = BroadcastRecipient(sequelize, Sequelize.DataTypes);
 
     // Define Associations
     db.Admin.hasMany(db.Attendance, { foreignKey: 'recordedById', as: 'recordedAttendances' });
     db.Admin.hasMany(db.Event, { foreignKey: 'organizerId', as: 'organizedEvents' });
     db.Admin.hasMany(db.Celebration, { foreignKey: 'approvedById', as: 'approvedCelebrations' });
+    db.Admin.hasMany(db.ActivityLog, { foreignKey: 'adminId', as: 'activityLogs' });
+    db.Admin.hasMany(db.Visitor, { foreignKey: 'assignedToId', as: 'assignedVisitors' });
+    db.Admin.hasMany(db.Session, { foreignKey: 'adminId', as: 'sessions', onDelete: 'CASCADE' });
+    db.Admin.hasMany(db.LoginAttempt, { foreignKey: 'adminId', as: 'loginHistory' });
+    db.Admin.hasMany(db.AdminInvitation, { foreignKey: 'invitedById', as: 'sentInvitations' });
+    db.Admin.hasMany(db.Inquiry, { foreignKey: 'assignedToId', as: 'assignedInquiries' });
+    db.Admin.hasMany(db.Broadcast, { foreignKey: 'createdById', as: 'broadcasts' });
 
     db.Member.hasMany(db.Celebration, { foreignKey: 'memberId', as: 'celebrations' });
     db.Member.hasMany(db.MemberAttendance, { foreignKey: 'memberId', as: 'attendances' });
+    db.Member.belongsTo(db.Household, { foreignKey: 'householdId', as: 'household' });
+    db.Member.hasMany(db.Giving, { foreignKey: 'memberId', as: 'givings' });
+    db.Member.belongsToMany(db.Department, { through: db.MemberDepartment, foreignKey: 'memberId', otherKey: 'departmentId', as: 'departments' });
+    db.Member.hasMany(db.MemberDepartment, { foreignKey: 'memberId', as: 'departmentMemberships' });
+    db.Member.hasMany(db.BroadcastRecipient, { foreignKey: 'memberId', as: 'broadcastDeliveries' });
+
+    db.Household.hasMany(db.Member, { foreignKey: 'householdId', as: 'members' });
 
     db.Attendance.belongsTo(db.Admin, { foreignKey: 'recordedById', as: 'recordedBy' });
     db.Attendance.hasMany(db.MemberAttendance, { foreignKey: 'attendanceId', as: 'memberAttendances' });
+    db.Attendance.hasMany(db.Visitor, { foreignKey: 'attendanceId', as: 'visitorRecords' });
+    db.Attendance.hasMany(db.Giving, { foreignKey: 'attendanceId', as: 'givings' });
+    db.Attendance.belongsTo(db.Department, { foreignKey: 'departmentId', as: 'department' });
 
     db.Event.belongsTo(db.Admin, { foreignKey: 'organizerId', as: 'organizer' });
+    db.Event.belongsTo(db.Department, { foreignKey: 'departmentId', as: 'department' });
+    db.Event.hasMany(db.EventRegistration, { foreignKey: 'eventId', as: 'registrations', onDelete: 'CASCADE' });
+    db.Event.hasMany(db.EventOccurrence, { foreignKey: 'eventId', as: 'occurrenceOverrides', onDelete: 'CASCADE' });
 
     db.Celebration.belongsTo(db.Member, { foreignKey: 'memberId', as: 'member' });
     db.Celebration.belongsTo(db.Admin, { foreignKey: 'approvedById', as: 'approvedBy' });
@@ -102,6 +152,46 @@ async function initializeModels() {
     db.MemberAttendance.belongsTo(db.Member, { foreignKey: 'memberId', as: 'member' });
     db.MemberAttendance.belongsTo(db.Attendance, { foreignKey: 'attendanceId', as: 'attendance' });
 
+    db.ActivityLog.belongsTo(db.Admin, { foreignKey: 'adminId', as: 'admin' });
+
+    db.Visitor.belongsTo(db.Admin, { foreignKey: 'assignedToId', as: 'assignedTo' });
+    db.Visitor.belongsTo(db.Attendance, { foreignKey: 'attendanceId', as: 'attendance' });
+    db.Visitor.belongsTo(db.Member, { foreignKey: 'convertedMemberId', as: 'convertedMember' });
+
+    db.EventRegistration.belongsTo(db.Event, { foreignKey: 'eventId', as: 'event' });
+    db.EventRegistration.belongsTo(db.Member, { foreignKey: 'memberId', as: 'member' });
+    db.EventRegistration.belongsTo(db.Admin, { foreignKey: 'registeredById', as: 'registeredBy' });
+
+    db.EventOccurrence.belongsTo(db.Event, { foreignKey: 'eventId', as: 'event' });
+    db.EventOccurrence.belongsTo(db.Admin, { foreignKey: 'updatedById', as: 'updatedBy' });
+
+    db.Department.belongsTo(db.Member, { foreignKey: 'leaderId', as: 'leader' });
+    db.Department.belongsTo(db.Member, { foreignKey: 'assistantId', as: 'assistant' });
+    db.Department.belongsToMany(db.Member, { through: db.MemberDepartment, foreignKey: 'departmentId', otherKey: 'memberId', as: 'members' });
+    db.Department.hasMany(db.MemberDepartment, { foreignKey: 'departmentId', as: 'memberships' });
+    db.Department.hasMany(db.Event, { foreignKey: 'departmentId', as: 'events' });
+    db.Department.hasMany(db.Attendance, { foreignKey: 'departmentId', as: 'attendances' });
+
+    db.MemberDepartment.belongsTo(db.Member, { foreignKey: 'memberId', as: 'member' });
+    db.MemberDepartment.belongsTo(db.Department, { foreignKey: 'departmentId', as: 'department' });
+
+    db.Giving.belongsTo(db.Member, { foreignKey: 'memberId', as: 'member' });
+    db.Giving.belongsTo(db.Attendance, { foreignKey: 'attendanceId', as: 'attendance' });
+    db.Giving.belongsTo(db.Admin, { foreignKey: 'recordedById', as: 'recordedBy' });
+
+    db.Session.belongsTo(db.Admin, { foreignKey: 'adminId', as: 'admin' });
+    db.LoginAttempt.belongsTo(db.Admin, { foreignKey: 'adminId', as: 'admin' });
+    db.AdminInvitation.belongsTo(db.Admin, { foreignKey: 'invitedById', as: 'invitedBy' });
+    db.AdminInvitation.belongsTo(db.Admin, { foreignKey: 'adminId', as: 'admin' });
+    db.Inquiry.belongsTo(db.Admin, { foreignKey: 'assignedToId', as: 'assignedTo' });
+
+    db.Broadcast.belongsTo(db.Admin, { foreignKey: 'createdById', as: 'createdBy' });
+    db.Broadcast.hasMany(db.BroadcastRecipient, { foreignKey: 'broadcastId', as: 'recipients', onDelete: 'CASCADE' });
+
+    db.BroadcastRecipient.belongsTo(db.Broadcast, { foreignKey: 'broadcastId', as: 'broadcast' });
+    db.BroadcastRecipient.belongsTo(db.Member, { foreignKey: 'memberId', as: 'member' });
+    db.BroadcastRecipient.belongsTo(db.EmailOutbox, { foreignKey: 'emailOutboxId', as: 'outboxEmail', constraints: false });
+
     console.log('✅ Database models initialized successfully');
     return db;
   } catch (error) {
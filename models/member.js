@@ -1,4 +1,10 @@
 // models/Member.js
+const crypto = require('crypto');
+
+// Unambiguous characters (no 0/O, 1/I) so codes can be read out or typed at the door
+const CHECK_IN_CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const CHECK_IN_CODE_LENGTH = 6;
+
 module.exports = (sequelize, DataTypes) => {
   const Member = sequelize.define('Member', {
     id: {
@@ -97,6 +103,40 @@ module.exports = (sequelize, DataTypes) => {
     },
     lastVisit: {
       type: DataTypes.DATE
+    },
+    // Household / family grouping
+    householdId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'households',
+        key: 'id'
+      }
+    },
+    householdRole: {
+      type: DataTypes.ENUM('head', 'spouse', 'child', 'dependent', 'other'),
+      allowNull: true
+    },
+    // Stable short code encoded in the member's QR card for attendance check-in
+    checkInCode: {
+      type: DataTypes.STRING(12),
+      allowNull: true,
+      unique: true
+    },
+    // How birthday wishes, event reminders and celebration approvals reach the member
+    notificationChannel: {
+      type: DataTypes.ENUM('email', 'sms', 'both'),
+      defaultValue: 'email'
+    },
+    // Stops every optional email and SMS (see utils/communicationPreferences.js)
+    notificationsOptOut: {
+      type: DataTypes.BOOLEAN,
+      defaultValue: false
+    },
+    // Categories turned off per channel, e.g. { newsletters: { email: false } }; missing means wanted
+    communicationPreferences: {
+      type: DataTypes.JSON,
+      defaultValue: {}
     }
   }, {
     tableName: 'members',
@@ -117,8 +157,18 @@ module.exports = (sequelize, DataTypes) => {
       },
       {
         fields: ['name']
+      },
+      {
+        fields: ['householdId']
+      }
+    ],
+    hooks: {
+      beforeCreate: async (member) => {
+        if (!member.checkInCode) {
+          member.checkInCode = await Member.generateCheckInCode();
+        }
       }
-    ]
+    }
   });
 
   // Virtual field for emergency contact
@@ -145,6 +195,21 @@ module.exports = (sequelize, DataTypes) => {
     return age;
   };
 
+  // Members created before check-in codes existed get one on first use
+  Member.prototype.ensureCheckInCode = async function() {
+    if (!this.checkInCode) {
+      await this.update({ checkInCode: await Member.generateCheckInCode() });
+    }
+    return this.checkInCode;
+  };
+
+  // Head-count bucket used when checking a member in to a service
+  Member.prototype.getAttendanceCategory = function() {
+    const age = this.getAge();
+    if (age === null || age >= 20) return 'adults';
+    return age >= 13 ? 'youth' : 'children';
+  };
+
   Member.prototype.getMembershipDuration = function() {
     const today = new Date();
     const membershipDate = new Date(this.membershipDate);
@@ -157,6 +222,25 @@ module.exports = (sequelize, DataTypes) => {
   };
 
   // Class Methods
+  Member.generateCheckInCode = async function() {
+    for (let attempt = 0; attempt < 5; attempt++) {
+      let code = '';
+      for (let i = 0; i < CHECK_IN_CODE_LENGTH; i++) {
+        code += CHECK_IN_CODE_ALPHABET[crypto.randomInt(CHECK_IN_CODE_ALPHABET.length)];
+      }
+
+      const existing = await this.count({ where: { checkInCode: code } });
+      if (existing === 0) return code;
+    }
+    throw new Error('Unable to generate a unique check-in code');
+  };
+
+  Member.findByCheckInCode = function(code) {
+    return this.findOne({
+      where: { checkInCode: String(code).trim().toUpperCase() }
+    });
+  };
+
   Member.findActiveMembers = function(options = {}) {
     return this.findAll({
       where: { 
@@ -177,12 +261,14 @@ module.exports = (sequelize, DataTypes) => {
     });
   };
 
-  Member.searchMembers = function(searchTerm) {
+  // scope: optional where clause limiting the members searched (e.g. a department head's units)
+  Member.searchMembers = function(searchTerm, scope = {}) {
     const { Op } = require('sequelize');
     return this.findAll({
       where: {
         [Op.and]: [
           { isActive: true },
+          scope,
           {
             [Op.or]: [
               { name: { [Op.iLike]: `%${searchTerm}%` } },
@@ -196,21 +282,21 @@ module.exports = (sequelize, DataTypes) => {
     });
   };
 
-  Member.getStatistics = function() {
+  Member.getStatistics = function(scope = {}) {
     const { Op } = require('sequelize');
     return Promise.all([
-      this.count(), // Total members
-      this.count({ where: { isActive: true } }), // Active members
-      this.count({ where: { isActive: false } }), // Inactive members
+      this.count({ where: scope }), // Total members
+      this.count({ where: { ...scope, isActive: true } }), // Active members
+      this.count({ where: { ...scope, isActive: false } }), // Inactive members
       this.findAll({
         attributes: ['department', [sequelize.fn('COUNT', sequelize.col('id')), 'count']],
-        where: { isActive: true },
+        where: { ...scope, isActive: true },
         group: ['department'],
         raw: true
       }), // Department breakdown
       this.findAll({
         attributes: ['gender', [sequelize.fn('COUNT', sequelize.col('id')), 'count']],
-        where: { isActive: true, gender: { [Op.not]: null } },
+        where: { ...scope, isActive: true, gender: { [Op.not]: null } },
         group: ['gender'],
         raw: true
       }) // Gender breakdown
@@ -1,31 +1,131 @@
 // routes/admin.js
 const express = require('express');
-const { body, param } = require('express-validator');
+const { body, param, query } = require('express-validator');
 const router = express.Router();
 
 const adminController = require('../controllers/adminController');
 const { requireSuperAdmin, logActivity } = require('../middleware/auth');
+const { ADMIN_ROLES } = require('../utils/permissions');
 
 // @route   GET /api/admin
 // @desc    Get all admins
 router.get('/', requireSuperAdmin, adminController.getAllAdmins);
 
 // @route   POST /api/admin
-// @desc    Create new admin
+// @desc    Invite new admin (the invitee sets their own password)
 router.post(
   '/',
   requireSuperAdmin,
   [
     body('name').trim().isLength({ min: 2, max: 100 }).withMessage('Name must be between 2 and 100 characters'),
     body('email').isEmail().normalizeEmail().withMessage('Please provide a valid email address'),
-    body('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters'),
-    body('role').isIn(['super_admin', 'admin']).withMessage('Invalid role'),
-    body('permissions').optional().isArray().withMessage('Permissions must be an array')
+    body('role').isIn(ADMIN_ROLES).withMessage(`Role must be one of: ${ADMIN_ROLES.join(', ')}`),
+    body('permissions').optional().isArray().withMessage('Permissions must be an array'),
+    body('permissions.*').isString().withMessage('Each permission must be a string')
+  ],
+  logActivity('invite_admin', { entityType: 'admin_invitations' }),
+  adminController.inviteAdmin
+);
+
+// @route   GET /api/admin/invitations
+// @desc    Get pending admin invitations (?includeExpired=false to hide expired links)
+router.get(
+  '/invitations',
+  requireSuperAdmin,
+  [query('includeExpired').optional().isIn(['true', 'false']).withMessage('includeExpired must be true or false')],
+  adminController.getInvitations
+);
+
+// @route   POST /api/admin/invitations/:id/resend
+// @desc    Resend invitation with a new link
+router.post(
+  '/invitations/:id/resend',
+  requireSuperAdmin,
+  [param('id').isUUID().withMessage('Invalid invitation ID')],
+  logActivity('resend_admin_invitation', { entityType: 'admin_invitations' }),
+  adminController.resendInvitation
+);
+
+// @route   DELETE /api/admin/invitations/:id
+// @desc    Revoke pending invitation
+router.delete(
+  '/invitations/:id',
+  requireSuperAdmin,
+  [param('id').isUUID().withMessage('Invalid invitation ID')],
+  logActivity('revoke_admin_invitation', { entityType: 'admin_invitations' }),
+  adminController.revokeInvitation
+);
+
+// @route   GET /api/admin/login-attempts
+// @desc    Get login audit trail (filter by admin, email, IP, success, reason, date range)
+router.get(
+  '/login-attempts',
+  requireSuperAdmin,
+  [
+    query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+    query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+    query('adminId').optional().isUUID().withMessage('Invalid admin ID'),
+    query('success').optional().isIn(['true', 'false']).withMessage('Success must be true or false'),
+    query('reason')
+      .optional()
+      .isIn(['success', 'invalid_password', 'unknown_account', 'account_locked', 'invalid_2fa_code'])
+      .withMessage('Invalid reason'),
+    query('startDate').optional().isISO8601().withMessage('Start date must be a valid date'),
+    query('endDate').optional().isISO8601().withMessage('End date must be a valid date')
+  ],
+  adminController.getLoginAttempts
+);
+
+// @route   GET /api/admin/login-attempts/suspicious
+// @desc    Get suspicious login activity report (?hours=24&minFailures=)
+router.get(
+  '/login-attempts/suspicious',
+  requireSuperAdmin,
+  [
+    query('hours').optional().isInt({ min: 1, max: 720 }).withMessage('Hours must be between 1 and 720'),
+    query('minFailures').optional().isInt({ min: 1 }).withMessage('Minimum failures must be a positive integer')
+  ],
+  adminController.getSuspiciousLoginActivity
+);
+
+// @route   GET /api/admin/emails
+// @desc    Get email outbox (filter by status, recipient, subject, date range)
+router.get(
+  '/emails',
+  requireSuperAdmin,
+  [
+    query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+    query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+    query('status').optional().isIn(['pending', 'sending', 'sent', 'failed']).withMessage('Invalid status'),
+    query('startDate').optional().isISO8601().withMessage('Start date must be a valid date'),
+    query('endDate').optional().isISO8601().withMessage('End date must be a valid date')
   ],
-  logActivity('create_admin'),
-  adminController.createAdmin
+  adminController.getEmails
 );
 
+// @route   GET /api/admin/emails/:id
+// @desc    Get email content and delivery history
+router.get(
+  '/emails/:id',
+  requireSuperAdmin,
+  [param('id').isUUID().withMessage('Invalid email ID')],
+  adminController.getEmailById
+);
+
+// @route   POST /api/admin/emails/:id/resend
+// @desc    Queue a failed email for delivery again
+router.post(
+  '/emails/:id/resend',
+  requireSuperAdmin,
+  [param('id').isUUID().withMessage('Invalid email ID')],
+  logActivity('resend_email', { entityType: 'emails' }),
+  adminController.resendEmail
+);
+
+// @route   GET /api/admin/roles
+// @desc    Get role templates and available permissions
+router.get('/roles', requireSuperAdmin, adminController.getRoles);
+
 // @route   GET /api/admin/:id
 // @desc    Get single admin by ID
 router.get(
@@ -44,8 +144,9 @@ router.put(
     param('id').isUUID().withMessage('Invalid admin ID'),
     body('name').trim().isLength({ min: 2, max: 100 }).withMessage('Name must be between 2 and 100 characters'),
     body('email').isEmail().normalizeEmail().withMessage('Please provide a valid email address'),
-    body('role').isIn(['super_admin', 'admin']).withMessage('Invalid role'),
-    body('permissions').optional().isArray().withMessage('Permissions must be an array')
+    body('role').isIn(ADMIN_ROLES).withMessage(`Role must be one of: ${ADMIN_ROLES.join(', ')}`),
+    body('permissions').optional().isArray().withMessage('Permissions must be an array'),
+    body('permissions.*').isString().withMessage('Each permission must be a string')
   ],
   logActivity('update_admin'),
   adminController.updateAdmin
@@ -74,12 +175,40 @@ router.put(
   adminController.updateAdminPassword
 );
 
+// @route   POST /api/admin/:id/unlock
+// @desc    Unlock admin account after failed sign-ins
+router.post(
+  '/:id/unlock',
+  requireSuperAdmin,
+  [param('id').isUUID().withMessage('Invalid admin ID')],
+  logActivity('unlock_admin'),
+  adminController.unlockAdmin
+);
+
+// @route   POST /api/admin/:id/2fa/reset
+// @desc    Reset admin two-factor authentication (account recovery)
+router.post(
+  '/:id/2fa/reset',
+  requireSuperAdmin,
+  [param('id').isUUID().withMessage('Invalid admin ID')],
+  logActivity('reset_admin_2fa'),
+  adminController.resetAdminTwoFactor
+);
+
 // @route   GET /api/admin/:id/activity
-// @desc    Get admin activity logs
+// @desc    Get admin activity logs (filter by action, entityType, entityId, status, date range; format=csv to export)
 router.get(
   '/:id/activity',
   requireSuperAdmin,
-  [param('id').isUUID().withMessage('Invalid admin ID')],
+  [
+    param('id').isUUID().withMessage('Invalid admin ID'),
+    query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+    query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+    query('status').optional().isIn(['success', 'failure']).withMessage('Status must be success or failure'),
+    query('startDate').optional().isISO8601().withMessage('Start date must be a valid date'),
+    query('endDate').optional().isISO8601().withMessage('End date must be a valid date'),
+    query('format').optional().isIn(['json', 'csv']).withMessage("Format must be either 'json' or 'csv'")
+  ],
   adminController.getAdminActivity
 );
 
@@ -97,6 +226,21 @@ router.put(
   adminController.updateAdminPermissions
 );
 
+// @route   PUT /api/admin/:id/department-scopes
+// @desc    Limit admin's members/events/attendance access to departments
+router.put(
+  '/:id/department-scopes',
+  requireSuperAdmin,
+  [
+    param('id').isUUID().withMessage('Invalid admin ID'),
+    body('departmentScopes').optional({ nullable: true }).isObject().withMessage('Department scopes must be an object'),
+    body('departmentScopes.*').isArray().withMessage('Each department scope must be an array'),
+    body('departmentScopes.*.*').isUUID().withMessage('Invalid department ID')
+  ],
+  logActivity('update_admin_department_scopes'),
+  adminController.updateAdminDepartmentScopes
+);
+
 // @route   GET /api/admin/stats
 // @desc    Get admin statistics
 router.get('/stats', requireSuperAdmin, adminController.getAdminStats);
@@ -48,6 +48,14 @@ const createAttendanceValidation = [
     .isString()
     .isLength({ max: 1000 })
     .withMessage("Notes must be a string with maximum 1000 characters"),
+  body("checkInOpen")
+    .optional()
+    .isBoolean()
+    .withMessage("checkInOpen must be a boolean value"),
+  body("departmentId")
+    .optional({ nullable: true, checkFalsy: true })
+    .isUUID()
+    .withMessage("Department must be a valid department ID"),
   body("members")
     .optional()
     .isArray()
@@ -64,6 +72,21 @@ const createAttendanceValidation = [
     .optional()
     .matches(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/)
     .withMessage("Time arrived must be in HH:MM format"),
+  body("visitorDetails")
+    .optional()
+    .isArray()
+    .withMessage("Visitor details must be an array"),
+  body("visitorDetails.*.name")
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage("Visitor name must be between 2 and 100 characters"),
+  body("visitorDetails.*.phone")
+    .optional()
+    .trim(),
+  body("visitorDetails.*.email")
+    .optional({ checkFalsy: true })
+    .isEmail()
+    .withMessage("Visitor email must be a valid email address"),
 ];
 
 const updateAttendanceValidation = [
@@ -125,6 +148,28 @@ const queryValidation = [
     .withMessage("Sort order must be ASC or DESC"),
 ];
 
+const checkInStatusValidation = [
+  param("id").isUUID().withMessage("Invalid attendance ID"),
+  body("open").isBoolean().withMessage("Open must be a boolean value"),
+];
+
+const checkInValidation = [
+  param("id").isUUID().withMessage("Invalid attendance ID"),
+  body("code")
+    .if(body("memberId").not().exists())
+    .trim()
+    .notEmpty()
+    .withMessage("Check-in code or member ID is required"),
+  body("memberId")
+    .optional()
+    .isUUID()
+    .withMessage("Member ID must be a valid UUID"),
+  body("category")
+    .optional()
+    .isIn(["adults", "youth", "children"])
+    .withMessage("Category must be one of: adults, youth, children"),
+];
+
 const statsQueryValidation = [
   query("period")
     .optional()
@@ -136,48 +181,48 @@ const statsQueryValidation = [
 
 // @route   GET /api/attendance
 // @desc    Get all attendance records with filtering
-// @access  Private (requires manage_attendance permission)
+// @access  Private (requires attendance:read permission)
 router.get(
   "/", 
-  requirePermission("manage_attendance"), 
+  requirePermission("attendance:read"), 
   queryValidation,
   attendanceController.getAttendanceRecords
 );
 
 // @route   GET /api/attendance/stats
 // @desc    Get attendance statistics
-// @access  Private (requires manage_attendance permission)
+// @access  Private (requires attendance:read permission)
 router.get(
   "/stats", 
-  requirePermission("manage_attendance"), 
+  requirePermission("attendance:read"), 
   statsQueryValidation,
   attendanceController.getAttendanceStats
 );
 
 // @route   GET /api/attendance/service-types
 // @desc    Get available service types
-// @access  Private (requires manage_attendance permission)
+// @access  Private (requires attendance:read permission)
 router.get(
   "/service-types",
-  requirePermission("manage_attendance"),
+  requirePermission("attendance:read"),
   attendanceController.getServiceTypes
 );
 
 // @route   GET /api/attendance/members
 // @desc    Get members for attendance tracking
-// @access  Private (requires manage_attendance permission)
+// @access  Private (requires attendance:read permission)
 router.get(
   "/members", 
-  requirePermission("manage_attendance"), 
+  requirePermission("attendance:read"), 
   attendanceController.getMembersForAttendance
 );
 
 // @route   POST /api/attendance/report
 // @desc    Generate attendance report (CSV or JSON)
-// @access  Private (requires manage_attendance permission)
+// @access  Private (requires attendance:export permission)
 router.post(
   "/report", 
-  requirePermission("manage_attendance"), 
+  requirePermission("attendance:export"), 
   reportValidation,
   logActivity("generate_attendance_report"),
   attendanceController.generateReport
@@ -185,20 +230,20 @@ router.post(
 
 // @route   GET /api/attendance/:id
 // @desc    Get attendance record by ID
-// @access  Private (requires manage_attendance permission)
+// @access  Private (requires attendance:read permission)
 router.get(
   "/:id",
-  requirePermission("manage_attendance"),
+  requirePermission("attendance:read"),
   attendanceIdValidation,
   attendanceController.getAttendanceById
 );
 
 // @route   POST /api/attendance
 // @desc    Create new attendance record
-// @access  Private (requires manage_attendance permission)
+// @access  Private (requires attendance:create permission)
 router.post(
   "/",
-  requirePermission("manage_attendance"),
+  requirePermission("attendance:create"),
   createAttendanceValidation,
   logActivity("create_attendance"),
   attendanceController.createAttendance
@@ -206,10 +251,10 @@ router.post(
 
 // @route   PUT /api/attendance/:id
 // @desc    Update attendance record
-// @access  Private (requires manage_attendance permission)
+// @access  Private (requires attendance:update permission)
 router.put(
   "/:id",
-  requirePermission("manage_attendance"),
+  requirePermission("attendance:update"),
   updateAttendanceValidation,
   logActivity("update_attendance"),
   attendanceController.updateAttendance
@@ -217,13 +262,35 @@ router.put(
 
 // @route   DELETE /api/attendance/:id
 // @desc    Delete attendance record
-// @access  Private (requires manage_attendance permission)
+// @access  Private (requires attendance:delete permission)
 router.delete(
   "/:id",
-  requirePermission("manage_attendance"),
+  requirePermission("attendance:delete"),
   attendanceIdValidation,
   logActivity("delete_attendance"),
   attendanceController.deleteAttendance
 );
 
+// @route   PATCH /api/attendance/:id/check-in
+// @desc    Open or close individual member check-in for a service
+// @access  Private (requires attendance:update permission)
+router.patch(
+  "/:id/check-in",
+  requirePermission("attendance:update"),
+  checkInStatusValidation,
+  logActivity("update_attendance_check_in"),
+  attendanceController.updateCheckInStatus
+);
+
+// @route   POST /api/attendance/:id/check-in
+// @desc    Check a member in by QR/short code (or member ID)
+// @access  Private (requires attendance:update permission)
+router.post(
+  "/:id/check-in",
+  requirePermission("attendance:update"),
+  checkInValidation,
+  logActivity("member_check_in"),
+  attendanceController.checkInMember
+);
+
 module.exports = router;
\ No newline at end of file
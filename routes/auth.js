@@ -1,16 +1,29 @@
 // routes/auth.js - Enhanced with better validation
 const express = require("express");
-const { body } = require("express-validator");
+const { body, param } = require("express-validator");
 const router = express.Router();
 
 const authController = require("../controllers/authController");
 const {
   authenticateToken,
+  authenticateTwoFactorSetup,
   authRateLimit,
   logActivity,
 } = require("../middleware/auth");
 
 // Validation rules
+// Optional label for the new session, shown in the session list and new sign-in alerts
+const deviceNameValidation = [
+  body("deviceName")
+    .optional({ values: "falsy" })
+    .isString()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage("Device name must be at most 100 characters")
+    .matches(/^[\p{L}\p{N} .,'()_\/+#-]*$/u)
+    .withMessage("Device name may only contain letters, numbers, spaces and basic punctuation"),
+];
+
 const loginValidation = [
   body("email")
     .isEmail()
@@ -21,6 +34,7 @@ const loginValidation = [
     .withMessage("Password is required")
     .isLength({ min: 6 })
     .withMessage("Password must be at least 6 characters long"),
+  ...deviceNameValidation,
 ];
 
 const changePasswordValidation = [
@@ -84,6 +98,54 @@ const forgotPasswordValidation = [
     .withMessage("Please provide a valid email address"),
 ];
 
+const acceptInvitationValidation = [
+  body("token")
+    .notEmpty()
+    .withMessage("Invitation token is required"),
+  body("password")
+    .isLength({ min: 6 })
+    .withMessage("Password must be at least 6 characters long"),
+];
+
+const twoFactorCodeValidation = [
+  body("code")
+    .trim()
+    .matches(/^\d{6}$/)
+    .withMessage("Verification code must be 6 digits"),
+];
+
+const twoFactorLoginValidation = [
+  body("challengeToken")
+    .notEmpty()
+    .withMessage("Challenge token is required"),
+  body("code")
+    .if(body("backupCode").not().exists({ values: "falsy" }))
+    .trim()
+    .matches(/^\d{6}$/)
+    .withMessage("Verification code must be 6 digits"),
+  body("backupCode")
+    .optional({ values: "falsy" })
+    .isString()
+    .withMessage("Backup code must be a string"),
+];
+
+const disableTwoFactorValidation = [
+  body("password")
+    .notEmpty()
+    .withMessage("Password is required"),
+  body("code")
+    .if(body("backupCode").not().exists({ values: "falsy" }))
+    .trim()
+    .matches(/^\d{6}$/)
+    .withMessage("Verification code must be 6 digits"),
+];
+
+const sessionIdValidation = [
+  param("id")
+    .isUUID()
+    .withMessage("Invalid session ID"),
+];
+
 const verifyTokenValidation = [
   body("token")
     .notEmpty()
@@ -96,6 +158,19 @@ router.post("/refresh", authController.refresh);
 router.get("/verify", authenticateToken, authController.verify);
 router.post("/logout", authenticateToken, logActivity("logout"), authController.logout);
 
+// Two-Factor Authentication Routes
+router.post("/2fa/verify", authRateLimit, twoFactorLoginValidation, deviceNameValidation, authController.verifyTwoFactorLogin);
+router.get("/2fa", authenticateToken, authController.getTwoFactorStatus);
+router.post("/2fa/setup", authenticateTwoFactorSetup, authController.setupTwoFactor);
+router.post("/2fa/enable", authenticateTwoFactorSetup, twoFactorCodeValidation, deviceNameValidation, logActivity("enable_2fa"), authController.enableTwoFactor);
+router.post("/2fa/disable", authenticateToken, disableTwoFactorValidation, logActivity("disable_2fa"), authController.disableTwoFactor);
+router.post("/2fa/backup-codes", authenticateToken, twoFactorCodeValidation, logActivity("regenerate_2fa_backup_codes"), authController.regenerateBackupCodes);
+
+// Session Management Routes
+router.get("/sessions", authenticateToken, authController.getSessions);
+router.delete("/sessions", authenticateToken, logActivity("revoke_all_sessions"), authController.revokeAllSessions);
+router.delete("/sessions/:id", authenticateToken, sessionIdValidation, logActivity("revoke_session", { entityType: "sessions" }), authController.revokeSession);
+
 // Profile Management Routes
 router.get("/me", authenticateToken, authController.getCurrentAdmin);
 router.post("/request-profile-update", authenticateToken, requestProfileUpdateValidation, logActivity("request_profile_update"), authController.requestProfileUpdate);
@@ -113,4 +188,8 @@ router.post("/verify-password-token", authenticateToken, verifyTokenValidation,
 // Password Reset Routes (Public)
 router.post("/forgot-password", authRateLimit, forgotPasswordValidation, authController.forgotPassword);
 
+// Admin Invitation Routes (Public)
+router.get("/invitations/:token", authRateLimit, authController.getInvitation);
+router.post("/accept-invitation", authRateLimit, acceptInvitationValidation, logActivity("accept_admin_invitation", { entityType: "admin_invitations" }), authController.acceptInvitation);
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,219 @@
+// routes/broadcasts.js
+const express = require("express");
+const { body, param, query, validationResult } = require("express-validator");
+const router = express.Router();
+
+const broadcastsController = require("../controllers/broadcastsController");
+const { requirePermission, logActivity } = require("../middleware/auth");
+
+const SEGMENT_TYPES = ["all", "department", "gender", "age_band", "birthday_month"];
+
+// Validation rules
+const broadcastIdValidation = [
+  param("id").isUUID().withMessage("Invalid broadcast ID"),
+];
+
+const queryValidation = [
+  query("page")
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage("Page must be a positive integer"),
+  query("limit")
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage("Limit must be between 1 and 100"),
+  query("status")
+    .optional()
+    .isIn(["all", "scheduled", "sending", "sent", "cancelled"])
+    .withMessage("Invalid status filter"),
+];
+
+const recipientsQueryValidation = [
+  ...broadcastIdValidation,
+  query("page")
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage("Page must be a positive integer"),
+  query("limit")
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage("Limit must be between 1 and 100"),
+  query("status")
+    .optional()
+    .isIn(["all", "pending", "queued", "sent", "failed", "skipped"])
+    .withMessage("Invalid status filter"),
+];
+
+// segment: { type, departmentId | gender | minAge/maxAge | month }
+const segmentValidation = (optional) => [
+  (optional ? body("segment").optional() : body("segment"))
+    .isObject()
+    .withMessage("Segment must be an object"),
+  body("segment.type")
+    .if(body("segment").exists())
+    .isIn(SEGMENT_TYPES)
+    .withMessage(`Segment type must be one of: ${SEGMENT_TYPES.join(", ")}`),
+  body("segment.departmentId")
+    .if(body("segment.type").equals("department"))
+    .isUUID()
+    .withMessage("Invalid department ID"),
+  body("segment.gender")
+    .if(body("segment.type").equals("gender"))
+    .isIn(["Male", "Female"])
+    .withMessage("Gender must be either Male or Female"),
+  body("segment.minAge")
+    .if(body("segment.type").equals("age_band"))
+    .optional({ nullable: true })
+    .isInt({ min: 0, max: 120 })
+    .withMessage("Minimum age must be between 0 and 120"),
+  body("segment.maxAge")
+    .if(body("segment.type").equals("age_band"))
+    .optional({ nullable: true })
+    .isInt({ min: 0, max: 120 })
+    .withMessage("Maximum age must be between 0 and 120"),
+  body("segment")
+    .if(body("segment.type").equals("age_band"))
+    .custom((segment) => {
+      const isSet = (value) => value !== undefined && value !== null && value !== "";
+      if (!isSet(segment.minAge) && !isSet(segment.maxAge)) {
+        throw new Error("Age band needs a minimum or maximum age");
+      }
+      return true;
+    }),
+  body("segment.month")
+    .if(body("segment.type").equals("birthday_month"))
+    .isInt({ min: 1, max: 12 })
+    .withMessage("Month must be between 1 and 12"),
+];
+
+const broadcastValidation = [
+  body("subject")
+    .trim()
+    .isLength({ min: 1, max: 200 })
+    .withMessage("Subject must be between 1 and 200 characters"),
+  body("body")
+    .isString()
+    .isLength({ min: 1, max: 100000 })
+    .withMessage("Body is required"),
+  ...segmentValidation(false),
+  body("scheduledAt")
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage("Scheduled time must be a valid date"),
+];
+
+const updateBroadcastValidation = [
+  ...broadcastIdValidation,
+  body("subject")
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 200 })
+    .withMessage("Subject must be between 1 and 200 characters"),
+  body("body")
+    .optional()
+    .isString()
+    .isLength({ min: 1, max: 100000 })
+    .withMessage("Body cannot be empty"),
+  ...segmentValidation(true),
+  body("scheduledAt")
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage("Scheduled time must be a valid date"),
+];
+
+// Validation middleware
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: "Validation failed",
+      errors: errors.array(),
+    });
+  }
+  next();
+};
+
+// BROADCAST ROUTES
+
+// @route   GET /api/broadcasts
+// @desc    Get broadcasts (filter by status, search subject)
+// @access  Private (requires members:read permission)
+router.get(
+  "/",
+  requirePermission("members:read"),
+  queryValidation,
+  handleValidationErrors,
+  broadcastsController.getBroadcasts
+);
+
+// @route   POST /api/broadcasts/preview
+// @desc    Count the members a segment would reach
+// @access  Private (requires members:read permission)
+router.post(
+  "/preview",
+  requirePermission("members:read"),
+  segmentValidation(false),
+  handleValidationErrors,
+  broadcastsController.previewAudience
+);
+
+// @route   GET /api/broadcasts/:id
+// @desc    Get broadcast with delivery counts
+// @access  Private (requires members:read permission)
+router.get(
+  "/:id",
+  requirePermission("members:read"),
+  broadcastIdValidation,
+  handleValidationErrors,
+  broadcastsController.getBroadcastById
+);
+
+// @route   GET /api/broadcasts/:id/recipients
+// @desc    Get per-recipient delivery status
+// @access  Private (requires members:read permission)
+router.get(
+  "/:id/recipients",
+  requirePermission("members:read"),
+  recipientsQueryValidation,
+  handleValidationErrors,
+  broadcastsController.getBroadcastRecipients
+);
+
+// @route   POST /api/broadcasts
+// @desc    Schedule a broadcast (sent with the next batch when scheduledAt is omitted)
+// @access  Private (requires members:create permission)
+router.post(
+  "/",
+  requirePermission("members:create"),
+  broadcastValidation,
+  handleValidationErrors,
+  logActivity("create_broadcast"),
+  broadcastsController.createBroadcast
+);
+
+// @route   PUT /api/broadcasts/:id
+// @desc    Update a broadcast that has not started
+// @access  Private (requires members:update permission)
+router.put(
+  "/:id",
+  requirePermission("members:update"),
+  updateBroadcastValidation,
+  handleValidationErrors,
+  logActivity("update_broadcast"),
+  broadcastsController.updateBroadcast
+);
+
+// @route   POST /api/broadcasts/:id/cancel
+// @desc    Cancel a scheduled broadcast or stop one that is sending
+// @access  Private (requires members:update permission)
+router.post(
+  "/:id/cancel",
+  requirePermission("members:update"),
+  broadcastIdValidation,
+  handleValidationErrors,
+  logActivity("cancel_broadcast"),
+  broadcastsController.cancelBroadcast
+);
+
+module.exports = router;
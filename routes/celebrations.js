@@ -96,71 +96,71 @@ const handleValidationErrors = (req, res, next) => {
 // ADMIN ROUTES (Protected)
 // @route   GET /api/celebrations
 // @desc    Get all celebrations with filtering (admin only)
-// @access  Private (requires celebrations permission)
+// @access  Private (requires celebrations:read permission)
 router.get(
   '/',
   authenticateToken,
-  requirePermission('celebrations'),
+  requirePermission('celebrations:read'),
   celebrationController.getCelebrations
 );
 
 // @route   GET /api/celebrations/stats
 // @desc    Get celebration statistics
-// @access  Private (requires celebrations permission)
+// @access  Private (requires celebrations:read permission)
 router.get(
   '/stats',
   authenticateToken,
-  requirePermission('celebrations'),
+  requirePermission('celebrations:read'),
   celebrationController.getCelebrationsStats
 );
 
 // @route   GET /api/celebrations/upcoming
 // @desc    Get upcoming celebrations
-// @access  Private (requires celebrations permission)
+// @access  Private (requires celebrations:read permission)
 router.get(
   '/upcoming',
   authenticateToken,
-  requirePermission('celebrations'),
+  requirePermission('celebrations:read'),
   celebrationController.getUpcomingCelebrations
 );
 
 // @route   GET /api/celebrations/today
 // @desc    Get today's celebrations
-// @access  Private (requires celebrations permission)
+// @access  Private (requires celebrations:read permission)
 router.get(
   '/today',
   authenticateToken,
-  requirePermission('celebrations'),
+  requirePermission('celebrations:read'),
   celebrationController.getTodaysCelebrations
 );
 
 // @route   GET /api/celebrations/trends
 // @desc    Get celebration trends for analytics
-// @access  Private (requires celebrations permission)
+// @access  Private (requires celebrations:read permission)
 router.get(
   '/trends',
   authenticateToken,
-  requirePermission('celebrations'),
+  requirePermission('celebrations:read'),
   celebrationController.getCelebrationTrends
 );
 
 // @route   GET /api/celebrations/pending/count
 // @desc    Get pending celebrations count
-// @access  Private (requires celebrations permission)
+// @access  Private (requires celebrations:read permission)
 router.get(
   '/pending/count',
   authenticateToken,
-  requirePermission('celebrations'),
+  requirePermission('celebrations:read'),
   celebrationController.getPendingCount
 );
 
 // @route   GET /api/celebrations/month
 // @desc    Get celebrations by month
-// @access  Private (requires celebrations permission)
+// @access  Private (requires celebrations:read permission)
 router.get(
   '/month',
   authenticateToken,
-  requirePermission('celebrations'),
+  requirePermission('celebrations:read'),
   [
     query('month')
       .isInt({ min: 1, max: 12 })
@@ -176,21 +176,21 @@ router.get(
 
 // @route   GET /api/celebrations/export
 // @desc    Export celebrations to CSV
-// @access  Private (requires celebrations permission)
+// @access  Private (requires celebrations:export permission)
 router.get(
   '/export',
   authenticateToken,
-  requirePermission('celebrations'),
+  requirePermission('celebrations:export'),
   celebrationController.exportCelebrations
 );
 
 // @route   GET /api/celebrations/:id
 // @desc    Get celebration by ID
-// @access  Private (requires celebrations permission)
+// @access  Private (requires celebrations:read permission)
 router.get(
   '/:id',
   authenticateToken,
-  requirePermission('celebrations'),
+  requirePermission('celebrations:read'),
   celebrationIdValidation,
   handleValidationErrors,
   celebrationController.getCelebrationById
@@ -198,11 +198,11 @@ router.get(
 
 // @route   POST /api/celebrations/bulk-approve
 // @desc    Bulk approve celebrations
-// @access  Private (requires celebrations permission)
+// @access  Private (requires celebrations:approve permission)
 router.post(
   '/bulk-approve',
   authenticateToken,
-  requirePermission('celebrations'),
+  requirePermission('celebrations:approve'),
   bulkActionValidation,
   handleValidationErrors,
   logActivity('bulk_approve_celebrations'),
@@ -211,11 +211,11 @@ router.post(
 
 // @route   PATCH /api/celebrations/:id/status
 // @desc    Update celebration status (approve/reject)
-// @access  Private (requires celebrations permission)
+// @access  Private (requires celebrations:approve permission)
 router.patch(
   '/:id/status',
   authenticateToken,
-  requirePermission('celebrations'),
+  requirePermission('celebrations:approve'),
   updateCelebrationStatusValidation,
   handleValidationErrors,
   logActivity('update_celebration_status'),
@@ -224,11 +224,11 @@ router.patch(
 
 // @route   DELETE /api/celebrations/:id
 // @desc    Delete celebration
-// @access  Private (requires celebrations permission)
+// @access  Private (requires celebrations:delete permission)
 router.delete(
   '/:id',
   authenticateToken,
-  requirePermission('celebrations'),
+  requirePermission('celebrations:delete'),
   celebrationIdValidation,
   handleValidationErrors,
   logActivity('delete_celebration'),
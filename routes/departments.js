@@ -0,0 +1,227 @@
+// routes/departments.js
+const express = require("express");
+const { body, param, query, validationResult } = require("express-validator");
+const router = express.Router();
+
+const departmentsController = require("../controllers/departmentsController");
+const { requirePermission, logActivity } = require("../middleware/auth");
+
+const MEETING_DAYS = [
+  "Sunday",
+  "Monday",
+  "Tuesday",
+  "Wednesday",
+  "Thursday",
+  "Friday",
+  "Saturday",
+];
+const MEETING_FREQUENCIES = ["weekly", "biweekly", "monthly"];
+
+// Validation rules
+const departmentDetailsValidation = [
+  body("description")
+    .optional({ nullable: true })
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage("Description must be less than 1000 characters"),
+  body("leaderId")
+    .optional({ nullable: true })
+    .isUUID()
+    .withMessage("Leader must be a valid member ID"),
+  body("assistantId")
+    .optional({ nullable: true })
+    .isUUID()
+    .withMessage("Assistant must be a valid member ID"),
+  body("meetingDay")
+    .optional({ nullable: true })
+    .isIn(MEETING_DAYS)
+    .withMessage(`Meeting day must be one of: ${MEETING_DAYS.join(", ")}`),
+  body("meetingTime")
+    .optional({ nullable: true })
+    .matches(/^([01]\d|2[0-3]):[0-5]\d(:[0-5]\d)?$/)
+    .withMessage("Meeting time must be in HH:MM format"),
+  body("meetingFrequency")
+    .optional({ nullable: true })
+    .isIn(MEETING_FREQUENCIES)
+    .withMessage(
+      `Meeting frequency must be one of: ${MEETING_FREQUENCIES.join(", ")}`
+    ),
+  body("meetingLocation")
+    .optional({ nullable: true })
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage("Meeting location must be less than 200 characters"),
+];
+
+const createDepartmentValidation = [
+  body("name")
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage("Department name must be between 2 and 100 characters"),
+  ...departmentDetailsValidation,
+];
+
+const updateDepartmentValidation = [
+  param("id").isUUID().withMessage("Invalid department ID"),
+  body("name")
+    .optional()
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage("Department name must be between 2 and 100 characters"),
+  body("isActive")
+    .optional()
+    .isBoolean()
+    .withMessage("isActive must be a boolean value"),
+  ...departmentDetailsValidation,
+];
+
+const departmentIdValidation = [
+  param("id").isUUID().withMessage("Invalid department ID"),
+];
+
+const addMembersValidation = [
+  param("id").isUUID().withMessage("Invalid department ID"),
+  body("memberIds")
+    .isArray({ min: 1 })
+    .withMessage("memberIds must be a non-empty array"),
+  body("memberIds.*").isUUID().withMessage("Invalid member ID"),
+  body("role")
+    .optional({ nullable: true })
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage("Role must be less than 100 characters"),
+];
+
+const removeMemberValidation = [
+  param("id").isUUID().withMessage("Invalid department ID"),
+  param("memberId").isUUID().withMessage("Invalid member ID"),
+];
+
+const attendanceValidation = [
+  param("id").isUUID().withMessage("Invalid department ID"),
+  query("startDate")
+    .optional()
+    .isDate()
+    .withMessage("Start date must be a valid date"),
+  query("endDate")
+    .optional()
+    .isDate()
+    .withMessage("End date must be a valid date"),
+];
+
+// Validation middleware
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: "Validation failed",
+      errors: errors.array(),
+    });
+  }
+  next();
+};
+
+// @route   GET /api/departments
+// @desc    Get departments with leaders and member counts (?status=active|inactive|all)
+// @access  Private (requires members:read permission)
+router.get(
+  "/",
+  requirePermission("members:read"),
+  departmentsController.getDepartments
+);
+
+// @route   GET /api/departments/:id
+// @desc    Get department by ID
+// @access  Private (requires members:read permission)
+router.get(
+  "/:id",
+  requirePermission("members:read"),
+  departmentIdValidation,
+  handleValidationErrors,
+  departmentsController.getDepartmentById
+);
+
+// @route   GET /api/departments/:id/members
+// @desc    Get members serving in a department
+// @access  Private (requires members:read permission)
+router.get(
+  "/:id/members",
+  requirePermission("members:read"),
+  departmentIdValidation,
+  handleValidationErrors,
+  departmentsController.getDepartmentMembers
+);
+
+// @route   GET /api/departments/:id/attendance
+// @desc    Department members' attendance per service (?startDate&endDate, default last 8 weeks)
+// @access  Private (requires members:read permission)
+router.get(
+  "/:id/attendance",
+  requirePermission("members:read"),
+  attendanceValidation,
+  handleValidationErrors,
+  departmentsController.getDepartmentAttendance
+);
+
+// @route   POST /api/departments
+// @desc    Create new department
+// @access  Private (requires members:create permission)
+router.post(
+  "/",
+  requirePermission("members:create"),
+  createDepartmentValidation,
+  handleValidationErrors,
+  logActivity("create_department"),
+  departmentsController.createDepartment
+);
+
+// @route   PUT /api/departments/:id
+// @desc    Update department
+// @access  Private (requires members:update permission)
+router.put(
+  "/:id",
+  requirePermission("members:update"),
+  updateDepartmentValidation,
+  handleValidationErrors,
+  logActivity("update_department"),
+  departmentsController.updateDepartment
+);
+
+// @route   DELETE /api/departments/:id
+// @desc    Delete department (members are kept)
+// @access  Private (requires members:delete permission)
+router.delete(
+  "/:id",
+  requirePermission("members:delete"),
+  departmentIdValidation,
+  handleValidationErrors,
+  logActivity("delete_department"),
+  departmentsController.deleteDepartment
+);
+
+// @route   POST /api/departments/:id/members
+// @desc    Add members to a department
+// @access  Private (requires members:update permission)
+router.post(
+  "/:id/members",
+  requirePermission("members:update"),
+  addMembersValidation,
+  handleValidationErrors,
+  logActivity("add_department_members"),
+  departmentsController.addDepartmentMembers
+);
+
+// @route   DELETE /api/departments/:id/members/:memberId
+// @desc    Remove member from department
+// @access  Private (requires members:update permission)
+router.delete(
+  "/:id/members/:memberId",
+  requirePermission("members:update"),
+  removeMemberValidation,
+  handleValidationErrors,
+  logActivity("remove_department_member"),
+  departmentsController.removeDepartmentMember
+);
+
+module.exports = router;
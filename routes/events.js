@@ -4,6 +4,8 @@ const { body, param, query, validationResult } = require("express-validator");
 const router = express.Router();
 
 const eventsController = require("../controllers/eventsController");
+const eventRegistrationsController = require("../controllers/eventRegistrationsController");
+const eventOccurrencesController = require("../controllers/eventOccurrencesController");
 const {
   authenticateToken,
   requirePermission,
@@ -65,6 +67,32 @@ const createEventValidation = [
     .optional()
     .isIn(["daily", "weekly", "monthly", "yearly"])
     .withMessage("Invalid recurring pattern"),
+  body("recurrenceInterval")
+    .optional()
+    .isInt({ min: 1, max: 365 })
+    .withMessage("Recurrence interval must be between 1 and 365"),
+  body("recurrenceDays")
+    .optional()
+    .isArray()
+    .withMessage("Recurrence days must be an array"),
+  body("recurrenceDays.*")
+    .isInt({ min: 0, max: 6 })
+    .withMessage("Recurrence days must be weekday numbers from 0 (Sunday) to 6 (Saturday)"),
+  body("recurrenceEndDate")
+    .optional({ nullable: true })
+    .isDate()
+    .withMessage("Recurrence end date must be a valid date"),
+  body("recurrenceCount")
+    .optional({ nullable: true })
+    .isInt({ min: 1, max: 1000 })
+    .withMessage("Recurrence count must be between 1 and 1000"),
+  body("exceptionDates")
+    .optional()
+    .isArray()
+    .withMessage("Exception dates must be an array"),
+  body("exceptionDates.*")
+    .isDate()
+    .withMessage("Exception dates must be valid dates"),
   body("registrationRequired")
     .optional()
     .isBoolean()
@@ -85,6 +113,10 @@ const createEventValidation = [
     .optional()
     .isString()
     .withMessage("Image must be a string URL"),
+  body("departmentId")
+    .optional({ nullable: true, checkFalsy: true })
+    .isUUID()
+    .withMessage("Department must be a valid department ID"),
 ];
 
 const updateEventValidation = [
@@ -148,6 +180,32 @@ const updateEventValidation = [
     .optional()
     .isIn(["daily", "weekly", "monthly", "yearly"])
     .withMessage("Invalid recurring pattern"),
+  body("recurrenceInterval")
+    .optional()
+    .isInt({ min: 1, max: 365 })
+    .withMessage("Recurrence interval must be between 1 and 365"),
+  body("recurrenceDays")
+    .optional()
+    .isArray()
+    .withMessage("Recurrence days must be an array"),
+  body("recurrenceDays.*")
+    .isInt({ min: 0, max: 6 })
+    .withMessage("Recurrence days must be weekday numbers from 0 (Sunday) to 6 (Saturday)"),
+  body("recurrenceEndDate")
+    .optional({ nullable: true })
+    .isDate()
+    .withMessage("Recurrence end date must be a valid date"),
+  body("recurrenceCount")
+    .optional({ nullable: true })
+    .isInt({ min: 1, max: 1000 })
+    .withMessage("Recurrence count must be between 1 and 1000"),
+  body("exceptionDates")
+    .optional()
+    .isArray()
+    .withMessage("Exception dates must be an array"),
+  body("exceptionDates.*")
+    .isDate()
+    .withMessage("Exception dates must be valid dates"),
   body("registrationRequired")
     .optional()
     .isBoolean()
@@ -168,12 +226,86 @@ const updateEventValidation = [
     .optional()
     .isString()
     .withMessage("Image must be a string URL"),
+  body("departmentId")
+    .optional({ nullable: true, checkFalsy: true })
+    .isUUID()
+    .withMessage("Department must be a valid department ID"),
 ];
 
 const eventIdValidation = [
   param("id").isUUID().withMessage("Invalid event ID"),
 ];
 
+const calendarValidation = [
+  query("start")
+    .isDate()
+    .withMessage("Start must be a valid date"),
+  query("end")
+    .isDate()
+    .withMessage("End must be a valid date"),
+  query("category")
+    .optional()
+    .isString()
+    .withMessage("Category must be a string"),
+];
+
+const feedValidation = [
+  query("category")
+    .optional()
+    .isString()
+    .withMessage("Category must be a string"),
+];
+
+const occurrenceListValidation = [
+  param("id").isUUID().withMessage("Invalid event ID"),
+  query("start")
+    .optional()
+    .isDate()
+    .withMessage("Start must be a valid date"),
+  query("end")
+    .optional()
+    .isDate()
+    .withMessage("End must be a valid date"),
+];
+
+const occurrenceValidation = [
+  param("id").isUUID().withMessage("Invalid event ID"),
+  param("date").isDate().withMessage("Occurrence date must be a valid date"),
+];
+
+const updateOccurrenceValidation = [
+  ...occurrenceValidation,
+  body("title")
+    .optional({ nullable: true })
+    .trim()
+    .isLength({ min: 3, max: 200 })
+    .withMessage("Title must be between 3 and 200 characters"),
+  body("description").optional({ nullable: true }).trim(),
+  body("time")
+    .optional({ nullable: true })
+    .matches(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/)
+    .withMessage("Please provide a valid time in HH:MM format"),
+  body("endTime")
+    .optional({ nullable: true })
+    .matches(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/)
+    .withMessage("Please provide a valid end time in HH:MM format"),
+  body("location").optional({ nullable: true }).trim(),
+  body("notes")
+    .optional({ nullable: true })
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage("Notes must be less than 500 characters"),
+];
+
+const cancelOccurrenceValidation = [
+  ...occurrenceValidation,
+  body("reason")
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage("Reason must be less than 500 characters"),
+];
+
 const attendanceValidation = [
   param("id").isUUID().withMessage("Invalid event ID"),
   body("attendanceCount")
@@ -181,6 +313,47 @@ const attendanceValidation = [
     .withMessage("Attendance count must be a non-negative number"),
 ];
 
+const registrationListValidation = [
+  param("id").isUUID().withMessage("Invalid event ID"),
+  query("status")
+    .optional()
+    .isIn(["all", "registered", "waitlisted", "cancelled"])
+    .withMessage("Status must be one of: all, registered, waitlisted, cancelled"),
+  query("format")
+    .optional()
+    .isIn(["csv", "json"])
+    .withMessage("Format must be either 'csv' or 'json'"),
+];
+
+const createRegistrationValidation = [
+  param("id").isUUID().withMessage("Invalid event ID"),
+  body("memberId")
+    .optional()
+    .isUUID()
+    .withMessage("Member ID must be a valid UUID"),
+  body("name")
+    .optional()
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage("Name must be between 2 and 100 characters"),
+  body("email")
+    .optional()
+    .isEmail()
+    .normalizeEmail()
+    .withMessage("Please provide a valid email address"),
+  body("phone").optional().trim(),
+  body("notes")
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage("Notes must be less than 500 characters"),
+];
+
+const cancelRegistrationValidation = [
+  param("id").isUUID().withMessage("Invalid event ID"),
+  param("registrationId").isUUID().withMessage("Invalid registration ID"),
+];
+
 const queryValidation = [
   query("page")
     .optional()
@@ -206,6 +379,14 @@ const queryValidation = [
     .optional()
     .isBoolean()
     .withMessage("Upcoming must be a boolean"),
+  query("startDate")
+    .optional()
+    .isDate()
+    .withMessage("Start date must be a valid date"),
+  query("endDate")
+    .optional()
+    .isDate()
+    .withMessage("End date must be a valid date"),
   query("sortBy")
     .optional()
     .isIn(["date", "title", "category", "status", "createdAt"])
@@ -226,8 +407,8 @@ const upcomingValidation = [
 const exportValidation = [
   query("format")
     .optional()
-    .isIn(["csv", "json"])
-    .withMessage("Format must be either 'csv' or 'json'"),
+    .isIn(["csv", "json", "ics"])
+    .withMessage("Format must be one of: csv, json, ics"),
   query("status")
     .optional()
     .isString()
@@ -250,6 +431,16 @@ router.get("/", optionalAuth, queryValidation, eventsController.getEvents);
 // @access  Public
 router.get("/upcoming", upcomingValidation, eventsController.getUpcomingEvents);
 
+// @route   GET /api/events/calendar
+// @desc    Get event occurrences between two dates (recurring events expanded)
+// @access  Public/Private
+router.get("/calendar", optionalAuth, calendarValidation, eventsController.getEventCalendar);
+
+// @route   GET /api/events/calendar.ics
+// @desc    Subscribable iCalendar feed (?category= to filter)
+// @access  Public
+router.get("/calendar.ics", feedValidation, eventsController.getEventsFeed);
+
 // @route   GET /api/events/categories
 // @desc    Get event categories
 // @access  Public
@@ -257,42 +448,82 @@ router.get("/categories", eventsController.getEventCategories);
 
 // @route   GET /api/events/stats
 // @desc    Get event statistics
-// @access  Private (requires events permission)
-router.get("/stats", authenticateToken, requirePermission("events"), eventsController.getEventsStats);
+// @access  Private (requires events:read permission)
+router.get("/stats", authenticateToken, requirePermission("events:read"), eventsController.getEventsStats);
 
 // @route   GET /api/events/export
 // @desc    Export events to CSV or JSON
-// @access  Private (requires events permission)
-router.get("/export", authenticateToken, requirePermission("events"), exportValidation, logActivity("export_events"), eventsController.exportEvents);
+// @access  Private (requires events:export permission)
+router.get("/export", authenticateToken, requirePermission("events:export"), exportValidation, logActivity("export_events"), eventsController.exportEvents);
 
 // @route   GET /api/events/:id
 // @desc    Get event by ID
 // @access  Public/Private
 router.get("/:id", optionalAuth, eventIdValidation, eventsController.getEventById);
 
+// @route   GET /api/events/:id/ics
+// @desc    Download event as an .ics calendar file
+// @access  Public/Private
+router.get("/:id/ics", optionalAuth, eventIdValidation, eventsController.downloadEventIcs);
+
 // @route   POST /api/events
 // @desc    Create new event
-// @access  Private (requires events permission)
-router.post("/", authenticateToken, requirePermission("events"), createEventValidation, logActivity("create_event"), eventsController.createEvent);
+// @access  Private (requires events:create permission)
+router.post("/", authenticateToken, requirePermission("events:create"), createEventValidation, logActivity("create_event"), eventsController.createEvent);
 
 // @route   PUT /api/events/:id
 // @desc    Update event
-// @access  Private (requires events permission)
-router.put("/:id", authenticateToken, requirePermission("events"), updateEventValidation, logActivity("update_event"), eventsController.updateEvent);
+// @access  Private (requires events:update permission)
+router.put("/:id", authenticateToken, requirePermission("events:update"), updateEventValidation, logActivity("update_event"), eventsController.updateEvent);
 
 // @route   PATCH /api/events/:id/attendance
 // @desc    Update event attendance count
-// @access  Private (requires events permission)
-router.patch("/:id/attendance", authenticateToken, requirePermission("events"), attendanceValidation, logActivity("update_event_attendance"), eventsController.updateEventAttendance);
+// @access  Private (requires events:update permission)
+router.patch("/:id/attendance", authenticateToken, requirePermission("events:update"), attendanceValidation, logActivity("update_event_attendance"), eventsController.updateEventAttendance);
 
 // @route   POST /api/events/:id/duplicate
 // @desc    Duplicate event
-// @access  Private (requires events permission)
-router.post("/:id/duplicate", authenticateToken, requirePermission("events"), eventIdValidation, logActivity("duplicate_event"), eventsController.duplicateEvent);
+// @access  Private (requires events:create permission)
+router.post("/:id/duplicate", authenticateToken, requirePermission("events:create"), eventIdValidation, logActivity("duplicate_event"), eventsController.duplicateEvent);
 
 // @route   DELETE /api/events/:id
 // @desc    Delete event
-// @access  Private (requires events permission)
-router.delete("/:id", authenticateToken, requirePermission("events"), eventIdValidation, logActivity("delete_event"), eventsController.deleteEvent);
+// @access  Private (requires events:delete permission)
+router.delete("/:id", authenticateToken, requirePermission("events:delete"), eventIdValidation, logActivity("delete_event"), eventsController.deleteEvent);
+
+// @route   GET /api/events/:id/registrations
+// @desc    Get event registrants (?format=csv to export)
+// @access  Private (requires events:read permission)
+router.get("/:id/registrations", authenticateToken, requirePermission("events:read"), registrationListValidation, eventRegistrationsController.getEventRegistrations);
+
+// @route   POST /api/events/:id/registrations
+// @desc    Register a member or guest for an event
+// @access  Private (requires events:update permission)
+router.post("/:id/registrations", authenticateToken, requirePermission("events:update"), createRegistrationValidation, logActivity("create_event_registration"), eventRegistrationsController.createEventRegistration);
+
+// @route   PATCH /api/events/:id/registrations/:registrationId/cancel
+// @desc    Cancel a registration (next waitlisted registrant is promoted)
+// @access  Private (requires events:update permission)
+router.patch("/:id/registrations/:registrationId/cancel", authenticateToken, requirePermission("events:update"), cancelRegistrationValidation, logActivity("cancel_event_registration"), eventRegistrationsController.cancelEventRegistration);
+
+// @route   GET /api/events/:id/occurrences
+// @desc    List occurrences of a recurring event
+// @access  Private (requires events:read permission)
+router.get("/:id/occurrences", authenticateToken, requirePermission("events:read"), occurrenceListValidation, eventOccurrencesController.getEventOccurrences);
+
+// @route   PUT /api/events/:id/occurrences/:date
+// @desc    Edit a single occurrence without changing the series
+// @access  Private (requires events:update permission)
+router.put("/:id/occurrences/:date", authenticateToken, requirePermission("events:update"), updateOccurrenceValidation, logActivity("update_event_occurrence"), eventOccurrencesController.updateOccurrence);
+
+// @route   PATCH /api/events/:id/occurrences/:date/cancel
+// @desc    Cancel a single occurrence without changing the series
+// @access  Private (requires events:update permission)
+router.patch("/:id/occurrences/:date/cancel", authenticateToken, requirePermission("events:update"), cancelOccurrenceValidation, logActivity("cancel_event_occurrence"), eventOccurrencesController.cancelOccurrence);
+
+// @route   DELETE /api/events/:id/occurrences/:date
+// @desc    Restore an edited or cancelled occurrence to the series schedule
+// @access  Private (requires events:update permission)
+router.delete("/:id/occurrences/:date", authenticateToken, requirePermission("events:update"), occurrenceValidation, logActivity("restore_event_occurrence"), eventOccurrencesController.restoreOccurrence);
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,268 @@
+// routes/giving.js
+const express = require("express");
+const { body, param, query } = require("express-validator");
+const router = express.Router();
+
+const givingController = require("../controllers/givingController");
+const { requirePermission, logActivity } = require("../middleware/auth");
+
+const GIVING_CATEGORIES = ["tithe", "offering", "seed", "project", "thanksgiving", "other"];
+const PAYMENT_METHODS = ["cash", "bank_transfer", "pos", "cheque", "mobile_money", "online"];
+const GIVING_CURRENCIES = ["NGN"];
+
+// Validation rules
+const givingDetailsValidation = [
+  body("memberId")
+    .optional({ nullable: true, checkFalsy: true })
+    .isUUID()
+    .withMessage("Member ID must be a valid UUID"),
+  body("isAnonymous")
+    .optional()
+    .isBoolean()
+    .withMessage("isAnonymous must be a boolean"),
+  body("donorName")
+    .optional({ nullable: true })
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage("Donor name must be less than 100 characters"),
+  // Totals add amounts together, so only one currency is accepted
+  body("currency")
+    .optional()
+    .isIn(GIVING_CURRENCIES)
+    .withMessage(`Currency must be one of: ${GIVING_CURRENCIES.join(", ")}`),
+  body("projectName")
+    .optional({ nullable: true })
+    .trim()
+    .isLength({ max: 150 })
+    .withMessage("Project name must be less than 150 characters"),
+  body("paymentMethod")
+    .optional()
+    .isIn(PAYMENT_METHODS)
+    .withMessage(`Payment method must be one of: ${PAYMENT_METHODS.join(", ")}`),
+  body("reference")
+    .optional({ nullable: true })
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage("Reference must be less than 100 characters"),
+  body("givenAt")
+    .optional()
+    .isDate()
+    .withMessage("Please provide a valid date"),
+  body("attendanceId")
+    .optional({ nullable: true, checkFalsy: true })
+    .isUUID()
+    .withMessage("Attendance ID must be a valid UUID"),
+  body("notes")
+    .optional({ nullable: true })
+    .isString()
+    .isLength({ max: 1000 })
+    .withMessage("Notes must be a string with maximum 1000 characters"),
+];
+
+const createGivingValidation = [
+  body("amount")
+    .isFloat({ min: 0.01 })
+    .withMessage("Amount must be greater than zero"),
+  body("category")
+    .isIn(GIVING_CATEGORIES)
+    .withMessage(`Category must be one of: ${GIVING_CATEGORIES.join(", ")}`),
+  ...givingDetailsValidation,
+];
+
+const updateGivingValidation = [
+  param("id").isUUID().withMessage("Invalid giving record ID"),
+  body("amount")
+    .optional()
+    .isFloat({ min: 0.01 })
+    .withMessage("Amount must be greater than zero"),
+  body("category")
+    .optional()
+    .isIn(GIVING_CATEGORIES)
+    .withMessage(`Category must be one of: ${GIVING_CATEGORIES.join(", ")}`),
+  ...givingDetailsValidation,
+];
+
+const givingIdValidation = [
+  param("id").isUUID().withMessage("Invalid giving record ID"),
+];
+
+const queryValidation = [
+  query("page")
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage("Page must be a positive integer"),
+  query("limit")
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage("Limit must be between 1 and 100"),
+  query("category")
+    .optional()
+    .isIn(["all", ...GIVING_CATEGORIES])
+    .withMessage("Invalid category filter"),
+  query("paymentMethod")
+    .optional()
+    .isIn(["all", ...PAYMENT_METHODS])
+    .withMessage("Invalid payment method filter"),
+  query("memberId")
+    .optional()
+    .isUUID()
+    .withMessage("Member ID must be a valid UUID"),
+  query("attendanceId")
+    .optional()
+    .isUUID()
+    .withMessage("Attendance ID must be a valid UUID"),
+  query("startDate")
+    .optional()
+    .isDate()
+    .withMessage("Start date must be a valid date"),
+  query("endDate")
+    .optional()
+    .isDate()
+    .withMessage("End date must be a valid date"),
+];
+
+const summaryValidation = [
+  query("startDate")
+    .optional()
+    .isDate()
+    .withMessage("Start date must be a valid date"),
+  query("endDate")
+    .optional()
+    .isDate()
+    .withMessage("End date must be a valid date"),
+];
+
+const statementValidation = [
+  param("memberId").isUUID().withMessage("Invalid member ID"),
+  query("year")
+    .optional()
+    .isInt({ min: 2000, max: 2100 })
+    .withMessage("Year must be a valid year"),
+];
+
+const emailStatementsValidation = [
+  body("year")
+    .isInt({ min: 2000, max: 2100 })
+    .withMessage("Year must be a valid year"),
+  body("memberIds")
+    .optional()
+    .isArray({ min: 1 })
+    .withMessage("memberIds must be a non-empty array"),
+  body("memberIds.*")
+    .isUUID()
+    .withMessage("Each member ID must be a valid UUID"),
+];
+
+const statementEmailStatusValidation = [
+  param("year")
+    .isInt({ min: 2000, max: 2100 })
+    .withMessage("Year must be a valid year"),
+];
+
+// Routes
+
+// @route   GET /api/giving
+// @desc    Get giving records with filtering
+// @access  Private (requires finance:read permission)
+router.get(
+  "/",
+  requirePermission("finance:read"),
+  queryValidation,
+  givingController.getGivings
+);
+
+// @route   GET /api/giving/summary
+// @desc    Get giving totals by category for a date range
+// @access  Private (requires finance:read permission)
+router.get(
+  "/summary",
+  requirePermission("finance:read"),
+  summaryValidation,
+  givingController.getGivingSummary
+);
+
+// @route   POST /api/giving/statements/email
+// @desc    Email annual PDF statements to members who gave that year
+// @access  Private (requires finance:export permission)
+router.post(
+  "/statements/email",
+  requirePermission("finance:export"),
+  emailStatementsValidation,
+  logActivity("email_giving_statements"),
+  givingController.emailStatements
+);
+
+// @route   GET /api/giving/statements/email/:year
+// @desc    Get progress of the statement email run for a year
+// @access  Private (requires finance:read permission)
+router.get(
+  "/statements/email/:year",
+  requirePermission("finance:read"),
+  statementEmailStatusValidation,
+  givingController.getStatementEmailStatus
+);
+
+// @route   GET /api/giving/statements/:memberId/pdf
+// @desc    Download a member's annual giving statement as PDF (?year=)
+// @access  Private (requires finance:export permission)
+router.get(
+  "/statements/:memberId/pdf",
+  requirePermission("finance:export"),
+  statementValidation,
+  givingController.downloadMemberStatementPdf
+);
+
+// @route   GET /api/giving/statements/:memberId
+// @desc    Get a member's annual giving statement (?year=)
+// @access  Private (requires finance:read permission)
+router.get(
+  "/statements/:memberId",
+  requirePermission("finance:read"),
+  statementValidation,
+  givingController.getMemberStatement
+);
+
+// @route   GET /api/giving/:id
+// @desc    Get giving record by ID
+// @access  Private (requires finance:read permission)
+router.get(
+  "/:id",
+  requirePermission("finance:read"),
+  givingIdValidation,
+  givingController.getGivingById
+);
+
+// @route   POST /api/giving
+// @desc    Record tithe, offering or donation
+// @access  Private (requires finance:create permission)
+router.post(
+  "/",
+  requirePermission("finance:create"),
+  createGivingValidation,
+  logActivity("create_giving"),
+  givingController.createGiving
+);
+
+// @route   PUT /api/giving/:id
+// @desc    Update giving record
+// @access  Private (requires finance:update permission)
+router.put(
+  "/:id",
+  requirePermission("finance:update"),
+  updateGivingValidation,
+  logActivity("update_giving"),
+  givingController.updateGiving
+);
+
+// @route   DELETE /api/giving/:id
+// @desc    Delete giving record
+// @access  Private (requires finance:delete permission)
+router.delete(
+  "/:id",
+  requirePermission("finance:delete"),
+  givingIdValidation,
+  logActivity("delete_giving"),
+  givingController.deleteGiving
+);
+
+module.exports = router;
@@ -0,0 +1,154 @@
+// routes/inquiries.js
+const express = require("express");
+const { body, param, query, validationResult } = require("express-validator");
+const router = express.Router();
+
+const inquiriesController = require("../controllers/inquiriesController");
+const { requirePermission, logActivity } = require("../middleware/auth");
+
+// Validation rules
+const inquiryIdValidation = [
+  param("id").isUUID().withMessage("Invalid inquiry ID"),
+];
+
+const queryValidation = [
+  query("page")
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage("Page must be a positive integer"),
+  query("limit")
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage("Limit must be between 1 and 100"),
+  query("status")
+    .optional()
+    .isIn(["all", "open", "replied", "closed"])
+    .withMessage("Invalid status filter"),
+  query("startDate")
+    .optional()
+    .isDate()
+    .withMessage("Start date must be a valid date"),
+  query("endDate")
+    .optional()
+    .isDate()
+    .withMessage("End date must be a valid date"),
+];
+
+const assignValidation = [
+  ...inquiryIdValidation,
+  body("assignedToId")
+    .optional({ nullable: true })
+    .isUUID()
+    .withMessage("Invalid admin ID"),
+];
+
+const statusValidation = [
+  ...inquiryIdValidation,
+  body("status")
+    .isIn(["open", "replied", "closed"])
+    .withMessage("Status must be one of: open, replied, closed"),
+];
+
+const replyValidation = [
+  ...inquiryIdValidation,
+  body("message")
+    .trim()
+    .isLength({ min: 1, max: 5000 })
+    .withMessage("Reply must be between 1 and 5000 characters"),
+];
+
+// Validation middleware
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: "Validation failed",
+      errors: errors.array(),
+    });
+  }
+  next();
+};
+
+// INQUIRY ROUTES
+
+// @route   GET /api/inquiries
+// @desc    Get inquiries (filter by status, assignedTo=me|unassigned|<adminId>, search, date range)
+// @access  Private (requires celebrations:read permission)
+router.get(
+  "/",
+  requirePermission("celebrations:read"),
+  queryValidation,
+  handleValidationErrors,
+  inquiriesController.getInquiries
+);
+
+// @route   GET /api/inquiries/stats
+// @desc    Get inbox counts by status
+// @access  Private (requires celebrations:read permission)
+router.get(
+  "/stats",
+  requirePermission("celebrations:read"),
+  inquiriesController.getInquiryStats
+);
+
+// @route   GET /api/inquiries/:id
+// @desc    Get inquiry by ID
+// @access  Private (requires celebrations:read permission)
+router.get(
+  "/:id",
+  requirePermission("celebrations:read"),
+  inquiryIdValidation,
+  handleValidationErrors,
+  inquiriesController.getInquiryById
+);
+
+// @route   PATCH /api/inquiries/:id/assign
+// @desc    Assign inquiry to an admin
+// @access  Private (requires celebrations:update permission)
+router.patch(
+  "/:id/assign",
+  requirePermission("celebrations:update"),
+  assignValidation,
+  handleValidationErrors,
+  logActivity("assign_inquiry"),
+  inquiriesController.assignInquiry
+);
+
+// @route   PATCH /api/inquiries/:id/status
+// @desc    Update inquiry status
+// @access  Private (requires celebrations:update permission)
+router.patch(
+  "/:id/status",
+  requirePermission("celebrations:update"),
+  statusValidation,
+  handleValidationErrors,
+  logActivity("update_inquiry_status"),
+  inquiriesController.updateInquiryStatus
+);
+
+// @route   POST /api/inquiries/:id/replies
+// @desc    Reply to the sender by email
+// @access  Private (requires celebrations:update permission)
+router.post(
+  "/:id/replies",
+  requirePermission("celebrations:update"),
+  replyValidation,
+  handleValidationErrors,
+  logActivity("reply_inquiry"),
+  inquiriesController.replyToInquiry
+);
+
+// @route   DELETE /api/inquiries/:id
+// @desc    Delete inquiry
+// @access  Private (requires celebrations:delete permission)
+router.delete(
+  "/:id",
+  requirePermission("celebrations:delete"),
+  inquiryIdValidation,
+  handleValidationErrors,
+  logActivity("delete_inquiry"),
+  inquiriesController.deleteInquiry
+);
+
+module.exports = router;
@@ -4,7 +4,11 @@ const { body, param, query, validationResult } = require("express-validator");
 const router = express.Router();
 
 const membersController = require("../controllers/membersController");
+const householdsController = require("../controllers/householdsController");
+const memberDuplicatesController = require("../controllers/memberDuplicatesController");
 const { requirePermission, logActivity } = require("../middleware/auth");
+const { uploadMiddleware } = require("../middleware/upload");
+const { assertValidPreferences } = require("../utils/communicationPreferences");
 
 // Validation rules
 const createMemberValidation = [
@@ -21,10 +25,29 @@ const createMemberValidation = [
     .isDate()
     .withMessage("Please provide a valid membership date"),
   body("department")
-    .optional()
+    .optional({ values: "falsy" })
     .trim()
-    .isLength({ max: 100 })
-    .withMessage("Department must be less than 100 characters"),
+    .isLength({ min: 2, max: 100 })
+    .withMessage("Department must be between 2 and 100 characters"),
+  body("departmentIds")
+    .optional()
+    .isArray()
+    .withMessage("departmentIds must be an array"),
+  body("departmentIds.*").isUUID().withMessage("Invalid department ID"),
+  body("notificationChannel")
+    .optional()
+    .isIn(["email", "sms", "both"])
+    .withMessage("Notification channel must be one of: email, sms, both"),
+  body("notificationsOptOut")
+    .optional()
+    .isBoolean()
+    .withMessage("notificationsOptOut must be a boolean value")
+    .toBoolean(),
+  body("communicationPreferences")
+    .optional()
+    .isObject()
+    .withMessage("communicationPreferences must be an object")
+    .custom(assertValidPreferences),
 ];
 
 const updateMemberValidation = [
@@ -46,6 +69,91 @@ const statusUpdateValidation = [
     .withMessage("isActive must be a boolean value"),
 ];
 
+const HOUSEHOLD_ROLES = ["head", "spouse", "child", "dependent", "other"];
+
+const householdValidation = [
+  body("name")
+    .trim()
+    .isLength({ min: 2, max: 150 })
+    .withMessage("Household name must be between 2 and 150 characters"),
+  body("address")
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage("Address must be less than 500 characters"),
+  body("city").optional().trim(),
+  body("state").optional().trim(),
+  body("phone").optional().trim(),
+  body("notes").optional().trim(),
+];
+
+const createHouseholdValidation = [
+  ...householdValidation,
+  body("members")
+    .optional()
+    .isArray()
+    .withMessage("Members must be an array"),
+  body("members.*.memberId").isUUID().withMessage("Invalid member ID"),
+  body("members.*.role")
+    .isIn(HOUSEHOLD_ROLES)
+    .withMessage(`Role must be one of: ${HOUSEHOLD_ROLES.join(", ")}`),
+];
+
+const updateHouseholdValidation = [
+  param("id").isUUID().withMessage("Invalid household ID"),
+  ...householdValidation,
+  body("isActive")
+    .optional()
+    .isBoolean()
+    .withMessage("isActive must be a boolean value"),
+];
+
+const householdIdValidation = [
+  param("id").isUUID().withMessage("Invalid household ID"),
+];
+
+const householdMemberValidation = [
+  param("id").isUUID().withMessage("Invalid household ID"),
+  body("memberId").isUUID().withMessage("Invalid member ID"),
+  body("role")
+    .isIn(HOUSEHOLD_ROLES)
+    .withMessage(`Role must be one of: ${HOUSEHOLD_ROLES.join(", ")}`),
+];
+
+const removeHouseholdMemberValidation = [
+  param("id").isUUID().withMessage("Invalid household ID"),
+  param("memberId").isUUID().withMessage("Invalid member ID"),
+];
+
+const duplicatesValidation = [
+  query("minScore")
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage("minScore must be between 1 and 100"),
+  query("limit")
+    .optional()
+    .isInt({ min: 1, max: 200 })
+    .withMessage("Limit must be between 1 and 200"),
+  query("includeInactive")
+    .optional()
+    .isBoolean()
+    .withMessage("includeInactive must be a boolean value"),
+];
+
+const mergeMembersValidation = [
+  body("primaryId").isUUID().withMessage("Invalid primary member ID"),
+  body("duplicateId").isUUID().withMessage("Invalid duplicate member ID"),
+  body("fields")
+    .optional()
+    .isArray()
+    .withMessage("Fields must be an array"),
+  body("fields.*")
+    .isIn(memberDuplicatesController.MERGEABLE_FIELDS)
+    .withMessage(
+      `Fields must be one of: ${memberDuplicatesController.MERGEABLE_FIELDS.join(", ")}`
+    ),
+];
+
 // Validation middleware
 const handleValidationErrors = (req, res, next) => {
   const errors = validationResult(req);
@@ -63,37 +171,37 @@ const handleValidationErrors = (req, res, next) => {
 
 // @route   GET /api/members
 // @desc    Get all members with filtering and pagination
-// @access  Private (requires members permission)
+// @access  Private (requires members:read permission)
 router.get(
   "/",
-  requirePermission("members"),
+  requirePermission("members:read"),
   membersController.getAllMembers
 );
 
 // @route   GET /api/members/stats
 // @desc    Get member statistics
-// @access  Private (requires members permission)
+// @access  Private (requires members:read permission)
 router.get(
   "/stats",
-  requirePermission("members"),
+  requirePermission("members:read"),
   membersController.getMemberStats
 );
 
 // @route   GET /api/members/departments
 // @desc    Get list of departments
-// @access  Private (requires members permission)
+// @access  Private (requires members:read permission)
 router.get(
   "/departments",
-  requirePermission("members"),
+  requirePermission("members:read"),
   membersController.getDepartments
 );
 
 // @route   GET /api/members/search
 // @desc    Search members
-// @access  Private (requires members permission)
+// @access  Private (requires members:read permission)
 router.get(
   "/search",
-  requirePermission("members"),
+  requirePermission("members:read"),
   searchValidation,
   handleValidationErrors,
   membersController.searchMembers
@@ -101,30 +209,183 @@ router.get(
 
 // @route   GET /api/members/export
 // @desc    Export members to CSV
-// @access  Private (requires members permission)
+// @access  Private (requires members:export permission)
 router.get(
   "/export",
-  requirePermission("members"),
+  requirePermission("members:export"),
   membersController.exportMembers
 );
 
+// @route   POST /api/members/import/preview
+// @desc    Dry-run a CSV/XLSX member import and return per-row errors
+// @access  Private (requires members:create permission)
+router.post(
+  "/import/preview",
+  requirePermission("members:create"),
+  uploadMiddleware.spreadsheet("file"),
+  membersController.previewMemberImport
+);
+
+// @route   POST /api/members/import
+// @desc    Import valid rows from a CSV/XLSX file
+// @access  Private (requires members:create permission)
+router.post(
+  "/import",
+  requirePermission("members:create"),
+  uploadMiddleware.spreadsheet("file"),
+  logActivity("import_members"),
+  membersController.importMembers
+);
+
+// @route   GET /api/members/duplicates
+// @desc    Find likely duplicate members scored on name, phone, birth date and address
+// @access  Private (requires members:read permission)
+router.get(
+  "/duplicates",
+  requirePermission("members:read"),
+  duplicatesValidation,
+  handleValidationErrors,
+  memberDuplicatesController.getDuplicates
+);
+
+// @route   POST /api/members/merge
+// @desc    Merge a duplicate member into another, moving attendance, celebrations and giving
+// @access  Private (requires members:delete permission)
+router.post(
+  "/merge",
+  requirePermission("members:delete"),
+  mergeMembersValidation,
+  handleValidationErrors,
+  logActivity("merge_members"),
+  memberDuplicatesController.mergeMembers
+);
+
+// HOUSEHOLD ROUTES
+
+// @route   GET /api/members/households
+// @desc    Get all households with their members
+// @access  Private (requires members:read permission)
+router.get(
+  "/households",
+  requirePermission("members:read"),
+  householdsController.getHouseholds
+);
+
+// @route   GET /api/members/households/inactive
+// @desc    Get households with no attendance in the last N weeks (?weeks=8)
+// @access  Private (requires members:read permission)
+router.get(
+  "/households/inactive",
+  requirePermission("members:read"),
+  [
+    query("weeks")
+      .optional()
+      .isInt({ min: 1, max: 104 })
+      .withMessage("Weeks must be between 1 and 104"),
+  ],
+  handleValidationErrors,
+  householdsController.getInactiveHouseholds
+);
+
+// @route   GET /api/members/households/:id
+// @desc    Get household by ID
+// @access  Private (requires members:read permission)
+router.get(
+  "/households/:id",
+  requirePermission("members:read"),
+  householdIdValidation,
+  handleValidationErrors,
+  householdsController.getHouseholdById
+);
+
+// @route   POST /api/members/households
+// @desc    Create new household, optionally attaching members
+// @access  Private (requires members:create permission)
+router.post(
+  "/households",
+  requirePermission("members:create"),
+  createHouseholdValidation,
+  handleValidationErrors,
+  logActivity("create_household", { entityType: "households" }),
+  householdsController.createHousehold
+);
+
+// @route   PUT /api/members/households/:id
+// @desc    Update household
+// @access  Private (requires members:update permission)
+router.put(
+  "/households/:id",
+  requirePermission("members:update"),
+  updateHouseholdValidation,
+  handleValidationErrors,
+  logActivity("update_household", { entityType: "households" }),
+  householdsController.updateHousehold
+);
+
+// @route   DELETE /api/members/households/:id
+// @desc    Delete household (members are kept and detached)
+// @access  Private (requires members:delete permission)
+router.delete(
+  "/households/:id",
+  requirePermission("members:delete"),
+  householdIdValidation,
+  handleValidationErrors,
+  logActivity("delete_household", { entityType: "households" }),
+  householdsController.deleteHousehold
+);
+
+// @route   POST /api/members/households/:id/members
+// @desc    Add member to household with a role
+// @access  Private (requires members:update permission)
+router.post(
+  "/households/:id/members",
+  requirePermission("members:update"),
+  householdMemberValidation,
+  handleValidationErrors,
+  logActivity("add_household_member", { entityType: "households" }),
+  householdsController.addHouseholdMember
+);
+
+// @route   DELETE /api/members/households/:id/members/:memberId
+// @desc    Remove member from household
+// @access  Private (requires members:update permission)
+router.delete(
+  "/households/:id/members/:memberId",
+  requirePermission("members:update"),
+  removeHouseholdMemberValidation,
+  handleValidationErrors,
+  logActivity("remove_household_member", { entityType: "households" }),
+  householdsController.removeHouseholdMember
+);
+
 // @route   GET /api/members/:id
 // @desc    Get member by ID
-// @access  Private (requires members permission)
+// @access  Private (requires members:read permission)
 router.get(
   "/:id",
-  requirePermission("members"),
+  requirePermission("members:read"),
   memberIdValidation,
   handleValidationErrors,
   membersController.getMemberById
 );
 
+// @route   GET /api/members/:id/check-in-code
+// @desc    Get member check-in code and QR image (?format=png for raw image)
+// @access  Private (requires members:read permission)
+router.get(
+  "/:id/check-in-code",
+  requirePermission("members:read"),
+  memberIdValidation,
+  handleValidationErrors,
+  membersController.getMemberCheckInCode
+);
+
 // @route   POST /api/members
 // @desc    Create new member
-// @access  Private (requires members permission)
+// @access  Private (requires members:create permission)
 router.post(
   "/",
-  requirePermission("members"),
+  requirePermission("members:create"),
   createMemberValidation,
   handleValidationErrors,
   logActivity("create_member"),
@@ -133,10 +394,10 @@ router.post(
 
 // @route   PUT /api/members/:id
 // @desc    Update member
-// @access  Private (requires members permission)
+// @access  Private (requires members:update permission)
 router.put(
   "/:id",
-  requirePermission("members"),
+  requirePermission("members:update"),
   updateMemberValidation,
   handleValidationErrors,
   logActivity("update_member"),
@@ -145,10 +406,10 @@ router.put(
 
 // @route   PATCH /api/members/:id/status
 // @desc    Update member status (active/inactive)
-// @access  Private (requires members permission)
+// @access  Private (requires members:update permission)
 router.patch(
   "/:id/status",
-  requirePermission("members"),
+  requirePermission("members:update"),
   memberIdValidation,
   statusUpdateValidation,
   handleValidationErrors,
@@ -158,10 +419,10 @@ router.patch(
 
 // @route   DELETE /api/members/:id
 // @desc    Soft delete member (set inactive)
-// @access  Private (requires members permission)
+// @access  Private (requires members:delete permission)
 router.delete(
   "/:id",
-  requirePermission("members"),
+  requirePermission("members:delete"),
   memberIdValidation,
   handleValidationErrors,
   logActivity("delete_member"),
@@ -1,12 +1,14 @@
 // routes/public.js - Public Routes for Church Main Site
 const express = require('express');
-const { body, param, validationResult } = require('express-validator');
+const { body, param, query, validationResult } = require('express-validator');
 const rateLimit = require('express-rate-limit');
 const router = express.Router();
 
 const publicController = require('../controllers/publicController');
+const eventRegistrationsController = require('../controllers/eventRegistrationsController');
 const { uploadMiddleware } = require('../middleware/upload');
 const logger = require('../utils/logger');
+const { COMMUNICATION_CATEGORIES, assertValidPreferences } = require('../utils/communicationPreferences');
 
 // Rate limiting for public endpoints
 const publicRateLimit = rateLimit({
@@ -38,6 +40,20 @@ const celebrationFormRateLimit = rateLimit({
   legacyHeaders: false
 });
 
+// Read-only feeds are polled by the website and projector, so allow more requests
+const feedRateLimit = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 300, // 300 requests per window per IP
+  message: {
+    success: false,
+    message: 'Too many requests. Please wait a moment and try again.',
+    code: 'RATE_LIMIT_EXCEEDED'
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+  skip: (req) => process.env.NODE_ENV === 'test'
+});
+
 // Validation for celebration submission
 const celebrationSubmissionValidation = [
   body('type')
@@ -144,13 +160,151 @@ const contactInquiryValidation = [
     .withMessage('Message must be between 10 and 1000 characters')
 ];
 
-// Validation for celebration status check
-const celebrationStatusValidation = [
-  param('phone')
+// Validation for first-timer / visitor card
+const visitorCardValidation = [
+  body('name')
+    .trim()
+    .notEmpty()
+    .withMessage('Name is required')
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Name must be between 2 and 100 characters'),
+  body('phone')
+    .trim()
     .notEmpty()
     .withMessage('Phone number is required')
     .isLength({ min: 10, max: 20 })
-    .withMessage('Invalid phone number format')
+    .withMessage('Phone number must be between 10 and 20 characters')
+    .matches(/^[\+\d\s\-\(\)]+$/)
+    .withMessage('Phone number format is invalid'),
+  body('email')
+    .optional({ checkFalsy: true })
+    .trim()
+    .isEmail()
+    .withMessage('Please provide a valid email address')
+    .normalizeEmail(),
+  body('address')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Address must be less than 500 characters'),
+  body('gender')
+    .optional()
+    .isIn(['Male', 'Female'])
+    .withMessage('Gender must be Male or Female'),
+  body('howDidYouHear')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Please keep this under 100 characters'),
+  body('invitedBy')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Please keep this under 100 characters'),
+  body('prayerRequest')
+    .optional()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Prayer request must be less than 1000 characters'),
+  body('visitDate')
+    .optional()
+    .isDate()
+    .withMessage('Please provide a valid visit date')
+];
+
+// Validation for event registration
+const eventRegistrationValidation = [
+  param('id')
+    .isUUID()
+    .withMessage('Invalid event'),
+  body('name')
+    .trim()
+    .notEmpty()
+    .withMessage('Name is required')
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Name must be between 2 and 100 characters'),
+  body('email')
+    .trim()
+    .isEmail()
+    .withMessage('Valid email is required')
+    .normalizeEmail(),
+  body('phone')
+    .optional({ checkFalsy: true })
+    .trim()
+    .matches(/^[\+\d\s\-\(\)]+$/)
+    .withMessage('Phone number format is invalid'),
+  body('notes')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Notes must be less than 500 characters')
+];
+
+const registrationCodeValidation = [
+  param('code')
+    .isHexadecimal()
+    .isLength({ min: 32, max: 64 })
+    .withMessage('Invalid registration code')
+];
+
+// Validation for celebration wall feed
+const celebrationWallValidation = [
+  query('period')
+    .optional()
+    .isIn(['week', 'month'])
+    .withMessage("Period must be either 'week' or 'month'"),
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 50 })
+    .withMessage('Limit must be between 1 and 50')
+];
+
+// Validation for celebration status check
+const celebrationStatusValidation = [
+  param('reference')
+    .isHexadecimal()
+    .isLength({ min: 32, max: 64 })
+    .withMessage('Invalid tracking reference')
+];
+
+// Validation for the preference centre; tokens are "<member id>.<signature>"
+const preferenceTokenValidation = [
+  param('token')
+    .matches(/^[0-9a-f-]{36}\.[A-Za-z0-9_-]{43}$/i)
+    .withMessage('Invalid preferences link')
+];
+
+const updatePreferencesValidation = [
+  ...preferenceTokenValidation,
+  body('preferences')
+    .optional()
+    .isObject()
+    .withMessage('Preferences must be an object')
+    .custom(assertValidPreferences),
+  body('notificationChannel')
+    .optional()
+    .isIn(['email', 'sms', 'both'])
+    .withMessage('Notification channel must be email, sms or both'),
+  body('notificationsOptOut')
+    .optional()
+    .isBoolean({ strict: true })
+    .withMessage('notificationsOptOut must be true or false')
+];
+
+const unsubscribeValidation = [
+  ...preferenceTokenValidation,
+  body('category')
+    .optional()
+    .isIn(['all', ...Object.keys(COMMUNICATION_CATEGORIES)])
+    .withMessage('Unknown category'),
+  body('channel')
+    .optional()
+    .isIn(['email', 'sms'])
+    .withMessage('Channel must be email or sms')
 ];
 
 // Validation error handler
@@ -252,6 +406,18 @@ router.get(
   publicController.getCelebrationTypes
 );
 
+// @route   GET /api/public/celebrations/wall
+// @desc    Approved public celebrations for this week or month (?period=week|month)
+// @access  Public
+router.get(
+  '/celebrations/wall',
+  setSecurityHeaders,
+  feedRateLimit,
+  celebrationWallValidation,
+  handleValidationErrors,
+  publicController.getCelebrationWall
+);
+
 // @route   POST /api/public/celebrations
 // @desc    Submit celebration request from church main site
 // @access  Public
@@ -267,11 +433,11 @@ router.post(
   publicController.submitCelebration
 );
 
-// @route   GET /api/public/celebration-status/:phone
-// @desc    Check celebration status by phone number (for follow-up)
+// @route   GET /api/public/celebration-status/:reference
+// @desc    Check celebration status by the tracking reference returned on submission
 // @access  Public (with rate limiting)
 router.get(
-  '/celebration-status/:phone',
+  '/celebration-status/:reference',
   setSecurityHeaders,
   publicRateLimit,
   celebrationStatusValidation,
@@ -291,6 +457,95 @@ router.post(
   publicController.submitContactInquiry
 );
 
+// @route   POST /api/public/visitors
+// @desc    First-timer / visitor card from church main site
+// @access  Public
+router.post(
+  '/visitors',
+  setSecurityHeaders,
+  logPublicRequest,
+  publicRateLimit,
+  visitorCardValidation,
+  handleValidationErrors,
+  publicController.submitVisitorCard
+);
+
+// @route   POST /api/public/events/:id/register
+// @desc    Register for an event (waitlisted automatically when full)
+// @access  Public
+router.post(
+  '/events/:id/register',
+  setSecurityHeaders,
+  logPublicRequest,
+  publicRateLimit,
+  eventRegistrationValidation,
+  handleValidationErrors,
+  eventRegistrationsController.publicRegister
+);
+
+// @route   GET /api/public/event-registrations/:code
+// @desc    Check registration / waitlist status
+// @access  Public
+router.get(
+  '/event-registrations/:code',
+  setSecurityHeaders,
+  publicRateLimit,
+  registrationCodeValidation,
+  handleValidationErrors,
+  eventRegistrationsController.publicGetRegistration
+);
+
+// @route   POST /api/public/event-registrations/:code/cancel
+// @desc    Cancel an event registration
+// @access  Public
+router.post(
+  '/event-registrations/:code/cancel',
+  setSecurityHeaders,
+  logPublicRequest,
+  publicRateLimit,
+  registrationCodeValidation,
+  handleValidationErrors,
+  eventRegistrationsController.publicCancel
+);
+
+// @route   GET /api/public/preferences/:token
+// @desc    Member's communication preferences (link at the bottom of member emails)
+// @access  Public (signed link)
+router.get(
+  '/preferences/:token',
+  setSecurityHeaders,
+  publicRateLimit,
+  preferenceTokenValidation,
+  handleValidationErrors,
+  publicController.getPreferences
+);
+
+// @route   PUT /api/public/preferences/:token
+// @desc    Update communication preferences
+// @access  Public (signed link)
+router.put(
+  '/preferences/:token',
+  setSecurityHeaders,
+  logPublicRequest,
+  publicRateLimit,
+  updatePreferencesValidation,
+  handleValidationErrors,
+  publicController.updatePreferences
+);
+
+// @route   POST /api/public/preferences/:token/unsubscribe
+// @desc    Unsubscribe from one category ({ category, channel }) or everything optional
+// @access  Public (signed link)
+router.post(
+  '/preferences/:token/unsubscribe',
+  setSecurityHeaders,
+  logPublicRequest,
+  publicRateLimit,
+  unsubscribeValidation,
+  handleValidationErrors,
+  publicController.unsubscribe
+);
+
 // Error handling for public routes
 router.use(publicController.handleError);
 
@@ -0,0 +1,244 @@
+// routes/visitors.js
+const express = require("express");
+const { body, param, query, validationResult } = require("express-validator");
+const router = express.Router();
+
+const visitorsController = require("../controllers/visitorsController");
+const { requirePermission, logActivity } = require("../middleware/auth");
+
+// Validation rules
+const visitorValidation = [
+  body("name")
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage("Name must be between 2 and 100 characters"),
+  body("email")
+    .optional({ checkFalsy: true })
+    .isEmail()
+    .normalizeEmail()
+    .withMessage("Please provide a valid email address"),
+  body("phone").optional().trim(),
+  body("gender")
+    .optional()
+    .isIn(["Male", "Female"])
+    .withMessage("Gender must be Male or Female"),
+  body("howDidYouHear")
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage("How did you hear must be less than 100 characters"),
+  body("invitedBy").optional().trim(),
+  body("prayerRequest")
+    .optional()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage("Prayer request must be less than 1000 characters"),
+];
+
+const createVisitorValidation = [
+  ...visitorValidation,
+  body("firstVisitDate")
+    .optional()
+    .isDate()
+    .withMessage("Please provide a valid first visit date"),
+  body("assignedToId")
+    .optional()
+    .isUUID()
+    .withMessage("Invalid admin ID"),
+];
+
+const visitorIdValidation = [
+  param("id").isUUID().withMessage("Invalid visitor ID"),
+];
+
+const queryValidation = [
+  query("status")
+    .optional()
+    .isIn(["all", "new", "contacted", "returning", "converted"])
+    .withMessage("Invalid status filter"),
+  query("startDate")
+    .optional()
+    .isDate()
+    .withMessage("Start date must be a valid date"),
+  query("endDate")
+    .optional()
+    .isDate()
+    .withMessage("End date must be a valid date"),
+];
+
+const assignValidation = [
+  ...visitorIdValidation,
+  body("assignedToId")
+    .optional({ nullable: true })
+    .isUUID()
+    .withMessage("Invalid admin ID"),
+];
+
+const followUpValidation = [
+  ...visitorIdValidation,
+  body("type")
+    .isIn(["call", "visit", "message", "note"])
+    .withMessage("Type must be one of: call, visit, message, note"),
+  body("note")
+    .trim()
+    .isLength({ min: 1, max: 2000 })
+    .withMessage("Note must be between 1 and 2000 characters"),
+];
+
+const statusValidation = [
+  ...visitorIdValidation,
+  body("status")
+    .isIn(["new", "contacted", "returning"])
+    .withMessage("Status must be one of: new, contacted, returning"),
+];
+
+const convertValidation = [
+  ...visitorIdValidation,
+  body("email")
+    .optional()
+    .isEmail()
+    .normalizeEmail()
+    .withMessage("Please provide a valid email address"),
+  body("membershipDate")
+    .optional()
+    .isDate()
+    .withMessage("Please provide a valid membership date"),
+  body("department")
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage("Department must be less than 100 characters"),
+];
+
+// Validation middleware
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: "Validation failed",
+      errors: errors.array(),
+    });
+  }
+  next();
+};
+
+// VISITOR ROUTES
+
+// @route   GET /api/visitors
+// @desc    Get all visitors with filtering and pagination
+// @access  Private (requires members:read permission)
+router.get(
+  "/",
+  requirePermission("members:read"),
+  queryValidation,
+  handleValidationErrors,
+  visitorsController.getVisitors
+);
+
+// @route   GET /api/visitors/stats
+// @desc    Get follow-up pipeline statistics
+// @access  Private (requires members:read permission)
+router.get(
+  "/stats",
+  requirePermission("members:read"),
+  visitorsController.getVisitorStats
+);
+
+// @route   GET /api/visitors/:id
+// @desc    Get visitor by ID
+// @access  Private (requires members:read permission)
+router.get(
+  "/:id",
+  requirePermission("members:read"),
+  visitorIdValidation,
+  handleValidationErrors,
+  visitorsController.getVisitorById
+);
+
+// @route   POST /api/visitors
+// @desc    Record a visitor manually
+// @access  Private (requires members:create permission)
+router.post(
+  "/",
+  requirePermission("members:create"),
+  createVisitorValidation,
+  handleValidationErrors,
+  logActivity("create_visitor"),
+  visitorsController.createVisitor
+);
+
+// @route   PUT /api/visitors/:id
+// @desc    Update visitor details
+// @access  Private (requires members:update permission)
+router.put(
+  "/:id",
+  requirePermission("members:update"),
+  visitorIdValidation,
+  visitorValidation,
+  handleValidationErrors,
+  logActivity("update_visitor"),
+  visitorsController.updateVisitor
+);
+
+// @route   PATCH /api/visitors/:id/assign
+// @desc    Assign visitor to an admin for follow-up
+// @access  Private (requires members:update permission)
+router.patch(
+  "/:id/assign",
+  requirePermission("members:update"),
+  assignValidation,
+  handleValidationErrors,
+  logActivity("assign_visitor"),
+  visitorsController.assignVisitor
+);
+
+// @route   PATCH /api/visitors/:id/status
+// @desc    Update visitor follow-up status
+// @access  Private (requires members:update permission)
+router.patch(
+  "/:id/status",
+  requirePermission("members:update"),
+  statusValidation,
+  handleValidationErrors,
+  logActivity("update_visitor_status"),
+  visitorsController.updateVisitorStatus
+);
+
+// @route   POST /api/visitors/:id/follow-ups
+// @desc    Record a call/visit/message note
+// @access  Private (requires members:update permission)
+router.post(
+  "/:id/follow-ups",
+  requirePermission("members:update"),
+  followUpValidation,
+  handleValidationErrors,
+  logActivity("visitor_follow_up"),
+  visitorsController.addFollowUp
+);
+
+// @route   POST /api/visitors/:id/convert
+// @desc    Convert visitor into a member
+// @access  Private (requires members:create permission)
+router.post(
+  "/:id/convert",
+  requirePermission("members:create"),
+  convertValidation,
+  handleValidationErrors,
+  logActivity("convert_visitor"),
+  visitorsController.convertToMember
+);
+
+// @route   DELETE /api/visitors/:id
+// @desc    Delete visitor
+// @access  Private (requires members:delete permission)
+router.delete(
+  "/:id",
+  requirePermission("members:delete"),
+  visitorIdValidation,
+  handleValidationErrors,
+  logActivity("delete_visitor"),
+  visitorsController.deleteVisitor
+);
+
+module.exports = router;
@@ -0,0 +1,162 @@
+// scripts/migrateDepartments.js
+// Converts the free-text Member.department values into Department rows and memberships.
+// Spellings that differ only by case or spacing ("Choir", "choir ") become one department.
+// Also adds the department columns used by department-scoped admins to existing tables.
+// Usage: node scripts/migrateDepartments.js [--dry-run]
+require('dotenv').config();
+const { initialize } = require('../models');
+const logger = require('../utils/logger');
+
+// Unit gatherings may share a date and service type with a church-wide service,
+// so the old (date, serviceType) unique index gives way to the partial ones on Attendance
+const LEGACY_ATTENDANCE_INDEX = 'attendances_date_service_type';
+
+// Bring existing tables up to date with the department scope columns and indexes
+const migrateDepartmentScopes = async (db) => {
+  const { sequelize, Admin, Event, Attendance } = db;
+  const queryInterface = sequelize.getQueryInterface();
+
+  const columns = [
+    [Admin, 'departmentScopes'],
+    [Event, 'departmentId'],
+    [Attendance, 'departmentId']
+  ];
+  for (const [model, column] of columns) {
+    const table = model.getTableName();
+    const existing = await queryInterface.describeTable(table);
+    if (!existing[column]) {
+      await queryInterface.addColumn(table, column, model.rawAttributes[column]);
+      logger.info(`  Added ${table}.${column}`);
+    }
+  }
+
+  for (const model of [Event, Attendance]) {
+    const table = model.getTableName();
+    const indexNames = (await queryInterface.showIndex(table)).map((index) => index.name);
+    if (model === Attendance && indexNames.includes(LEGACY_ATTENDANCE_INDEX)) {
+      await queryInterface.removeIndex(table, LEGACY_ATTENDANCE_INDEX);
+    }
+    for (const index of model.options.indexes) {
+      if (!indexNames.includes(index.name)) {
+        await queryInterface.addIndex(table, index);
+      }
+    }
+  }
+};
+
+const migrateDepartments = async ({ dryRun = false } = {}) => {
+  const db = await initialize();
+  const { sequelize, Member, Department, MemberDepartment } = db;
+
+  try {
+    // Create the new tables if `npm run migrate` has not been run yet
+    await Department.sync();
+    await MemberDepartment.sync();
+    if (!dryRun) {
+      await migrateDepartmentScopes(db);
+    }
+
+    const members = await Member.findAll({
+      attributes: ['id', 'department', 'membershipDate'],
+      where: { department: { [db.Sequelize.Op.not]: null } },
+      raw: true
+    });
+
+    // Group members by normalised name; the most common spelling wins
+    const groups = new Map();
+    members.forEach((member) => {
+      const name = Department.normalizeName(member.department);
+      if (!name) return;
+
+      const key = name.toLowerCase();
+      if (!groups.has(key)) groups.set(key, { spellings: {}, members: [] });
+      const group = groups.get(key);
+      group.spellings[name] = (group.spellings[name] || 0) + 1;
+      group.members.push(member);
+    });
+
+    logger.info(`📋 Found ${members.length} members with ${groups.size} distinct departments`);
+
+    const summary = { departmentsCreated: 0, membershipsLinked: 0, labelsUpdated: 0, skipped: [] };
+
+    await sequelize.transaction(async (transaction) => {
+      for (const group of groups.values()) {
+        const [name] = Object.entries(group.spellings).sort((a, b) => b[1] - a[1])[0];
+
+        // Department names must be 2-100 characters; leave these members' labels for manual review
+        if (name.length < 2 || name.length > 100) {
+          summary.skipped.push({ department: name, members: group.members.length });
+          logger.warn(`  Skipped "${name}": not a valid department name (${group.members.length} members)`);
+          continue;
+        }
+
+        let department = await Department.findByName(name, { transaction });
+        if (!department) {
+          summary.departmentsCreated++;
+          if (!dryRun) {
+            department = await Department.create({ name }, { transaction });
+          }
+        }
+        logger.info(`  ${name}: ${group.members.length} members (${Object.keys(group.spellings).join(' | ')})`);
+
+        if (dryRun) continue;
+
+        // bulkCreate returns ignored duplicates too, so count the links before and after
+        const linkWhere = {
+          departmentId: department.id,
+          memberId: group.members.map((member) => member.id)
+        };
+        const linkedBefore = await MemberDepartment.count({ where: linkWhere, transaction });
+        await MemberDepartment.bulkCreate(
+          group.members.map((member) => ({
+            memberId: member.id,
+            departmentId: department.id,
+            joinedAt: member.membershipDate
+          })),
+          { ignoreDuplicates: true, transaction }
+        );
+        const linkedAfter = await MemberDepartment.count({ where: linkWhere, transaction });
+        summary.membershipsLinked += linkedAfter - linkedBefore;
+
+        const [updated] = await Member.update(
+          { department: department.name },
+          {
+            where: {
+              id: group.members.map((member) => member.id),
+              department: { [db.Sequelize.Op.ne]: department.name }
+            },
+            transaction
+          }
+        );
+        summary.labelsUpdated += updated;
+      }
+
+      if (dryRun) {
+        logger.info('🔍 Dry run: no changes were saved');
+      }
+    });
+
+    logger.info(`✅ Departments migration completed: ${JSON.stringify(summary)}`);
+    return summary;
+  } catch (error) {
+    logger.error('❌ Departments migration failed', { error });
+    throw error;
+  } finally {
+    await sequelize.close();
+  }
+};
+
+// Run migration if called directly
+if (require.main === module) {
+  migrateDepartments({ dryRun: process.argv.includes('--dry-run') })
+    .then(() => {
+      console.log('✅ Departments migration completed!');
+      process.exit(0);
+    })
+    .catch((error) => {
+      console.error('❌ Departments migration failed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = migrateDepartments;
@@ -0,0 +1,100 @@
+// scripts/migratePermissions.js
+// Converts flat admin permission arrays (['members', 'events']) into "area:verb" permissions
+// and adds the role template values to the admins role enum.
+// Usage: node scripts/migratePermissions.js [--dry-run]
+require('dotenv').config();
+const { initialize } = require('../models');
+const logger = require('../utils/logger');
+const { ADMIN_ROLES, isValidPermission, normalizePermissions } = require('../utils/permissions');
+
+// Department scope keys that were renamed along with the permissions
+const RENAMED_SCOPES = { manage_attendance: 'attendance' };
+
+const migratePermissions = async ({ dryRun = false } = {}) => {
+  const db = await initialize();
+  const { sequelize, Admin } = db;
+
+  try {
+    if (!dryRun) {
+      // Postgres cannot add enum values inside a transaction block
+      const enumName = `enum_${Admin.getTableName()}_role`;
+      for (const role of ADMIN_ROLES) {
+        await sequelize.query(`ALTER TYPE "${enumName}" ADD VALUE IF NOT EXISTS '${role}'`);
+      }
+    }
+
+    const admins = await Admin.findAll({
+      attributes: ['id', 'name', 'email', 'role', 'permissions', 'departmentScopes']
+    });
+    const summary = { adminsUpdated: 0, unchanged: 0, droppedPermissions: {} };
+
+    await sequelize.transaction(async (transaction) => {
+      for (const admin of admins) {
+        const updates = {};
+        const current = Array.isArray(admin.permissions) ? admin.permissions : [];
+
+        if (admin.role !== 'super_admin') {
+          const legacy = current.filter((permission) => !isValidPermission(permission));
+          if (legacy.length > 0 || !Array.isArray(admin.permissions)) {
+            updates.permissions = normalizePermissions(current);
+            legacy
+              .filter((permission) => !normalizePermissions([permission]).length)
+              .forEach((permission) => {
+                summary.droppedPermissions[permission] = (summary.droppedPermissions[permission] || 0) + 1;
+              });
+          }
+        }
+
+        const scopes = admin.departmentScopes;
+        if (scopes && Object.keys(RENAMED_SCOPES).some((key) => key in scopes)) {
+          updates.departmentScopes = Object.entries(scopes).reduce((acc, [key, ids]) => {
+            acc[RENAMED_SCOPES[key] || key] = ids;
+            return acc;
+          }, {});
+        }
+
+        if (Object.keys(updates).length === 0) {
+          summary.unchanged++;
+          continue;
+        }
+
+        summary.adminsUpdated++;
+        logger.info(
+          `  ${admin.name} <${admin.email}>: ${JSON.stringify(current)} -> ${JSON.stringify(
+            updates.permissions || current
+          )}`
+        );
+        if (!dryRun) {
+          await admin.update(updates, { transaction });
+        }
+      }
+
+      if (dryRun) {
+        logger.info('🔍 Dry run: no changes were saved');
+      }
+    });
+
+    logger.info(`✅ Permissions migration completed: ${JSON.stringify(summary)}`);
+    return summary;
+  } catch (error) {
+    logger.error('❌ Permissions migration failed', { error });
+    throw error;
+  } finally {
+    await sequelize.close();
+  }
+};
+
+// Run migration if called directly
+if (require.main === module) {
+  migratePermissions({ dryRun: process.argv.includes('--dry-run') })
+    .then(() => {
+      console.log('✅ Permissions migration completed!');
+      process.exit(0);
+    })
+    .catch((error) => {
+      console.error('❌ Permissions migration failed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = migratePermissions;
@@ -3,6 +3,7 @@ require('dotenv').config();
 const bcrypt = require('bcryptjs');
 const { sequelize, Admin, Member, Event, Celebration } = require('../models');
 const logger = require('../utils/logger');
+const { getRolePermissions } = require('../utils/permissions');
 
 const seedData = async () => {
   try {
@@ -39,7 +40,7 @@ const seedData = async () => {
         role: 'admin',
         phone: '+234 802 123 4567',
         position: 'Assistant Pastor',
-        permissions: ['members', 'events', 'attendance', 'celebrations'],
+        permissions: getRolePermissions('admin'),
         isActive: true
       });
 
@@ -20,6 +20,9 @@ const dbModule = require("./models");
 const logger = require("./utils/logger");
 const errorHandler = require("./middleware/errorHandler");
 const { authenticateToken } = require("./middleware/auth");
+const emailOutboxWorker = require("./services/emailOutboxWorker");
+const broadcastWorker = require("./services/broadcastWorker");
+const cronJobs = require("./services/cronJobs");
 
 // Import routes
 const authRoutes = require("./routes/auth");
@@ -30,10 +33,28 @@ const eventsRoutes = require("./routes/events");
 const celebrationsRoutes = require("./routes/celebrations");
 const dashboardRoutes = require("./routes/dashboard");
 const publicRoutes = require("./routes/public");
+const visitorsRoutes = require("./routes/visitors");
+const givingRoutes = require("./routes/giving");
+const departmentsRoutes = require("./routes/departments");
+const inquiriesRoutes = require("./routes/inquiries");
+const broadcastsRoutes = require("./routes/broadcasts");
 
 const app = express();
 const server = createServer(app);
 
+// Behind a load balancer req.ip is the proxy's address unless Express trusts it.
+// TRUST_PROXY takes a hop count, true/false, or addresses/subnets (e.g. "loopback, 10.0.0.0/8")
+if (process.env.TRUST_PROXY) {
+  const trustProxy = process.env.TRUST_PROXY.trim();
+  if (/^\d+$/.test(trustProxy)) {
+    app.set("trust proxy", parseInt(trustProxy, 10));
+  } else if (trustProxy === "true" || trustProxy === "false") {
+    app.set("trust proxy", trustProxy === "true");
+  } else {
+    app.set("trust proxy", trustProxy);
+  }
+}
+
 // Socket.IO setup with FIXED CORS
 const io = new Server(server, {
   cors: {
@@ -308,7 +329,22 @@ const ensureDatabase = async (req, res, next) => {
       Attendance: db.Attendance,
       Event: db.Event,
       Celebration: db.Celebration,
-      MemberAttendance: db.MemberAttendance
+      MemberAttendance: db.MemberAttendance,
+      ActivityLog: db.ActivityLog,
+      Household: db.Household,
+      Visitor: db.Visitor,
+      EventRegistration: db.EventRegistration,
+      EventOccurrence: db.EventOccurrence,
+      Giving: db.Giving,
+      Department: db.Department,
+      MemberDepartment: db.MemberDepartment,
+      Session: db.Session,
+      LoginAttempt: db.LoginAttempt,
+      AdminInvitation: db.AdminInvitation,
+      Inquiry: db.Inquiry,
+      EmailOutbox: db.EmailOutbox,
+      Broadcast: db.Broadcast,
+      BroadcastRecipient: db.BroadcastRecipient
     };
 
     next();
@@ -331,6 +367,11 @@ app.use("/api/attendance", ensureDatabase, authenticateToken, attendanceRoutes);
 app.use("/api/events", ensureDatabase, eventsRoutes);
 app.use("/api/celebrations", ensureDatabase, celebrationsRoutes);
 app.use("/api/dashboard", ensureDatabase, authenticateToken, dashboardRoutes);
+app.use("/api/visitors", ensureDatabase, authenticateToken, visitorsRoutes);
+app.use("/api/giving", ensureDatabase, authenticateToken, givingRoutes);
+app.use("/api/departments", ensureDatabase, authenticateToken, departmentsRoutes);
+app.use("/api/inquiries", ensureDatabase, authenticateToken, inquiriesRoutes);
+app.use("/api/broadcasts", ensureDatabase, authenticateToken, broadcastsRoutes);
 app.use("/api/public", ensureDatabase, publicRoutes);
 
 // Catch-all for API routes
@@ -382,7 +423,7 @@ async function startServer() {
         db = await dbModule.initialize();
         
         // ✨ VERIFY ALL MODELS ARE INITIALIZED
-        const requiredModels = ['Admin', 'Member', 'Attendance', 'Event', 'Celebration', 'MemberAttendance'];
+        const requiredModels = ['Admin', 'Member', 'Attendance', 'Event', 'Celebration', 'MemberAttendance', 'ActivityLog', 'Household', 'Visitor', 'EventRegistration', 'EventOccurrence', 'Giving', 'Department', 'MemberDepartment'];
         const missingModels = requiredModels.filter(model => !db[model]);
         
         if (missingModels.length > 0) {
@@ -417,6 +458,15 @@ async function startServer() {
       logger.info("✅ Database connectivity verified.");
     }
 
+    // Deliver queued emails with retries
+    emailOutboxWorker.start(db.EmailOutbox);
+
+    // Start scheduled broadcasts and send them in batches
+    broadcastWorker.start(db);
+
+    // Birthday wishes, event reminders and housekeeping
+    cronJobs.start(db);
+
     const PORT = process.env.PORT || 5000;
 
     server.listen(PORT, '0.0.0.0', () => {
@@ -443,6 +493,10 @@ async function startServer() {
 async function gracefulShutdown(signal) {
   logger.info(`${signal} received, shutting down gracefully...`);
 
+  emailOutboxWorker.stop();
+  broadcastWorker.stop();
+  cronJobs.stop();
+
   server.close(async () => {
     try {
       if (db && db.sequelize) {
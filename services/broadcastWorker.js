@@ -0,0 +1,157 @@
+// services/broadcastWorker.js - Starts scheduled broadcasts and feeds their emails to the outbox in batches
+const emailService = require('./emailService');
+const logger = require('../utils/logger');
+
+class BroadcastWorker {
+  constructor() {
+    this.db = null;
+    this.timer = null;
+    this.running = false;
+    this.rerun = false;
+  }
+
+  // Send up to BROADCAST_BATCH_SIZE emails (default 50) every BROADCAST_INTERVAL_SECONDS (default 60)
+  start(db) {
+    if (this.timer) return;
+
+    this.db = db;
+    this.batchSize = parseInt(process.env.BROADCAST_BATCH_SIZE, 10) || 50;
+
+    const intervalSeconds = parseInt(process.env.BROADCAST_INTERVAL_SECONDS, 10) || 60;
+    this.timer = setInterval(() => this.kick(), intervalSeconds * 1000);
+    this.timer.unref();
+
+    logger.info(`Broadcast worker started (${this.batchSize} emails every ${intervalSeconds}s)`);
+    this.kick();
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  // Process broadcasts now, or once more after the current run finishes
+  kick() {
+    if (!this.timer) return;
+
+    if (this.running) {
+      this.rerun = true;
+      return;
+    }
+
+    this.running = true;
+    this.processBroadcasts()
+      .catch((error) => logger.error('Broadcast worker error:', error))
+      .finally(() => {
+        this.running = false;
+        if (this.rerun) {
+          this.rerun = false;
+          this.kick();
+        }
+      });
+  }
+
+  async processBroadcasts() {
+    const { Broadcast, BroadcastRecipient } = this.db;
+
+    await BroadcastRecipient.syncDeliveryStatus();
+
+    for (const broadcast of await Broadcast.findDue()) {
+      await this.startBroadcast(broadcast);
+    }
+
+    // One batch per run, shared by every broadcast in progress, oldest first
+    let budget = this.batchSize;
+    const sending = await Broadcast.findAll({
+      where: { status: 'sending' },
+      order: [['startedAt', 'ASC']]
+    });
+
+    for (const broadcast of sending) {
+      if (budget > 0) {
+        budget -= await this.sendBatch(broadcast, budget);
+      }
+
+      const remaining = await BroadcastRecipient.count({
+        where: { broadcastId: broadcast.id, status: 'pending' }
+      });
+      if (remaining > 0) continue;
+
+      // Conditional so that a broadcast cancelled meanwhile stays cancelled
+      const [count] = await Broadcast.update(
+        { status: 'sent', completedAt: new Date() },
+        { where: { id: broadcast.id, status: 'sending' } }
+      );
+      if (count === 1) {
+        logger.info(`Broadcast "${broadcast.subject}" handed to the outbox for ${broadcast.recipientCount} recipient(s)`);
+      }
+    }
+  }
+
+  // Resolve the segment into recipients; members who join later are not added
+  async startBroadcast(broadcast) {
+    const { Broadcast, BroadcastRecipient, Member } = this.db;
+
+    const [count] = await Broadcast.update(
+      { status: 'sending', startedAt: new Date() },
+      { where: { id: broadcast.id, status: 'scheduled' } }
+    );
+    if (count !== 1) return;
+
+    const members = await Member.findAll({
+      where: Broadcast.getAudienceWhere(broadcast.segment),
+      attributes: ['id', 'name', 'email'],
+      raw: true
+    });
+
+    await BroadcastRecipient.bulkCreate(
+      members.map((member) => ({
+        broadcastId: broadcast.id,
+        memberId: member.id,
+        name: member.name,
+        email: member.email
+      })),
+      { ignoreDuplicates: true }
+    );
+    await broadcast.reload();
+    await broadcast.update({ recipientCount: members.length });
+
+    logger.info(`Broadcast "${broadcast.subject}" started for ${members.length} recipient(s)`);
+  }
+
+  // Queue up to limit pending recipients; resolves to the number attempted
+  async sendBatch(broadcast, limit) {
+    const { BroadcastRecipient } = this.db;
+
+    const recipients = await BroadcastRecipient.findAll({
+      where: { broadcastId: broadcast.id, status: 'pending' },
+      include: [
+        {
+          association: 'member',
+          attributes: ['id', 'notificationsOptOut', 'communicationPreferences']
+        }
+      ],
+      order: [['createdAt', 'ASC'], ['id', 'ASC']],
+      limit
+    });
+
+    for (const recipient of recipients) {
+      const result = await emailService.sendBroadcastEmail(broadcast, recipient, recipient.member);
+
+      if (result.skipped) {
+        await recipient.update({ status: 'skipped', error: 'Unsubscribed from newsletters' });
+      } else if (!result.success) {
+        await recipient.update({ status: 'failed', error: result.error });
+      } else if (result.queued) {
+        await recipient.update({ status: 'queued', emailOutboxId: result.outboxId, queuedAt: new Date() });
+      } else {
+        await recipient.update({ status: 'sent', queuedAt: new Date(), sentAt: new Date() });
+      }
+    }
+    return recipients.length;
+  }
+}
+
+module.exports = new BroadcastWorker();
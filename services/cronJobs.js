@@ -1,41 +1,53 @@
 // services/cronJobs.js
 const cron = require('node-cron');
-const { Celebration, Member, Event } = require('../models');
 const { Op } = require('sequelize');
-const emailService = require('./emailService');
+const notificationService = require('./notificationService');
 const logger = require('../utils/logger');
 
 class CronJobService {
   constructor() {
+    this.db = null;
+    this.tasks = [];
+  }
+
+  // Schedule the jobs once the database models are ready
+  start(db) {
+    if (this.tasks.length > 0) return;
+    this.db = db;
     this.initializeJobs();
   }
 
+  stop() {
+    this.tasks.forEach((task) => task.stop());
+    this.tasks = [];
+  }
+
   initializeJobs() {
     // Send birthday wishes daily at 6:00 AM
-    cron.schedule('0 6 * * *', () => {
+    this.tasks.push(cron.schedule('0 6 * * *', () => {
       this.sendBirthdayWishes();
     }, {
       timezone: 'Africa/Lagos'
-    });
+    }));
 
     // Send event reminders daily at 8:00 AM
-    cron.schedule('0 8 * * *', () => {
+    this.tasks.push(cron.schedule('0 8 * * *', () => {
       this.sendEventReminders();
     }, {
       timezone: 'Africa/Lagos'
-    });
+    }));
 
     // Clean up expired tokens daily at midnight
-    cron.schedule('0 0 * * *', () => {
+    this.tasks.push(cron.schedule('0 0 * * *', () => {
       this.cleanupExpiredTokens();
     }, {
       timezone: 'Africa/Lagos'
-    });
+    }));
 
     // Update event statuses every hour
-    cron.schedule('0 * * * *', () => {
+    this.tasks.push(cron.schedule('0 * * * *', () => {
       this.updateEventStatuses();
-    });
+    }));
 
     logger.info('Cron jobs initialized successfully');
   }
@@ -43,10 +55,8 @@ class CronJobService {
   async sendBirthdayWishes() {
     try {
       logger.info('Running birthday wishes cron job...');
-      
-      const today = new Date();
-      const month = today.getMonth() + 1;
-      const date = today.getDate();
+
+      const { Celebration } = this.db;
 
       // Get today's celebrations
       const todaysCelebrations = await Celebration.getTodaysCelebrations();
@@ -54,11 +64,21 @@ class CronJobService {
       for (const celebration of todaysCelebrations) {
         if (!celebration.notificationSent) {
           try {
-            await emailService.sendBirthdayEmail(celebration);
-            await celebration.update({ notificationSent: true });
-            logger.info(`Birthday email sent to ${celebration.name}`);
+            const result = await notificationService.notify(
+              'celebrationWishes',
+              notificationService.recipientFromCelebration(celebration),
+              celebration
+            );
+            if (result.success) {
+              await celebration.update({ notificationSent: true });
+              logger.info(`Birthday wishes sent to ${celebration.name}`);
+            } else if (result.skipped) {
+              logger.info(`Birthday wishes not sent to ${celebration.name} (${result.skipped})`);
+            } else {
+              logger.error(`Failed to send birthday wishes to ${celebration.name}`);
+            }
           } catch (error) {
-            logger.error(`Failed to send birthday email to ${celebration.name}:`, error);
+            logger.error(`Failed to send birthday wishes to ${celebration.name}:`, error);
           }
         }
       }
@@ -72,17 +92,16 @@ class CronJobService {
   async sendEventReminders() {
     try {
       logger.info('Running event reminders cron job...');
-      
+
+      const { Member, Event } = this.db;
+
       const tomorrow = new Date();
       tomorrow.setDate(tomorrow.getDate() + 1);
       const tomorrowDateString = tomorrow.toISOString().split('T')[0];
 
-      // Get events happening tomorrow
-      const tomorrowEvents = await Event.findAll({
-        where: {
-          date: tomorrowDateString,
-          status: 'upcoming'
-        }
+      // Get events happening tomorrow, including occurrences of recurring series
+      const tomorrowEvents = await Event.getOccurrencesInRange(tomorrowDateString, tomorrowDateString, {
+        where: { status: 'upcoming' }
       });
 
       // Get all active members
@@ -91,8 +110,14 @@ class CronJobService {
       for (const event of tomorrowEvents) {
         for (const member of activeMembers) {
           try {
-            await emailService.sendEventReminderEmail(event, member);
-            logger.info(`Event reminder sent to ${member.name} for ${event.title}`);
+            const result = await notificationService.notify(
+              'eventReminder',
+              notificationService.recipientFromMember(member),
+              { event, member }
+            );
+            if (result.success) {
+              logger.info(`Event reminder sent to ${member.name} for ${event.title}`);
+            }
           } catch (error) {
             logger.error(`Failed to send event reminder to ${member.name}:`, error);
           }
@@ -109,8 +134,8 @@ class CronJobService {
     try {
       logger.info('Running cleanup expired tokens cron job...');
       
-      const { Admin } = require('../models');
-      
+      const { Admin } = this.db;
+
       // Clear expired password reset tokens
       const expiredTokensCount = await Admin.update(
         {
@@ -135,7 +160,9 @@ class CronJobService {
   async updateEventStatuses() {
     try {
       logger.info('Running update event statuses cron job...');
-      
+
+      const { Event } = this.db;
+
       const now = new Date();
       const today = now.toISOString().split('T')[0];
       
@@ -147,12 +174,30 @@ class CronJobService {
             date: {
               [Op.lt]: today
             },
-            status: 'upcoming'
+            status: 'upcoming',
+            isRecurring: false
           }
         }
       );
 
-      logger.info(`Updated ${updatedEventsCount[0]} past events to completed status`);
+      // A recurring series is only completed once it has no occurrences left
+      const recurringEvents = await Event.findAll({
+        where: {
+          date: { [Op.lt]: today },
+          status: 'upcoming',
+          isRecurring: true
+        }
+      });
+
+      let completedSeriesCount = 0;
+      for (const event of recurringEvents) {
+        if (!event.getNextOccurrenceDate(today)) {
+          await event.update({ status: 'completed' });
+          completedSeriesCount++;
+        }
+      }
+
+      logger.info(`Updated ${updatedEventsCount[0]} past events and ${completedSeriesCount} finished series to completed status`);
     } catch (error) {
       logger.error('Update event statuses cron job failed:', error);
     }
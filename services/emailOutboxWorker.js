@@ -0,0 +1,98 @@
+// services/emailOutboxWorker.js - Delivers queued emails from the EmailOutbox with retries
+const emailService = require('./emailService');
+const logger = require('../utils/logger');
+
+const BATCH_SIZE = 10;
+const PRUNE_INTERVAL_MS = 24 * 60 * 60 * 1000;
+
+class EmailOutboxWorker {
+  constructor() {
+    this.EmailOutbox = null;
+    this.timer = null;
+    this.running = false;
+    this.rerun = false;
+    this.lastPrunedAt = 0;
+  }
+
+  // Route emailService through the outbox and poll it every EMAIL_OUTBOX_INTERVAL_SECONDS (default 30)
+  start(EmailOutbox) {
+    if (this.timer) return;
+
+    this.EmailOutbox = EmailOutbox;
+    emailService.useOutbox(EmailOutbox, () => this.kick());
+
+    const intervalSeconds = parseInt(process.env.EMAIL_OUTBOX_INTERVAL_SECONDS, 10) || 30;
+    this.timer = setInterval(() => this.kick(), intervalSeconds * 1000);
+    this.timer.unref();
+
+    logger.info(`Email outbox worker started (every ${intervalSeconds}s)`);
+    this.kick();
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+    emailService.useOutbox(null);
+  }
+
+  // Process the queue now, or once more after the current run finishes
+  kick() {
+    if (this.running) {
+      this.rerun = true;
+      return;
+    }
+
+    this.running = true;
+    this.processQueue()
+      .catch((error) => logger.error('Email outbox worker error:', error))
+      .finally(() => {
+        this.running = false;
+        if (this.rerun) {
+          this.rerun = false;
+          this.kick();
+        }
+      });
+  }
+
+  async processQueue() {
+    if (!this.EmailOutbox) return;
+
+    await this.EmailOutbox.releaseStale();
+
+    let messages = await this.EmailOutbox.claimDue(BATCH_SIZE);
+    while (messages.length > 0) {
+      for (const message of messages) {
+        await this.send(message);
+      }
+      messages = await this.EmailOutbox.claimDue(BATCH_SIZE);
+    }
+
+    if (Date.now() - this.lastPrunedAt > PRUNE_INTERVAL_MS) {
+      this.lastPrunedAt = Date.now();
+      const pruned = await this.EmailOutbox.pruneSent();
+      if (pruned > 0) {
+        logger.info(`Pruned ${pruned} delivered emails from the outbox`);
+      }
+    }
+  }
+
+  async send(message) {
+    const result = await emailService.deliver(message.toMailOptions());
+
+    if (result.success) {
+      await message.markSent(result.messageId);
+      return;
+    }
+
+    await message.markFailed(result.error);
+    if (message.status === 'failed') {
+      logger.error(`Email ${message.id} to ${message.to} failed after ${message.attempts} attempts: ${result.error}`);
+    } else {
+      logger.warn(`Email ${message.id} to ${message.to} failed (attempt ${message.attempts}), retrying at ${message.nextAttemptAt.toISOString()}`);
+    }
+  }
+}
+
+module.exports = new EmailOutboxWorker();
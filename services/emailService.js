@@ -1,27 +1,46 @@
 // services/emailService.js - Enhanced with profile update templates
+const fs = require('fs');
+const path = require('path');
+const ejs = require('ejs');
 const nodemailer = require('nodemailer');
 const logger = require('../utils/logger');
+const { ROLE_TEMPLATES } = require('../utils/permissions');
+const { escapeHtml, formatTime } = require('../utils/helpers');
+const { allowsCommunication, getPreferenceLinks } = require('../utils/communicationPreferences');
 
 class EmailService {
   constructor() {
-    this.transporter = nodemailer.createTransport({
-      host: process.env.EMAIL_HOST,
-      port: process.env.EMAIL_PORT,
-      secure: false, // true for 465, false for other ports
-      auth: {
-        user: process.env.EMAIL_USER,
-        pass: process.env.EMAIL_PASS,
-      },
-      tls: {
-        rejectUnauthorized: false
-      }
-    });
+    // EMAIL_TRANSPORT=file writes .eml files to EMAIL_FILE_DIR instead of using SMTP (local/testing)
+    this.transportMode = process.env.EMAIL_TRANSPORT === 'file' ? 'file' : 'smtp';
+    this.transporter = this.transportMode === 'file'
+      ? nodemailer.createTransport({ streamTransport: true, buffer: true, newline: 'unix' })
+      : nodemailer.createTransport({
+        host: process.env.EMAIL_HOST,
+        port: process.env.EMAIL_PORT,
+        secure: false, // true for 465, false for other ports
+        auth: {
+          user: process.env.EMAIL_USER,
+          pass: process.env.EMAIL_PASS,
+        },
+        tls: {
+          rejectUnauthorized: false
+        }
+      });
+
+    // Set by the outbox worker once the database is ready
+    this.outbox = null;
+    this.onEnqueue = null;
 
     // Verify transporter configuration
     this.verifyConnection();
   }
 
   async verifyConnection() {
+    if (this.transportMode === 'file') {
+      logger.info(`Email file transport enabled, writing messages to ${this.getFileDirectory()}`);
+      return;
+    }
+
     try {
       await this.transporter.verify();
       logger.info('Email transporter verified successfully');
@@ -30,7 +49,40 @@ class EmailService {
     }
   }
 
-  async sendEmail({ to, subject, html, text }) {
+  getFileDirectory() {
+    return process.env.EMAIL_FILE_DIR || path.join(__dirname, '..', 'logs', 'emails');
+  }
+
+  // Queue emails in the outbox from now on (called by the outbox worker)
+  useOutbox(EmailOutbox, onEnqueue = null) {
+    this.outbox = EmailOutbox;
+    this.onEnqueue = onEnqueue;
+  }
+
+  // Queue an email for delivery; sends immediately when the outbox is not available (e.g. scripts).
+  // Emails in a communication category are not sent to members who turned that category off.
+  async sendEmail({ to, subject, html, text, attachments, sensitive = false, member = null, category = null }) {
+    if (category && !allowsCommunication(member, category, 'email')) {
+      logger.info(`Email "${subject}" not sent to ${to}: unsubscribed from ${category}`);
+      return { success: false, skipped: 'unsubscribed' };
+    }
+
+    if (this.outbox) {
+      try {
+        const message = await this.outbox.enqueue({ to, subject, html, text, attachments, sensitive });
+        logger.info(`Email queued for ${to}: ${message.id}`);
+        if (this.onEnqueue) this.onEnqueue(message);
+        return { success: true, queued: true, outboxId: message.id };
+      } catch (error) {
+        logger.error('Email queueing failed, sending directly:', error);
+      }
+    }
+
+    return this.deliver({ to, subject, html, text, attachments });
+  }
+
+  // Send one message through the transport
+  async deliver({ to, subject, html, text, attachments }) {
     try {
       const mailOptions = {
         from: process.env.EMAIL_FROM,
@@ -40,7 +92,18 @@ class EmailService {
         text
       };
 
+      if (attachments && attachments.length > 0) {
+        mailOptions.attachments = attachments;
+      }
+
       const result = await this.transporter.sendMail(mailOptions);
+      if (this.transportMode === 'file') {
+        const directory = this.getFileDirectory();
+        await fs.promises.mkdir(directory, { recursive: true });
+        const filename = `${Date.now()}-${result.messageId.replace(/[^a-zA-Z0-9.-]/g, '')}.eml`;
+        await fs.promises.writeFile(path.join(directory, filename), result.message);
+      }
+
       logger.info(`Email sent successfully to ${to}:`, result.messageId);
       return { success: true, messageId: result.messageId };
     } catch (error) {
@@ -49,6 +112,26 @@ class EmailService {
     }
   }
 
+  // Render a template from templates/emails with the church details filled in
+  async renderTemplate(name, data = {}) {
+    return await ejs.renderFile(
+      path.join(__dirname, '..', 'templates', 'emails', `${name}.ejs`),
+      {
+        title: null,
+        headerIcon: null,
+        headerSubtitle: null,
+        hideDisclaimer: false,
+        preferencesUrl: null,
+        unsubscribeUrl: null,
+        churchName: process.env.CHURCH_NAME,
+        churchAddress: process.env.CHURCH_ADDRESS,
+        churchPhone: process.env.CHURCH_PHONE,
+        churchEmail: process.env.CHURCH_EMAIL,
+        ...data
+      }
+    );
+  }
+
   // Send profile update verification email
   async sendProfileUpdateEmail(admin, token, type) {
     const subject = `${process.env.CHURCH_NAME} - Profile Update Verification`;
@@ -258,7 +341,8 @@ class EmailService {
       to: admin.email,
       subject,
       html,
-      text
+      text,
+      sensitive: true
     });
   }
 
@@ -419,7 +503,7 @@ class EmailService {
             <ul>
               <li>Email: ${admin.email}</li>
               <li>Request Time: ${new Date().toLocaleString()}</li>
-              <li>Account Type: ${admin.role === 'super_admin' ? 'Super Administrator' : 'Administrator'}</li>
+              <li>Account Type: ${admin.role === 'super_admin' ? 'Super Administrator' : (ROLE_TEMPLATES[admin.role] || ROLE_TEMPLATES.admin).label}</li>
             </ul>
             
             <p>If you did not request this password change, please:</p>
@@ -471,7 +555,7 @@ class EmailService {
       Account Details:
       - Email: ${admin.email}
       - Request Time: ${new Date().toLocaleString()}
-      - Account Type: ${admin.role === 'super_admin' ? 'Super Administrator' : 'Administrator'}
+      - Account Type: ${admin.role === 'super_admin' ? 'Super Administrator' : (ROLE_TEMPLATES[admin.role] || ROLE_TEMPLATES.admin).label}
       
       If you did not request this password change:
       1. Do NOT use the token above
@@ -491,7 +575,8 @@ class EmailService {
       to: admin.email,
       subject,
       html,
-      text
+      text,
+      sensitive: true
     });
   }
 
@@ -588,7 +673,8 @@ class EmailService {
     return await this.sendEmail({
       to: admin.email,
       subject,
-      html
+      html,
+      sensitive: true
     });
   }
 
@@ -681,53 +767,63 @@ class EmailService {
   // Send birthday celebration email
   async sendBirthdayEmail(celebration) {
     const subject = `🎉 Happy Birthday ${celebration.name}!`;
-    
+
+    const html = await this.renderTemplate('birthday-celebration', {
+      title: 'Happy Birthday!',
+      celebration,
+      ...getPreferenceLinks(celebration.member, 'celebrations')
+    });
+
+    return await this.sendEmail({
+      to: celebration.member?.email || celebration.email,
+      subject,
+      html,
+      member: celebration.member,
+      category: 'celebrations'
+    });
+  }
+
+  // Send celebration submission receipt with a link to check its status
+  async sendCelebrationReceivedEmail(celebration) {
+    const subject = `We received your ${celebration.type} celebration request`;
+    const statusUrl = `${process.env.CLIENT_URL}/celebrations/status/${celebration.trackingReference}`;
+
     const html = `
       <!DOCTYPE html>
       <html>
       <head>
         <meta charset="utf-8">
         <meta name="viewport" content="width=device-width, initial-scale=1.0">
-        <title>Happy Birthday!</title>
+        <title>Celebration Request Received</title>
         <style>
           body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
           .container { max-width: 600px; margin: 0 auto; padding: 20px; }
-          .header { background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; padding: 30px; text-align: center; }
-          .content { padding: 20px; background: #fff; }
-          .birthday-message { background: #f0f9ff; padding: 20px; border-radius: 10px; margin: 20px 0; }
-          .footer { padding: 20px; text-align: center; color: #666; background: #f9f9f9; }
+          .header { background: #7C3AED; color: white; padding: 20px; text-align: center; }
+          .content { padding: 20px; background: #f9f9f9; }
+          .details { background: #fff; padding: 15px; border-radius: 5px; margin: 15px 0; }
+          .footer { padding: 20px; text-align: center; color: #666; }
         </style>
       </head>
       <body>
         <div class="container">
           <div class="header">
-            <h1>🎂 Happy Birthday! 🎂</h1>
-            <h2>${celebration.name}</h2>
+            <h1>🎉 Request Received</h1>
           </div>
           <div class="content">
-            <div class="birthday-message">
-              <p><strong>🎉 Today is a special day! 🎉</strong></p>
-              <p>The entire ${process.env.CHURCH_NAME} family joins together to celebrate you on your special day!</p>
-              
-              ${celebration.message ? `<p><em>"${celebration.message}"</em></p>` : ''}
-              
-              <p>We thank God for your life, your contributions to our church community, and for the blessing you are to all of us.</p>
-              
-              <p>May this new year of your life be filled with God's abundant blessings, joy, peace, and everything your heart desires according to His will.</p>
+            <p>Dear ${escapeHtml(celebration.name)},</p>
+
+            <p>Thank you for sharing your ${escapeHtml(celebration.type.toLowerCase())} with us! Our team will review your request shortly.</p>
+
+            <div class="details">
+              <p><strong>Type:</strong> ${escapeHtml(celebration.type)}</p>
+              <p><strong>Date:</strong> ${escapeHtml(`${celebration.month}/${celebration.date}`)}</p>
+              <p><strong>Tracking Reference:</strong> ${escapeHtml(celebration.trackingReference)}</p>
             </div>
-            
-            <p>We pray that:</p>
-            <ul>
-              <li>🙏 God grants you many more years of good health and happiness</li>
-              <li>✨ Your dreams and aspirations come to pass</li>
-              <li>💝 You continue to be a blessing to others</li>
-              <li>🌟 This new age brings you closer to your divine purpose</li>
-            </ul>
-            
-            <p>Celebrate well and know that you are loved and appreciated!</p>
-            
-            <p>Happy Birthday once again!</p>
-            <p><strong>With love and prayers,<br>The ${process.env.CHURCH_NAME} Family</strong></p>
+
+            <p>You can <a href="${escapeHtml(statusUrl)}">check the status of your request</a> at any time. Keep this link private; anyone with it can see your request's status.</p>
+
+            <p>God bless you!</p>
+            <p>The ${process.env.CHURCH_NAME} Team</p>
           </div>
           <div class="footer">
             <p>${process.env.CHURCH_ADDRESS}</p>
@@ -738,51 +834,171 @@ class EmailService {
       </html>
     `;
 
+    // The status link works like a password, so keep the content out of the outbox viewer
     return await this.sendEmail({
-      to: celebration.member?.email || celebration.email,
+      to: celebration.email,
       subject,
-      html
+      html,
+      sensitive: true
+    });
+  }
+
+  // Send an admin's reply to a website contact inquiry
+  async sendInquiryReplyEmail(inquiry, reply, admin) {
+    const subject = `Re: ${inquiry.subject}`;
+    const replyHtml = escapeHtml(reply).replace(/\n/g, '<br>');
+
+    const html = `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <meta charset="utf-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+        <title>${escapeHtml(subject)}</title>
+        <style>
+          body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+          .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+          .header { background: #7C3AED; color: white; padding: 20px; text-align: center; }
+          .content { padding: 20px; background: #f9f9f9; }
+          .original { border-left: 4px solid #ddd; padding: 10px 15px; margin: 20px 0; color: #666; }
+          .footer { padding: 20px; text-align: center; color: #666; }
+        </style>
+      </head>
+      <body>
+        <div class="container">
+          <div class="header">
+            <h1>${process.env.CHURCH_NAME}</h1>
+          </div>
+          <div class="content">
+            <p>Dear ${escapeHtml(inquiry.name)},</p>
+
+            <p>${replyHtml}</p>
+
+            <p>God bless you!</p>
+            <p>${admin.name}${admin.position ? `<br>${admin.position}` : ''}<br>The ${process.env.CHURCH_NAME} Team</p>
+
+            <div class="original">
+              <p><strong>Your message (${new Date(inquiry.createdAt).toLocaleDateString()}):</strong></p>
+              <p>${escapeHtml(inquiry.message)}</p>
+            </div>
+          </div>
+          <div class="footer">
+            <p>${process.env.CHURCH_ADDRESS}</p>
+            <p>Phone: ${process.env.CHURCH_PHONE} | Email: ${process.env.CHURCH_EMAIL}</p>
+          </div>
+        </div>
+      </body>
+      </html>
+    `;
+
+    const text = `
+      Dear ${inquiry.name},
+
+      ${reply}
+
+      God bless you!
+      ${admin.name}
+      The ${process.env.CHURCH_NAME} Team
+
+      Your message (${new Date(inquiry.createdAt).toLocaleDateString()}):
+      ${inquiry.message}
+    `;
+
+    return await this.sendEmail({
+      to: inquiry.email,
+      subject,
+      html,
+      text
     });
   }
 
   // Send celebration approval notification
   async sendCelebrationApprovalEmail(celebration) {
     const subject = `Your ${celebration.type} celebration has been approved!`;
-    
+
+    const html = await this.renderTemplate('celebration-approval', {
+      title: 'Celebration Approved',
+      celebration,
+      ...getPreferenceLinks(celebration.member, 'celebrations')
+    });
+
+    return await this.sendEmail({
+      to: celebration.member?.email || celebration.email,
+      subject,
+      html,
+      member: celebration.member,
+      category: 'celebrations'
+    });
+  }
+
+  // Send event reminder email
+  async sendEventReminderEmail(event, member) {
+    const subject = `Reminder: ${event.title} - Tomorrow!`;
+
+    const html = await this.renderTemplate('event-reminder', {
+      title: 'Event Reminder',
+      event,
+      member,
+      eventDate: new Date(event.date).toLocaleDateString(),
+      formatTime,
+      ...getPreferenceLinks(member, 'eventReminders')
+    });
+
+    return await this.sendEmail({
+      to: member.email,
+      subject,
+      html,
+      member,
+      category: 'eventReminders'
+    });
+  }
+
+  // Send event registration confirmation (or waitlist notice) email
+  async sendEventRegistrationEmail(event, registration, waitlistPosition = null) {
+    const isWaitlisted = registration.status === 'waitlisted';
+    const subject = isWaitlisted
+      ? `You're on the waitlist: ${event.title}`
+      : `Registration confirmed: ${event.title}`;
+    const cancelUrl = `${process.env.CLIENT_URL}/events/registrations/${registration.registrationCode}/cancel`;
+
     const html = `
       <!DOCTYPE html>
       <html>
       <head>
         <meta charset="utf-8">
         <meta name="viewport" content="width=device-width, initial-scale=1.0">
-        <title>Celebration Approved</title>
+        <title>${isWaitlisted ? 'Event Waitlist' : 'Registration Confirmed'}</title>
         <style>
           body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
           .container { max-width: 600px; margin: 0 auto; padding: 20px; }
-          .header { background: #10B981; color: white; padding: 20px; text-align: center; }
+          .header { background: ${isWaitlisted ? '#F59E0B' : '#7C3AED'}; color: white; padding: 20px; text-align: center; }
           .content { padding: 20px; background: #f9f9f9; }
+          .event-details { background: #fff; padding: 15px; border-radius: 5px; margin: 15px 0; }
           .footer { padding: 20px; text-align: center; color: #666; }
         </style>
       </head>
       <body>
         <div class="container">
           <div class="header">
-            <h1>🎉 Celebration Approved!</h1>
+            <h1>${isWaitlisted ? '⏳ You\'re on the Waitlist' : '✅ Registration Confirmed'}</h1>
           </div>
           <div class="content">
-            <p>Dear ${celebration.name},</p>
-            
-            <p>Great news! Your ${celebration.type.toLowerCase()} celebration request has been approved and will be announced to our church family.</p>
-            
-            <p><strong>Celebration Details:</strong></p>
-            <ul>
-              <li><strong>Type:</strong> ${celebration.type}</li>
-              <li><strong>Date:</strong> ${celebration.month}/${celebration.date}</li>
-              ${celebration.message ? `<li><strong>Your Message:</strong> ${celebration.message}</li>` : ''}
-            </ul>
-            
-            <p>We're excited to celebrate with you and give thanks to God for this special occasion in your life!</p>
-            
+            <p>Dear ${escapeHtml(registration.name)},</p>
+
+            ${isWaitlisted
+              ? `<p>Thank you for your interest in <strong>${event.title}</strong>. The event is currently full, so we have added you to the waitlist${waitlistPosition ? ` at position <strong>${waitlistPosition}</strong>` : ''}. We will email you as soon as a place opens up.</p>`
+              : `<p>Thank you for registering! Your place at <strong>${event.title}</strong> is confirmed.</p>`}
+
+            <div class="event-details">
+              <h3>${event.title}</h3>
+              <p><strong>📅 Date:</strong> ${new Date(event.date).toLocaleDateString()}</p>
+              <p><strong>🕒 Time:</strong> ${event.time}${event.endTime ? ` - ${event.endTime}` : ''}</p>
+              <p><strong>📍 Location:</strong> ${event.location}</p>
+              <p><strong>🎫 Registration Code:</strong> ${registration.registrationCode}</p>
+            </div>
+
+            <p>Can't make it? <a href="${cancelUrl}">Cancel your registration</a> so someone else can take your place.</p>
+
             <p>God bless you!</p>
             <p>The ${process.env.CHURCH_NAME} Team</p>
           </div>
@@ -796,27 +1012,28 @@ class EmailService {
     `;
 
     return await this.sendEmail({
-      to: celebration.member?.email || celebration.email,
+      to: registration.email,
       subject,
       html
     });
   }
 
-  // Send event reminder email
-  async sendEventReminderEmail(event, member) {
-    const subject = `Reminder: ${event.title} - Tomorrow!`;
-    
+  // Send email when a waitlisted registrant is given a place
+  async sendWaitlistPromotionEmail(event, registration) {
+    const subject = `Good news! A place opened up: ${event.title}`;
+    const cancelUrl = `${process.env.CLIENT_URL}/events/registrations/${registration.registrationCode}/cancel`;
+
     const html = `
       <!DOCTYPE html>
       <html>
       <head>
         <meta charset="utf-8">
         <meta name="viewport" content="width=device-width, initial-scale=1.0">
-        <title>Event Reminder</title>
+        <title>Registration Confirmed</title>
         <style>
           body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
           .container { max-width: 600px; margin: 0 auto; padding: 20px; }
-          .header { background: #7C3AED; color: white; padding: 20px; text-align: center; }
+          .header { background: #10B981; color: white; padding: 20px; text-align: center; }
           .content { padding: 20px; background: #f9f9f9; }
           .event-details { background: #fff; padding: 15px; border-radius: 5px; margin: 15px 0; }
           .footer { padding: 20px; text-align: center; color: #666; }
@@ -825,31 +1042,73 @@ class EmailService {
       <body>
         <div class="container">
           <div class="header">
-            <h1>📅 Event Reminder</h1>
+            <h1>🎉 You're In!</h1>
           </div>
           <div class="content">
-            <p>Dear ${member.name},</p>
-            
-            <p>This is a friendly reminder about an upcoming event at ${process.env.CHURCH_NAME}:</p>
-            
+            <p>Dear ${escapeHtml(registration.name)},</p>
+
+            <p>A place has opened up and your registration for <strong>${event.title}</strong> is now confirmed.</p>
+
             <div class="event-details">
               <h3>${event.title}</h3>
               <p><strong>📅 Date:</strong> ${new Date(event.date).toLocaleDateString()}</p>
               <p><strong>🕒 Time:</strong> ${event.time}${event.endTime ? ` - ${event.endTime}` : ''}</p>
               <p><strong>📍 Location:</strong> ${event.location}</p>
-              <p><strong>📋 Category:</strong> ${event.category}</p>
-              
-              <p><strong>Description:</strong></p>
-              <p>${event.description}</p>
-              
-              ${event.maxAttendees ? `<p><strong>👥 Max Attendees:</strong> ${event.maxAttendees}</p>` : ''}
-              ${event.registrationRequired ? '<p><strong>⚠️ Registration Required</strong></p>' : ''}
+              <p><strong>🎫 Registration Code:</strong> ${registration.registrationCode}</p>
             </div>
-            
+
+            <p>If you can no longer attend, please <a href="${cancelUrl}">cancel your registration</a>.</p>
+
             <p>We look forward to seeing you there!</p>
-            
-            <p>For any questions, please contact us at ${process.env.CHURCH_EMAIL} or ${process.env.CHURCH_PHONE}.</p>
-            
+            <p>The ${process.env.CHURCH_NAME} Team</p>
+          </div>
+          <div class="footer">
+            <p>${process.env.CHURCH_ADDRESS}</p>
+            <p>Phone: ${process.env.CHURCH_PHONE} | Email: ${process.env.CHURCH_EMAIL}</p>
+          </div>
+        </div>
+      </body>
+      </html>
+    `;
+
+    return await this.sendEmail({
+      to: registration.email,
+      subject,
+      html
+    });
+  }
+
+  // Send event registration cancellation confirmation
+  async sendEventRegistrationCancelledEmail(event, registration) {
+    const subject = `Registration cancelled: ${event.title}`;
+
+    const html = `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <meta charset="utf-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+        <title>Registration Cancelled</title>
+        <style>
+          body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+          .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+          .header { background: #6B7280; color: white; padding: 20px; text-align: center; }
+          .content { padding: 20px; background: #f9f9f9; }
+          .footer { padding: 20px; text-align: center; color: #666; }
+        </style>
+      </head>
+      <body>
+        <div class="container">
+          <div class="header">
+            <h1>Registration Cancelled</h1>
+          </div>
+          <div class="content">
+            <p>Dear ${escapeHtml(registration.name)},</p>
+
+            <p>Your registration for <strong>${event.title}</strong> on ${new Date(event.date).toLocaleDateString()} has been cancelled.</p>
+
+            <p>If this was a mistake, you are welcome to register again while places are available.</p>
+
             <p>God bless you!</p>
             <p>The ${process.env.CHURCH_NAME} Team</p>
           </div>
@@ -863,11 +1122,297 @@ class EmailService {
     `;
 
     return await this.sendEmail({
-      to: member.email,
+      to: registration.email,
       subject,
       html
     });
   }
+
+  // Send a member their annual giving statement as a PDF attachment
+  async sendGivingStatementEmail(member, year, pdfBuffer, filename) {
+    const subject = `Your ${year} Giving Statement - ${process.env.CHURCH_NAME}`;
+
+    const html = `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <meta charset="utf-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+        <title>Annual Giving Statement</title>
+        <style>
+          body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+          .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+          .header { background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; padding: 20px; text-align: center; }
+          .content { padding: 20px; background: #f9f9f9; }
+          .footer { padding: 20px; text-align: center; color: #666; }
+        </style>
+      </head>
+      <body>
+        <div class="container">
+          <div class="header">
+            <h1>${year} Giving Statement</h1>
+          </div>
+          <div class="content">
+            <p>Dear ${member.name},</p>
+
+            <p>Thank you for your faithful giving throughout ${year}. Your annual contribution statement is attached to this email as a PDF.</p>
+
+            <p>Please keep it for your tax and employer records. If anything on the statement looks incorrect, reply to this email or contact the church office.</p>
+
+            <p>God bless you,</p>
+            <p>The ${process.env.CHURCH_NAME} Team</p>
+          </div>
+          <div class="footer">
+            <p>${process.env.CHURCH_ADDRESS}</p>
+            <p>Phone: ${process.env.CHURCH_PHONE} | Email: ${process.env.CHURCH_EMAIL}</p>
+          </div>
+        </div>
+      </body>
+      </html>
+    `;
+
+    return await this.sendEmail({
+      to: member.email,
+      subject,
+      html,
+      attachments: [
+        {
+          filename,
+          content: pdfBuffer,
+          contentType: 'application/pdf'
+        }
+      ]
+    });
+  }
+
+  // Security alert: account locked after repeated failed sign-ins
+  async sendAccountLockedEmail(admin, { ipAddress, lockedUntil }) {
+    const subject = `${process.env.CHURCH_NAME} - Admin Account Locked`;
+
+    const html = `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <meta charset="utf-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+        <title>Account Locked</title>
+        <style>
+          body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+          .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+          .header { background: linear-gradient(135deg, #f093fb 0%, #f5576c 100%); color: white; padding: 20px; text-align: center; }
+          .content { padding: 20px; background: #f9f9f9; }
+          .details { background: white; border-left: 4px solid #e53e3e; padding: 10px 15px; margin: 15px 0; }
+          .footer { padding: 20px; text-align: center; color: #666; }
+        </style>
+      </head>
+      <body>
+        <div class="container">
+          <div class="header">
+            <h1>Account Locked</h1>
+          </div>
+          <div class="content">
+            <p>Hello ${admin.name},</p>
+
+            <p>Your admin account was locked after too many failed sign-in attempts.</p>
+
+            <div class="details">
+              <p><strong>Last attempt from:</strong> ${ipAddress || 'Unknown'}</p>
+              <p><strong>Locked until:</strong> ${new Date(lockedUntil).toLocaleString()}</p>
+            </div>
+
+            <p>If this was you, wait until the lock expires or ask a super admin to unlock your account.</p>
+            <p>If it was not you, someone may be trying to guess your password. Reset your password once the lock expires and let a super admin know.</p>
+
+            <p>The ${process.env.CHURCH_NAME} Security Team</p>
+          </div>
+          <div class="footer">
+            <p>${process.env.CHURCH_ADDRESS}</p>
+            <p><small>This is an automated security message. Please do not reply to this email.</small></p>
+          </div>
+        </div>
+      </body>
+      </html>
+    `;
+
+    const text = `
+      Account Locked - ${process.env.CHURCH_NAME}
+
+      Hello ${admin.name},
+
+      Your admin account was locked after too many failed sign-in attempts.
+
+      Last attempt from: ${ipAddress || 'Unknown'}
+      Locked until: ${new Date(lockedUntil).toLocaleString()}
+
+      If this was you, wait until the lock expires or ask a super admin to unlock your account.
+      If it was not you, reset your password once the lock expires and let a super admin know.
+
+      The ${process.env.CHURCH_NAME} Security Team
+    `;
+
+    return await this.sendEmail({
+      to: admin.email,
+      subject,
+      html,
+      text
+    });
+  }
+
+  // Security alert: successful sign-in from an IP address not seen before
+  async sendNewLoginLocationEmail(admin, { ipAddress, deviceName, time }) {
+    const subject = `${process.env.CHURCH_NAME} - New Sign-in to Your Admin Account`;
+
+    const html = `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <meta charset="utf-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+        <title>New Sign-in</title>
+        <style>
+          body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+          .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+          .header { background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; padding: 20px; text-align: center; }
+          .content { padding: 20px; background: #f9f9f9; }
+          .details { background: white; border-left: 4px solid #667eea; padding: 10px 15px; margin: 15px 0; }
+          .footer { padding: 20px; text-align: center; color: #666; }
+        </style>
+      </head>
+      <body>
+        <div class="container">
+          <div class="header">
+            <h1>New Sign-in</h1>
+          </div>
+          <div class="content">
+            <p>Hello ${escapeHtml(admin.name)},</p>
+
+            <p>Your admin account was just signed in to from a new location.</p>
+
+            <div class="details">
+              <p><strong>IP address:</strong> ${escapeHtml(ipAddress || 'Unknown')}</p>
+              <p><strong>Device:</strong> ${escapeHtml(deviceName || 'Unknown device')}</p>
+              <p><strong>Time:</strong> ${new Date(time).toLocaleString()}</p>
+            </div>
+
+            <p>If this was you, no action is needed.</p>
+            <p>If it was not you, change your password now and sign out the unknown device from your active sessions.</p>
+
+            <p>The ${process.env.CHURCH_NAME} Security Team</p>
+          </div>
+          <div class="footer">
+            <p>${process.env.CHURCH_ADDRESS}</p>
+            <p><small>This is an automated security message. Please do not reply to this email.</small></p>
+          </div>
+        </div>
+      </body>
+      </html>
+    `;
+
+    const text = `
+      New Sign-in - ${process.env.CHURCH_NAME}
+
+      Hello ${admin.name},
+
+      Your admin account was just signed in to from a new location.
+
+      IP address: ${ipAddress || 'Unknown'}
+      Device: ${deviceName || 'Unknown device'}
+      Time: ${new Date(time).toLocaleString()}
+
+      If this was you, no action is needed.
+      If it was not you, change your password now and sign out the unknown device from your active sessions.
+
+      The ${process.env.CHURCH_NAME} Security Team
+    `;
+
+    return await this.sendEmail({
+      to: admin.email,
+      subject,
+      html,
+      text
+    });
+  }
+
+  // Send invitation to set a password and activate a new admin account
+  async sendAdminInvitationEmail(invitation, token, invitedBy) {
+    const inviteUrl = `${process.env.ADMIN_URL}/accept-invitation?token=${token}`;
+    const subject = `${process.env.CHURCH_NAME} - You're Invited to the Admin Team`;
+    const roleLabel = ROLE_TEMPLATES[invitation.role] ? ROLE_TEMPLATES[invitation.role].label : invitation.role;
+    const invitedByName = invitedBy ? invitedBy.name : 'A super admin';
+    const expiryHours = Math.max(1, Math.round((new Date(invitation.expiresAt) - Date.now()) / (60 * 60 * 1000)));
+
+    const html = await this.renderTemplate('admin-invitation', {
+      title: 'Admin Invitation',
+      invitation,
+      invitedByName,
+      roleLabel,
+      inviteUrl,
+      expiryHours
+    });
+
+    const text = `
+      Admin Invitation - ${process.env.CHURCH_NAME}
+
+      Hello ${invitation.name},
+
+      ${invitedByName} has invited you to join the ${process.env.CHURCH_NAME} admin team as ${roleLabel}.
+
+      Choose your password and activate your account here:
+      ${inviteUrl}
+
+      This invitation will expire in ${expiryHours} hour(s) and can only be used once.
+      If you were not expecting this invitation, please ignore this email.
+
+      The ${process.env.CHURCH_NAME} Team
+    `;
+
+    return await this.sendEmail({
+      to: invitation.email,
+      subject,
+      html,
+      text,
+      sensitive: true
+    });
+  }
+
+  // Send a broadcast to one member; {{name}} and {{firstName}} in the body are personalised
+  async sendBroadcastEmail(broadcast, recipient, member = null) {
+    const links = getPreferenceLinks(member, 'newsletters');
+    const firstName = recipient.name.trim().split(/\s+/)[0];
+    const content = broadcast.body
+      .replace(/\{\{\s*name\s*\}\}/g, escapeHtml(recipient.name))
+      .replace(/\{\{\s*firstName\s*\}\}/g, escapeHtml(firstName));
+
+    const html = await this.renderTemplate('base', {
+      title: escapeHtml(broadcast.subject),
+      headerTitle: escapeHtml(broadcast.subject),
+      headerBackground: null,
+      content,
+      hideDisclaimer: true,
+      ...links
+    });
+
+    const text = content
+      .replace(/<(br|\/p|\/div|\/h[1-6]|\/li)\s*\/?>/gi, '\n')
+      .replace(/<[^>]+>/g, '')
+      .replace(/&nbsp;/g, ' ')
+      .replace(/&lt;/g, '<')
+      .replace(/&gt;/g, '>')
+      .replace(/&quot;/g, '"')
+      .replace(/&#0?39;/g, "'")
+      .replace(/&amp;/g, '&')
+      .replace(/\n{3,}/g, '\n\n')
+      .trim();
+
+    return await this.sendEmail({
+      to: recipient.email,
+      subject: broadcast.subject,
+      html,
+      text: `${text}\n\n${process.env.CHURCH_NAME}${links.unsubscribeUrl ? `\nUnsubscribe: ${links.unsubscribeUrl}` : ''}`,
+      member,
+      category: 'newsletters'
+    });
+  }
 }
 
 module.exports = new EmailService();
\ No newline at end of file
@@ -0,0 +1,226 @@
+// services/givingStatementService.js - Year-end giving statement PDFs
+const PDFDocument = require('pdfkit');
+
+// Letterhead colours match templates/emails/base.ejs
+const HEADER_COLORS = ['#667eea', '#764ba2'];
+const TEXT_COLOR = '#333333';
+const MUTED_COLOR = '#666666';
+const BORDER_COLOR = '#e2e8f0';
+
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+const CATEGORY_LABELS = {
+  tithe: 'Tithe',
+  offering: 'Offering',
+  seed: 'Seed',
+  project: 'Project',
+  thanksgiving: 'Thanksgiving',
+  other: 'Other'
+};
+
+// Built-in PDF fonts have no naira sign, so amounts use the currency code
+const formatAmount = (amount, currency = 'NGN') => {
+  const value = Number(amount || 0).toLocaleString('en-US', {
+    minimumFractionDigits: 2,
+    maximumFractionDigits: 2
+  });
+  return `${currency} ${value}`;
+};
+
+const formatDate = (date) => {
+  const value = new Date(date);
+  return `${String(value.getUTCDate()).padStart(2, '0')} ${MONTHS[value.getUTCMonth()]} ${value.getUTCFullYear()}`;
+};
+
+class GivingStatementService {
+  // Render a member's statement; resolves with the PDF as a Buffer
+  generateStatementPdf({ member, year, statement }) {
+    return new Promise((resolve, reject) => {
+      try {
+        const doc = new PDFDocument({ size: 'A4', margin: 50, bufferPages: true });
+        const chunks = [];
+
+        doc.on('data', (chunk) => chunks.push(chunk));
+        doc.on('end', () => resolve(Buffer.concat(chunks)));
+        doc.on('error', reject);
+
+        // One total cannot add up different currencies, so mixed statements are refused
+        if (statement.currencies.length > 1) {
+          throw new Error(`Giving is recorded in more than one currency (${statement.currencies.join(', ')})`);
+        }
+        const currency = statement.currencies[0] || 'NGN';
+
+        this.drawLetterhead(doc);
+        this.drawRecipient(doc, member, year);
+        this.drawEntries(doc, statement.givings);
+        this.drawTotals(doc, statement, currency);
+        this.drawFooter(doc);
+
+        doc.end();
+      } catch (error) {
+        reject(error);
+      }
+    });
+  }
+
+  drawLetterhead(doc) {
+    const gradient = doc.linearGradient(0, 0, doc.page.width, 0);
+    gradient.stop(0, HEADER_COLORS[0]).stop(1, HEADER_COLORS[1]);
+    doc.rect(0, 0, doc.page.width, 100).fill(gradient);
+
+    doc
+      .fillColor('#ffffff')
+      .font('Helvetica-Bold')
+      .fontSize(20)
+      .text(process.env.CHURCH_NAME || 'Church', 50, 30, { align: 'center' });
+
+    const contact = [process.env.CHURCH_PHONE, process.env.CHURCH_EMAIL].filter(Boolean).join('  |  ');
+    doc
+      .font('Helvetica')
+      .fontSize(9)
+      .text(process.env.CHURCH_ADDRESS || '', { align: 'center' })
+      .text(contact, { align: 'center' });
+
+    doc.fillColor(TEXT_COLOR).moveDown(0);
+    doc.y = 130;
+  }
+
+  drawRecipient(doc, member, year) {
+    doc
+      .font('Helvetica-Bold')
+      .fontSize(16)
+      .text(`Annual Giving Statement - ${year}`, 50, doc.y);
+
+    doc
+      .moveDown(0.3)
+      .font('Helvetica')
+      .fontSize(9)
+      .fillColor(MUTED_COLOR)
+      .text(`Period: 01 Jan ${year} - 31 Dec ${year}     Issued: ${formatDate(new Date())}`);
+
+    doc.moveDown(1).fillColor(TEXT_COLOR).font('Helvetica-Bold').fontSize(11).text(member.name);
+    doc.font('Helvetica').fontSize(10);
+    [member.address, member.email, member.phone].filter(Boolean).forEach((line) => doc.text(line));
+
+    doc.moveDown(1);
+  }
+
+  drawEntries(doc, givings) {
+    const columns = [
+      { label: 'Date', x: 50, width: 85 },
+      { label: 'Category', x: 135, width: 120 },
+      { label: 'Method', x: 255, width: 90 },
+      { label: 'Reference', x: 345, width: 100 },
+      { label: 'Amount', x: 445, width: 100, align: 'right' }
+    ];
+
+    const drawHeader = () => {
+      const y = doc.y;
+      doc.rect(50, y - 4, 495, 18).fill('#f8fafc');
+      doc.fillColor(TEXT_COLOR).font('Helvetica-Bold').fontSize(9);
+      columns.forEach((column) => {
+        doc.text(column.label, column.x + 2, y, { width: column.width - 4, align: column.align || 'left' });
+      });
+      doc.y = y + 18;
+      doc.font('Helvetica').fontSize(9);
+    };
+
+    drawHeader();
+
+    if (givings.length === 0) {
+      doc.fillColor(MUTED_COLOR).text('No contributions recorded for this period.', 52, doc.y + 4);
+      doc.fillColor(TEXT_COLOR).moveDown(1);
+      return;
+    }
+
+    givings.forEach((giving) => {
+      if (doc.y > doc.page.height - 120) {
+        doc.addPage();
+        doc.y = 50;
+        drawHeader();
+      }
+
+      const y = doc.y;
+      const category = CATEGORY_LABELS[giving.category] || giving.category;
+      const cells = [
+        formatDate(giving.givenAt),
+        giving.projectName ? `${category} - ${giving.projectName}` : category,
+        String(giving.paymentMethod || '').replace(/_/g, ' '),
+        giving.reference || '-',
+        formatAmount(giving.amount, giving.currency)
+      ];
+
+      columns.forEach((column, index) => {
+        doc.text(cells[index], column.x + 2, y, {
+          width: column.width - 4,
+          align: column.align || 'left',
+          lineBreak: false,
+          ellipsis: true
+        });
+      });
+
+      doc.moveTo(50, y + 14).lineTo(545, y + 14).strokeColor(BORDER_COLOR).lineWidth(0.5).stroke();
+      doc.y = y + 18;
+    });
+  }
+
+  drawTotals(doc, statement, currency) {
+    if (doc.y > doc.page.height - 200) {
+      doc.addPage();
+      doc.y = 50;
+    }
+
+    doc.moveDown(1).font('Helvetica-Bold').fontSize(11).fillColor(TEXT_COLOR).text('Summary by Category', 50);
+    doc.moveDown(0.3).font('Helvetica').fontSize(10);
+
+    Object.entries(statement.byCategory).forEach(([category, amount]) => {
+      const y = doc.y;
+      doc.text(CATEGORY_LABELS[category] || category, 50, y);
+      doc.text(formatAmount(amount, currency), 345, y, { width: 200, align: 'right' });
+      doc.y = y + 15;
+    });
+
+    const y = doc.y + 4;
+    doc.moveTo(345, y).lineTo(545, y).strokeColor(TEXT_COLOR).lineWidth(1).stroke();
+    doc.font('Helvetica-Bold').fontSize(12);
+    doc.text('Total Contributions', 50, y + 8);
+    doc.text(formatAmount(statement.total, currency), 345, y + 8, { width: 200, align: 'right' });
+    doc.y = y + 30;
+  }
+
+  drawFooter(doc) {
+    doc
+      .moveDown(1.5)
+      .font('Helvetica')
+      .fontSize(9)
+      .fillColor(MUTED_COLOR)
+      .text(
+        'Thank you for your faithful giving. No goods or services were provided in exchange for these contributions. ' +
+          'Please keep this statement for your tax and employer records.',
+        50,
+        doc.y,
+        { width: 495 }
+      );
+
+    doc.moveDown(2).fillColor(TEXT_COLOR).text('______________________________', 50);
+    doc.text('Church Treasurer / Accountant', 50);
+
+    // Page numbers on every page
+    const range = doc.bufferedPageRange();
+    for (let i = range.start; i < range.start + range.count; i++) {
+      doc.switchToPage(i);
+      // Writing inside the bottom margin would otherwise start a new page
+      doc.page.margins.bottom = 0;
+      doc
+        .fontSize(8)
+        .fillColor(MUTED_COLOR)
+        .text(`Page ${i + 1} of ${range.count}`, 50, doc.page.height - 40, {
+          width: 495,
+          align: 'center',
+          lineBreak: false
+        });
+    }
+  }
+}
+
+module.exports = new GivingStatementService();
@@ -0,0 +1,152 @@
+// services/notificationService.js - Member notifications over email and SMS, following each member's preference
+const emailService = require('./emailService');
+const smsService = require('./smsService');
+const logger = require('../utils/logger');
+const { allowsCommunication } = require('../utils/communicationPreferences');
+
+const firstNameOf = (name) => String(name || '').trim().split(/\s+/)[0];
+
+// Channels: who they can reach and how they deliver a notification
+const CHANNELS = {
+  email: {
+    canReach: (recipient) => !!recipient.email,
+    send: (notification, recipient, payload) => notification.email(payload, recipient)
+  },
+  sms: {
+    canReach: (recipient) => !!recipient.phone,
+    send: (notification, recipient, payload) =>
+      smsService.send({ to: recipient.phone, message: notification.sms(payload, recipient) })
+  }
+};
+
+// What each notification sends on each channel, and the preference category it belongs to
+const NOTIFICATIONS = {
+  // Sent on the day; payload: celebration (with member)
+  celebrationWishes: {
+    category: 'celebrations',
+    email: (celebration) => emailService.sendBirthdayEmail(celebration),
+    sms: (celebration, recipient) => {
+      const greeting = celebration.type === 'Birthday'
+        ? 'Happy birthday'
+        : `Congratulations on your ${celebration.type.toLowerCase()}`;
+      return `${greeting}, ${firstNameOf(recipient.name)}! The ${process.env.CHURCH_NAME} family celebrates with you today. God bless you!`;
+    }
+  },
+
+  // payload: celebration (with member)
+  celebrationApproved: {
+    category: 'celebrations',
+    email: (celebration) => emailService.sendCelebrationApprovalEmail(celebration),
+    sms: (celebration, recipient) =>
+      `Dear ${firstNameOf(recipient.name)}, your ${celebration.type.toLowerCase()} celebration request has been approved and will be announced at ${process.env.CHURCH_NAME}. God bless you!`
+  },
+
+  // payload: { event, member }
+  eventReminder: {
+    category: 'eventReminders',
+    email: ({ event, member }) => emailService.sendEventReminderEmail(event, member),
+    sms: ({ event }, recipient) => {
+      const date = new Date(event.date).toLocaleDateString('en-GB', { weekday: 'short', day: 'numeric', month: 'short' });
+      return `Reminder, ${firstNameOf(recipient.name)}: ${event.title} is tomorrow (${date}) at ${event.time}, ${event.location}. ${process.env.CHURCH_NAME}`;
+    }
+  }
+};
+
+class NotificationService {
+  constructor() {
+    this.channels = { ...CHANNELS };
+  }
+
+  // Add or replace a delivery channel, e.g. WhatsApp
+  registerChannel(name, channel) {
+    this.channels[name] = channel;
+  }
+
+  // Contact details and preference of a member
+  recipientFromMember(member) {
+    return {
+      name: member.name,
+      email: member.email,
+      phone: member.phone,
+      channel: member.notificationChannel,
+      optedOut: !!member.notificationsOptOut,
+      preferences: member.communicationPreferences || {}
+    };
+  }
+
+  // A celebration's linked member, or the contact details given on a public submission
+  recipientFromCelebration(celebration) {
+    if (celebration.member) {
+      return {
+        ...this.recipientFromMember(celebration.member),
+        email: celebration.member.email || celebration.email,
+        phone: celebration.member.phone || celebration.phone
+      };
+    }
+
+    return {
+      name: celebration.name,
+      email: celebration.email,
+      phone: celebration.phone,
+      channel: null,
+      optedOut: false,
+      preferences: {}
+    };
+  }
+
+  // Preferred channels the recipient can be reached on and wants this category on; a single
+  // preferred channel falls back to another only when it cannot reach them (e.g. no email address)
+  resolveChannels(recipient, category) {
+    if (recipient.optedOut) return [];
+
+    const preference = recipient.channel || process.env.NOTIFICATION_DEFAULT_CHANNEL || 'email';
+    const reachable = Object.keys(this.channels).filter((name) => this.channels[name].canReach(recipient));
+    const member = { communicationPreferences: recipient.preferences };
+    const allowed = (name) => !category || allowsCommunication(member, category, name);
+
+    if (preference === 'both') return reachable.filter(allowed);
+    if (reachable.includes(preference)) return allowed(preference) ? [preference] : [];
+    return reachable.filter(allowed).slice(0, 1);
+  }
+
+  /**
+   * Send a notification on the recipient's channels
+   * @param {string} type - Key of NOTIFICATIONS, e.g. 'eventReminder'
+   * @param {Object} recipient - From recipientFromMember/recipientFromCelebration
+   * @param {*} payload - Data the notification is built from
+   * @returns {Promise<Object>} - { success, skipped?, channels: [{ channel, success, error? }] }
+   */
+  async notify(type, recipient, payload) {
+    const notification = NOTIFICATIONS[type];
+    if (!notification) {
+      throw new Error(`Unknown notification type: ${type}`);
+    }
+
+    const channelNames = this.resolveChannels(recipient, notification.category);
+    if (channelNames.length === 0) {
+      let skipped = 'unreachable';
+      if (recipient.optedOut) skipped = 'opted_out';
+      else if (this.resolveChannels(recipient).length > 0) skipped = 'unsubscribed';
+
+      return { success: false, skipped, channels: [] };
+    }
+
+    const channels = [];
+    for (const name of channelNames) {
+      try {
+        const result = await this.channels[name].send(notification, recipient, payload);
+        channels.push({ channel: name, success: !!result.success, error: result.error });
+      } catch (error) {
+        logger.error(`Failed to send ${type} notification by ${name} to ${recipient.name}:`, error);
+        channels.push({ channel: name, success: false, error: error.message });
+      }
+    }
+
+    return {
+      success: channels.some((channel) => channel.success),
+      channels
+    };
+  }
+}
+
+module.exports = new NotificationService();
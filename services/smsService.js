@@ -0,0 +1,116 @@
+// services/smsService.js - Text messages through a pluggable SMS provider
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+const { normalizePhoneNumber } = require('../utils/helpers');
+
+// Provider adapters: send({ to, message, from }) resolves with a message id or throws.
+// "to" is digits only in international format, e.g. 2348012345678.
+const PROVIDERS = {
+  // Logs messages instead of sending them (default)
+  console: {
+    async send({ to, message }) {
+      const messageId = crypto.randomUUID();
+      logger.info(`SMS to ${to} (${messageId}): ${message}`);
+      return messageId;
+    }
+  },
+
+  // Writes each message to a .txt file in SMS_FILE_DIR (local/testing)
+  file: {
+    async send({ to, message, from }) {
+      const messageId = crypto.randomUUID();
+      const directory = process.env.SMS_FILE_DIR || path.join(__dirname, '..', 'logs', 'sms');
+      await fs.promises.mkdir(directory, { recursive: true });
+      await fs.promises.writeFile(
+        path.join(directory, `${Date.now()}-${to}.txt`),
+        `From: ${from || ''}\nTo: ${to}\nId: ${messageId}\nDate: ${new Date().toISOString()}\n\n${message}\n`
+      );
+      return messageId;
+    }
+  },
+
+  twilio: {
+    async send({ to, message, from }) {
+      const accountSid = process.env.TWILIO_ACCOUNT_SID;
+      const credentials = Buffer.from(`${accountSid}:${process.env.TWILIO_AUTH_TOKEN}`).toString('base64');
+
+      const response = await fetch(`https://api.twilio.com/2010-04-01/Accounts/${accountSid}/Messages.json`, {
+        method: 'POST',
+        headers: {
+          Authorization: `Basic ${credentials}`,
+          'Content-Type': 'application/x-www-form-urlencoded'
+        },
+        body: new URLSearchParams({ To: `+${to}`, From: from, Body: message })
+      });
+      const result = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        throw new Error(result.message || `Twilio responded with ${response.status}`);
+      }
+      return result.sid;
+    }
+  },
+
+  termii: {
+    async send({ to, message, from }) {
+      const response = await fetch(process.env.TERMII_API_URL || 'https://api.ng.termii.com/api/sms/send', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          api_key: process.env.TERMII_API_KEY,
+          to,
+          from,
+          sms: message,
+          type: 'plain',
+          channel: 'generic'
+        })
+      });
+      const result = await response.json().catch(() => ({}));
+      if (!response.ok || !result.message_id) {
+        throw new Error(result.message || `Termii responded with ${response.status}`);
+      }
+      return result.message_id;
+    }
+  }
+};
+
+class SmsService {
+  constructor() {
+    this.providers = { ...PROVIDERS };
+    this.providerName = process.env.SMS_PROVIDER || 'console';
+
+    if (!this.providers[this.providerName]) {
+      logger.error(`Unknown SMS_PROVIDER "${this.providerName}", falling back to console`);
+      this.providerName = 'console';
+    }
+  }
+
+  // Add or replace a provider adapter, e.g. for another SMS gateway
+  registerProvider(name, adapter) {
+    this.providers[name] = adapter;
+  }
+
+  // Send one text message; never throws
+  async send({ to, message }) {
+    const phone = normalizePhoneNumber(to);
+    if (!phone) {
+      return { success: false, error: 'No phone number' };
+    }
+
+    try {
+      const messageId = await this.providers[this.providerName].send({
+        to: phone,
+        message,
+        from: process.env.SMS_FROM || process.env.CHURCH_NAME
+      });
+      logger.info(`SMS sent successfully to ${phone}:`, messageId);
+      return { success: true, messageId };
+    } catch (error) {
+      logger.error('SMS sending failed:', error);
+      return { success: false, error: error.message };
+    }
+  }
+}
+
+module.exports = new SmsService();
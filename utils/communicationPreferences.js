@@ -0,0 +1,165 @@
+// utils/communicationPreferences.js - Optional message categories, member preference checks and signed preference links
+const crypto = require('crypto');
+
+// Messages members can turn off, and the channels each one is sent on.
+// Transactional emails (registrations, receipts, statements, security alerts) are always sent.
+const COMMUNICATION_CATEGORIES = {
+  eventReminders: {
+    label: 'Event reminders',
+    description: 'A reminder the day before church events',
+    channels: ['email', 'sms']
+  },
+  celebrations: {
+    label: 'Celebrations',
+    description: 'Birthday wishes and updates on celebration requests',
+    channels: ['email', 'sms']
+  },
+  newsletters: {
+    label: 'Newsletters',
+    description: 'Newsletters and announcements from the church',
+    channels: ['email']
+  }
+};
+
+/**
+ * Full preference map with every category and channel, missing entries allowed
+ * @param {Object} preferences - Stored or submitted preferences, e.g. { newsletters: { email: false } }
+ * @returns {Object} - { [category]: { [channel]: boolean } }
+ */
+const normalizePreferences = (preferences) => {
+  const stored = preferences && typeof preferences === 'object' ? preferences : {};
+
+  return Object.entries(COMMUNICATION_CATEGORIES).reduce((acc, [category, { channels }]) => {
+    acc[category] = channels.reduce((channelAcc, channel) => {
+      channelAcc[channel] = !(stored[category] && stored[category][channel] === false);
+      return channelAcc;
+    }, {});
+    return acc;
+  }, {});
+};
+
+/**
+ * Apply submitted preferences over stored ones, channel by channel
+ * @param {Object} stored - Member's communicationPreferences
+ * @param {Object} submitted - Validated changes, e.g. { eventReminders: { sms: false } }
+ * @returns {Object} - Full preference map
+ */
+const mergePreferences = (stored, submitted = {}) => {
+  const merged = normalizePreferences(stored);
+  Object.entries(submitted).forEach(([category, channels]) => {
+    if (merged[category]) Object.assign(merged[category], channels);
+  });
+  return normalizePreferences(merged);
+};
+
+/**
+ * Combine the preferences of records for the same person; anything either turned off stays off
+ * @param {...Object} preferenceSets - communicationPreferences of each record
+ * @returns {Object} - Full preference map
+ */
+const combinePreferences = (...preferenceSets) => {
+  const combined = normalizePreferences({});
+  preferenceSets.map(normalizePreferences).forEach((preferences) => {
+    Object.entries(preferences).forEach(([category, channels]) => {
+      Object.entries(channels).forEach(([channel, enabled]) => {
+        combined[category][channel] = combined[category][channel] && enabled;
+      });
+    });
+  });
+  return combined;
+};
+
+/**
+ * express-validator custom check for submitted preferences
+ * @param {Object} preferences - e.g. { eventReminders: { sms: false } }
+ * @returns {boolean} - True, or throws describing the first invalid entry
+ */
+const assertValidPreferences = (preferences) => {
+  Object.entries(preferences).forEach(([category, channels]) => {
+    const known = COMMUNICATION_CATEGORIES[category];
+    if (!known) throw new Error(`Unknown category: ${category}`);
+    if (!channels || typeof channels !== 'object') {
+      throw new Error(`Preferences for ${category} must be an object`);
+    }
+    Object.entries(channels).forEach(([channel, enabled]) => {
+      if (!known.channels.includes(channel) || typeof enabled !== 'boolean') {
+        throw new Error(`Invalid ${category} preference: ${channel}`);
+      }
+    });
+  });
+  return true;
+};
+
+/**
+ * Check whether a member wants a category of message on a channel
+ * @param {Object|null} member - Member with notificationsOptOut and communicationPreferences; null for non-members
+ * @param {string} category - Key of COMMUNICATION_CATEGORIES
+ * @param {string} channel - 'email' or 'sms'
+ * @returns {boolean} - True when it may be sent
+ */
+const allowsCommunication = (member, category, channel) => {
+  if (!member) return true;
+  if (member.notificationsOptOut) return false;
+
+  const preferences = member.communicationPreferences || {};
+  return !(preferences[category] && preferences[category][channel] === false);
+};
+
+const getSecret = () => process.env.PREFERENCES_SECRET || process.env.JWT_SECRET;
+
+const sign = (memberId) =>
+  crypto.createHmac('sha256', getSecret()).update(`preferences:${memberId}`).digest('base64url');
+
+/**
+ * Token for a member's preference links; it does not expire so old emails keep working
+ * @param {string} memberId - Member id
+ * @returns {string} - "<memberId>.<signature>"
+ */
+const createPreferenceToken = (memberId) => `${memberId}.${sign(memberId)}`;
+
+/**
+ * Check a preference token
+ * @param {string} token - Token from a preference link
+ * @returns {string|null} - Member id, or null when the signature does not match
+ */
+const verifyPreferenceToken = (token) => {
+  const [memberId, signature] = String(token || '').split('.');
+  if (!memberId || !signature) return null;
+
+  const expected = Buffer.from(sign(memberId));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return null;
+  }
+  return memberId;
+};
+
+/**
+ * Preference centre and unsubscribe links on the church website for an email
+ * @param {Object|null} member - Recipient member (needs id); null for non-members
+ * @param {string} category - Category the email belongs to
+ * @returns {Object} - { preferencesUrl, unsubscribeUrl }, null when there is no member
+ */
+const getPreferenceLinks = (member, category) => {
+  if (!member || !member.id) {
+    return { preferencesUrl: null, unsubscribeUrl: null };
+  }
+
+  const preferencesUrl = `${process.env.CLIENT_URL}/preferences/${createPreferenceToken(member.id)}`;
+  return {
+    preferencesUrl,
+    unsubscribeUrl: `${preferencesUrl}/unsubscribe?category=${category}`
+  };
+};
+
+module.exports = {
+  COMMUNICATION_CATEGORIES,
+  normalizePreferences,
+  mergePreferences,
+  combinePreferences,
+  assertValidPreferences,
+  allowsCommunication,
+  createPreferenceToken,
+  verifyPreferenceToken,
+  getPreferenceLinks
+};
@@ -0,0 +1,111 @@
+// utils/departmentScope.js - Limit department heads to their own units' records
+const { Op } = require('sequelize');
+
+// Permission areas that can be limited to departments
+const SCOPED_PERMISSIONS = ['members', 'events', 'attendance'];
+
+/**
+ * Department ids an admin is limited to for a permission area
+ * @param {Object} admin - Authenticated admin (req.admin)
+ * @param {string} permission - Permission area, e.g. 'members'
+ * @returns {string[]|null} - Department ids, or null when not limited
+ */
+const getDepartmentScope = (admin, permission) => {
+  if (!admin || typeof admin.getDepartmentScope !== 'function') return null;
+  return admin.getDepartmentScope(permission);
+};
+
+/**
+ * Check whether a record's department is within the admin's scope
+ * @param {Object} admin - Authenticated admin
+ * @param {string} permission - Permission area
+ * @param {string|null} departmentId - Department the record belongs to
+ * @returns {boolean} - True when allowed
+ */
+const isInDepartmentScope = (admin, permission, departmentId) => {
+  const scope = getDepartmentScope(admin, permission);
+  return !scope || (!!departmentId && scope.includes(departmentId));
+};
+
+/**
+ * Where clause for records that carry a departmentId (events, attendance)
+ * @param {Object} admin - Authenticated admin
+ * @param {string} permission - Permission area
+ * @returns {Object} - Where clause (empty when not limited)
+ */
+const departmentScopeWhere = (admin, permission) => {
+  const scope = getDepartmentScope(admin, permission);
+  return scope ? { departmentId: { [Op.in]: scope } } : {};
+};
+
+/**
+ * Ids of members serving in the admin's departments
+ * @param {Object} db - Models (req.db)
+ * @param {Object} admin - Authenticated admin
+ * @param {string} permission - Permission area (default: 'members')
+ * @returns {Promise<string[]|null>} - Member ids, or null when not limited
+ */
+const getScopedMemberIds = async (db, admin, permission = 'members') => {
+  const scope = getDepartmentScope(admin, permission);
+  if (!scope) return null;
+
+  const memberships = await db.MemberDepartment.findAll({
+    where: { departmentId: scope },
+    attributes: ['memberId'],
+    raw: true
+  });
+  return [...new Set(memberships.map((membership) => membership.memberId))];
+};
+
+/**
+ * Where clause limiting members to the admin's departments
+ * @param {Object} db - Models (req.db)
+ * @param {Object} admin - Authenticated admin
+ * @param {string} permission - Permission area (default: 'members')
+ * @returns {Promise<Object>} - Where clause (empty when not limited)
+ */
+const memberScopeWhere = async (db, admin, permission = 'members') => {
+  const memberIds = await getScopedMemberIds(db, admin, permission);
+  return memberIds ? { id: { [Op.in]: memberIds } } : {};
+};
+
+/**
+ * Check whether a member serves in one of the admin's departments
+ * @param {Object} db - Models (req.db)
+ * @param {Object} admin - Authenticated admin
+ * @param {string} memberId - Member id
+ * @param {string} permission - Permission area (default: 'members')
+ * @returns {Promise<boolean>} - True when allowed
+ */
+const isMemberInScope = async (db, admin, memberId, permission = 'members') => {
+  const scope = getDepartmentScope(admin, permission);
+  if (!scope) return true;
+
+  const membership = await db.MemberDepartment.findOne({
+    where: { memberId, departmentId: scope },
+    attributes: ['id']
+  });
+  return !!membership;
+};
+
+/**
+ * Add a scope where clause to an existing one without overwriting its keys
+ * @param {Object} where - Where clause being built
+ * @param {Object} scopeWhere - Clause from departmentScopeWhere/memberScopeWhere
+ * @returns {Object} - Combined where clause
+ */
+const withScope = (where, scopeWhere) => {
+  if (!scopeWhere || Object.keys(scopeWhere).length === 0) return where;
+  return { [Op.and]: [where, scopeWhere] };
+};
+
+module.exports = {
+  SCOPED_PERMISSIONS,
+  getDepartmentScope,
+  isInDepartmentScope,
+  departmentScopeWhere,
+  getScopedMemberIds,
+  memberScopeWhere,
+  isMemberInScope,
+  withScope
+};
@@ -40,6 +40,29 @@ const formatPhoneNumber = (phone, countryCode = '+234') => {
   return phone; // Return as is if format is unclear
 };
 
+/**
+ * Normalise a phone number for comparison (digits only, Nigerian numbers as 234XXXXXXXXXX)
+ * @param {string} phone - Phone number in any format
+ * @returns {string} - Normalised digits, or empty string
+ */
+const normalizePhoneNumber = (phone) => {
+  if (!phone) return '';
+
+  const cleanPhone = String(phone).replace(/\D/g, '');
+
+  if (cleanPhone.startsWith('234') && cleanPhone.length === 13) {
+    return cleanPhone;
+  }
+  if (cleanPhone.startsWith('0') && cleanPhone.length === 11) {
+    return '234' + cleanPhone.substring(1);
+  }
+  if (cleanPhone.length === 10) {
+    return '234' + cleanPhone;
+  }
+
+  return cleanPhone;
+};
+
 /**
  * Validate email format
  * @param {string} email - Email address
@@ -281,6 +304,47 @@ const deepClone = (obj) => {
   }
 };
 
+/**
+ * Similarity of two strings using letter pairs (Dice coefficient)
+ * Case, punctuation and word order are ignored
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number} - 0 (nothing in common) to 1 (same)
+ */
+const stringSimilarity = (a, b) => {
+  const normalize = (value) =>
+    String(value || '')
+      .toLowerCase()
+      .replace(/[^a-z0-9\s]/g, ' ')
+      .split(/\s+/)
+      .filter(Boolean)
+      .sort()
+      .join(' ');
+
+  const first = normalize(a);
+  const second = normalize(b);
+  if (!first || !second) return 0;
+  if (first === second) return 1;
+  if (first.length < 2 || second.length < 2) return 0;
+
+  const pairs = new Map();
+  for (let i = 0; i < first.length - 1; i++) {
+    const pair = first.substring(i, i + 2);
+    pairs.set(pair, (pairs.get(pair) || 0) + 1);
+  }
+
+  let matches = 0;
+  for (let i = 0; i < second.length - 1; i++) {
+    const pair = second.substring(i, i + 2);
+    if (pairs.get(pair) > 0) {
+      pairs.set(pair, pairs.get(pair) - 1);
+      matches++;
+    }
+  }
+
+  return (2 * matches) / (first.length + second.length - 2);
+};
+
 /**
  * Escape HTML to prevent XSS
  * @param {string} text - Text to escape
@@ -303,6 +367,7 @@ const escapeHtml = (text) => {
 module.exports = {
   generateRandomString,
   formatPhoneNumber,
+  normalizePhoneNumber,
   isValidEmail,
   calculateAge,
   generatePaginationMeta,
@@ -318,5 +383,6 @@ module.exports = {
   isAlphaSpace,
   truncateText,
   deepClone,
+  stringSimilarity,
   escapeHtml
 };
\ No newline at end of file
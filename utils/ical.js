@@ -0,0 +1,228 @@
+// utils/ical.js - iCalendar (RFC 5545) output for events
+
+const FREQUENCIES = {
+  daily: 'DAILY',
+  weekly: 'WEEKLY',
+  monthly: 'MONTHLY',
+  yearly: 'YEARLY'
+};
+
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+// Event times are stored as local church time (same zone the cron jobs run in)
+const CALENDAR_TIMEZONE = 'Africa/Lagos';
+
+/**
+ * Escape text values (commas, semicolons, backslashes and newlines)
+ * @param {string} text - Raw text
+ * @returns {string} - Escaped text
+ */
+const escapeText = (text) => {
+  if (!text) return '';
+
+  return String(text)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+};
+
+/**
+ * Fold a content line to 75 octets as required by the spec
+ * @param {string} line - Unfolded content line
+ * @returns {string} - Folded line
+ */
+const foldLine = (line) => {
+  const chunks = [];
+  let current = '';
+
+  for (const char of line) {
+    const limit = chunks.length === 0 ? 75 : 74; // continuation lines start with a space
+    if (Buffer.byteLength(current + char) > limit) {
+      chunks.push(current);
+      current = '';
+    }
+    current += char;
+  }
+  chunks.push(current);
+
+  return chunks.join('\r\n ');
+};
+
+/**
+ * Format a date and optional time as a floating local date-time
+ * @param {string} date - Date in YYYY-MM-DD format
+ * @param {string} time - Time in HH:MM or HH:MM:SS format
+ * @returns {string} - e.g. 20261019T180000
+ */
+const formatDateTime = (date, time = '00:00:00') => {
+  const [hours = '00', minutes = '00', seconds = '00'] = String(time).split(':');
+  return `${String(date).slice(0, 10).replace(/-/g, '')}T${hours.padStart(2, '0')}${minutes}${seconds}`;
+};
+
+/**
+ * Format a timestamp in UTC
+ * @param {Date|string} value - Timestamp
+ * @returns {string} - e.g. 20261019T170000Z
+ */
+const formatUtc = (value) => {
+  return new Date(value).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+};
+
+/**
+ * Build the RRULE value for a recurring event
+ * @param {Object} event - Event with recurrence fields
+ * @returns {string|null} - RRULE value or null for one-off events
+ */
+const buildRecurrenceRule = (event) => {
+  if (!event.isRecurring || !FREQUENCIES[event.recurringPattern]) return null;
+
+  const parts = [`FREQ=${FREQUENCIES[event.recurringPattern]}`];
+
+  if (event.recurrenceInterval && parseInt(event.recurrenceInterval) > 1) {
+    parts.push(`INTERVAL=${parseInt(event.recurrenceInterval)}`);
+  }
+
+  if (
+    event.recurringPattern === 'weekly' &&
+    Array.isArray(event.recurrenceDays) &&
+    event.recurrenceDays.length > 0
+  ) {
+    parts.push(`BYDAY=${event.recurrenceDays.map((day) => WEEKDAYS[day]).join(',')}`);
+  }
+
+  // Weeks start on Sunday, as in Event.seriesDates; RFC 5545 defaults to Monday
+  if (event.recurringPattern === 'weekly') {
+    parts.push('WKST=SU');
+  }
+
+  if (event.recurrenceEndDate) {
+    parts.push(`UNTIL=${formatDateTime(event.recurrenceEndDate, '23:59:59')}`);
+  } else if (event.recurrenceCount) {
+    parts.push(`COUNT=${parseInt(event.recurrenceCount)}`);
+  }
+
+  return parts.join(';');
+};
+
+/**
+ * Build the VEVENT lines for one event (or one overridden occurrence)
+ * @param {Object} event - Event values
+ * @param {Object} options - { uid, url, recurrenceId, seriesTime }
+ * @returns {string[]} - Unfolded content lines
+ */
+const buildEventLines = (event, options = {}) => {
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${options.uid}`,
+    `DTSTAMP:${formatUtc(event.updatedAt || new Date())}`
+  ];
+
+  if (options.recurrenceId) {
+    lines.push(`RECURRENCE-ID:${formatDateTime(options.recurrenceId, options.seriesTime)}`);
+  }
+
+  lines.push(`DTSTART:${formatDateTime(event.date, event.time)}`);
+  if (event.endTime && event.endTime > event.time) {
+    lines.push(`DTEND:${formatDateTime(event.date, event.endTime)}`);
+  }
+
+  lines.push(`SUMMARY:${escapeText(event.title)}`);
+  if (event.description) {
+    lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+  }
+  if (event.location) {
+    lines.push(`LOCATION:${escapeText(event.location)}`);
+  }
+  if (event.category) {
+    lines.push(`CATEGORIES:${escapeText(event.category)}`);
+  }
+  if (options.url) {
+    lines.push(`URL:${options.url}`);
+  }
+
+  lines.push(`STATUS:${event.status === 'cancelled' ? 'CANCELLED' : 'CONFIRMED'}`);
+  lines.push('END:VEVENT');
+  return lines;
+};
+
+/**
+ * Build a VCALENDAR document from events and their occurrence overrides
+ * @param {Object[]} events - Event instances or plain values
+ * @param {Object} options - { name, overrides: { [eventId]: EventOccurrence[] } }
+ * @returns {string} - iCalendar document with CRLF line endings
+ */
+const buildCalendar = (events, options = {}) => {
+  const clientUrl = process.env.CLIENT_URL || '';
+  let domain = 'church.local';
+  try {
+    domain = new URL(clientUrl).hostname || domain;
+  } catch (error) {
+    // Fall back to the placeholder domain when CLIENT_URL is not a URL
+  }
+
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:-//${escapeText(process.env.CHURCH_NAME || 'Church')}//Events//EN`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(options.name || `${process.env.CHURCH_NAME || 'Church'} Events`)}`,
+    `X-WR-TIMEZONE:${CALENDAR_TIMEZONE}`
+  ];
+
+  for (const event of events) {
+    const uid = `${event.id}@${domain}`;
+    const url = clientUrl ? `${clientUrl}/events/${event.id}` : null;
+    const seriesOverrides = (options.overrides && options.overrides[event.id]) || [];
+    const rule = buildRecurrenceRule(event);
+
+    const eventLines = buildEventLines(event, { uid, url });
+
+    if (rule) {
+      const exdates = [
+        ...(event.exceptionDates || []),
+        ...seriesOverrides
+          .filter((override) => override.status === 'cancelled')
+          .map((override) => override.occurrenceDate)
+      ];
+
+      const extra = [`RRULE:${rule}`];
+      if (exdates.length > 0) {
+        extra.push(`EXDATE:${exdates.map((date) => formatDateTime(date, event.time)).join(',')}`);
+      }
+      eventLines.splice(eventLines.length - 1, 0, ...extra);
+    }
+    lines.push(...eventLines);
+
+    // Edited occurrences are sent as overrides of the series instance
+    if (rule) {
+      seriesOverrides
+        .filter((override) => override.status !== 'cancelled')
+        .forEach((override) => {
+          lines.push(...buildEventLines(
+            {
+              ...(event.get ? event.get({ plain: true }) : event),
+              date: override.occurrenceDate,
+              title: override.title || event.title,
+              description: override.description || event.description,
+              time: override.time || event.time,
+              endTime: override.endTime || event.endTime,
+              location: override.location || event.location,
+              updatedAt: override.updatedAt
+            },
+            { uid, url, recurrenceId: override.occurrenceDate, seriesTime: event.time }
+          ));
+        });
+    }
+  }
+
+  lines.push('END:VCALENDAR');
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+};
+
+module.exports = {
+  escapeText,
+  buildRecurrenceRule,
+  buildCalendar
+};
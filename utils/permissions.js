@@ -0,0 +1,148 @@
+// utils/permissions.js - Verb-level admin permissions and role templates
+// Permissions are "area:verb" strings, e.g. "members:read" or "celebrations:approve".
+
+// Verbs available in each permission area
+const PERMISSION_AREAS = {
+  members: ['read', 'create', 'update', 'delete', 'export'],
+  events: ['read', 'create', 'update', 'delete', 'export'],
+  attendance: ['read', 'create', 'update', 'delete', 'export'],
+  celebrations: ['read', 'update', 'delete', 'export', 'approve'],
+  finance: ['read', 'create', 'update', 'delete', 'export']
+};
+
+const PERMISSION_VERBS = ['read', 'create', 'update', 'delete', 'export', 'approve'];
+
+const ALL_PERMISSIONS = Object.entries(PERMISSION_AREAS).flatMap(([area, verbs]) =>
+  verbs.map((verb) => `${area}:${verb}`)
+);
+
+// Every verb of the given areas
+const allOf = (...areas) =>
+  areas.flatMap((area) => PERMISSION_AREAS[area].map((verb) => `${area}:${verb}`));
+
+// Starting permissions for each admin role; they can be adjusted per admin afterwards
+const ROLE_TEMPLATES = {
+  super_admin: {
+    label: 'Super Admin',
+    description: 'Full access, including admin accounts and settings',
+    permissions: ['all']
+  },
+  admin: {
+    label: 'Administrator',
+    description: 'Manages members, events, attendance and celebrations',
+    permissions: allOf('members', 'events', 'attendance', 'celebrations')
+  },
+  secretary: {
+    label: 'Secretary',
+    description: 'Keeps member records and the church calendar up to date',
+    permissions: [
+      'members:read', 'members:create', 'members:update', 'members:export',
+      'events:read', 'events:create', 'events:update', 'events:export',
+      'attendance:read', 'attendance:export',
+      'celebrations:read', 'celebrations:update', 'celebrations:approve', 'celebrations:export'
+    ]
+  },
+  usher: {
+    label: 'Usher',
+    description: 'Records service attendance and checks members in',
+    permissions: ['members:read', 'attendance:read', 'attendance:create', 'attendance:update']
+  },
+  media: {
+    label: 'Media',
+    description: 'Publishes events and approves celebration announcements',
+    permissions: [
+      'events:read', 'events:create', 'events:update',
+      'celebrations:read', 'celebrations:update', 'celebrations:approve'
+    ]
+  },
+  finance_officer: {
+    label: 'Finance Officer',
+    description: 'Records giving and sends giving statements',
+    permissions: ['members:read', ...allOf('finance')]
+  },
+  department_head: {
+    label: 'Department Head',
+    description: 'Runs a unit; pair with department scopes to limit access to it',
+    permissions: [
+      'members:read', 'members:create', 'members:update',
+      'events:read', 'events:create', 'events:update', 'events:delete',
+      'attendance:read', 'attendance:create', 'attendance:update'
+    ]
+  }
+};
+
+const ADMIN_ROLES = Object.keys(ROLE_TEMPLATES);
+
+// Older flat permission names and the permissions they now stand for
+const LEGACY_PERMISSIONS = {
+  members: allOf('members'),
+  manage_members: allOf('members'),
+  events: allOf('events'),
+  manage_events: allOf('events'),
+  attendance: allOf('attendance'),
+  manage_attendance: allOf('attendance'),
+  celebrations: allOf('celebrations'),
+  manage_celebrations: allOf('celebrations'),
+  finance: allOf('finance'),
+  manage_donations: allOf('finance'),
+  view_reports: ['members', 'events', 'attendance', 'celebrations'].flatMap((area) => [
+    `${area}:read`,
+    `${area}:export`
+  ])
+};
+
+/**
+ * Check that a permission string is part of the catalogue
+ * @param {string} permission - e.g. "members:read"
+ * @returns {boolean} - True when known
+ */
+const isValidPermission = (permission) => ALL_PERMISSIONS.includes(permission);
+
+/**
+ * Expand a stored permission list into "area:verb" strings
+ * Older flat names ("members", "manage_attendance") grant every verb of their area;
+ * unknown entries are dropped.
+ * @param {string[]} permissions - Stored permissions
+ * @returns {string[]} - Unique "area:verb" permissions
+ */
+const normalizePermissions = (permissions) => {
+  if (!Array.isArray(permissions)) return [];
+
+  const expanded = permissions.flatMap((permission) => {
+    if (isValidPermission(permission)) return [permission];
+    return LEGACY_PERMISSIONS[permission] || [];
+  });
+  return ALL_PERMISSIONS.filter((permission) => expanded.includes(permission));
+};
+
+/**
+ * Check a stored permission list against a required permission
+ * @param {string[]} permissions - Stored permissions
+ * @param {string} required - "area:verb", or just "area" for any verb in it
+ * @returns {boolean} - True when granted
+ */
+const grantsPermission = (permissions, required) => {
+  const granted = normalizePermissions(permissions);
+  if (required.includes(':')) return granted.includes(required);
+  return granted.some((permission) => permission.startsWith(`${required}:`));
+};
+
+/**
+ * Default permissions for a role
+ * @param {string} role - Admin role
+ * @returns {string[]} - Permissions from the role template
+ */
+const getRolePermissions = (role) => [...(ROLE_TEMPLATES[role] || ROLE_TEMPLATES.admin).permissions];
+
+module.exports = {
+  PERMISSION_AREAS,
+  PERMISSION_VERBS,
+  ALL_PERMISSIONS,
+  ROLE_TEMPLATES,
+  ADMIN_ROLES,
+  LEGACY_PERMISSIONS,
+  isValidPermission,
+  normalizePermissions,
+  grantsPermission,
+  getRolePermissions
+};
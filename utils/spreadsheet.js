@@ -0,0 +1,86 @@
+// utils/spreadsheet.js - Read uploaded CSV/XLSX files into rows
+const path = require('path');
+const ExcelJS = require('exceljs');
+const { parse } = require('csv-parse/sync');
+
+const SPREADSHEET_EXTENSIONS = ['.csv', '.xlsx'];
+
+/**
+ * Turn an ExcelJS cell value into a plain string or Date
+ * @param {*} value - Cell value (string, number, Date, rich text, formula or hyperlink)
+ * @returns {string|Date} - Plain value
+ */
+const cellValue = (value) => {
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date) return value;
+  if (typeof value === 'object') {
+    if (value.richText) return value.richText.map((part) => part.text).join('');
+    if (value.text !== undefined) return String(value.text);
+    if (value.result !== undefined) return cellValue(value.result);
+    return '';
+  }
+  return String(value);
+};
+
+/**
+ * Read the first worksheet of an XLSX buffer
+ * @param {Buffer} buffer - File contents
+ * @returns {Promise<Array[]>} - Rows of cell values (header row first)
+ */
+const readXlsx = async (buffer) => {
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.load(buffer);
+
+  const worksheet = workbook.worksheets[0];
+  if (!worksheet) return [];
+
+  const rows = [];
+  worksheet.eachRow({ includeEmpty: true }, (row) => {
+    // row.values is 1-based
+    rows.push(row.values.slice(1).map(cellValue));
+  });
+  return rows;
+};
+
+/**
+ * Parse an uploaded CSV or XLSX file
+ * @param {Buffer} buffer - File contents
+ * @param {string} filename - Original filename (used to pick the parser)
+ * @returns {Promise<Object>} - { headers, rows: [{ rowNumber, values: { header: value } }] }
+ */
+const parseSpreadsheet = async (buffer, filename) => {
+  const extension = path.extname(filename || '').toLowerCase();
+  if (!SPREADSHEET_EXTENSIONS.includes(extension)) {
+    throw new Error(`Unsupported file type. Use ${SPREADSHEET_EXTENSIONS.join(' or ')}`);
+  }
+
+  const table = extension === '.xlsx'
+    ? await readXlsx(buffer)
+    : parse(buffer, { bom: true, relax_column_count: true, skip_empty_lines: false });
+
+  const [headerRow = [], ...dataRows] = table;
+  const headers = headerRow.map((header) => String(header || '').trim());
+
+  const rows = [];
+  dataRows.forEach((cells, index) => {
+    const values = {};
+    headers.forEach((header, column) => {
+      if (!header) return;
+      const value = cells[column];
+      values[header] = value instanceof Date ? value : String(value ?? '').trim();
+    });
+
+    // Skip blank lines between records
+    const isEmpty = Object.values(values).every((value) => value === '');
+    if (!isEmpty) {
+      rows.push({ rowNumber: index + 2, values }); // +2: header row and 1-based numbering
+    }
+  });
+
+  return { headers: headers.filter(Boolean), rows };
+};
+
+module.exports = {
+  SPREADSHEET_EXTENSIONS,
+  parseSpreadsheet
+};
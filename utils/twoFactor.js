@@ -0,0 +1,186 @@
+// utils/twoFactor.js - TOTP (RFC 6238) codes, backup codes and login challenge tokens
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const TOTP_STEP_SECONDS = 30;
+const TOTP_DIGITS = 6;
+const BACKUP_CODE_COUNT = 10;
+const CHALLENGE_TOKEN_EXPIRE = '5m';
+
+/**
+ * Encode bytes as base32 (authenticator apps expect base32 secrets)
+ * @param {Buffer} buffer - Bytes to encode
+ * @returns {string} - Base32 string without padding
+ */
+const base32Encode = (buffer) => {
+  let bits = '';
+  buffer.forEach((byte) => {
+    bits += byte.toString(2).padStart(8, '0');
+  });
+
+  let output = '';
+  for (let i = 0; i < bits.length; i += 5) {
+    output += BASE32_ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, '0'), 2)];
+  }
+  return output;
+};
+
+/**
+ * Decode a base32 string
+ * @param {string} input - Base32 string (case and spaces ignored)
+ * @returns {Buffer} - Decoded bytes
+ */
+const base32Decode = (input) => {
+  const clean = String(input).toUpperCase().replace(/[\s=-]/g, '');
+  let bits = '';
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) throw new Error('Invalid base32 secret');
+    bits += index.toString(2).padStart(5, '0');
+  }
+
+  const bytes = [];
+  for (let i = 0; i + 8 <= bits.length; i += 8) {
+    bytes.push(parseInt(bits.slice(i, i + 8), 2));
+  }
+  return Buffer.from(bytes);
+};
+
+/**
+ * Generate a new TOTP secret
+ * @returns {string} - 160-bit base32 secret
+ */
+const generateTotpSecret = () => base32Encode(crypto.randomBytes(20));
+
+/**
+ * TOTP code for a time step
+ * @param {string} secret - Base32 secret
+ * @param {number} step - Time step (seconds since epoch / 30)
+ * @returns {string} - Zero-padded 6 digit code
+ */
+const generateTotpCode = (secret, step = Math.floor(Date.now() / 1000 / TOTP_STEP_SECONDS)) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = (hmac.readUInt32BE(offset) & 0x7fffffff) % 10 ** TOTP_DIGITS;
+  return String(binary).padStart(TOTP_DIGITS, '0');
+};
+
+/**
+ * Check a TOTP code, allowing one step of clock drift either way
+ * @param {string} secret - Base32 secret
+ * @param {string} code - Code entered by the admin
+ * @param {number|null} lastUsedStep - Step of the last accepted code (prevents replay)
+ * @returns {number|null} - Matched time step, or null when invalid
+ */
+const verifyTotpCode = (secret, code, lastUsedStep = null) => {
+  const clean = String(code || '').replace(/\s/g, '');
+  if (!secret || !/^\d{6}$/.test(clean)) return null;
+
+  const currentStep = Math.floor(Date.now() / 1000 / TOTP_STEP_SECONDS);
+  for (const step of [currentStep, currentStep - 1, currentStep + 1]) {
+    if (lastUsedStep !== null && step <= lastUsedStep) continue;
+    const expected = generateTotpCode(secret, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(clean))) {
+      return step;
+    }
+  }
+  return null;
+};
+
+/**
+ * otpauth:// URL for authenticator apps (encoded in the enrolment QR code)
+ * @param {string} secret - Base32 secret
+ * @param {string} accountName - Usually the admin's email
+ * @returns {string} - otpauth URL
+ */
+const buildOtpAuthUrl = (secret, accountName) => {
+  const issuer = process.env.CHURCH_NAME || 'Church Admin';
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(TOTP_DIGITS),
+    period: String(TOTP_STEP_SECONDS)
+  });
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+/**
+ * Hash a backup code for storage
+ * @param {string} code - Backup code (dashes and case ignored)
+ * @returns {string} - SHA-256 hex digest
+ */
+const hashBackupCode = (code) =>
+  crypto
+    .createHash('sha256')
+    .update(String(code).toLowerCase().replace(/[^a-z0-9]/g, ''))
+    .digest('hex');
+
+/**
+ * Generate one-time backup codes
+ * @returns {{ codes: string[], hashes: string[] }} - Codes to show once and hashes to store
+ */
+const generateBackupCodes = () => {
+  const codes = Array.from({ length: BACKUP_CODE_COUNT }, () => {
+    const hex = crypto.randomBytes(5).toString('hex');
+    return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+  });
+  return { codes, hashes: codes.map(hashBackupCode) };
+};
+
+/**
+ * Short-lived token for the second login step
+ * @param {string} adminId - Admin id
+ * @param {string} purpose - 'verify' (enter a code) or 'setup' (enrolment required first)
+ * @returns {string} - Signed JWT
+ */
+const generateChallengeToken = (adminId, purpose) =>
+  jwt.sign({ adminId, purpose: `2fa_${purpose}` }, process.env.JWT_SECRET, {
+    expiresIn: CHALLENGE_TOKEN_EXPIRE
+  });
+
+/**
+ * Verify a challenge token
+ * @param {string} token - Token from generateChallengeToken
+ * @param {string} purpose - Expected purpose
+ * @returns {string|null} - Admin id, or null when invalid or expired
+ */
+const verifyChallengeToken = (token, purpose) => {
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    return decoded.purpose === `2fa_${purpose}` ? decoded.adminId : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Whether the 2FA policy requires this admin to use two-factor authentication
+ * Roles are listed in TWO_FACTOR_REQUIRED_ROLES (comma separated, default: super_admin)
+ * @param {Object} admin - Admin instance
+ * @returns {boolean} - True when 2FA is mandatory
+ */
+const isTwoFactorRequired = (admin) => {
+  const roles = (process.env.TWO_FACTOR_REQUIRED_ROLES ?? 'super_admin')
+    .split(',')
+    .map((role) => role.trim())
+    .filter(Boolean);
+  return roles.includes(admin.role);
+};
+
+module.exports = {
+  generateTotpSecret,
+  generateTotpCode,
+  verifyTotpCode,
+  buildOtpAuthUrl,
+  hashBackupCode,
+  generateBackupCodes,
+  generateChallengeToken,
+  verifyChallengeToken,
+  isTwoFactorRequired
+};